@@ -0,0 +1,166 @@
+// Base configuration for API tests
+// Settings shared by every profile: config/profiles.js adjusts them per environment and
+// config/loader.js applies the active profile, .env files and TEST_CONFIG__* overrides
+
+/**
+ * Default configuration
+ * @param {Object} env - Environment variables, including those read from .env files
+ * @returns {Object} Configuration before the profile is applied
+ */
+function defaults (env) {
+  return {
+    // Name of the active profile, set by the loader
+    profile: null,
+
+    // Run the suite against the in-process mock servers (the local profile)
+    offline: false,
+
+    // In-process mock servers (test/mock-server)
+    mockServer: {
+      host: '127.0.0.1',
+      port: Number(env.MOCK_SERVER_PORT) || 3100,
+      reqresPort: Number(env.REQRES_MOCK_PORT) || 3101,
+      tokenPort: Number(env.TOKEN_SERVER_PORT) || 3102
+    },
+
+    // Base URLs of the APIs under test; API clients take theirs from here
+    baseUrls: {
+      jsonplaceholder: 'https://jsonplaceholder.typicode.com',
+      reqres: 'https://reqres.in/api'
+    },
+
+    // Default authentication strategy per API, keyed like baseUrls (see test/utils/auth-strategies.js):
+    //   { type: 'basic', username, password }
+    //   { type: 'bearer', token }
+    //   { type: 'apiKey', name, value, in: 'header' | 'query' }
+    //   { type: 'oauth2', tokenUrl, clientId, clientSecret, scope, refreshMargin }
+    //   { type: 'hmac', keyId, secret, algorithm }
+    // In offline mode an OAuth2 token endpoint runs at http://127.0.0.1:3102/oauth/token (client api-tests / api-tests-secret)
+    auth: {
+      jsonplaceholder: null,
+      reqres: { type: 'apiKey', in: 'header', name: 'x-api-key', value: env.REQRES_API_KEY || 'reqres-free-v1' }
+    },
+
+    // Reqres authentication (see test/api-clients/auth.api.js)
+    reqres: {
+      credentials: {
+        email: 'eve.holt@reqres.in',
+        password: 'cityslicka'
+      }
+    },
+
+    // Default timeout for requests
+    timeout: 10000,
+
+    // Automatic retry policy for HttpClient requests
+    retry: {
+      maxAttempts: 3, // Total attempts including the first one
+      baseDelay: 200, // First backoff delay in ms, doubled on every retry
+      maxDelay: 2000,
+      jitter: true,
+      retryOnStatus: [429, 502, 503, 504],
+      retryOnErrors: ['network'], // Error kinds: 'network', 'timeout', 'parse'
+      retryNonIdempotent: false // Allow retrying POST and PATCH
+    },
+
+    // Read-only safety mode: HttpClient refuses POST/PUT/PATCH/DELETE except for allowlisted
+    // 'METHOD /route' entries (':param' matches one segment, '*' the rest), e.g. 'POST /api/login'
+    safety: {
+      readOnly: false,
+      allowlist: []
+    },
+
+    // Seed of the generated test data (TEST_SEED=<n> or --seed=<n>; null picks a new one each run)
+    random: {
+      seed: env.TEST_SEED ? Number(env.TEST_SEED) : null
+    },
+
+    // Locale of the realistic fake data (see test/utils/fake-data.js), e.g. TEST_LOCALE=ja_JP
+    fakeData: {
+      locale: env.TEST_LOCALE || 'en_US'
+    },
+
+    // Property-based tests (see test/utils/property-testing.js), e.g. PROPERTY_RUNS=200 for a longer fuzzing session
+    propertyTests: {
+      runs: Number(env.PROPERTY_RUNS) || 25, // Random inputs per property
+      maxShrinks: 200, // Candidates tried while shrinking a counterexample
+      regressionFile: 'test/fixtures/property-regressions.json' // Counterexamples replayed on every run, committed with the fix
+    },
+
+    // Deletion of the resources API clients create, after each test (CLEANUP=false to disable)
+    cleanup: {
+      enabled: env.CLEANUP !== 'false',
+      attempts: 3, // Passes over the resources that could not be deleted
+      delay: 500 // Pause in ms before another pass
+    },
+
+    // HAR recording of HttpClient calls (RECORD_HAR=true)
+    har: {
+      enabled: env.RECORD_HAR === 'true',
+      mode: env.HAR_MODE || 'test', // 'test': one file per test, 'suite': one file per top-level describe
+      outputDir: 'reports/har',
+      redactHeaders: ['authorization', 'cookie', 'x-api-key', 'api_key'] // Masked headers and query parameters
+    },
+
+    // Record-and-replay cassettes (see test/utils/cassette.js)
+    cassettes: {
+      mode: env.CASSETTE_MODE || 'off', // 'off', 'record', 'replay' or 'new_episodes'
+      strict: env.CASSETTE_STRICT === 'true', // Replay mode: fail requests without a recording
+      dir: 'test/fixtures/cassettes'
+    },
+
+    // OpenAPI contract checks of every API client response (CONTRACT_TESTS=false to disable)
+    contracts: {
+      enabled: env.CONTRACT_TESTS !== 'false',
+      spec: 'test/contracts/jsonplaceholder.openapi.json',
+      reportFile: 'reports/contract-coverage.json'
+    },
+
+    // Default headers
+    defaultHeaders: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+
+    // Test data
+    testData: {
+      users: {
+        validUser: {
+          name: 'John Doe',
+          username: 'johndoe',
+          email: 'john.doe@example.com',
+          phone: '1-770-736-8031 x56442',
+          website: 'hildegard.org'
+        },
+        invalidUser: {
+          name: '',
+          username: '',
+          email: 'invalid-email',
+          phone: '',
+          website: ''
+        }
+      },
+      posts: {
+        validPost: {
+          title: 'Test Post Title',
+          body: 'This is a test post body content for API testing.',
+          userId: 1
+        },
+        invalidPost: {
+          title: '',
+          body: '',
+          userId: null
+        }
+      }
+    },
+
+    // Expected response times (in milliseconds)
+    performance: {
+      fast: 500,
+      medium: 1500, // Increased to accommodate network latency
+      slow: 3000
+    }
+  }
+}
+
+module.exports = defaults
@@ -0,0 +1,264 @@
+/**
+ * Configuration loader
+ *
+ * Builds the test configuration in layers, later ones winning:
+ * 1. config/defaults.js
+ * 2. The profile selected with TEST_ENV (config/profiles.js)
+ * 3. TEST_CONFIG__<path> variables from .env, .env.local (both git-ignored) and the environment,
+ *    e.g. TEST_CONFIG__retry__maxAttempts=1 or TEST_CONFIG__baseUrls__reqres=https://reqres.staging/api
+ *
+ * The result is validated against config/config.schema.json; problems are reported together in one ConfigError.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const Ajv2020 = require('ajv/dist/2020')
+const addFormats = require('ajv-formats')
+
+const ROOT_DIR = path.join(__dirname, '..')
+
+// Prefix of variables that override a config key; '__' separates the key path
+const OVERRIDE_PREFIX = 'TEST_CONFIG__'
+
+// Files read when ENV_FILE is not set, relative to the project root
+const ENV_FILES = ['.env', '.env.local']
+
+const DEFAULT_PROFILE = 'dev'
+
+/**
+ * Invalid configuration, listing every problem found
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} profile - Active profile
+   * @param {Array<string>} problems - Problem descriptions
+   */
+  constructor (profile, problems) {
+    super(`Invalid test configuration (profile "${profile}"):\n${problems.map(problem => `  - ${problem}`).join('\n')}`)
+    this.name = 'ConfigError'
+    this.profile = profile
+    this.problems = problems
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Parse a .env-style file: KEY=value lines, # comments, optional `export` and quotes
+ * @param {string} content - File content
+ * @returns {Object} Variables
+ */
+function parseEnvFile (content) {
+  const variables = {}
+
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/)
+    if (!match || line.trim().startsWith('#')) {
+      return
+    }
+
+    const [, key, raw] = match
+    const quoted = raw.match(/^(['"])(.*)\1$/)
+    if (quoted) {
+      variables[key] = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2]
+    } else {
+      // Unquoted values end at an inline comment
+      variables[key] = raw.replace(/\s+#.*$/, '')
+    }
+  })
+
+  return variables
+}
+
+/**
+ * Read the .env files that exist
+ * @param {Array<string>} files - File paths, later files winning
+ * @returns {Object} Variables
+ */
+function readEnvFiles (files) {
+  return files
+    .filter(file => fs.existsSync(file))
+    .reduce((variables, file) => ({ ...variables, ...parseEnvFile(fs.readFileSync(file, 'utf8')) }), {})
+}
+
+/**
+ * Merge plain objects recursively; arrays and other values replace the target value
+ * @param {Object} target - Base object
+ * @param {Object} source - Overrides
+ * @returns {Object} New merged object
+ */
+function deepMerge (target, source) {
+  const merged = { ...target }
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(target[key]) ? deepMerge(target[key], value) : value
+  })
+  return merged
+}
+
+/**
+ * Convert an override string to the type of the value it replaces
+ * @param {string} raw - Variable value
+ * @param {*} current - Current config value
+ * @returns {*} Converted value (unconvertible strings are kept, validation reports them)
+ */
+function coerce (raw, current) {
+  if (typeof current === 'string') {
+    return raw
+  } else if (typeof current === 'number') {
+    return raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw
+  } else if (typeof current === 'boolean' && ['true', 'false'].includes(raw)) {
+    return raw === 'true'
+  } else if (typeof current === 'boolean') {
+    return raw
+  }
+
+  try {
+    return JSON.parse(raw)
+  } catch (error) {
+    return raw
+  }
+}
+
+/**
+ * Apply TEST_CONFIG__* overrides in place
+ * @param {Object} config - Configuration
+ * @param {Object} env - Variables
+ * @returns {Array<string>} Problems (unknown keys)
+ */
+function applyOverrides (config, env) {
+  const problems = []
+
+  Object.keys(env)
+    .filter(name => name.startsWith(OVERRIDE_PREFIX))
+    .sort()
+    .forEach(name => {
+      const keys = name.slice(OVERRIDE_PREFIX.length).split('__')
+      const parent = keys.slice(0, -1).reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), config)
+      const key = keys[keys.length - 1]
+
+      if (!isPlainObject(parent) || !Object.prototype.hasOwnProperty.call(parent, key)) {
+        problems.push(`${name} sets unknown key ${keys.join('.')}`)
+        return
+      }
+      parent[key] = coerce(env[name], parent[key])
+    })
+
+  return problems
+}
+
+/**
+ * Describe a schema violation without printing the value, which may be a secret
+ * @param {Object} error - Ajv error
+ * @param {Object} config - Validated configuration
+ * @returns {string} Problem
+ */
+function describeViolation (error, config) {
+  const keys = error.instancePath.split('/').filter(Boolean)
+  if (error.keyword === 'required') {
+    keys.push(error.params.missingProperty)
+  }
+  const keyPath = keys.join('.')
+  // Arrays are overridden as a whole (JSON), so the hint stops at the first index
+  const firstIndex = keys.findIndex(key => /^\d+$/.test(key))
+  const overridable = firstIndex === -1 ? keys : keys.slice(0, firstIndex)
+  const hint = `set ${OVERRIDE_PREFIX}${overridable.join('__')}`
+
+  if (error.keyword === 'required') {
+    return `${keyPath} is missing (${hint})`
+  } else if (error.keyword === 'additionalProperties') {
+    return `${[...keys, error.params.additionalProperty].join('.')} is not a known key`
+  }
+
+  const value = keys.reduce((node, key) => node[key], config)
+  if (value === null) {
+    return `${keyPath} is not set (${hint})`
+  } else if (error.keyword === 'enum') {
+    return `${keyPath} must be one of: ${error.params.allowedValues.join(', ')} (${hint})`
+  } else if (error.keyword === 'type') {
+    return `${keyPath} ${error.message}, got ${Array.isArray(value) ? 'array' : typeof value} (${hint})`
+  }
+  return `${keyPath} ${error.message} (${hint})`
+}
+
+/**
+ * Validate a configuration against the schema
+ * @param {Object} config - Configuration
+ * @param {Object} schema - JSON schema
+ * @returns {Array<string>} Problems
+ */
+function validateConfig (config, schema) {
+  const ajv = new Ajv2020({ allErrors: true, strict: true, allowUnionTypes: true })
+  addFormats(ajv)
+
+  const validate = ajv.compile(schema)
+  if (validate(config)) {
+    return []
+  }
+  // A failing pattern usually comes with a failing format; one message per key is enough
+  const reported = new Set()
+  return validate.errors
+    .filter(error => {
+      const key = `${error.instancePath}/${error.params.missingProperty || error.params.additionalProperty || ''}`
+      return !reported.has(key) && reported.add(key)
+    })
+    .map(error => describeViolation(error, config))
+}
+
+/**
+ * Select the profile name
+ * @param {Object} env - Variables
+ * @param {Object} profiles - Available profiles
+ * @returns {string} Profile name
+ */
+function selectProfile (env, profiles) {
+  const offline = env.OFFLINE === 'true'
+  const name = env.TEST_ENV || (offline ? 'local' : DEFAULT_PROFILE)
+
+  if (!profiles[name]) {
+    throw new ConfigError(name, [`TEST_ENV must be one of: ${Object.keys(profiles).join(', ')}`])
+  }
+  if (offline && name !== 'local') {
+    throw new ConfigError(name, [`OFFLINE=true needs the local profile, but TEST_ENV is "${name}"`])
+  }
+  return name
+}
+
+/**
+ * Load, merge and validate the test configuration
+ * @param {Object} [options] - Loader options
+ * @param {Object} [options.env] - Environment variables (default: process.env)
+ * @param {Array<string>} [options.envFiles] - .env files (default: ENV_FILE, or .env and .env.local in the project root)
+ * @param {Function} [options.defaults] - Default configuration factory (default: config/defaults.js)
+ * @param {Object} [options.profiles] - Profiles (default: config/profiles.js)
+ * @param {Object} [options.schema] - Configuration schema (default: config/config.schema.json)
+ * @returns {Object} Configuration
+ */
+function loadConfig (options = {}) {
+  const processEnv = options.env || process.env
+  const envFiles = options.envFiles || (processEnv.ENV_FILE
+    ? processEnv.ENV_FILE.split(',').map(file => path.resolve(ROOT_DIR, file.trim()))
+    : ENV_FILES.map(file => path.join(ROOT_DIR, file)))
+  const defaults = options.defaults || require('./defaults')
+  const profiles = options.profiles || require('./profiles')
+  const schema = options.schema || require('./config.schema.json')
+
+  // Real environment variables win over the files
+  const env = { ...readEnvFiles(envFiles), ...processEnv }
+  const profile = selectProfile(env, profiles)
+
+  const base = defaults(env)
+  const config = deepMerge(base, { ...profiles[profile](base), profile })
+  const problems = [...applyOverrides(config, env), ...validateConfig(config, schema)]
+
+  if (problems.length > 0) {
+    throw new ConfigError(profile, problems)
+  }
+  return config
+}
+
+module.exports = {
+  ConfigError,
+  parseEnvFile,
+  deepMerge,
+  loadConfig
+}
@@ -0,0 +1,44 @@
+// Environment profiles, selected with TEST_ENV (default: dev, or local when OFFLINE=true)
+// Each profile receives the defaults (config/defaults.js) and returns the settings it changes
+
+const profiles = {
+  // In-process mock servers, no network needed
+  local: base => ({
+    offline: true,
+    baseUrls: {
+      jsonplaceholder: `http://${base.mockServer.host}:${base.mockServer.port}`,
+      reqres: `http://${base.mockServer.host}:${base.mockServer.reqresPort}/api`
+    }
+  }),
+
+  // Public JSONPlaceholder and reqres.in
+  dev: () => ({}),
+
+  // Shared staging deployment; the base URLs are not committed and must be set, e.g. in .env.local:
+  //   TEST_CONFIG__baseUrls__jsonplaceholder=https://jsonplaceholder.staging.example.com
+  staging: () => ({
+    baseUrls: {
+      jsonplaceholder: null,
+      reqres: null
+    },
+    timeout: 20000,
+    performance: {
+      fast: 1000,
+      medium: 3000,
+      slow: 6000
+    }
+  }),
+
+  // Production-like environment the suite may only read from; tests that change data are skipped
+  'prod-readonly': () => ({
+    retry: {
+      maxAttempts: 2
+    },
+    safety: {
+      readOnly: true,
+      allowlist: ['POST /api/login', 'POST /api/logout']
+    }
+  })
+}
+
+module.exports = profiles
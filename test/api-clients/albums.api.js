@@ -0,0 +1,272 @@
+const BaseApiClient = require('./base-api')
+const config = require('../../config/test-config')
+const photosApi = require('./photos.api')
+
+/**
+ * Albums API Client
+ * Handles all album-related API operations
+ */
+class AlbumsApiClient extends BaseApiClient {
+  constructor() {
+    super(config.baseUrls.jsonplaceholder, '/albums', 'album')
+  }
+
+  // #region generated from test/contracts/jsonplaceholder.openapi.json by `npm run generate:clients`; edits inside are overwritten
+
+  /**
+   * List albums without assertions
+   * GET /albums (listAlbums)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.userId] - Only items of this user
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'photos'} [query._embed] - Include the child collection in each item
+   * @param {'user'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getAllRaw(query = {}) {
+    return this.request('GET', `${this.endpoint}${this.buildQuery(query)}`)
+  }
+
+  /**
+   * List albums
+   * GET /albums (listAlbums)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.userId] - Only items of this user
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'photos'} [query._embed] - Include the child collection in each item
+   * @param {'user'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<Array<Object>>} Albums list
+   */
+  async getAll(query = {}) {
+    const result = await this.getAllRaw(query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('album'))
+
+    return body
+  }
+
+  /**
+   * Create an album without assertions
+   * POST /albums (createAlbum)
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async createRaw(data) {
+    return this.request('POST', this.endpoint, data)
+  }
+
+  /**
+   * Create an album
+   * POST /albums (createAlbum)
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Created album (request body echoed with a new id)
+   */
+  async create(data) {
+    const result = await this.createRaw(data)
+    const body = this.validateSuccessResponse(result, 201)
+
+    expect(body).to.deep.include(data)
+
+    return body
+  }
+
+  /**
+   * Get an album without assertions
+   * GET /albums/{id} (getAlbum)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getByIdRaw(id) {
+    return this.request('GET', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Get an album
+   * GET /albums/{id} (getAlbum)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Album
+   */
+  async getById(id) {
+    const result = await this.getByIdRaw(id)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('album')
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Replace an album without assertions
+   * PUT /albums/{id} (replaceAlbum)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async updateRaw(id, data) {
+    return this.request('PUT', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Replace an album
+   * PUT /albums/{id} (replaceAlbum)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Replaced album (request body echoed with the id)
+   */
+  async update(id, data) {
+    const result = await this.updateRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Delete an album without assertions
+   * DELETE /albums/{id} (deleteAlbum)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async deleteRaw(id) {
+    return this.request('DELETE', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Delete an album
+   * DELETE /albums/{id} (deleteAlbum)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Result
+   */
+  async delete(id) {
+    const result = await this.deleteRaw(id)
+    this.validateSuccessResponse(result, 200)
+
+    return result
+  }
+
+  /**
+   * Partially update an album without assertions
+   * PATCH /albums/{id} (updateAlbum)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async patchRaw(id, data) {
+    return this.request('PATCH', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Partially update an album
+   * PATCH /albums/{id} (updateAlbum)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Updated album
+   */
+  async patch(id, data) {
+    const result = await this.patchRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * List photos of an album without assertions
+   * GET /albums/{id}/photos (listAlbumPhotos)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getPhotosRaw(id, query = {}) {
+    return this.request('GET', `${this.endpoint}/${id}/photos${this.buildQuery(query)}`)
+  }
+
+  /**
+   * List photos of an album
+   * GET /albums/{id}/photos (listAlbumPhotos)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<Array<Object>>} Photos of the album
+   */
+  async getPhotos(id, query = {}) {
+    const result = await this.getPhotosRaw(id, query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('photo'))
+
+    return body
+  }
+
+  // #endregion generated
+
+  /**
+   * Get albums by user ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} User's albums
+   */
+  async getByUserId(userId) {
+    return this.query().where('userId', userId).fetch()
+  }
+
+  /**
+   * Get an album with its photos embedded
+   * @param {number} albumId - Album ID
+   * @returns {Promise<Object>} Album with a photos array
+   */
+  async getWithPhotos(albumId) {
+    const [album] = await this.query().where('id', albumId).embed('photos').fetch()
+
+    expect(album, `album ${albumId}`).to.be.an('object')
+    album.photos.forEach(photo => {
+      expect(photo).to.matchSchema('photo')
+      photosApi.validateUrls(photo)
+    })
+
+    return album
+  }
+
+  /**
+   * Verify album doesn't exist
+   * @param {number} albumId - Album ID
+   * @returns {Promise<ApiResult>} Error result
+   */
+  async verifyNotFound(albumId) {
+    return this.expectClientError(await this.getByIdRaw(albumId), 404)
+  }
+}
+
+module.exports = new AlbumsApiClient()
@@ -0,0 +1,102 @@
+const BaseApiClient = require('./base-api')
+const config = require('../../config/test-config')
+
+/**
+ * Auth API Client
+ * Handles reqres.in registration, login and logout
+ * Reqres has no OpenAPI document in test/contracts, so responses are checked against schemas only,
+ * and registrations cannot be deleted, so they are not registered for cleanup
+ */
+class AuthApiClient extends BaseApiClient {
+  /**
+   * @param {string} baseUrl - Reqres base URL, e.g. a standalone mock server
+   */
+  constructor(baseUrl = config.baseUrls.reqres) {
+    super(baseUrl, '', 'auth-token', { contract: null, cleanup: null })
+  }
+
+  /**
+   * Register a user without assertions
+   * POST /register
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async registerRaw(credentials) {
+    return this.request('POST', '/register', credentials)
+  }
+
+  /**
+   * Register a user
+   * POST /register
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} Registered user id and token
+   */
+  async register(credentials) {
+    const result = await this.registerRaw(credentials)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('auth-token')
+    expect(body).to.have.property('id')
+
+    return body
+  }
+
+  /**
+   * Log in without assertions
+   * POST /login
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async loginRaw(credentials) {
+    return this.request('POST', '/login', credentials)
+  }
+
+  /**
+   * Log in
+   * POST /login
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<string>} Bearer token
+   */
+  async login(credentials) {
+    const result = await this.loginRaw(credentials)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('auth-token')
+
+    return body.token
+  }
+
+  /**
+   * Log out without assertions
+   * POST /logout
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async logoutRaw() {
+    return this.request('POST', '/logout', {})
+  }
+
+  /**
+   * Log out
+   * POST /logout
+   * @returns {Promise<Object>} Response body
+   */
+  async logout() {
+    return this.validateSuccessResponse(await this.logoutRaw(), 200)
+  }
+
+  /**
+   * Verify that register or login rejects the credentials with an error message
+   * @param {'register'|'login'} action - Endpoint to call
+   * @param {Object} credentials - Invalid credentials
+   * @param {string} message - Expected error message
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async verifyRejected(action, credentials, message) {
+    const result = this.expectClientError(await this[`${action}Raw`](credentials), 400)
+    expect(result.body).to.deep.equal({ error: message })
+
+    return result
+  }
+}
+
+module.exports = new AuthApiClient()
@@ -1,27 +1,115 @@
 const HttpClient = require('../utils/http-client')
+const config = require('../../config/test-config')
+const { contractValidator } = require('../utils/contract-validator')
+const { cleanupRegistry } = require('../utils/cleanup-registry')
+const { QueryBuilder } = require('../utils/query-builder')
 const { responseValidations, schemaValidations } = require('../utils/test-helpers')
 
+/**
+ * Result of a raw (non-asserting) request
+ * @typedef {Object} ApiResult
+ * @property {number} status - HTTP status code
+ * @property {Object} headers - Response headers
+ * @property {*} body - Parsed response body
+ * @property {number} duration - Request duration in ms
+ * @property {boolean} ok - Whether the status is 2xx
+ * @property {number} attempts - Attempts made under the retry policy
+ * @property {HttpStatusError} [error] - Error for non-2xx statuses, carrying the response
+ * @property {Error} [contractError] - OpenAPI contract violation of the response, if any
+ */
+
 /**
  * Base API Client for REST endpoints
  * Provides common functionality for all API clients
  */
 class BaseApiClient {
-  constructor(baseUrl, endpoint) {
+  /**
+   * @param {string} baseUrl - API base URL
+   * @param {string} endpoint - Collection endpoint, e.g. '/posts'
+   * @param {string} schema - Name of the schema the resources match (see test/schemas)
+   * @param {Object} [options] - Client options
+   * @param {ContractValidator|null} [options.contract] - Contract the responses are checked against, null for APIs without one
+   * @param {CleanupRegistry|null} [options.cleanup] - Registry the created resources are deleted through, null to keep them
+   */
+  constructor(baseUrl, endpoint, schema, { contract = contractValidator, cleanup = cleanupRegistry } = {}) {
     this.client = new HttpClient(baseUrl)
+    if (config.contracts.enabled && contract) {
+      // Every response is checked against the OpenAPI contract
+      this.client.use(contract.interceptor())
+    }
     this.endpoint = endpoint
+    this.schema = schema
+    this.cleanupRegistry = cleanup
+    if (cleanup) {
+      cleanup.addOwner(this)
+    }
     this.responseValidations = responseValidations
     this.schemaValidations = schemaValidations
   }
 
+  /**
+   * Send a request without asserting anything about the response
+   * HTTP error statuses resolve like any other result; only failures without a response reject
+   * Resources created by a POST, through nested routes too, are registered for deletion after the test
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request body (undefined for none)
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async request(method, endpoint, data) {
+    let response
+    let httpError
+    try {
+      response = await this.client.send(method, endpoint, data, {}, { raw: true })
+    } catch (error) {
+      if (!error.response) {
+        throw error
+      }
+      response = error.response
+      httpError = error
+    }
+
+    const result = {
+      status: response.status,
+      headers: response.headers || {},
+      body: response.body,
+      duration: response.duration,
+      ok: response.status >= 200 && response.status < 300,
+      attempts: response.attempts,
+      error: httpError,
+      contractError: response.contractError
+    }
+
+    if (this.cleanupRegistry && result.ok && method === 'POST') {
+      this.cleanupRegistry.register(this, result.body, endpoint)
+    }
+    return result
+  }
+
+  /**
+   * Fail when the contract check found a violation in a raw result
+   * @param {ApiResult} result - Raw result
+   */
+  validateContract(result) {
+    if (result.contractError) {
+      throw result.contractError
+    }
+  }
+
   /**
    * Validate successful response and return body
-   * @param {Object} response - HTTP response
+   * @param {ApiResult} response - Raw result or HTTP response
    * @param {number} expectedStatus - Expected status code
    * @returns {Object} Response body
    */
   validateSuccessResponse(response, expectedStatus = 200) {
+    // Unexpected HTTP errors surface as the error itself, so callers can inspect error.response
+    if (response.error && response.status !== expectedStatus) {
+      throw response.error
+    }
     this.responseValidations.validateBasicResponse(response)
     expect(response.status).to.equal(expectedStatus)
+    this.validateContract(response)
     
     if (expectedStatus < 400) {
       this.responseValidations.validateJsonContentType(response)
@@ -30,6 +118,49 @@ class BaseApiClient {
     return response.body
   }
 
+  /**
+   * Build a query string, leaving out undefined values (arrays repeat the parameter)
+   * @param {Object} query - Query parameters
+   * @returns {string} Query string starting with '?', or '' without parameters
+   */
+  buildQuery(query = {}) {
+    const params = new URLSearchParams()
+    Object.entries(query)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => [].concat(value).forEach(entry => params.append(key, entry)))
+
+    const search = params.toString()
+    return search ? `?${search}` : ''
+  }
+
+  /**
+   * Start a fluent list query, e.g. query().where('userId', 1).sort('title', 'desc').fetch()
+   * @returns {QueryBuilder} Query builder for this collection
+   */
+  query() {
+    return new QueryBuilder(this, { schema: this.schema })
+  }
+
+  /**
+   * Iterate over every resource of the collection, one page at a time
+   *   for await (const post of postsApi.paginate({ limit: 10 })) { ... }
+   * @param {Object} options - Pagination options (limit, maxPages)
+   * @returns {AsyncGenerator<Object>} Resources
+   */
+  paginate(options = {}) {
+    return this.query().paginate(options)
+  }
+
+  /**
+   * Query parameters selecting one page (json-server style; reqres clients use page/per_page)
+   * @param {number} page - Page number, starting at 1
+   * @param {number} limit - Page size
+   * @returns {Object} Query parameters
+   */
+  pageQuery(page, limit) {
+    return { _page: page, _limit: limit }
+  }
+
   /**
    * Validate response time
    * @param {Object} response - HTTP response
@@ -40,23 +171,17 @@ class BaseApiClient {
   }
 
   /**
-   * Handle and validate client errors (4xx)
-   * @param {Function} requestFn - Function that makes the request
+   * Validate client errors (4xx)
+   * @param {ApiResult} result - Raw result
    * @param {number} expectedStatus - Expected error status
-   * @returns {Object} Error response
+   * @returns {ApiResult} Result
    */
-  async expectClientError(requestFn, expectedStatus = 400) {
-    try {
-      await requestFn()
-      throw new Error('Expected request to fail but it succeeded')
-    } catch (error) {
-      if (error.response) {
-        expect(error.response).to.have.clientErrorStatus()
-        expect(error.response.status).to.equal(expectedStatus)
-        return error.response
-      }
-      throw error
-    }
+  expectClientError(result, expectedStatus = 400) {
+    expect(result).to.have.clientErrorStatus()
+    expect(result.status).to.equal(expectedStatus)
+    this.validateContract(result)
+
+    return result
   }
 }
 
@@ -7,129 +7,194 @@ const config = require('../../config/test-config')
  */
 class CommentsApiClient extends BaseApiClient {
   constructor() {
-    super(config.baseUrls.jsonplaceholder, '/comments')
+    super(config.baseUrls.jsonplaceholder, '/comments', 'comment')
   }
 
+  // #region generated from test/contracts/jsonplaceholder.openapi.json by `npm run generate:clients`; edits inside are overwritten
+
   /**
-   * Get all comments
-   * @returns {Promise<Array>} Array of comments
+   * List comments without assertions
+   * GET /comments (listComments)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.postId] - Only comments of this post
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'post'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async getAll() {
-    const response = await this.client.get(this.endpoint)
-    const comments = this.validateSuccessResponse(response)
-    
-    expect(comments).to.be.an('array')
-    expect(comments).to.have.length.above(0)
-    
-    // Validate each comment schema
-    comments.forEach(comment => {
-      this.schemaValidations.validateCommentSchema(comment)
-    })
-    
-    return comments
+  async getAllRaw(query = {}) {
+    return this.request('GET', `${this.endpoint}${this.buildQuery(query)}`)
   }
 
   /**
-   * Get comment by ID
-   * @param {number} commentId - Comment ID
-   * @returns {Promise<Object>} Comment object
+   * List comments
+   * GET /comments (listComments)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.postId] - Only comments of this post
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'post'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<Array<Object>>} Comments list
    */
-  async getById(commentId) {
-    const response = await this.client.get(`${this.endpoint}/${commentId}`)
-    const comment = this.validateSuccessResponse(response)
-    
-    this.schemaValidations.validateCommentSchema(comment)
-    expect(comment.id).to.equal(commentId)
-    
-    return comment
+  async getAll(query = {}) {
+    const result = await this.getAllRaw(query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('comment'))
+
+    return body
   }
 
   /**
-   * Create new comment
-   * @param {Object} commentData - Comment data
-   * @returns {Promise<Object>} Created comment
+   * Create a comment without assertions
+   * POST /comments (createComment)
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async create(commentData) {
-    const response = await this.client.post(this.endpoint, commentData)
-    const comment = this.validateSuccessResponse(response, 201)
-    
-    // Validate that comment was created with correct data
-    expect(comment).to.have.property('id').that.is.a('number')
-    expect(comment.name).to.equal(commentData.name)
-    expect(comment.email).to.equal(commentData.email)
-    expect(comment.body).to.equal(commentData.body)
-    expect(comment.postId).to.equal(commentData.postId)
-    
-    return comment
+  async createRaw(data) {
+    return this.request('POST', this.endpoint, data)
   }
 
   /**
-   * Update comment by ID
-   * @param {number} commentId - Comment ID
-   * @param {Object} commentData - Updated comment data
-   * @returns {Promise<Object>} Updated comment
+   * Create a comment
+   * POST /comments (createComment)
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Created comment (request body echoed with a new id)
    */
-  async update(commentId, commentData) {
-    const response = await this.client.put(`${this.endpoint}/${commentId}`, commentData)
-    const comment = this.validateSuccessResponse(response)
-    
-    expect(comment).to.have.property('id').that.equals(commentId)
-    expect(comment.name).to.equal(commentData.name)
-    expect(comment.email).to.equal(commentData.email)
-    expect(comment.body).to.equal(commentData.body)
-    expect(comment.postId).to.equal(commentData.postId)
-    
-    return comment
+  async create(data) {
+    const result = await this.createRaw(data)
+    const body = this.validateSuccessResponse(result, 201)
+
+    expect(body).to.deep.include(data)
+
+    return body
   }
 
   /**
-   * Partially update comment by ID
-   * @param {number} commentId - Comment ID
-   * @param {Object} commentData - Partial comment data
-   * @returns {Promise<Object>} Updated comment
+   * Get a comment without assertions
+   * GET /comments/{id} (getComment)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async patch(commentId, commentData) {
-    const response = await this.client.patch(`${this.endpoint}/${commentId}`, commentData)
-    const comment = this.validateSuccessResponse(response)
-    
-    expect(comment).to.have.property('id').that.equals(commentId)
-    
-    // Validate that only provided fields were updated
-    Object.keys(commentData).forEach(key => {
-      expect(comment[key]).to.equal(commentData[key])
-    })
-    
-    return comment
+  async getByIdRaw(id) {
+    return this.request('GET', `${this.endpoint}/${id}`)
   }
 
   /**
-   * Delete comment by ID
-   * @param {number} commentId - Comment ID
-   * @returns {Promise<Object>} Delete response
+   * Get a comment
+   * GET /comments/{id} (getComment)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Comment
    */
-  async delete(commentId) {
-    const response = await this.client.delete(`${this.endpoint}/${commentId}`)
-    this.validateSuccessResponse(response)
-    
-    return response
+  async getById(id) {
+    const result = await this.getByIdRaw(id)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('comment')
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Replace a comment without assertions
+   * PUT /comments/{id} (replaceComment)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async updateRaw(id, data) {
+    return this.request('PUT', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Replace a comment
+   * PUT /comments/{id} (replaceComment)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Replaced comment (request body echoed with the id)
+   */
+  async update(id, data) {
+    const result = await this.updateRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Delete a comment without assertions
+   * DELETE /comments/{id} (deleteComment)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async deleteRaw(id) {
+    return this.request('DELETE', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Delete a comment
+   * DELETE /comments/{id} (deleteComment)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Result
+   */
+  async delete(id) {
+    const result = await this.deleteRaw(id)
+    this.validateSuccessResponse(result, 200)
+
+    return result
+  }
+
+  /**
+   * Partially update a comment without assertions
+   * PATCH /comments/{id} (updateComment)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async patchRaw(id, data) {
+    return this.request('PATCH', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Partially update a comment
+   * PATCH /comments/{id} (updateComment)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Updated comment
+   */
+  async patch(id, data) {
+    const result = await this.patchRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
   }
 
+  // #endregion generated
+
   /**
    * Get comments by post ID
    * @param {number} postId - Post ID
    * @returns {Promise<Array>} Post comments
    */
   async getByPostId(postId) {
-    const response = await this.client.get(`${this.endpoint}?postId=${postId}`)
-    const comments = this.validateSuccessResponse(response)
-    
-    expect(comments).to.be.an('array')
-    comments.forEach(comment => {
-      this.schemaValidations.validateCommentSchema(comment)
-      expect(comment.postId).to.equal(postId)
-    })
-    
-    return comments
+    return this.query().where('postId', postId).fetch()
   }
 
   /**
@@ -151,17 +216,7 @@ class CommentsApiClient extends BaseApiClient {
    * @returns {Promise<Array>} Comments array
    */
   async getWithPagination(page = 1, limit = 10) {
-    const response = await this.client.get(`${this.endpoint}?_page=${page}&_limit=${limit}`)
-    const comments = this.validateSuccessResponse(response)
-    
-    expect(comments).to.be.an('array')
-    expect(comments).to.have.length.at.most(limit)
-    
-    comments.forEach(comment => {
-      this.schemaValidations.validateCommentSchema(comment)
-    })
-    
-    return comments
+    return this.query().page(page, limit).fetch()
   }
 
   /**
@@ -171,34 +226,7 @@ class CommentsApiClient extends BaseApiClient {
    * @returns {Promise<Array>} Sorted comments
    */
   async getSorted(sortField = 'id', sortOrder = 'asc') {
-    const response = await this.client.get(`${this.endpoint}?_sort=${sortField}&_order=${sortOrder}`)
-    const comments = this.validateSuccessResponse(response)
-    
-    expect(comments).to.be.an('array')
-    
-    // Validate sorting (check first few items)
-    if (comments.length > 1) {
-      for (let i = 1; i < Math.min(comments.length, 10); i++) {
-        const current = comments[i][sortField]
-        const previous = comments[i - 1][sortField]
-        
-        if (typeof current === 'string' && typeof previous === 'string') {
-          if (sortOrder === 'asc') {
-            expect(current.localeCompare(previous)).to.be.at.least(-1) // Allow -1 for equal strings
-          } else {
-            expect(current.localeCompare(previous)).to.be.at.most(1) // Allow 1 for equal strings
-          }
-        } else {
-          if (sortOrder === 'asc') {
-            expect(current).to.be.at.least(previous)
-          } else {
-            expect(current).to.be.at.most(previous)
-          }
-        }
-      }
-    }
-    
-    return comments
+    return this.query().sort(sortField, sortOrder).fetch()
   }
 
   /**
@@ -207,10 +235,10 @@ class CommentsApiClient extends BaseApiClient {
    * @returns {Promise<Array>} Comments array
    */
   async getAllWithPerformanceCheck(maxResponseTime = config.performance.fast) {
-    const response = await this.client.get(this.endpoint)
-    const comments = this.validateSuccessResponse(response)
+    const result = await this.getAllRaw()
+    const comments = this.validateSuccessResponse(result)
     
-    this.validateResponseTime(response, maxResponseTime)
+    this.validateResponseTime(result, maxResponseTime)
     
     return comments
   }
@@ -218,25 +246,19 @@ class CommentsApiClient extends BaseApiClient {
   /**
    * Verify comment doesn't exist
    * @param {number} commentId - Comment ID
-   * @returns {Promise<Object>} Error response
+   * @returns {Promise<ApiResult>} Error result
    */
   async verifyNotFound(commentId) {
-    return this.expectClientError(
-      () => this.client.get(`${this.endpoint}/${commentId}`),
-      404
-    )
+    return this.expectClientError(await this.getByIdRaw(commentId), 404)
   }
 
   /**
    * Create comment with invalid data
    * @param {Object} invalidData - Invalid comment data
-   * @returns {Promise<Object>} Error response
+   * @returns {Promise<ApiResult>} Error result
    */
   async createWithInvalidData(invalidData) {
-    return this.expectClientError(
-      () => this.client.post(this.endpoint, invalidData),
-      400
-    )
+    return this.expectClientError(await this.createRaw(invalidData), 400)
   }
 
   /**
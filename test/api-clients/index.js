@@ -6,9 +6,19 @@
 const postsApi = require('./posts.api')
 const usersApi = require('./users.api')
 const commentsApi = require('./comments.api')
+const albumsApi = require('./albums.api')
+const photosApi = require('./photos.api')
+const todosApi = require('./todos.api')
+const authApi = require('./auth.api')
+const { createResourceClient } = require('./resource-client')
 
 module.exports = {
   postsApi,
   usersApi,
-  commentsApi
+  commentsApi,
+  albumsApi,
+  photosApi,
+  todosApi,
+  authApi,
+  createResourceClient
 } 
\ No newline at end of file
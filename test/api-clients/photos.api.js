@@ -0,0 +1,236 @@
+const BaseApiClient = require('./base-api')
+const config = require('../../config/test-config')
+const { isValidUrl } = require('../utils/data-generators')
+
+/**
+ * Photos API Client
+ * Handles all photo-related API operations
+ */
+class PhotosApiClient extends BaseApiClient {
+  constructor() {
+    super(config.baseUrls.jsonplaceholder, '/photos', 'photo')
+  }
+
+  // #region generated from test/contracts/jsonplaceholder.openapi.json by `npm run generate:clients`; edits inside are overwritten
+
+  /**
+   * List photos without assertions
+   * GET /photos (listPhotos)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.albumId] - Only photos of this album
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'album'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getAllRaw(query = {}) {
+    return this.request('GET', `${this.endpoint}${this.buildQuery(query)}`)
+  }
+
+  /**
+   * List photos
+   * GET /photos (listPhotos)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.albumId] - Only photos of this album
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'album'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<Array<Object>>} Photos list
+   */
+  async getAll(query = {}) {
+    const result = await this.getAllRaw(query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('photo'))
+
+    return body
+  }
+
+  /**
+   * Create a photo without assertions
+   * POST /photos (createPhoto)
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async createRaw(data) {
+    return this.request('POST', this.endpoint, data)
+  }
+
+  /**
+   * Create a photo
+   * POST /photos (createPhoto)
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Created photo (request body echoed with a new id)
+   */
+  async create(data) {
+    const result = await this.createRaw(data)
+    const body = this.validateSuccessResponse(result, 201)
+
+    expect(body).to.deep.include(data)
+
+    return body
+  }
+
+  /**
+   * Get a photo without assertions
+   * GET /photos/{id} (getPhoto)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getByIdRaw(id) {
+    return this.request('GET', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Get a photo
+   * GET /photos/{id} (getPhoto)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Photo
+   */
+  async getById(id) {
+    const result = await this.getByIdRaw(id)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('photo')
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Replace a photo without assertions
+   * PUT /photos/{id} (replacePhoto)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async updateRaw(id, data) {
+    return this.request('PUT', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Replace a photo
+   * PUT /photos/{id} (replacePhoto)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Replaced photo (request body echoed with the id)
+   */
+  async update(id, data) {
+    const result = await this.updateRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Delete a photo without assertions
+   * DELETE /photos/{id} (deletePhoto)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async deleteRaw(id) {
+    return this.request('DELETE', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Delete a photo
+   * DELETE /photos/{id} (deletePhoto)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Result
+   */
+  async delete(id) {
+    const result = await this.deleteRaw(id)
+    this.validateSuccessResponse(result, 200)
+
+    return result
+  }
+
+  /**
+   * Partially update a photo without assertions
+   * PATCH /photos/{id} (updatePhoto)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async patchRaw(id, data) {
+    return this.request('PATCH', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Partially update a photo
+   * PATCH /photos/{id} (updatePhoto)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Updated photo
+   */
+  async patch(id, data) {
+    const result = await this.patchRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  // #endregion generated
+
+  /**
+   * Get photos by album ID, with valid image URLs
+   * @param {number} albumId - Album ID
+   * @returns {Promise<Array>} Album photos
+   */
+  async getByAlbumId(albumId) {
+    const photos = await this.query().where('albumId', albumId).fetch()
+
+    photos.forEach(photo => this.validateUrls(photo))
+
+    return photos
+  }
+
+  /**
+   * Verify photo doesn't exist
+   * @param {number} photoId - Photo ID
+   * @returns {Promise<ApiResult>} Error result
+   */
+  async verifyNotFound(photoId) {
+    return this.expectClientError(await this.getByIdRaw(photoId), 404)
+  }
+
+  /**
+   * Create photo with invalid data
+   * @param {Object} invalidData - Invalid photo data
+   * @returns {Promise<ApiResult>} Error result
+   */
+  async createWithInvalidData(invalidData) {
+    return this.expectClientError(await this.createRaw(invalidData), 400)
+  }
+
+  /**
+   * Validate photo URL fields
+   * @param {Object} photo - Photo object
+   * @returns {boolean} Are valid URLs
+   */
+  validateUrls(photo) {
+    ['url', 'thumbnailUrl'].forEach(field => {
+      expect(isValidUrl(photo[field]), `${field} of photo ${photo.id}: ${photo[field]}`).to.be.true
+    })
+    return true
+  }
+}
+
+module.exports = new PhotosApiClient()
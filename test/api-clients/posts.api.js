@@ -7,145 +7,238 @@ const config = require('../../config/test-config')
  */
 class PostsApiClient extends BaseApiClient {
   constructor() {
-    super(config.baseUrls.jsonplaceholder, '/posts')
+    super(config.baseUrls.jsonplaceholder, '/posts', 'post')
   }
 
+  // #region generated from test/contracts/jsonplaceholder.openapi.json by `npm run generate:clients`; edits inside are overwritten
+
   /**
-   * Get all posts
-   * @returns {Promise<Array>} Array of posts
+   * List posts without assertions
+   * GET /posts (listPosts)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.userId] - Only items of this user
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'comments'} [query._embed] - Include the child collection in each item
+   * @param {'user'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async getAll() {
-    const response = await this.client.get(this.endpoint)
-    const posts = this.validateSuccessResponse(response)
-    
-    expect(posts).to.be.an('array')
-    expect(posts).to.have.length.above(0)
-    
-    // Validate each post schema
-    posts.forEach(post => {
-      this.schemaValidations.validatePostSchema(post)
-    })
-    
-    return posts
+  async getAllRaw(query = {}) {
+    return this.request('GET', `${this.endpoint}${this.buildQuery(query)}`)
   }
 
   /**
-   * Get post by ID
-   * @param {number} postId - Post ID
-   * @returns {Promise<Object>} Post object
+   * List posts
+   * GET /posts (listPosts)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.userId] - Only items of this user
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'comments'} [query._embed] - Include the child collection in each item
+   * @param {'user'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<Array<Object>>} Posts list
    */
-  async getById(postId) {
-    const response = await this.client.get(`${this.endpoint}/${postId}`)
-    const post = this.validateSuccessResponse(response)
-    
-    this.schemaValidations.validatePostSchema(post)
-    expect(post.id).to.equal(postId)
-    
-    return post
+  async getAll(query = {}) {
+    const result = await this.getAllRaw(query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('post'))
+
+    return body
   }
 
   /**
-   * Create new post
-   * @param {Object} postData - Post data
-   * @returns {Promise<Object>} Created post
+   * Create a post without assertions
+   * POST /posts (createPost)
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async create(postData) {
-    const response = await this.client.post(this.endpoint, postData)
-    const post = this.validateSuccessResponse(response, 201)
-    
-    // Validate that post was created with correct data
-    expect(post).to.have.property('id').that.is.a('number')
-    expect(post.title).to.equal(postData.title)
-    expect(post.body).to.equal(postData.body)
-    expect(post.userId).to.equal(postData.userId)
-    
-    return post
+  async createRaw(data) {
+    return this.request('POST', this.endpoint, data)
   }
 
   /**
-   * Update post by ID
-   * @param {number} postId - Post ID
-   * @param {Object} postData - Updated post data
-   * @returns {Promise<Object>} Updated post
+   * Create a post
+   * POST /posts (createPost)
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Created post (request body echoed with a new id)
    */
-  async update(postId, postData) {
-    const response = await this.client.put(`${this.endpoint}/${postId}`, postData)
-    const post = this.validateSuccessResponse(response)
-    
-    expect(post).to.have.property('id').that.equals(postId)
-    expect(post.title).to.equal(postData.title)
-    expect(post.body).to.equal(postData.body)
-    expect(post.userId).to.equal(postData.userId)
-    
-    return post
+  async create(data) {
+    const result = await this.createRaw(data)
+    const body = this.validateSuccessResponse(result, 201)
+
+    expect(body).to.deep.include(data)
+
+    return body
   }
 
   /**
-   * Partially update post by ID
-   * @param {number} postId - Post ID
-   * @param {Object} postData - Partial post data
+   * Get a post without assertions
+   * GET /posts/{id} (getPost)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getByIdRaw(id) {
+    return this.request('GET', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Get a post
+   * GET /posts/{id} (getPost)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Post
+   */
+  async getById(id) {
+    const result = await this.getByIdRaw(id)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('post')
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Replace a post without assertions
+   * PUT /posts/{id} (replacePost)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async updateRaw(id, data) {
+    return this.request('PUT', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Replace a post
+   * PUT /posts/{id} (replacePost)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Replaced post (request body echoed with the id)
+   */
+  async update(id, data) {
+    const result = await this.updateRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Delete a post without assertions
+   * DELETE /posts/{id} (deletePost)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async deleteRaw(id) {
+    return this.request('DELETE', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Delete a post
+   * DELETE /posts/{id} (deletePost)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Result
+   */
+  async delete(id) {
+    const result = await this.deleteRaw(id)
+    this.validateSuccessResponse(result, 200)
+
+    return result
+  }
+
+  /**
+   * Partially update a post without assertions
+   * PATCH /posts/{id} (updatePost)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async patchRaw(id, data) {
+    return this.request('PATCH', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Partially update a post
+   * PATCH /posts/{id} (updatePost)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
    * @returns {Promise<Object>} Updated post
    */
-  async patch(postId, postData) {
-    const response = await this.client.patch(`${this.endpoint}/${postId}`, postData)
-    const post = this.validateSuccessResponse(response)
-    
-    expect(post).to.have.property('id').that.equals(postId)
-    
-    // Validate that only provided fields were updated
-    Object.keys(postData).forEach(key => {
-      expect(post[key]).to.equal(postData[key])
-    })
-    
-    return post
+  async patch(id, data) {
+    const result = await this.patchRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
   }
 
   /**
-   * Delete post by ID
-   * @param {number} postId - Post ID
-   * @returns {Promise<Object>} Delete response
+   * List comments of a post without assertions
+   * GET /posts/{id}/comments (listPostComments)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async delete(postId) {
-    const response = await this.client.delete(`${this.endpoint}/${postId}`)
-    this.validateSuccessResponse(response)
-    
-    return response
+  async getCommentsRaw(id, query = {}) {
+    return this.request('GET', `${this.endpoint}/${id}/comments${this.buildQuery(query)}`)
   }
 
   /**
-   * Get posts by user ID
-   * @param {number} userId - User ID
-   * @returns {Promise<Array>} User's posts
+   * List comments of a post
+   * GET /posts/{id}/comments (listPostComments)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<Array<Object>>} Comments of the post
    */
-  async getByUserId(userId) {
-    const response = await this.client.get(`${this.endpoint}?userId=${userId}`)
-    const posts = this.validateSuccessResponse(response)
-    
-    expect(posts).to.be.an('array')
-    posts.forEach(post => {
-      this.schemaValidations.validatePostSchema(post)
-      expect(post.userId).to.equal(userId)
-    })
-    
-    return posts
+  async getComments(id, query = {}) {
+    const result = await this.getCommentsRaw(id, query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('comment'))
+
+    return body
   }
 
+  // #endregion generated
+
   /**
-   * Get post comments
-   * @param {number} postId - Post ID
-   * @returns {Promise<Array>} Post comments
+   * Get posts by user ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} User's posts
    */
-  async getComments(postId) {
-    const response = await this.client.get(`${this.endpoint}/${postId}/comments`)
-    const comments = this.validateSuccessResponse(response)
-    
-    expect(comments).to.be.an('array')
-    comments.forEach(comment => {
-      this.schemaValidations.validateCommentSchema(comment)
-      expect(comment.postId).to.equal(postId)
-    })
-    
-    return comments
+  async getByUserId(userId) {
+    return this.query().where('userId', userId).fetch()
   }
 
   /**
@@ -167,17 +260,7 @@ class PostsApiClient extends BaseApiClient {
    * @returns {Promise<Array>} Posts array
    */
   async getWithPagination(page = 1, limit = 10) {
-    const response = await this.client.get(`${this.endpoint}?_page=${page}&_limit=${limit}`)
-    const posts = this.validateSuccessResponse(response)
-    
-    expect(posts).to.be.an('array')
-    expect(posts).to.have.length.at.most(limit)
-    
-    posts.forEach(post => {
-      this.schemaValidations.validatePostSchema(post)
-    })
-    
-    return posts
+    return this.query().page(page, limit).fetch()
   }
 
   /**
@@ -187,34 +270,7 @@ class PostsApiClient extends BaseApiClient {
    * @returns {Promise<Array>} Sorted posts
    */
   async getSorted(sortField = 'id', sortOrder = 'asc') {
-    const response = await this.client.get(`${this.endpoint}?_sort=${sortField}&_order=${sortOrder}`)
-    const posts = this.validateSuccessResponse(response)
-    
-    expect(posts).to.be.an('array')
-    
-    // Validate sorting (check first few items)
-    if (posts.length > 1) {
-      for (let i = 1; i < Math.min(posts.length, 10); i++) {
-        const current = posts[i][sortField]
-        const previous = posts[i - 1][sortField]
-        
-        if (typeof current === 'string' && typeof previous === 'string') {
-          if (sortOrder === 'asc') {
-            expect(current.localeCompare(previous)).to.be.at.least(-1) // Allow -1 for equal strings
-          } else {
-            expect(current.localeCompare(previous)).to.be.at.most(1) // Allow 1 for equal strings
-          }
-        } else {
-          if (sortOrder === 'asc') {
-            expect(current).to.be.at.least(previous)
-          } else {
-            expect(current).to.be.at.most(previous)
-          }
-        }
-      }
-    }
-    
-    return posts
+    return this.query().sort(sortField, sortOrder).fetch()
   }
 
   /**
@@ -223,10 +279,10 @@ class PostsApiClient extends BaseApiClient {
    * @returns {Promise<Array>} Posts array
    */
   async getAllWithPerformanceCheck(maxResponseTime = config.performance.fast) {
-    const response = await this.client.get(this.endpoint)
-    const posts = this.validateSuccessResponse(response)
+    const result = await this.getAllRaw()
+    const posts = this.validateSuccessResponse(result)
     
-    this.validateResponseTime(response, maxResponseTime)
+    this.validateResponseTime(result, maxResponseTime)
     
     return posts
   }
@@ -234,25 +290,19 @@ class PostsApiClient extends BaseApiClient {
   /**
    * Verify post doesn't exist
    * @param {number} postId - Post ID
-   * @returns {Promise<Object>} Error response
+   * @returns {Promise<ApiResult>} Error result
    */
   async verifyNotFound(postId) {
-    return this.expectClientError(
-      () => this.client.get(`${this.endpoint}/${postId}`),
-      404
-    )
+    return this.expectClientError(await this.getByIdRaw(postId), 404)
   }
 
   /**
    * Create post with invalid data
    * @param {Object} invalidData - Invalid post data
-   * @returns {Promise<Object>} Error response
+   * @returns {Promise<ApiResult>} Error result
    */
   async createWithInvalidData(invalidData) {
-    return this.expectClientError(
-      () => this.client.post(this.endpoint, invalidData),
-      400
-    )
+    return this.expectClientError(await this.createRaw(invalidData), 400)
   }
 }
 
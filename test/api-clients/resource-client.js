@@ -0,0 +1,314 @@
+const BaseApiClient = require('./base-api')
+const config = require('../../config/test-config')
+const { schemaValidator } = require('../utils/schema-validator')
+
+/**
+ * Upper-case the first character
+ * @param {string} value - Text
+ * @returns {string} Capitalized text
+ */
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1)
+}
+
+/**
+ * Register a schema given as an object and return its name
+ * @param {string|Object} schema - Registered schema name or JSON schema
+ * @param {string} name - Name used for schema objects
+ * @returns {string} Schema name
+ */
+function schemaName(schema, name) {
+  if (typeof schema === 'string') {
+    schemaValidator.getValidator(schema)
+    return schema
+  }
+  if (!schemaValidator.names.includes(name)) {
+    schemaValidator.addSchema(name, schema)
+  }
+  return name
+}
+
+/**
+ * Resource API Client
+ * Generic CRUD client for a json-server style collection, configured declaratively
+ * Every asserting method has a raw variant (getById/getByIdRaw) that returns the result without assertions
+ */
+class ResourceApiClient extends BaseApiClient {
+  /**
+   * @param {Object} definition - Resource definition (see createResourceClient)
+   */
+  constructor(definition) {
+    const { endpoint, schema, relations = {}, baseUrl = config.baseUrls.jsonplaceholder, cleanup } = definition
+    super(baseUrl, endpoint, undefined, { cleanup })
+
+    this.resource = endpoint.replace(/^\//, '')
+    this.schema = schemaName(schema, this.resource)
+    this.relations = {}
+
+    Object.entries(relations).forEach(([name, relation]) => {
+      this.relations[name] = {
+        ...relation,
+        path: relation.path || `/${name}`,
+        schema: relation.schema && schemaName(relation.schema, name)
+      }
+      this[`get${capitalize(name)}`] = (id, query) => this.getRelated(name, id, query)
+      this[`get${capitalize(name)}Raw`] = (id, query) => this.getRelatedRaw(name, id, query)
+    })
+  }
+
+  /**
+   * Validate that every item matches a schema
+   * @param {Array<Object>} items - Items
+   * @param {string} schema - Schema name
+   */
+  validateItems(items, schema = this.schema) {
+    expect(items).to.be.an('array')
+    items.forEach(item => expect(item).to.matchSchema(schema))
+  }
+
+  /**
+   * Get all resources without assertions
+   * @param {Object} query - Query parameters
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async getAllRaw(query = {}) {
+    return this.request('GET', `${this.endpoint}${this.buildQuery(query)}`)
+  }
+
+  /**
+   * Get all resources
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Array>} Resources
+   */
+  async getAll(query = {}) {
+    const items = this.validateSuccessResponse(await this.getAllRaw(query))
+
+    this.validateItems(items)
+
+    return items
+  }
+
+  /**
+   * Get resource by ID without assertions
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async getByIdRaw(id) {
+    return this.request('GET', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Get resource by ID
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Resource
+   */
+  async getById(id) {
+    const item = this.validateSuccessResponse(await this.getByIdRaw(id))
+
+    expect(item).to.matchSchema(this.schema)
+    expect(item.id).to.equal(id)
+
+    return item
+  }
+
+  /**
+   * Create resource without assertions
+   * @param {Object} data - Resource data
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async createRaw(data) {
+    return this.request('POST', this.endpoint, data)
+  }
+
+  /**
+   * Create resource
+   * @param {Object} data - Resource data
+   * @returns {Promise<Object>} Created resource
+   */
+  async create(data) {
+    const item = this.validateSuccessResponse(await this.createRaw(data), 201)
+
+    expect(item).to.have.property('id').that.is.a('number')
+    expect(item).to.deep.include(data)
+
+    return item
+  }
+
+  /**
+   * Replace resource by ID without assertions
+   * @param {number} id - Resource ID
+   * @param {Object} data - Resource data
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async updateRaw(id, data) {
+    return this.request('PUT', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Replace resource by ID
+   * @param {number} id - Resource ID
+   * @param {Object} data - Resource data
+   * @returns {Promise<Object>} Updated resource
+   */
+  async update(id, data) {
+    const item = this.validateSuccessResponse(await this.updateRaw(id, data))
+
+    expect(item.id).to.equal(id)
+    expect(item).to.deep.include(data)
+
+    return item
+  }
+
+  /**
+   * Partially update resource by ID without assertions
+   * @param {number} id - Resource ID
+   * @param {Object} data - Partial resource data
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async patchRaw(id, data) {
+    return this.request('PATCH', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Partially update resource by ID
+   * @param {number} id - Resource ID
+   * @param {Object} data - Partial resource data
+   * @returns {Promise<Object>} Updated resource
+   */
+  async patch(id, data) {
+    const item = this.validateSuccessResponse(await this.patchRaw(id, data))
+
+    expect(item.id).to.equal(id)
+    expect(item).to.deep.include(data)
+
+    return item
+  }
+
+  /**
+   * Delete resource by ID without assertions
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async deleteRaw(id) {
+    return this.request('DELETE', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Delete resource by ID
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Delete result
+   */
+  async delete(id) {
+    const result = await this.deleteRaw(id)
+    this.validateSuccessResponse(result)
+
+    return result
+  }
+
+  /**
+   * Look up a relation by name
+   * @param {string} name - Relation name
+   * @returns {Object} Relation
+   */
+  getRelation(name) {
+    const relation = this.relations[name]
+    if (!relation) {
+      throw new Error(`Unknown relation "${name}" of ${this.resource}, expected one of: ${Object.keys(this.relations).join(', ')}`)
+    }
+    return relation
+  }
+
+  /**
+   * Get the related resources of a resource without assertions
+   * @param {string} name - Relation name
+   * @param {number} id - Parent resource ID
+   * @param {Object} query - Query parameters
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async getRelatedRaw(name, id, query = {}) {
+    const relation = this.getRelation(name)
+    return this.request('GET', `${this.endpoint}/${id}${relation.path}${this.buildQuery(query)}`)
+  }
+
+  /**
+   * Get the related resources of a resource through its nested route (e.g. /posts/1/comments)
+   * @param {string} name - Relation name
+   * @param {number} id - Parent resource ID
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Array>} Related resources
+   */
+  async getRelated(name, id, query = {}) {
+    const relation = this.getRelation(name)
+    const items = this.validateSuccessResponse(await this.getRelatedRaw(name, id, query))
+
+    expect(items).to.be.an('array')
+    if (relation.schema) {
+      this.validateItems(items, relation.schema)
+    }
+    if (relation.foreignKey) {
+      items.forEach(item => expect(item[relation.foreignKey]).to.equal(id))
+    }
+
+    return items
+  }
+
+  /**
+   * Get resources matching field values
+   * @param {Object} filters - Field values, e.g. { userId: 1 }
+   * @returns {Promise<Array>} Matching resources
+   */
+  async filterBy(filters) {
+    return Object.entries(filters)
+      .reduce((query, [field, value]) => query.where(field, value), this.query())
+      .fetch()
+  }
+
+  /**
+   * Get one page of resources
+   * @param {number} page - Page number
+   * @param {number} limit - Resources per page
+   * @returns {Promise<Array>} Resources
+   */
+  async getWithPagination(page = 1, limit = 10) {
+    return this.query().page(page, limit).fetch()
+  }
+
+  /**
+   * Get resources sorted by a field
+   * @param {string} sortField - Field to sort by
+   * @param {string} sortOrder - Sort order (asc/desc)
+   * @returns {Promise<Array>} Sorted resources
+   */
+  async getSorted(sortField = 'id', sortOrder = 'asc') {
+    return this.query().sort(sortField, sortOrder).fetch()
+  }
+
+  /**
+   * Verify resource doesn't exist
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Error result
+   */
+  async verifyNotFound(id) {
+    return this.expectClientError(await this.getByIdRaw(id), 404)
+  }
+}
+
+/**
+ * Create a CRUD client for a resource collection
+ * @param {Object} definition - Resource definition
+ * @param {string} definition.endpoint - Collection endpoint, e.g. '/posts'
+ * @param {string|Object} definition.schema - Schema name from test/schemas or a JSON schema
+ * @param {Object} definition.relations - Nested collections by name, e.g. { comments: { schema: 'comment', foreignKey: 'postId' } };
+ *   each one adds getters such as getComments(id, query) and getCommentsRaw(id, query)
+ * @param {string} definition.baseUrl - Base URL (defaults to JSONPlaceholder)
+ * @param {CleanupRegistry|null} definition.cleanup - Registry for created resources (defaults to the shared one)
+ * @returns {ResourceApiClient} Client
+ */
+function createResourceClient(definition) {
+  return new ResourceApiClient(definition)
+}
+
+module.exports = {
+  ResourceApiClient,
+  createResourceClient
+}
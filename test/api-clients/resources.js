@@ -0,0 +1,54 @@
+/**
+ * Resource Definitions
+ * Declarative descriptions of the JSONPlaceholder resources for createResourceClient
+ */
+
+const users = {
+  endpoint: '/users',
+  schema: 'user',
+  relations: {
+    posts: { schema: 'post', foreignKey: 'userId' },
+    albums: { schema: 'album', foreignKey: 'userId' },
+    todos: { schema: 'todo', foreignKey: 'userId' }
+  }
+}
+
+const posts = {
+  endpoint: '/posts',
+  schema: 'post',
+  relations: {
+    comments: { schema: 'comment', foreignKey: 'postId' }
+  }
+}
+
+const comments = {
+  endpoint: '/comments',
+  schema: 'comment'
+}
+
+const albums = {
+  endpoint: '/albums',
+  schema: 'album',
+  relations: {
+    photos: { schema: 'photo', foreignKey: 'albumId' }
+  }
+}
+
+const photos = {
+  endpoint: '/photos',
+  schema: 'photo'
+}
+
+const todos = {
+  endpoint: '/todos',
+  schema: 'todo'
+}
+
+module.exports = {
+  users,
+  posts,
+  comments,
+  albums,
+  photos,
+  todos
+}
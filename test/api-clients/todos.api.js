@@ -0,0 +1,248 @@
+const BaseApiClient = require('./base-api')
+const config = require('../../config/test-config')
+
+/**
+ * Todos API Client
+ * Handles all todo-related API operations
+ */
+class TodosApiClient extends BaseApiClient {
+  constructor() {
+    super(config.baseUrls.jsonplaceholder, '/todos', 'todo')
+  }
+
+  // #region generated from test/contracts/jsonplaceholder.openapi.json by `npm run generate:clients`; edits inside are overwritten
+
+  /**
+   * List todos without assertions
+   * GET /todos (listTodos)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.userId] - Only items of this user
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'user'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getAllRaw(query = {}) {
+    return this.request('GET', `${this.endpoint}${this.buildQuery(query)}`)
+  }
+
+  /**
+   * List todos
+   * GET /todos (listTodos)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query.userId] - Only items of this user
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'user'} [query._expand] - Include the parent resource in each item
+   * @returns {Promise<Array<Object>>} Todos list
+   */
+  async getAll(query = {}) {
+    const result = await this.getAllRaw(query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('todo'))
+
+    return body
+  }
+
+  /**
+   * Create a todo without assertions
+   * POST /todos (createTodo)
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async createRaw(data) {
+    return this.request('POST', this.endpoint, data)
+  }
+
+  /**
+   * Create a todo
+   * POST /todos (createTodo)
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Created todo (request body echoed with a new id)
+   */
+  async create(data) {
+    const result = await this.createRaw(data)
+    const body = this.validateSuccessResponse(result, 201)
+
+    expect(body).to.deep.include(data)
+
+    return body
+  }
+
+  /**
+   * Get a todo without assertions
+   * GET /todos/{id} (getTodo)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getByIdRaw(id) {
+    return this.request('GET', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Get a todo
+   * GET /todos/{id} (getTodo)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Todo
+   */
+  async getById(id) {
+    const result = await this.getByIdRaw(id)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('todo')
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Replace a todo without assertions
+   * PUT /todos/{id} (replaceTodo)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async updateRaw(id, data) {
+    return this.request('PUT', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Replace a todo
+   * PUT /todos/{id} (replaceTodo)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Replaced todo (request body echoed with the id)
+   */
+  async update(id, data) {
+    const result = await this.updateRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Delete a todo without assertions
+   * DELETE /todos/{id} (deleteTodo)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async deleteRaw(id) {
+    return this.request('DELETE', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Delete a todo
+   * DELETE /todos/{id} (deleteTodo)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Result
+   */
+  async delete(id) {
+    const result = await this.deleteRaw(id)
+    this.validateSuccessResponse(result, 200)
+
+    return result
+  }
+
+  /**
+   * Partially update a todo without assertions
+   * PATCH /todos/{id} (updateTodo)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async patchRaw(id, data) {
+    return this.request('PATCH', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Partially update a todo
+   * PATCH /todos/{id} (updateTodo)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Updated todo
+   */
+  async patch(id, data) {
+    const result = await this.patchRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  // #endregion generated
+
+  /**
+   * Get todos by user ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} User's todos
+   */
+  async getByUserId(userId) {
+    return this.query().where('userId', userId).fetch()
+  }
+
+  /**
+   * Get todos by completion status
+   * @param {boolean} completed - Completion status
+   * @param {number} userId - Only todos of this user (optional)
+   * @returns {Promise<Array>} Matching todos
+   */
+  async getByStatus(completed, userId) {
+    const query = this.query().where('completed', completed)
+
+    return userId === undefined ? query.fetch() : query.where('userId', userId).fetch()
+  }
+
+  /**
+   * Get todo statistics for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Todo statistics
+   */
+  async getStatistics(userId) {
+    const todos = await this.getByUserId(userId)
+    const completed = todos.filter(todo => todo.completed).length
+
+    return {
+      total: todos.length,
+      completed,
+      pending: todos.length - completed,
+      completionRate: todos.length === 0 ? 0 : completed / todos.length
+    }
+  }
+
+  /**
+   * Verify todo doesn't exist
+   * @param {number} todoId - Todo ID
+   * @returns {Promise<ApiResult>} Error result
+   */
+  async verifyNotFound(todoId) {
+    return this.expectClientError(await this.getByIdRaw(todoId), 404)
+  }
+
+  /**
+   * Create todo with invalid data
+   * @param {Object} invalidData - Invalid todo data
+   * @returns {Promise<ApiResult>} Error result
+   */
+  async createWithInvalidData(invalidData) {
+    return this.expectClientError(await this.createRaw(invalidData), 400)
+  }
+}
+
+module.exports = new TodosApiClient()
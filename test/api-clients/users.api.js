@@ -7,155 +7,321 @@ const config = require('../../config/test-config')
  */
 class UsersApiClient extends BaseApiClient {
   constructor() {
-    super(config.baseUrls.jsonplaceholder, '/users')
+    super(config.baseUrls.jsonplaceholder, '/users', 'user')
   }
 
+  // #region generated from test/contracts/jsonplaceholder.openapi.json by `npm run generate:clients`; edits inside are overwritten
+
   /**
-   * Get all users
-   * @returns {Promise<Array>} Array of users
+   * List users without assertions
+   * GET /users (listUsers)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'posts'|'albums'|'todos'} [query._embed] - Include the child collection in each item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async getAll() {
-    const response = await this.client.get(this.endpoint)
-    const users = this.validateSuccessResponse(response)
-    
-    expect(users).to.be.an('array')
-    expect(users).to.have.length.above(0)
-    
-    // Validate each user schema
-    users.forEach(user => {
-      this.schemaValidations.validateUserSchema(user)
-    })
-    
-    return users
+  async getAllRaw(query = {}) {
+    return this.request('GET', `${this.endpoint}${this.buildQuery(query)}`)
   }
 
   /**
-   * Get user by ID
-   * @param {number} userId - User ID
-   * @returns {Promise<Object>} User object
+   * List users
+   * GET /users (listUsers)
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @param {'posts'|'albums'|'todos'} [query._embed] - Include the child collection in each item
+   * @returns {Promise<Array<Object>>} Users list
    */
-  async getById(userId) {
-    const response = await this.client.get(`${this.endpoint}/${userId}`)
-    const user = this.validateSuccessResponse(response)
-    
-    this.schemaValidations.validateUserSchema(user)
-    expect(user.id).to.equal(userId)
-    
-    return user
+  async getAll(query = {}) {
+    const result = await this.getAllRaw(query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('user'))
+
+    return body
   }
 
   /**
-   * Create new user
-   * @param {Object} userData - User data
-   * @returns {Promise<Object>} Created user
+   * Create a user without assertions
+   * POST /users (createUser)
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async create(userData) {
-    const response = await this.client.post(this.endpoint, userData)
-    const user = this.validateSuccessResponse(response, 201)
-    
-    // Validate that user was created with correct data
-    expect(user).to.have.property('id').that.is.a('number')
-    expect(user.name).to.equal(userData.name)
-    expect(user.username).to.equal(userData.username)
-    expect(user.email).to.equal(userData.email)
-    
-    return user
+  async createRaw(data) {
+    return this.request('POST', this.endpoint, data)
   }
 
   /**
-   * Update user by ID
-   * @param {number} userId - User ID
-   * @param {Object} userData - Updated user data
-   * @returns {Promise<Object>} Updated user
+   * Create a user
+   * POST /users (createUser)
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Created user (request body echoed with a new id)
    */
-  async update(userId, userData) {
-    const response = await this.client.put(`${this.endpoint}/${userId}`, userData)
-    const user = this.validateSuccessResponse(response)
-    
-    expect(user).to.have.property('id').that.equals(userId)
-    expect(user.name).to.equal(userData.name)
-    expect(user.username).to.equal(userData.username)
-    expect(user.email).to.equal(userData.email)
-    
-    return user
+  async create(data) {
+    const result = await this.createRaw(data)
+    const body = this.validateSuccessResponse(result, 201)
+
+    expect(body).to.deep.include(data)
+
+    return body
   }
 
   /**
-   * Partially update user by ID
-   * @param {number} userId - User ID
-   * @param {Object} userData - Partial user data
+   * Get a user without assertions
+   * GET /users/{id} (getUser)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getByIdRaw(id) {
+    return this.request('GET', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Get a user
+   * GET /users/{id} (getUser)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} User
+   */
+  async getById(id) {
+    const result = await this.getByIdRaw(id)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.matchSchema('user')
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Replace a user without assertions
+   * PUT /users/{id} (replaceUser)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async updateRaw(id, data) {
+    return this.request('PUT', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Replace a user
+   * PUT /users/{id} (replaceUser)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Replaced user (request body echoed with the id)
+   */
+  async update(id, data) {
+    const result = await this.updateRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
+  }
+
+  /**
+   * Delete a user without assertions
+   * DELETE /users/{id} (deleteUser)
+   * @param {number} id - Resource ID
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async deleteRaw(id) {
+    return this.request('DELETE', `${this.endpoint}/${id}`)
+  }
+
+  /**
+   * Delete a user
+   * DELETE /users/{id} (deleteUser)
+   * @param {number} id - Resource ID
+   * @returns {Promise<Object>} Result
+   */
+  async delete(id) {
+    const result = await this.deleteRaw(id)
+    this.validateSuccessResponse(result, 200)
+
+    return result
+  }
+
+  /**
+   * Partially update a user without assertions
+   * PATCH /users/{id} (updateUser)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async patchRaw(id, data) {
+    return this.request('PATCH', `${this.endpoint}/${id}`, data)
+  }
+
+  /**
+   * Partially update a user
+   * PATCH /users/{id} (updateUser)
+   * @param {number} id - Resource ID
+   * @param {Object} data - Request body
    * @returns {Promise<Object>} Updated user
    */
-  async patch(userId, userData) {
-    const response = await this.client.patch(`${this.endpoint}/${userId}`, userData)
-    const user = this.validateSuccessResponse(response)
-    
-    expect(user).to.have.property('id').that.equals(userId)
-    
-    // Validate that only provided fields were updated
-    Object.keys(userData).forEach(key => {
-      expect(user[key]).to.equal(userData[key])
-    })
-    
-    return user
+  async patch(id, data) {
+    const result = await this.patchRaw(id, data)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.deep.include(data)
+    expect(body.id).to.equal(id)
+
+    return body
   }
 
   /**
-   * Delete user by ID
-   * @param {number} userId - User ID
-   * @returns {Promise<Object>} Delete response
+   * List posts of a user without assertions
+   * GET /users/{id}/posts (listUserPosts)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async delete(userId) {
-    const response = await this.client.delete(`${this.endpoint}/${userId}`)
-    this.validateSuccessResponse(response)
-    
-    return response
+  async getPostsRaw(id, query = {}) {
+    return this.request('GET', `${this.endpoint}/${id}/posts${this.buildQuery(query)}`)
   }
 
   /**
-   * Search users by name
-   * @param {string} name - Name to search for
-   * @returns {Promise<Array>} Matching users
+   * List posts of a user
+   * GET /users/{id}/posts (listUserPosts)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<Array<Object>>} Posts of the user
    */
-  async searchByName(name) {
-    const users = await this.getAll()
-    return users.filter(user => 
-      user.name.toLowerCase().includes(name.toLowerCase())
-    )
+  async getPosts(id, query = {}) {
+    const result = await this.getPostsRaw(id, query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('post'))
+
+    return body
   }
 
   /**
-   * Get user's posts
-   * @param {number} userId - User ID
-   * @returns {Promise<Array>} User's posts
+   * List albums of a user without assertions
+   * GET /users/{id}/albums (listUserAlbums)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
    */
-  async getPosts(userId) {
-    const response = await this.client.get(`${this.endpoint}/${userId}/posts`)
-    const posts = this.validateSuccessResponse(response)
-    
-    expect(posts).to.be.an('array')
-    posts.forEach(post => {
-      expect(post.userId).to.equal(userId)
-    })
-    
-    return posts
+  async getAlbumsRaw(id, query = {}) {
+    return this.request('GET', `${this.endpoint}/${id}/albums${this.buildQuery(query)}`)
   }
 
   /**
-   * Get user's albums
-   * @param {number} userId - User ID
-   * @returns {Promise<Array>} User's albums
+   * List albums of a user
+   * GET /users/{id}/albums (listUserAlbums)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<Array<Object>>} Albums of the user
    */
-  async getAlbums(userId) {
-    const response = await this.client.get(`${this.endpoint}/${userId}/albums`)
-    const albums = this.validateSuccessResponse(response)
-    
-    expect(albums).to.be.an('array')
-    albums.forEach(album => {
-      expect(album.userId).to.equal(userId)
-    })
-    
-    return albums
+  async getAlbums(id, query = {}) {
+    const result = await this.getAlbumsRaw(id, query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('album'))
+
+    return body
+  }
+
+  /**
+   * List todos of a user without assertions
+   * GET /users/{id}/todos (listUserTodos)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)
+   */
+  async getTodosRaw(id, query = {}) {
+    return this.request('GET', `${this.endpoint}/${id}/todos${this.buildQuery(query)}`)
+  }
+
+  /**
+   * List todos of a user
+   * GET /users/{id}/todos (listUserTodos)
+   * @param {number} id - Resource ID
+   * @param {Object} [query] - Query parameters
+   * @param {number} [query._page] - Page number, used with _limit
+   * @param {number} [query._limit] - Maximum number of items
+   * @param {string} [query._sort] - Field to sort by
+   * @param {'asc'|'desc'} [query._order] - Sort order
+   * @param {string} [query.q] - Full-text search over all fields
+   * @param {number} [query._start] - Index of the first item, used with _end or _limit
+   * @param {number} [query._end] - Index after the last item
+   * @returns {Promise<Array<Object>>} Todos of the user
+   */
+  async getTodos(id, query = {}) {
+    const result = await this.getTodosRaw(id, query)
+    const body = this.validateSuccessResponse(result, 200)
+
+    expect(body).to.be.an('array')
+    body.forEach(item => expect(item).to.matchSchema('todo'))
+
+    return body
+  }
+
+  // #endregion generated
+
+  /**
+   * Search users by name
+   * @param {string} name - Name to search for
+   * @returns {Promise<Array>} Matching users
+   */
+  async searchByName(name) {
+    const users = await this.getAll()
+    return users.filter(user => 
+      user.name.toLowerCase().includes(name.toLowerCase())
+    )
   }
 
   /**
@@ -164,10 +330,10 @@ class UsersApiClient extends BaseApiClient {
    * @returns {Promise<Array>} Users array
    */
   async getAllWithPerformanceCheck(maxResponseTime = config.performance.fast) {
-    const response = await this.client.get(this.endpoint)
-    const users = this.validateSuccessResponse(response)
+    const result = await this.getAllRaw()
+    const users = this.validateSuccessResponse(result)
     
-    this.validateResponseTime(response, maxResponseTime)
+    this.validateResponseTime(result, maxResponseTime)
     
     return users
   }
@@ -175,25 +341,19 @@ class UsersApiClient extends BaseApiClient {
   /**
    * Verify user doesn't exist
    * @param {number} userId - User ID
-   * @returns {Promise<Object>} Error response
+   * @returns {Promise<ApiResult>} Error result
    */
   async verifyNotFound(userId) {
-    return this.expectClientError(
-      () => this.client.get(`${this.endpoint}/${userId}`),
-      404
-    )
+    return this.expectClientError(await this.getByIdRaw(userId), 404)
   }
 
   /**
    * Create user with invalid data
    * @param {Object} invalidData - Invalid user data
-   * @returns {Promise<Object>} Error response
+   * @returns {Promise<ApiResult>} Error result
    */
   async createWithInvalidData(invalidData) {
-    return this.expectClientError(
-      () => this.client.post(this.endpoint, invalidData),
-      400
-    )
+    return this.expectClientError(await this.createRaw(invalidData), 400)
   }
 }
 
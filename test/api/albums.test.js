@@ -0,0 +1,118 @@
+const { albumsApi } = require('../api-clients')
+const { generateRandomAlbum } = require('../utils/data-generators')
+const { testHelpers } = require('../utils/test-helpers')
+const { useCassette } = require('../utils/cassette')
+
+describe('Albums API Tests', function () {
+  useCassette('albums-api')
+
+  before(function () {
+    testHelpers.logTestStep('Initializing Albums API Tests')
+  })
+
+  describe('GET /albums', function () {
+    it('@smoke should get all albums successfully', async function () {
+      testHelpers.logTestStep('Getting all albums')
+
+      const albums = await albumsApi.getAll()
+
+      expect(albums).to.have.length(100) // JSONPlaceholder has 100 albums
+      albums.forEach(album => {
+        expect(album).to.have.all.keys(['userId', 'id', 'title'])
+      })
+    })
+
+    it('@regression should get albums by user ID', async function () {
+      const userId = 3
+      testHelpers.logTestStep(`Getting albums for user ID: ${userId}`)
+
+      const albums = await albumsApi.getByUserId(userId)
+
+      expect(albums).to.have.length(10)
+    })
+  })
+
+  describe('GET /albums/:id', function () {
+    it('@smoke should get album by valid ID', async function () {
+      const albumId = 1
+      testHelpers.logTestStep(`Getting album with ID: ${albumId}`)
+
+      const album = await albumsApi.getById(albumId)
+
+      expect(album.title).to.be.a('string').that.is.not.empty
+      expect(album.userId).to.equal(1)
+    })
+
+    it('@regression should return 404 for non-existent album', async function () {
+      const invalidAlbumId = 9999
+      testHelpers.logTestStep(`Testing non-existent album ID: ${invalidAlbumId}`)
+
+      const errorResponse = await albumsApi.verifyNotFound(invalidAlbumId)
+
+      expect(errorResponse.status).to.equal(404)
+    })
+  })
+
+  describe('POST /albums', function () {
+    it('@smoke should create album with valid data', async function () {
+      const albumData = generateRandomAlbum(2)
+      testHelpers.logTestStep(`Creating album: ${albumData.title}`)
+
+      const createdAlbum = await albumsApi.create(albumData)
+
+      expect(createdAlbum.id).to.be.a('number')
+      expect(createdAlbum.title).to.equal(albumData.title)
+    })
+  })
+
+  describe('PUT /albums/:id', function () {
+    it('@regression should update album completely', async function () {
+      const albumData = { ...generateRandomAlbum(1), id: 1 }
+      testHelpers.logTestStep('Replacing album 1')
+
+      const updatedAlbum = await albumsApi.update(1, albumData)
+
+      expect(updatedAlbum).to.deep.equal(albumData)
+    })
+  })
+
+  describe('PATCH /albums/:id', function () {
+    it('@regression should update album title', async function () {
+      const title = 'Updated album title'
+      testHelpers.logTestStep('Patching album 1')
+
+      const patchedAlbum = await albumsApi.patch(1, { title })
+
+      expect(patchedAlbum.title).to.equal(title)
+    })
+  })
+
+  describe('DELETE /albums/:id', function () {
+    it('@regression should delete album', async function () {
+      testHelpers.logTestStep('Deleting album 1')
+
+      const result = await albumsApi.delete(1)
+
+      expect(result.body).to.deep.equal({})
+    })
+  })
+
+  describe('Album Photos', function () {
+    it('@regression should get the photos of an album', async function () {
+      const albumId = 2
+      testHelpers.logTestStep(`Getting photos of album ${albumId}`)
+
+      const photos = await albumsApi.getPhotos(albumId)
+
+      expect(photos).to.have.length(50)
+      photos.forEach(photo => expect(photo.albumId).to.equal(albumId))
+    })
+
+    it('@integration should embed the photos of an album', async function () {
+      const album = await albumsApi.getWithPhotos(4)
+
+      expect(album.id).to.equal(4)
+      expect(album.photos).to.have.length(50)
+    })
+  })
+})
@@ -0,0 +1,81 @@
+/**
+ * Reqres.in API Authentication Tests
+ *
+ * Basic authentication flow tests:
+ * - User Registration
+ * - User Login
+ * - User Logout
+ */
+
+const { authApi, postsApi } = require('../api-clients')
+const { AuthSession } = require('../utils/auth-session')
+const { testHelpers } = require('../utils/test-helpers')
+const config = require('../../config/test-config')
+
+describe('Reqres.in Authentication Tests', function () {
+  const registeredUser = { email: 'eve.holt@reqres.in', password: 'pistol' }
+
+  before(function () {
+    testHelpers.logTestStep('Initializing Authentication Tests')
+  })
+
+  describe('User Registration', function () {
+    it('@smoke should register a new user successfully', async function () {
+      testHelpers.logTestStep(`Registering ${registeredUser.email}`)
+
+      const registration = await authApi.register(registeredUser)
+
+      expect(registration.id).to.be.a('number')
+      expect(registration.token).to.be.a('string').that.is.not.empty
+    })
+
+    it('@regression should reject registration without password', async function () {
+      await authApi.verifyRejected('register', { email: 'sydney@fife' }, 'Missing password')
+    })
+
+    it('@regression should reject registration of undefined users', async function () {
+      await authApi.verifyRejected('register', { email: 'sydney@fife', password: 'pistol' }, 'Note: Only defined users succeed registration')
+    })
+  })
+
+  describe('User Login', function () {
+    it('@smoke should login with registered credentials', async function () {
+      testHelpers.logTestStep(`Logging in as ${config.reqres.credentials.email}`)
+
+      const token = await authApi.login(config.reqres.credentials)
+
+      expect(token).to.be.a('string').that.is.not.empty
+    })
+
+    it('@regression should reject login without password', async function () {
+      await authApi.verifyRejected('login', { email: 'peter@klaven' }, 'Missing password')
+    })
+
+    it('@regression should reject login of unknown users', async function () {
+      await authApi.verifyRejected('login', { email: 'peter@klaven', password: 'cityslicka' }, 'user not found')
+    })
+  })
+
+  describe('User Logout', function () {
+    let session
+
+    beforeEach(function () {
+      session = new AuthSession(authApi).attach(postsApi)
+    })
+
+    afterEach(function () {
+      session.detach(postsApi)
+    })
+
+    it('@regression should logout by clearing token', async function () {
+      const token = await session.login()
+      expect(postsApi.client.defaultHeaders.Authorization).to.equal(`Bearer ${token}`)
+
+      await session.logout()
+
+      expect(session.isAuthenticated).to.be.false
+      expect(postsApi.client.defaultHeaders).to.not.have.property('Authorization')
+      expect(authApi.client.defaultHeaders).to.not.have.property('Authorization')
+    })
+  })
+})
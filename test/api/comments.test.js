@@ -1,9 +1,12 @@
 const { commentsApi } = require('../api-clients')
 const { generateRandomComment } = require('../utils/data-generators')
 const { testHelpers } = require('../utils/test-helpers')
+const { useCassette } = require('../utils/cassette')
 const config = require('../../config/test-config')
 
 describe('Comments API Tests', function () {
+  useCassette('comments-api')
+
   before(function () {
     testHelpers.logTestStep('Initializing Comments API Tests')
   })
@@ -48,10 +51,8 @@ describe('Comments API Tests', function () {
       const comments = await commentsApi.getSorted('email', 'asc')
       
       expect(comments).to.be.an('array')
-      // Verify sorting for first few items
-      for (let i = 1; i < Math.min(comments.length, 5); i++) {
-        expect(comments[i].email.localeCompare(comments[i - 1].email)).to.be.at.least(0)
-      }
+      // Verify sorting by code point, the way json-server sorts
+      commentsApi.query().sort('email', 'asc').verifySortOrder(comments)
     })
   })
 
@@ -0,0 +1,116 @@
+const { photosApi } = require('../api-clients')
+const { generateRandomPhoto } = require('../utils/data-generators')
+const { testHelpers } = require('../utils/test-helpers')
+const { useCassette } = require('../utils/cassette')
+
+describe('Photos API Tests', function () {
+  useCassette('photos-api')
+
+  before(function () {
+    testHelpers.logTestStep('Initializing Photos API Tests')
+  })
+
+  describe('GET /photos', function () {
+    it('@regression should get all photos successfully', async function () {
+      testHelpers.logTestStep('Getting all photos')
+
+      const photos = await photosApi.getAll()
+
+      expect(photos).to.have.length(5000) // JSONPlaceholder has 5000 photos
+    })
+
+    it('@regression should get photos by album ID with valid URLs', async function () {
+      const albumId = 7
+      testHelpers.logTestStep(`Getting photos for album ID: ${albumId}`)
+
+      const photos = await photosApi.getByAlbumId(albumId)
+
+      expect(photos).to.have.length(50)
+      photos.forEach(photo => {
+        expect(photo.url).to.match(/^https:\/\//)
+        expect(photo.thumbnailUrl).to.match(/^https:\/\//)
+      })
+    })
+
+    it('@regression should get one page of photos', async function () {
+      testHelpers.logTestStep('Getting page 3 of photos')
+
+      const photos = await photosApi.query().page(3, 25).fetch()
+
+      expect(photos.map(photo => photo.id)).to.deep.equal(Array.from({ length: 25 }, (_, index) => index + 51))
+    })
+  })
+
+  describe('GET /photos/:id', function () {
+    it('@smoke should get photo by valid ID', async function () {
+      const photoId = 1
+      testHelpers.logTestStep(`Getting photo with ID: ${photoId}`)
+
+      const photo = await photosApi.getById(photoId)
+
+      expect(photo.albumId).to.equal(1)
+      expect(photosApi.validateUrls(photo)).to.be.true
+    })
+
+    it('@regression should return 404 for non-existent photo', async function () {
+      const invalidPhotoId = 99999
+      testHelpers.logTestStep(`Testing non-existent photo ID: ${invalidPhotoId}`)
+
+      const errorResponse = await photosApi.verifyNotFound(invalidPhotoId)
+
+      expect(errorResponse.status).to.equal(404)
+    })
+  })
+
+  describe('POST /photos', function () {
+    it('@smoke should create photo with valid data', async function () {
+      const photoData = generateRandomPhoto(3)
+      testHelpers.logTestStep(`Creating photo: ${photoData.title}`)
+
+      const createdPhoto = await photosApi.create(photoData)
+
+      expect(createdPhoto.id).to.be.a('number')
+      expect(photosApi.validateUrls(createdPhoto)).to.be.true
+    })
+  })
+
+  describe('PUT /photos/:id', function () {
+    it('@regression should update photo completely', async function () {
+      const photoData = { ...generateRandomPhoto(1), id: 1 }
+      testHelpers.logTestStep('Replacing photo 1')
+
+      const updatedPhoto = await photosApi.update(1, photoData)
+
+      expect(updatedPhoto).to.deep.equal(photoData)
+    })
+  })
+
+  describe('PATCH /photos/:id', function () {
+    it('@regression should update photo title', async function () {
+      const title = 'Updated photo title'
+      testHelpers.logTestStep('Patching photo 1')
+
+      const patchedPhoto = await photosApi.patch(1, { title })
+
+      expect(patchedPhoto.title).to.equal(title)
+    })
+  })
+
+  describe('DELETE /photos/:id', function () {
+    it('@regression should delete photo', async function () {
+      testHelpers.logTestStep('Deleting photo 1')
+
+      const result = await photosApi.delete(1)
+
+      expect(result.body).to.deep.equal({})
+    })
+  })
+
+  describe('Photo Data Validation', function () {
+    it('@regression should reject invalid photo URLs', function () {
+      const photo = { id: 1, url: 'not a url', thumbnailUrl: 'https://via.placeholder.com/150/92c952' }
+
+      expect(() => photosApi.validateUrls(photo)).to.throw('url of photo 1: not a url')
+    })
+  })
+})
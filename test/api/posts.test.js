@@ -1,9 +1,12 @@
 const { postsApi } = require('../api-clients')
 const { generateRandomPost, invalidDataSets } = require('../utils/data-generators')
 const { testHelpers } = require('../utils/test-helpers')
+const { useCassette } = require('../utils/cassette')
 const config = require('../../config/test-config')
 
 describe('Posts API Tests', function () {
+  useCassette('posts-api')
+
   before(function () {
     testHelpers.logTestStep('Initializing Posts API Tests')
   })
@@ -50,10 +53,8 @@ describe('Posts API Tests', function () {
       const posts = await postsApi.getSorted('title', 'asc')
       
       expect(posts).to.be.an('array')
-      // Verify sorting
-      for (let i = 1; i < Math.min(posts.length, 10); i++) {
-        expect(posts[i].title.localeCompare(posts[i - 1].title)).to.be.at.least(0)
-      }
+      // Verify sorting by code point, the way json-server sorts
+      postsApi.query().sort('title', 'asc').verifySortOrder(posts)
     })
   })
 
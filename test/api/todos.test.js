@@ -0,0 +1,121 @@
+const { todosApi, usersApi } = require('../api-clients')
+const { generateRandomTodo } = require('../utils/data-generators')
+const { testHelpers } = require('../utils/test-helpers')
+const { useCassette } = require('../utils/cassette')
+
+describe('Todos API Tests', function () {
+  useCassette('todos-api')
+
+  before(function () {
+    testHelpers.logTestStep('Initializing Todos API Tests')
+  })
+
+  describe('GET /todos', function () {
+    it('@smoke should get all todos successfully', async function () {
+      testHelpers.logTestStep('Getting all todos')
+
+      const todos = await todosApi.getAll()
+
+      expect(todos).to.have.length(200) // JSONPlaceholder has 200 todos
+      todos.forEach(todo => {
+        expect(todo).to.have.all.keys(['userId', 'id', 'title', 'completed'])
+      })
+    })
+
+    it('@regression should get todos by completion status', async function () {
+      testHelpers.logTestStep('Getting completed todos of user 1')
+
+      const completed = await todosApi.getByStatus(true, 1)
+      const pending = await todosApi.getByStatus(false, 1)
+
+      expect(completed.length + pending.length).to.equal(20)
+    })
+
+    it('@regression should calculate todo statistics', async function () {
+      const userId = 5
+      testHelpers.logTestStep(`Getting todo statistics of user ${userId}`)
+
+      const stats = await todosApi.getStatistics(userId)
+
+      expect(stats.total).to.equal(20)
+      expect(stats.completed + stats.pending).to.equal(stats.total)
+      expect(stats.completionRate).to.be.within(0, 1)
+    })
+  })
+
+  describe('GET /todos/:id', function () {
+    it('@smoke should get todo by valid ID', async function () {
+      const todoId = 1
+      testHelpers.logTestStep(`Getting todo with ID: ${todoId}`)
+
+      const todo = await todosApi.getById(todoId)
+
+      expect(todo.completed).to.be.a('boolean')
+      expect(todo.userId).to.equal(1)
+    })
+
+    it('@regression should return 404 for non-existent todo', async function () {
+      const invalidTodoId = 9999
+      testHelpers.logTestStep(`Testing non-existent todo ID: ${invalidTodoId}`)
+
+      const errorResponse = await todosApi.verifyNotFound(invalidTodoId)
+
+      expect(errorResponse.status).to.equal(404)
+    })
+  })
+
+  describe('POST /todos', function () {
+    it('@smoke should create todo with valid data', async function () {
+      const todoData = generateRandomTodo(4)
+      testHelpers.logTestStep(`Creating todo: ${todoData.title}`)
+
+      const createdTodo = await todosApi.create(todoData)
+
+      expect(createdTodo.id).to.be.a('number')
+      expect(createdTodo.completed).to.equal(todoData.completed)
+    })
+  })
+
+  describe('PUT /todos/:id', function () {
+    it('@regression should update todo completely', async function () {
+      const todoData = { ...generateRandomTodo(1), id: 1 }
+      testHelpers.logTestStep('Replacing todo 1')
+
+      const updatedTodo = await todosApi.update(1, todoData)
+
+      expect(updatedTodo).to.deep.equal(todoData)
+    })
+  })
+
+  describe('PATCH /todos/:id', function () {
+    it('@regression should mark todo as completed', async function () {
+      testHelpers.logTestStep('Completing todo 2')
+
+      const patchedTodo = await todosApi.patch(2, { completed: true })
+
+      expect(patchedTodo.completed).to.be.true
+    })
+  })
+
+  describe('DELETE /todos/:id', function () {
+    it('@regression should delete todo', async function () {
+      testHelpers.logTestStep('Deleting todo 1')
+
+      const result = await todosApi.delete(1)
+
+      expect(result.body).to.deep.equal({})
+    })
+  })
+
+  describe('User Todos', function () {
+    it('@regression should get the todos of a user', async function () {
+      const userId = 2
+      testHelpers.logTestStep(`Getting todos of user ${userId}`)
+
+      const todos = await usersApi.getTodos(userId)
+
+      expect(todos).to.have.length(20)
+      todos.forEach(todo => expect(todo.userId).to.equal(userId))
+    })
+  })
+})
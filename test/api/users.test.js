@@ -1,9 +1,12 @@
 const { usersApi } = require('../api-clients')
 const { generateRandomUser, invalidDataSets } = require('../utils/data-generators')
 const { testHelpers } = require('../utils/test-helpers')
+const { useCassette } = require('../utils/cassette')
 const config = require('../../config/test-config')
 
 describe('Users API Tests', function () {
+  useCassette('users-api')
+
   before(function () {
     testHelpers.logTestStep('Initializing Users API Tests')
   })
@@ -273,4 +276,27 @@ describe('Users API Tests', function () {
       })
     })
   })
+
+  describe('Raw Mode', function () {
+    it('@regression should return a result without asserting', async function () {
+      testHelpers.logTestStep('Getting a user in raw mode')
+      
+      const result = await usersApi.getByIdRaw(1)
+      
+      expect(result).to.include({ status: 200, ok: true })
+      expect(result.headers['content-type']).to.include('application/json')
+      expect(result.body.id).to.equal(1)
+      expect(result.duration).to.be.a('number')
+    })
+
+    it('@regression should resolve error statuses instead of throwing', async function () {
+      testHelpers.logTestStep('Getting a non-existent user in raw mode')
+      
+      const result = await usersApi.getByIdRaw(9999)
+      
+      expect(result.status).to.equal(404)
+      expect(result.ok).to.be.false
+      expect(result.body).to.deep.equal({})
+    })
+  })
 })
@@ -0,0 +1,27 @@
+const { Factory } = require('./factory')
+const { commentsApi } = require('../api-clients')
+const postFactory = require('./posts.factory')
+
+/**
+ * Comment factory
+ * build() uses post 1 of the seed data; create() creates the post (and its author) unless postId is given
+ */
+const commentFactory = new Factory({
+  name: 'comment',
+  client: () => commentsApi,
+  attributes: ({ sequence, fake }) => ({
+    name: fake.title(),
+    email: fake.email().replace('@', `.${sequence}@`),
+    body: fake.paragraph(2),
+    postId: 1
+  }),
+  associations: {
+    postId: postFactory
+  },
+  traits: {
+    longBody: (comment, { fake }) => ({ body: fake.paragraph(30) }),
+    taggedEmail: ({ email }) => ({ email: email.replace('@', '+tests@') })
+  }
+})
+
+module.exports = commentFactory
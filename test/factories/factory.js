@@ -0,0 +1,117 @@
+/**
+ * Test entity factories
+ *
+ * A factory builds request payloads from realistic defaults (fake-data.js), named traits and overrides,
+ * and creates them through the API client. Associations create the parent resources a payload refers to,
+ * and a per-factory sequence keeps values such as usernames and emails unique within the run.
+ *
+ *   userFactory.build({ traits: ['withoutCompany', 'longName'] })
+ *   await commentFactory.create() // creates a user, a post of that user and a comment on the post
+ */
+
+const { fakeData } = require('../utils/fake-data')
+
+/**
+ * Factory for one kind of entity
+ */
+class Factory {
+  /**
+   * @param {Object} definition - Factory definition
+   * @param {string} definition.name - Entity name, e.g. 'user'
+   * @param {Function} definition.attributes - ({ sequence, fake }) => default attributes
+   * @param {Object} [definition.traits] - Traits by name: overrides, or ({ ...attributes }, { sequence, fake }) => overrides;
+   *   undefined values remove the attribute
+   * @param {Object} [definition.associations] - Parent factories by foreign key, e.g. { userId: userFactory }, used by create()
+   * @param {Function} definition.client - () => API client used by create()
+   */
+  constructor ({ name, attributes, traits = {}, associations = {}, client }) {
+    this.name = name
+    this.attributes = attributes
+    this.traits = traits
+    this.associations = associations
+    this.client = client
+    this.sequence = 0
+  }
+
+  /**
+   * Next value of the sequence
+   * @returns {number} Sequence number, starting at 1
+   */
+  nextSequence () {
+    this.sequence += 1
+    return this.sequence
+  }
+
+  /**
+   * Restart the sequence at 1
+   */
+  resetSequence () {
+    this.sequence = 0
+  }
+
+  /**
+   * Build a payload without sending it
+   * @param {Object} [options] - Attribute overrides, plus:
+   * @param {Array<string>} [options.traits] - Traits applied in order, before the overrides
+   * @param {string} [options.locale] - Locale of the fake data (default: config.fakeData.locale)
+   * @returns {Object} Payload
+   */
+  build ({ traits = [], locale, ...overrides } = {}) {
+    const unknown = traits.filter(trait => !this.traits[trait])
+    if (unknown.length > 0) {
+      throw new Error(`Unknown ${this.name} trait(s): ${unknown.join(', ')}, expected one of: ${Object.keys(this.traits).join(', ')}`)
+    }
+
+    const context = { sequence: this.nextSequence(), fake: fakeData(locale) }
+    const attributes = traits.reduce((current, trait) => {
+      const definition = this.traits[trait]
+      return { ...current, ...(typeof definition === 'function' ? definition({ ...current }, context) : definition) }
+    }, this.attributes(context))
+
+    return Object.fromEntries(Object.entries({ ...attributes, ...overrides }).filter(([, value]) => value !== undefined))
+  }
+
+  /**
+   * Build several payloads
+   * @param {number} count - Number of payloads
+   * @param {Object} [options] - Options for each payload (see build)
+   * @returns {Array<Object>} Payloads
+   */
+  buildList (count, options = {}) {
+    return Array.from({ length: count }, () => this.build(options))
+  }
+
+  /**
+   * Create an entity through the API client, creating the parents it refers to unless their ids are given
+   * @param {Object} [options] - Options (see build)
+   * @returns {Promise<Object>} Created entity
+   */
+  async create (options = {}) {
+    const parents = {}
+    for (const [foreignKey, factory] of Object.entries(this.associations)) {
+      if (options[foreignKey] === undefined) {
+        const parent = await factory.create({ locale: options.locale })
+        parents[foreignKey] = parent.id
+      }
+    }
+    return this.client().create(this.build({ ...options, ...parents }))
+  }
+
+  /**
+   * Create several entities, one after the other
+   * @param {number} count - Number of entities
+   * @param {Object} [options] - Options for each entity (see build)
+   * @returns {Promise<Array<Object>>} Created entities
+   */
+  async createList (count, options = {}) {
+    const created = []
+    for (let i = 0; i < count; i++) {
+      created.push(await this.create(options))
+    }
+    return created
+  }
+}
+
+module.exports = {
+  Factory
+}
@@ -0,0 +1,16 @@
+/**
+ * Factories Index
+ * Centralized export for the test entity factories
+ */
+
+const { Factory } = require('./factory')
+const userFactory = require('./users.factory')
+const postFactory = require('./posts.factory')
+const commentFactory = require('./comments.factory')
+
+module.exports = {
+  Factory,
+  userFactory,
+  postFactory,
+  commentFactory
+}
@@ -0,0 +1,27 @@
+const { Factory } = require('./factory')
+const { postsApi } = require('../api-clients')
+const userFactory = require('./users.factory')
+
+/**
+ * Post factory
+ * build() uses user 1 of the seed data; create() creates the author unless userId is given
+ */
+const postFactory = new Factory({
+  name: 'post',
+  client: () => postsApi,
+  attributes: ({ fake }) => ({
+    title: fake.title(),
+    body: fake.paragraph(),
+    userId: 1
+  }),
+  associations: {
+    userId: userFactory
+  },
+  traits: {
+    longTitle: (post, { fake }) => ({ title: fake.title(40, 40) }),
+    longBody: (post, { fake }) => ({ body: fake.paragraph(50) }),
+    singleLine: (post, { fake }) => ({ body: fake.sentence() })
+  }
+})
+
+module.exports = postFactory
@@ -0,0 +1,37 @@
+const { Factory } = require('./factory')
+const { usersApi } = require('../api-clients')
+
+// Longest name the user schema accepts
+const MAX_NAME_LENGTH = 100
+
+/**
+ * User factory
+ * Usernames and emails carry the sequence number, so they are unique within the run
+ */
+const userFactory = new Factory({
+  name: 'user',
+  client: () => usersApi,
+  attributes: ({ sequence, fake }) => {
+    const person = fake.person()
+    const address = fake.address()
+    delete address.country
+
+    return {
+      name: person.name,
+      username: `${fake.username(person)}_${sequence}`,
+      email: fake.email(person).replace('@', `.${sequence}@`),
+      phone: fake.phone(),
+      website: fake.website(person.lastName),
+      address,
+      company: fake.company()
+    }
+  },
+  traits: {
+    withoutCompany: { company: undefined },
+    withoutAddress: { address: undefined },
+    longName: ({ name }, { fake }) => ({ name: `${name} ${fake.words(30).join(' ')}`.slice(0, MAX_NAME_LENGTH) }),
+    minimal: ({ name, username, email }) => ({ name, username, email, phone: undefined, website: undefined, address: undefined, company: undefined })
+  }
+})
+
+module.exports = userFactory
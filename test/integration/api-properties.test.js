@@ -0,0 +1,48 @@
+const config = require('../../config/test-config')
+const { postsApi, commentsApi } = require('../api-clients')
+const { fromSchema, integer } = require('../utils/arbitraries')
+const { checkProperty } = require('../utils/property-testing')
+const { testHelpers } = require('../utils/test-helpers')
+
+// Valid payloads; foreign keys point at the users and posts of the seed data
+const postPayloads = fromSchema('post', { overrides: { userId: integer({ min: 1, max: 10 }) } })
+const commentPatches = fromSchema('comment', { partial: true, overrides: { postId: integer({ min: 1, max: 100 }) } })
+
+// Random inputs send dozens of creates and patches, too many for the public JSONPlaceholder, so online
+// runs only replay the saved counterexamples
+const runs = config.offline ? config.propertyTests.runs : 0
+
+describe('API Client Properties', function () {
+  // Every property sends one request per input, and more while shrinking
+  this.timeout(120000)
+
+  before(function () {
+    testHelpers.logTestStep('Initializing API Client Property Tests')
+  })
+
+  it('@regression postsApi.create should echo any valid post with a numeric id', async function () {
+    const { replayed } = await checkProperty('postsApi.create', postPayloads, async post => {
+      const created = await postsApi.create(post)
+
+      expect(created).to.deep.include(post)
+      expect(created.id).to.be.a('number')
+      expect(created).to.matchSchema('post')
+    }, { runs })
+
+    testHelpers.logTestStep(`✅ Created ${runs} random posts after replaying ${replayed} saved counterexample(s)`)
+  })
+
+  it('@regression commentsApi.patch should apply any valid partial comment', async function () {
+    const commentId = 1
+
+    const { replayed } = await checkProperty('commentsApi.patch', commentPatches, async patch => {
+      const patched = await commentsApi.patch(commentId, patch)
+
+      expect(patched).to.deep.include(patch)
+      expect(patched.id).to.equal(commentId)
+      expect(patched).to.matchSchema('comment')
+    }, { runs })
+
+    testHelpers.logTestStep(`✅ Applied ${runs} random patches after replaying ${replayed} saved counterexample(s)`)
+  })
+})
@@ -0,0 +1,118 @@
+const { ReqresServer, useStandaloneServer, useFaults } = require('../mock-server')
+const { authApi } = require('../api-clients')
+const { createResourceClient } = require('../api-clients/resource-client')
+const resources = require('../api-clients/resources')
+const { AuthSession } = require('../utils/auth-session')
+
+describe('Auth Session', function () {
+  const reqres = useStandaloneServer('reqres mock server', new ReqresServer({ port: 0 }))
+  const server = useStandaloneServer('JSONPlaceholder mock server')
+  const credentials = { email: 'janet.weaver@reqres.in', password: 'secret' }
+  let auth
+  let postsApi
+  let session
+  let authHeaders
+
+  beforeEach(function () {
+    reqres.reset()
+    server.reset()
+    auth = new authApi.constructor(reqres.baseUrl)
+    postsApi = createResourceClient({ ...resources.posts, baseUrl: server.baseUrl })
+    session = new AuthSession(auth)
+
+    authHeaders = []
+    postsApi.client.use({ onRequest: context => authHeaders.push(context.headers.Authorization) })
+  })
+
+  describe('Stand-in Server', function () {
+    it('@integration should issue a token per login', async function () {
+      const first = await auth.login(credentials)
+      const second = await auth.login(credentials)
+
+      expect(first).to.not.equal(second)
+      expect([...reqres.sessions.keys()]).to.deep.equal([first, second])
+    })
+
+    it('@integration should register defined users with their id', async function () {
+      const registration = await auth.register(credentials)
+
+      expect(registration.id).to.equal(2)
+      expect(reqres.sessions.get(registration.token)).to.equal(2)
+    })
+
+    it('@integration should answer unknown routes with 404', async function () {
+      const result = await auth.request('GET', '/unknown')
+
+      expect(result.status).to.equal(404)
+    })
+  })
+
+  describe('Token Injection', function () {
+    it('@integration should send the bearer token with attached clients', async function () {
+      session.attach(postsApi)
+      await postsApi.getById(1)
+
+      const token = await session.login(credentials)
+      await postsApi.getById(1)
+
+      expect(authHeaders).to.deep.equal([undefined, `Bearer ${token}`])
+    })
+
+    it('@integration should inject the current token into clients attached later', async function () {
+      const token = await session.login(credentials)
+
+      session.attach(postsApi)
+      await postsApi.getById(1)
+
+      expect(authHeaders).to.deep.equal([`Bearer ${token}`])
+    })
+
+    it('@integration should stop sending the token once detached', async function () {
+      await session.login(credentials)
+
+      session.attach(postsApi).detach(postsApi)
+      await postsApi.getById(1)
+
+      expect(authHeaders).to.deep.equal([undefined])
+      expect(session.isAuthenticated).to.be.true
+    })
+  })
+
+  describe('Logout', function () {
+    it('@integration should revoke the token and clear it from every client', async function () {
+      session.attach(postsApi)
+      const token = await session.login(credentials)
+
+      await session.logout()
+      await postsApi.getById(1)
+
+      expect(reqres.sessions.has(token)).to.be.false
+      expect(authHeaders).to.deep.equal([undefined])
+      expect(session.isAuthenticated).to.be.false
+    })
+
+    it('@integration should refuse to log out without a session', async function () {
+      await session.logout().then(
+        () => expect.fail('Logging out without a session should fail'),
+        error => expect(error.message).to.equal('Cannot log out: the session is not logged in')
+      )
+    })
+
+    describe('when the logout request fails', function () {
+      useFaults([{ method: 'POST', route: '/api/logout', status: 503 }], reqres)
+
+      it('@integration should still clear the token', async function () {
+        session.attach(postsApi)
+        await session.login(credentials)
+
+        await session.logout().then(
+          () => expect.fail('A failed logout should reject'),
+          error => expect(error.status).to.equal(503)
+        )
+
+        expect(session.isAuthenticated).to.be.false
+        expect(postsApi.client.defaultHeaders).to.not.have.property('Authorization')
+      })
+    })
+  })
+})
@@ -0,0 +1,171 @@
+const { TokenServer, useStandaloneServer, useFaults } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { HmacSignature, OAuth2ClientCredentials } = require('../utils/auth-strategies')
+const { sleep } = require('../utils/test-helpers')
+
+describe('Auth Strategies', function () {
+  const server = useStandaloneServer('mock API server')
+  const tokenServer = useStandaloneServer('token server', new TokenServer({ port: 0 }))
+  let client
+  let sent
+
+  beforeEach(function () {
+    server.reset()
+    tokenServer.reset()
+    tokenServer.expiresIn = 3600
+    client = new HttpClient(server.baseUrl)
+
+    // Record what reached the wire: strategies run after the onRequest hooks
+    sent = []
+    client.use({ onResponse: (response, context) => sent.push({ url: context.url, headers: { ...context.headers } }) })
+  })
+
+  /**
+   * OAuth2 strategy for the standalone token server
+   * @param {Object} options - Extra strategy options
+   * @returns {OAuth2ClientCredentials} Strategy
+   */
+  function oauth2 (options = {}) {
+    return new OAuth2ClientCredentials({ tokenUrl: tokenServer.tokenUrl, clientId: 'api-tests', clientSecret: 'api-tests-secret', ...options })
+  }
+
+  describe('Per-Instance Strategies', function () {
+    it('@integration should authenticate requests of one client only', async function () {
+      const other = new HttpClient(server.baseUrl)
+      let otherHeaders
+      other.use({ onResponse: (response, context) => { otherHeaders = context.headers } })
+
+      client.setAuth({ type: 'basic', username: 'admin', password: 'secret' })
+      await client.get('/posts/1')
+      await other.get('/posts/1')
+
+      expect(sent[0].headers.Authorization).to.match(/^Basic /)
+      expect(otherHeaders).to.not.have.property('Authorization')
+    })
+
+    it('@integration should append a query API key to the request URL', async function () {
+      client.setAuth({ type: 'apiKey', name: 'api_key', value: 'abc', in: 'query' })
+
+      const response = await client.get('/posts/1')
+
+      expect(response.status).to.equal(200)
+      expect(sent[0].url).to.equal(`${server.baseUrl}/posts/1?api_key=abc`)
+    })
+
+    it('@integration should sign the final request with HMAC', async function () {
+      const strategy = new HmacSignature({ keyId: 'key-1', secret: 's3cret' })
+      client.setAuth(strategy)
+      client.use({ onRequest: context => { context.data = { ...context.data, userId: 1 } } })
+
+      await client.post('/posts', { title: 'Signed' })
+
+      const { headers, url } = sent[0]
+      const digest = HmacSignature.digest({ title: 'Signed', userId: 1 })
+      const signature = strategy.sign({ method: 'POST', url, date: headers['X-Date'], digest })
+      expect(headers.Digest).to.equal(digest)
+      expect(headers.Authorization).to.include(`signature="${signature}"`)
+    })
+
+    it('@integration should keep an Authorization header that is already set', async function () {
+      client.setAuth({ type: 'basic', username: 'admin', password: 'secret' })
+      client.setAuthToken('session-token')
+
+      await client.get('/posts/1')
+      await client.get('/posts/2', { Authorization: 'Bearer request-token' })
+      client.clearAuthToken()
+      await client.get('/posts/3')
+
+      expect(sent.map(request => request.headers.Authorization)).to.deep.equal([
+        'Bearer session-token',
+        'Bearer request-token',
+        `Basic ${Buffer.from('admin:secret').toString('base64')}`
+      ])
+    })
+
+    it('@integration should still add a query API key next to an Authorization header', async function () {
+      client.setAuth({ type: 'apiKey', name: 'api_key', value: 'abc', in: 'query' })
+      client.setAuthToken('session-token')
+
+      await client.get('/posts/1')
+
+      expect(sent[0].url).to.equal(`${server.baseUrl}/posts/1?api_key=abc`)
+      expect(sent[0].headers.Authorization).to.equal('Bearer session-token')
+    })
+
+    it('@integration should stop authenticating after setAuth(null)', async function () {
+      client.setAuth({ type: 'bearer', token: 'abc' })
+      client.setAuth(null)
+
+      await client.get('/posts/1')
+
+      expect(sent[0].headers).to.not.have.property('Authorization')
+    })
+  })
+
+  describe('OAuth2 Client Credentials', function () {
+    it('@integration should fetch a token once and reuse it', async function () {
+      client.setAuth(oauth2({ scope: 'posts:read' }))
+
+      await client.get('/posts/1')
+      await client.get('/posts/2')
+
+      expect(tokenServer.issued).to.have.length(1)
+      expect(tokenServer.issued[0]).to.include({ clientId: 'api-tests', scope: 'posts:read' })
+      sent.forEach(request => expect(request.headers.Authorization).to.equal(`Bearer ${tokenServer.issued[0].access_token}`))
+    })
+
+    it('@integration should share one token request between concurrent calls', async function () {
+      client.setAuth(oauth2())
+
+      await Promise.all([1, 2, 3].map(id => client.get(`/posts/${id}`)))
+
+      expect(tokenServer.issued).to.have.length(1)
+    })
+
+    it('@integration should refresh the token before it expires', async function () {
+      tokenServer.expiresIn = 60
+      client.setAuth(oauth2({ refreshMargin: 59500 }))
+
+      await client.get('/posts/1')
+      await sleep(600)
+      await client.get('/posts/1')
+
+      expect(tokenServer.issued).to.have.length(2)
+      expect(sent[1].headers.Authorization).to.equal(`Bearer ${tokenServer.issued[1].access_token}`)
+    })
+
+    it('@integration should fetch a new token after invalidate()', async function () {
+      const strategy = oauth2()
+      client.setAuth(strategy)
+
+      await client.get('/posts/1')
+      strategy.invalidate()
+      await client.get('/posts/1')
+
+      expect(tokenServer.issued).to.have.length(2)
+    })
+
+    it('@integration should fail requests when the client is rejected', async function () {
+      client.setAuth(oauth2({ clientSecret: 'wrong' }))
+
+      await client.get('/posts/1').then(
+        () => expect.fail('A rejected client should fail the request'),
+        error => expect(error.message).to.equal(`oauth2 token request to ${tokenServer.tokenUrl} failed: 401 {"error":"invalid_client"}`)
+      )
+      expect(sent).to.be.empty
+    })
+
+    describe('when the token endpoint is down', function () {
+      useFaults([{ method: 'POST', route: '/oauth/token', status: 503 }], tokenServer)
+
+      it('@integration should report the token request failure', async function () {
+        client.setAuth(oauth2())
+
+        await client.get('/posts/1').then(
+          () => expect.fail('A failed token request should fail the request'),
+          error => expect(error.message).to.include('failed: 503')
+        )
+      })
+    })
+  })
+})
@@ -0,0 +1,56 @@
+const config = require('../../config/test-config')
+const { usersApi, postsApi, commentsApi } = require('../api-clients')
+const { userFactory, postFactory, commentFactory } = require('../factories')
+const { useValidation } = require('../mock-server')
+const { invalidCases, validCases } = require('../utils/boundary-values')
+const { testHelpers } = require('../utils/test-helpers')
+
+// Payloads the cases start from; users are limited to a few fields to keep the suite short
+const RESOURCES = [
+  { name: 'post', api: postsApi, base: () => postFactory.build() },
+  { name: 'comment', api: commentsApi, base: () => commentFactory.build() },
+  { name: 'user', api: usersApi, base: () => userFactory.build(), fields: ['name', 'username', 'email', 'address.zipcode', 'company'] }
+]
+
+/**
+ * JSON pointer of a dotted field path, as used in violations
+ * @param {string} field - Field path, e.g. 'address.zipcode'
+ * @returns {string} Pointer, e.g. '/address/zipcode'
+ */
+function pointer (field) {
+  return `/${field.split('.').join('/')}`
+}
+
+describe('Boundary Values', function () {
+  // JSONPlaceholder accepts any body, so the cases run against the validating mock server only
+  before(function () {
+    if (!config.offline) {
+      this.skip()
+    }
+    testHelpers.logTestStep('Initializing Boundary Value Tests')
+  })
+
+  useValidation()
+
+  RESOURCES.forEach(({ name, api, base, fields }) => {
+    describe(`${name} payloads`, function () {
+      const payload = base()
+
+      invalidCases(name, { base: payload, fields }).forEach(testCase => {
+        it(`@regression should reject ${name} with ${testCase.label}`, async function () {
+          const result = await api.createWithInvalidData(testCase.data)
+
+          expect(result.body.violations.map(violation => violation.path)).to.include(pointer(testCase.field))
+        })
+      })
+
+      validCases(name, { base: payload, fields }).forEach(testCase => {
+        it(`@regression should accept ${name} with ${testCase.label}`, async function () {
+          const created = await api.create(testCase.data)
+
+          expect(created).to.deep.include(testCase.data)
+        })
+      })
+    })
+  })
+})
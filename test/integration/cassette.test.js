@@ -0,0 +1,171 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { useStandaloneServer } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { Cassette, useCassette } = require('../utils/cassette')
+
+describe('Record and Replay Cassettes', function () {
+  const server = useStandaloneServer('mock server for cassettes')
+  const dir = path.join(os.tmpdir(), `cassettes-${process.pid}`)
+  let client
+
+  /**
+   * Client whose requests go through a cassette
+   * @param {Cassette} cassette - Cassette
+   * @param {string} baseUrl - Base URL
+   * @returns {HttpClient} Client
+   */
+  function clientWith (cassette, baseUrl = server.baseUrl) {
+    const cassetteClient = new HttpClient(baseUrl)
+    cassetteClient.setRetryPolicy({ maxAttempts: 1 })
+    cassetteClient.use(cassette.interceptor())
+    return cassetteClient
+  }
+
+  /**
+   * Record a short session into a cassette file
+   * @param {string} name - Cassette name
+   */
+  async function recordSession (name) {
+    const cassette = new Cassette(name, { mode: 'record', dir }).load()
+    client = clientWith(cassette)
+    await client.get('/posts/1')
+    await client.post('/posts', { title: 'Recorded', body: 'Recorded body', userId: 1 })
+    try {
+      await client.get('/posts/9999')
+    } catch (error) {
+      // 404 responses are recorded too
+    }
+    cassette.save()
+  }
+
+  beforeEach(function () {
+    server.reset()
+  })
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('Record Mode', function () {
+    it('@integration should save interactions keyed by method, URL and body', async function () {
+      await recordSession('record-mode')
+
+      const file = JSON.parse(fs.readFileSync(path.join(dir, 'record-mode.json'), 'utf8'))
+      expect(file.interactions).to.have.length(3)
+      expect(file.interactions[1].request).to.deep.include({ method: 'POST', body: { title: 'Recorded', body: 'Recorded body', userId: 1 } })
+      expect(file.interactions[1].response.status).to.equal(201)
+      expect(file.interactions[2].response.status).to.equal(404)
+      expect(file.interactions[0].response.headers).to.not.have.property('date')
+      expect(file.interactions[0].response.duration).to.be.a('number')
+    })
+  })
+
+  describe('Replay Mode', function () {
+    before(async function () {
+      await recordSession('replay-mode')
+    })
+
+    it('@integration should serve recordings without touching the network', async function () {
+      const cassette = new Cassette('replay-mode', { mode: 'replay', strict: true, dir }).load()
+      const offlineClient = clientWith(cassette, 'http://replay.invalid')
+
+      const post = await offlineClient.get('/posts/1')
+      const created = await offlineClient.post('/posts', { userId: 1, body: 'Recorded body', title: 'Recorded' })
+
+      expect(post.status).to.equal(200)
+      expect(post.body.id).to.equal(1)
+      expect(post.headers['content-type']).to.include('application/json')
+      expect(created.status).to.equal(201)
+      expect(created.body.title).to.equal('Recorded')
+      expect(post.duration).to.equal(cassette.interactions[0].response.duration)
+    })
+
+    it('@integration should replay recorded error responses as errors', async function () {
+      const cassette = new Cassette('replay-mode', { mode: 'replay', strict: true, dir }).load()
+
+      try {
+        await clientWith(cassette, 'http://replay.invalid').get('/posts/9999')
+        expect.fail('Recorded 404 should be thrown')
+      } catch (error) {
+        expect(error.response.status).to.equal(404)
+      }
+    })
+
+    it('@integration should fail unmatched requests in strict mode', async function () {
+      const cassette = new Cassette('replay-mode', { mode: 'replay', strict: true, dir }).load()
+
+      try {
+        await clientWith(cassette).get('/posts/2')
+        expect.fail('Unmatched request should fail')
+      } catch (error) {
+        expect(error.message).to.equal(`Cassette "replay-mode" has no recording for GET ${server.baseUrl}/posts/2`)
+      }
+    })
+
+    it('@integration should pass unmatched requests through when not strict', async function () {
+      const cassette = new Cassette('replay-mode', { mode: 'replay', strict: false, dir }).load()
+
+      const response = await clientWith(cassette).get('/posts/2')
+
+      expect(response.body.id).to.equal(2)
+      expect(cassette.save()).to.be.false
+    })
+  })
+
+  describe('Committed Sample', function () {
+    it('@integration should replay the hand-checked JSONPlaceholder sample', async function () {
+      const cassette = new Cassette('jsonplaceholder-sample', { mode: 'replay', strict: true }).load()
+      const offlineClient = clientWith(cassette, 'http://replay.invalid')
+
+      const post = await offlineClient.get('/posts/1')
+      const user = await offlineClient.get('/users/1')
+
+      expect(post.body).to.matchSchema('post')
+      expect(post.body.title).to.equal('sunt aut facere repellat provident occaecati excepturi optio reprehenderit')
+      expect(user.body).to.matchSchema('user')
+      expect(user.body.username).to.equal('Bret')
+      try {
+        await offlineClient.get('/posts/9999')
+        expect.fail('Recorded 404 should be thrown')
+      } catch (error) {
+        expect(error.response.status).to.equal(404)
+      }
+    })
+  })
+
+  describe('Missing Cassette in Strict Replay', function () {
+    useCassette('never-recorded', { mode: 'replay', strict: true, dir })
+
+    it('@integration should skip the block instead of failing its requests', function () {
+      expect.fail('A block without a recorded cassette should be skipped')
+    })
+  })
+
+  describe('New Episodes Mode', function () {
+    before(async function () {
+      await recordSession('new-episodes')
+    })
+
+    it('@integration should record only requests without a match', async function () {
+      const cassette = new Cassette('new-episodes', { mode: 'new_episodes', dir }).load()
+      client = clientWith(cassette)
+
+      const replayed = await client.get('/posts/1')
+      const recorded = await client.get('/posts/2')
+      cassette.save()
+
+      expect(replayed.fromCassette).to.be.true
+      expect(recorded.fromCassette).to.be.undefined
+      const file = JSON.parse(fs.readFileSync(path.join(dir, 'new-episodes.json'), 'utf8'))
+      expect(file.interactions).to.have.length(4)
+    })
+  })
+
+  describe('Options', function () {
+    it('@integration should reject unknown modes', function () {
+      expect(() => new Cassette('invalid', { mode: 'rewind', dir })).to.throw('Unknown cassette mode "rewind"')
+    })
+  })
+})
@@ -0,0 +1,173 @@
+const { useStandaloneServer, useFaults } = require('../mock-server')
+const { createResourceClient } = require('../api-clients/resource-client')
+const resources = require('../api-clients/resources')
+const { CleanupRegistry } = require('../utils/cleanup-registry')
+const { generateRandomUser, generateRandomPost, generateRandomComment } = require('../utils/data-generators')
+
+describe('Cleanup Registry', function () {
+  const server = useStandaloneServer('mock server for the cleanup registry')
+  let registry
+  let usersApi
+  let postsApi
+  let commentsApi
+  let deletes
+
+  beforeEach(function () {
+    server.reset()
+    registry = new CleanupRegistry({ enabled: true, attempts: 2, delay: 0 })
+    registry.startTest()
+
+    deletes = []
+    const clientFor = definition => {
+      const client = createResourceClient({ ...definition, baseUrl: server.baseUrl, cleanup: registry })
+      client.client.setRetryPolicy({ maxAttempts: 1 })
+      client.client.use({ onRequest: context => context.method === 'DELETE' && deletes.push(new URL(context.url).pathname) })
+      return client
+    }
+    usersApi = clientFor(resources.users)
+    postsApi = clientFor(resources.posts)
+    commentsApi = clientFor(resources.comments)
+  })
+
+  /**
+   * Create a user with a post and a comment on it
+   * @returns {Promise<Object>} { user, post, comment }
+   */
+  async function createJourney () {
+    const user = await usersApi.create(generateRandomUser())
+    const post = await postsApi.create(generateRandomPost(user.id))
+    const comment = await commentsApi.create(generateRandomComment(post.id))
+    return { user, post, comment }
+  }
+
+  describe('Registration', function () {
+    it('@integration should register every created resource', async function () {
+      const { user, post, comment } = await createJourney()
+      await postsApi.createRaw(generateRandomPost(user.id))
+
+      expect(registry.pending.map(entry => entry.label)).to.deep.equal([
+        `/users/${user.id}`, `/posts/${post.id}`, `/comments/${comment.id}`, `/posts/${post.id + 1}`
+      ])
+    })
+
+    it('@integration should register nested creates with the client of their collection', async function () {
+      const post = await postsApi.create(generateRandomPost(1))
+      const { body: comment } = await postsApi.request('POST', `/posts/${post.id}/comments`, generateRandomComment(post.id))
+
+      expect(registry.pending.map(entry => entry.label)).to.deep.equal([`/posts/${post.id}`, `/comments/${comment.id}`])
+      expect(registry.pending[1].client).to.equal(commentsApi)
+
+      await registry.endTest()
+      expect(deletes).to.deep.equal([`/comments/${comment.id}`, `/posts/${post.id}`])
+    })
+
+    it('@integration should report nested creates no client can delete as orphans', async function () {
+      const other = new CleanupRegistry({ enabled: true })
+      const postsOnly = createResourceClient({ ...resources.posts, baseUrl: server.baseUrl, cleanup: other })
+
+      const { body: comment } = await postsOnly.request('POST', '/posts/1/comments', generateRandomComment(1))
+
+      expect(other.pending).to.be.empty
+      expect(other.orphans).to.deep.equal([{ label: `/posts/1/comments → ${comment.id}`, reason: 'no client deletes this collection' }])
+    })
+
+    it('@integration should not register other requests', async function () {
+      await postsApi.update(1, generateRandomPost(1))
+      await postsApi.getById(1)
+
+      expect(registry.pending).to.be.empty
+    })
+
+    it('@unit should keep nothing when disabled', function () {
+      const disabled = new CleanupRegistry({ enabled: false })
+      disabled.register(postsApi, { id: 101 })
+
+      expect(disabled.pending).to.be.empty
+    })
+
+    describe('Failed creates', function () {
+      useFaults([
+        { method: 'POST', route: '/posts', status: 500 }
+      ], server)
+
+      it('@integration should not register resources the server did not create', async function () {
+        const result = await postsApi.createRaw(generateRandomPost(1))
+
+        expect(result.status).to.equal(500)
+        expect(registry.pending).to.be.empty
+      })
+    })
+  })
+
+  describe('Deletion', function () {
+    it('@integration should delete children before their parents', async function () {
+      const { user, post, comment } = await createJourney()
+      const otherPost = await postsApi.create(generateRandomPost(1))
+
+      const { deleted, orphans } = await registry.endTest()
+
+      expect(deletes).to.deep.equal([`/posts/${otherPost.id}`, `/comments/${comment.id}`, `/posts/${post.id}`, `/users/${user.id}`])
+      expect(deleted).to.have.lengthOf(4)
+      expect(orphans).to.be.empty
+      expect(server.db.users.find(item => item.id === user.id)).to.be.undefined
+      expect(server.db.comments.find(item => item.id === comment.id)).to.be.undefined
+      expect(registry.pending).to.be.empty
+    })
+
+    it('@integration should treat resources that are already gone as deleted', async function () {
+      const post = await postsApi.create(generateRandomPost(1))
+      await postsApi.delete(post.id)
+
+      const { deleted, orphans } = await registry.endTest()
+
+      expect(deleted).to.deep.equal([`/posts/${post.id}`])
+      expect(orphans).to.be.empty
+    })
+
+    it('@integration should leave resources created outside the test for the end of the run', async function () {
+      registry.inTest = false
+      const setupPost = await postsApi.create(generateRandomPost(1))
+      registry.startTest()
+      const post = await postsApi.create(generateRandomPost(1))
+
+      expect((await registry.endTest()).deleted).to.deep.equal([`/posts/${post.id}`])
+      expect((await registry.cleanup()).deleted).to.deep.equal([`/posts/${setupPost.id}`])
+    })
+  })
+
+  describe('Failed Deletes', function () {
+    describe('Transient failures', function () {
+      useFaults([
+        { method: 'DELETE', route: '/posts/:id', status: 503, times: 1 }
+      ], server)
+
+      it('@integration should retry a failed delete', async function () {
+        const post = await postsApi.create(generateRandomPost(1))
+
+        const { deleted, orphans } = await registry.endTest()
+
+        expect(deletes).to.deep.equal([`/posts/${post.id}`, `/posts/${post.id}`])
+        expect(deleted).to.deep.equal([`/posts/${post.id}`])
+        expect(orphans).to.be.empty
+      })
+    })
+
+    describe('Permanent failures', function () {
+      useFaults([
+        { method: 'DELETE', route: '/posts/:id', status: 500, body: { error: 'Locked' } }
+      ], server)
+
+      it('@integration should report resources it could not delete as orphans', async function () {
+        const post = await postsApi.create(generateRandomPost(1))
+        const comment = await commentsApi.create(generateRandomComment(post.id))
+
+        const { deleted, orphans } = await registry.endTest()
+
+        expect(deleted).to.deep.equal([`/comments/${comment.id}`])
+        expect(orphans).to.deep.equal([{ label: `/posts/${post.id}`, reason: '500 {"error":"Locked"}' }])
+        expect(registry.orphans).to.deep.equal(orphans)
+        expect(server.db.posts.find(item => item.id === post.id)).to.exist
+      })
+    })
+  })
+})
@@ -0,0 +1,99 @@
+const { Factory, userFactory, postFactory, commentFactory } = require('../factories')
+const { cleanupRegistry } = require('../utils/cleanup-registry')
+const { testHelpers } = require('../utils/test-helpers')
+
+describe('Entity Factories', function () {
+  before(function () {
+    testHelpers.logTestStep('Initializing Entity Factory Tests')
+  })
+
+  describe('Building', function () {
+    it('@unit should build schema-valid payloads', function () {
+      const user = userFactory.build({ locale: 'en_US' })
+      const post = postFactory.build()
+
+      expect({ id: 1, ...user }).to.matchSchema('user')
+      expect({ id: 1, ...post }).to.matchSchema('post')
+      expect(commentFactory.build()).to.include.all.keys('name', 'email', 'body', 'postId')
+    })
+
+    it('@unit should apply traits in order, then overrides', function () {
+      const user = userFactory.build({ traits: ['withoutCompany', 'longName'], website: 'example.org' })
+
+      expect(user).to.not.have.property('company')
+      expect(user.name).to.have.lengthOf(100)
+      expect(user.website).to.equal('example.org')
+      expect(userFactory.build({ traits: ['minimal'] })).to.have.all.keys('name', 'username', 'email')
+      expect(postFactory.build({ traits: ['longTitle'], userId: 7 }).userId).to.equal(7)
+    })
+
+    it('@unit should reject unknown traits', function () {
+      expect(() => userFactory.build({ traits: ['withoutCompany', 'admin'] }))
+        .to.throw('Unknown user trait(s): admin, expected one of: withoutCompany, withoutAddress, longName, minimal')
+    })
+
+    it('@unit should keep usernames and emails unique with sequences', function () {
+      const users = userFactory.buildList(25)
+      const comments = commentFactory.buildList(25)
+
+      expect(users).to.have.lengthOf(25)
+      expect(new Set(users.map(user => user.username)).size).to.equal(25)
+      expect(new Set(users.map(user => user.email)).size).to.equal(25)
+      expect(new Set(comments.map(comment => comment.email)).size).to.equal(25)
+    })
+
+    it('@unit should build data in the requested locale', function () {
+      const user = userFactory.build({ locale: 'ru_RU' })
+
+      expect(user.name).to.match(/\p{Script=Cyrillic}/u)
+      expect(user.address.zipcode).to.match(/^\d{6}$/)
+    })
+
+    it('@unit should number sequences per factory', function () {
+      const factory = new Factory({ name: 'tag', attributes: ({ sequence }) => ({ label: `tag-${sequence}` }) })
+
+      expect(factory.buildList(2).map(tag => tag.label)).to.deep.equal(['tag-1', 'tag-2'])
+      factory.resetSequence()
+      expect(factory.build().label).to.equal('tag-1')
+    })
+  })
+
+  describe('Creating', function () {
+    // The created chain is read back from the cleanup registry
+    beforeEach(function () {
+      if (!cleanupRegistry.enabled) {
+        this.skip()
+      }
+    })
+
+    it('@integration should create an entity through its API client', async function () {
+      const user = await userFactory.create({ traits: ['withoutCompany'] })
+
+      expect(user.id).to.be.a('number')
+      expect(user).to.not.have.property('company')
+    })
+
+    it('@integration should create the post and user a comment belongs to', async function () {
+      testHelpers.logTestStep('Creating comment with its associations: User → Post → Comment')
+      const comment = await commentFactory.create()
+
+      const created = cleanupRegistry.pending.map(entry => entry.client.schema)
+      expect(created).to.deep.equal(['user', 'post', 'comment'])
+
+      const post = cleanupRegistry.pending[1].resource
+      const user = cleanupRegistry.pending[0].resource
+      expect(comment.postId).to.equal(post.id)
+      expect(post.userId).to.equal(user.id)
+
+      testHelpers.logTestStep(`✅ Created chain: User ${user.id} → Post ${post.id} → Comment ${comment.id}`)
+    })
+
+    it('@integration should reuse a parent given by id', async function () {
+      const comments = await commentFactory.createList(2, { postId: 1, traits: ['taggedEmail'] })
+
+      expect(comments.map(comment => comment.postId)).to.deep.equal([1, 1])
+      expect(comments[0].email).to.include('+tests@')
+      expect(cleanupRegistry.pending.map(entry => entry.client.schema)).to.deep.equal(['comment', 'comment'])
+    })
+  })
+})
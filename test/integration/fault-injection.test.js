@@ -0,0 +1,106 @@
+const { useStandaloneServer, useFaults } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { TimeoutError, ConnectionError, ParseError } = require('../utils/http-errors')
+const { retry } = require('../utils/test-helpers')
+
+describe('Mock Server Fault Injection', function () {
+  const server = useStandaloneServer('mock server for fault injection')
+  let client
+
+  before(function () {
+    client = new HttpClient(server.baseUrl)
+    client.timeout = 200
+    client.setRetryPolicy({ maxAttempts: 1 })
+  })
+
+  after(function () {
+    server.faults.clear()
+  })
+
+  describe('Latency', function () {
+    useFaults([
+      { method: 'GET', route: '/users/:id', delay: 50 },
+      { method: 'GET', route: '/posts/:id', delay: { min: 400, max: 500 } }
+    ], server)
+
+    it('@integration should delay matching responses', async function () {
+      const response = await client.get('/users/1')
+
+      expect(response.status).to.equal(200)
+      expect(response.duration).to.be.at.least(50)
+    })
+
+    it('@integration should trigger the client timeout handling', async function () {
+      try {
+        await client.get('/posts/1')
+        expect.fail('Request should have timed out')
+      } catch (error) {
+        expect(error).to.be.instanceOf(TimeoutError)
+        expect(error.reason).to.equal('Request timeout after 200ms (deadline)')
+      }
+    })
+
+    it('@integration should not affect other routes', async function () {
+      const response = await client.get('/comments/1')
+
+      expect(response.body.id).to.equal(1)
+    })
+  })
+
+  describe('Server Errors', function () {
+    const faults = useFaults([
+      { method: 'GET', route: '/posts/:id', status: 503, times: 2 }
+    ], server)
+
+    it('@integration should recover through retry() after transient 5xx responses', async function () {
+      const response = await retry(() => client.get('/posts/1'), 3, 10)
+
+      expect(response.status).to.equal(200)
+      expect(faults[0].hits).to.equal(2)
+    })
+  })
+
+  describe('Broken Responses', function () {
+    useFaults([
+      { method: 'GET', route: '/users/:id', drop: true },
+      { method: 'GET', route: '/posts/:id', truncate: true },
+      { method: 'GET', route: '/comments/:id', contentType: 'text/html' }
+    ], server)
+
+    it('@integration should surface dropped connections as network errors', async function () {
+      try {
+        await client.get('/users/1')
+        expect.fail('Request should have failed')
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConnectionError)
+        expect(error.message).to.match(/^Network error:/)
+      }
+    })
+
+    it('@integration should fail to parse truncated bodies', async function () {
+      try {
+        await client.get('/posts/1')
+        expect.fail('Request should have failed')
+      } catch (error) {
+        expect(error).to.be.instanceOf(ParseError)
+        expect(error.message).to.include('JSON')
+      }
+    })
+
+    it('@integration should serve the wrong content type', async function () {
+      const response = await client.get('/comments/1')
+
+      expect(response.headers['content-type']).to.equal('text/html')
+    })
+  })
+
+  describe('Fault Registry', function () {
+    it('@integration should reject unknown fault options', function () {
+      expect(() => server.faults.add({ route: '/posts', latency: 100 })).to.throw('Unknown fault option(s): latency')
+    })
+
+    it('@integration should reject faults without an effect', function () {
+      expect(() => server.faults.add({ route: '/posts' })).to.throw(/at least one of/)
+    })
+  })
+})
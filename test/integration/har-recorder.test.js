@@ -0,0 +1,122 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { useStandaloneServer, useFaults } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { HarRecorder } = require('../utils/har-recorder')
+
+describe('HAR Recorder', function () {
+  const server = useStandaloneServer('mock server for HAR recording')
+  const outputDir = path.join(os.tmpdir(), `har-recorder-${process.pid}`)
+  let client
+  let recorder
+
+  beforeEach(function () {
+    server.reset()
+    recorder = new HarRecorder({ outputDir })
+    client = new HttpClient(server.baseUrl)
+    client.setRetryPolicy({ maxAttempts: 1 })
+    client.use(recorder.interceptor())
+  })
+
+  after(function () {
+    fs.rmSync(outputDir, { recursive: true, force: true })
+  })
+
+  describe('Entries', function () {
+    it('@integration should record request and response details', async function () {
+      recorder.startPage('creates a post')
+      const postData = { title: 'HAR', body: 'Recorded body', userId: 1 }
+
+      await client.post('/posts?source=test', postData)
+
+      const har = recorder.toHar()
+      const [entry] = har.log.entries
+      expect(har.log.version).to.equal('1.2')
+      expect(har.log.pages).to.have.length(1)
+      expect(entry.pageref).to.equal(har.log.pages[0].id)
+      expect(entry.request.method).to.equal('POST')
+      expect(entry.request.url).to.equal(`${server.baseUrl}/posts?source=test`)
+      expect(entry.request.queryString).to.deep.equal([{ name: 'source', value: 'test' }])
+      expect(JSON.parse(entry.request.postData.text)).to.deep.equal(postData)
+      expect(entry.response.status).to.equal(201)
+      expect(entry.response.content.mimeType).to.include('application/json')
+      expect(JSON.parse(entry.response.content.text)).to.include(postData)
+      expect(entry.time).to.be.a('number')
+    })
+
+    it('@integration should redact secret headers', async function () {
+      client.setAuthToken('super-secret')
+
+      await client.get('/posts/1')
+
+      const authorization = recorder.entries[0].request.headers.find(header => header.name === 'Authorization')
+      expect(authorization.value).to.equal('[REDACTED]')
+    })
+
+    it('@integration should redact secret query parameters', async function () {
+      client.setAuth({ type: 'apiKey', name: 'api_key', value: 'super-secret', in: 'query' })
+
+      await client.get('/posts/1?source=test')
+
+      const { request } = recorder.entries[0]
+      expect(request.queryString).to.deep.equal([{ name: 'source', value: 'test' }, { name: 'api_key', value: '[REDACTED]' }])
+      expect(request.url).to.equal(`${server.baseUrl}/posts/1?source=test&api_key=%5BREDACTED%5D`)
+      expect(JSON.stringify(recorder.entries)).to.not.include('super-secret')
+    })
+
+    it('@integration should record error responses', async function () {
+      try {
+        await client.get('/posts/9999')
+      } catch (error) {
+        // Expected 404
+      }
+
+      expect(recorder.entries[0].response.status).to.equal(404)
+      expect(recorder.entries[0]._error).to.equal('Not Found')
+    })
+  })
+
+  describe('Network Failures', function () {
+    useFaults([{ method: 'GET', route: '/users/1', drop: true }], server)
+
+    it('@integration should record calls that got no response', async function () {
+      try {
+        await client.get('/users/1')
+      } catch (error) {
+        // Expected network error
+      }
+
+      expect(recorder.entries[0].response.status).to.equal(0)
+      expect(recorder.entries[0]._error).to.equal('socket hang up')
+    })
+  })
+
+  describe('Files', function () {
+    it('@integration should write one file per page', async function () {
+      recorder.startPage('Posts API reads a post', 'Posts API')
+      await client.get('/posts/1')
+
+      const filePath = recorder.saveCurrentPage()
+
+      expect(path.basename(filePath)).to.equal('posts-api-reads-a-post.har')
+      const har = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      expect(har.log.entries).to.have.length(1)
+    })
+
+    it('@integration should write one file per suite', async function () {
+      recorder.startPage('Posts API reads a post', 'Posts API')
+      await client.get('/posts/1')
+      recorder.startPage('Posts API reads comments', 'Posts API')
+      await client.get('/posts/1/comments')
+      recorder.startPage('Users API reads nothing', 'Users API')
+
+      const filePaths = recorder.saveGroups()
+
+      expect(filePaths.map(filePath => path.basename(filePath))).to.deep.equal(['posts-api.har'])
+      const har = JSON.parse(fs.readFileSync(filePaths[0], 'utf8'))
+      expect(har.log.pages).to.have.length(2)
+      expect(har.log.entries).to.have.length(2)
+    })
+  })
+})
@@ -0,0 +1,125 @@
+const { useStandaloneServer, useFaults } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { expectFailure } = require('../utils/test-helpers')
+const {
+  HttpClientError,
+  HttpStatusError,
+  TimeoutError,
+  ConnectionError,
+  ParseError
+} = require('../utils/http-errors')
+
+describe('HttpClient Typed Errors', function () {
+  const server = useStandaloneServer('mock server for typed errors')
+  let client
+
+  beforeEach(function () {
+    server.reset()
+    client = new HttpClient(server.baseUrl)
+    client.timeout = 200
+    client.setRetryPolicy({ maxAttempts: 1 })
+  })
+
+  after(function () {
+    server.faults.clear()
+  })
+
+  describe('HttpStatusError', function () {
+    useFaults([
+      { method: 'GET', route: '/posts/1', status: 503 }
+    ], server)
+
+    it('@integration should carry the response and the request details', async function () {
+      const error = await expectFailure(() => client.get('/posts/9999'), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(HttpStatusError).and.instanceOf(HttpClientError)
+      expect(error.name).to.equal('HttpStatusError')
+      expect(error.kind).to.equal('status')
+      expect(error.status).to.equal(404)
+      expect(error.response.status).to.equal(404)
+      expect(error.method).to.equal('GET')
+      expect(error.url).to.equal(`${server.baseUrl}/posts/9999`)
+      expect(error.attempts).to.equal(1)
+      expect(error.duration).to.be.a('number')
+      expect(error.message).to.match(new RegExp(`^404 Not Found \\[GET ${server.baseUrl}/posts/9999, 1 attempt, \\d+ms\\]$`))
+    })
+
+    it('@integration should count the attempts of the retry policy', async function () {
+      client.setRetryPolicy({ maxAttempts: 3, baseDelay: 5, jitter: false })
+
+      const error = await expectFailure(() => client.get('/posts/1'), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(HttpStatusError)
+      expect(error.attempts).to.equal(3)
+      expect(error.retries).to.have.length(2)
+      expect(error.message).to.include('3 attempts')
+    })
+
+    it('@integration should type responses answered by an interceptor', async function () {
+      client.use({ onRequest: context => { context.response = { status: 401, body: {} } } })
+
+      const error = await expectFailure(() => client.get('/users/1'), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(HttpStatusError)
+      expect(error.reason).to.equal('401 Unauthorized')
+    })
+  })
+
+  describe('TimeoutError', function () {
+    useFaults([
+      { method: 'GET', route: '/posts/:id', delay: 400 }
+    ], server)
+
+    it('@integration should report a deadline timeout', async function () {
+      const error = await expectFailure(() => client.get('/posts/1'), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(TimeoutError)
+      expect(error.kind).to.equal('timeout')
+      expect(error.phase).to.equal('deadline')
+      expect(error.timeout).to.equal(200)
+      expect(error.duration).to.be.at.least(200)
+    })
+
+    it('@integration should report a response timeout', async function () {
+      client.timeout = { response: 100, deadline: 1000 }
+
+      const error = await expectFailure(() => client.get('/posts/1'), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(TimeoutError)
+      expect(error.phase).to.equal('response')
+      expect(error.reason).to.equal('Request timeout after 100ms (response)')
+    })
+  })
+
+  describe('ConnectionError', function () {
+    useFaults([
+      { method: 'GET', route: '/users/:id', drop: true }
+    ], server)
+
+    it('@integration should carry the errno of dropped connections', async function () {
+      const error = await expectFailure(() => client.get('/users/1'), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(ConnectionError)
+      expect(error.kind).to.equal('network')
+      expect(error.errno).to.equal('ECONNRESET')
+      expect(error.reason).to.equal('Network error: socket hang up (ECONNRESET)')
+      expect(error.cause.message).to.equal('socket hang up')
+    })
+  })
+
+  describe('ParseError', function () {
+    useFaults([
+      { method: 'GET', route: '/posts/:id', truncate: true }
+    ], server)
+
+    it('@integration should keep the status and the unparsable body', async function () {
+      const error = await expectFailure(() => client.get('/posts/1'), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(ParseError)
+      expect(error.kind).to.equal('parse')
+      expect(error.status).to.equal(200)
+      expect(error.body).to.be.a('string').that.matches(/^\{/)
+      expect(error.cause).to.be.instanceOf(SyntaxError)
+    })
+  })
+})
@@ -0,0 +1,141 @@
+const { useStandaloneServer } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { testHelpers } = require('../utils/test-helpers')
+const {
+  loggingInterceptor,
+  correlationIdInterceptor,
+  rewriteUrlInterceptor
+} = require('../utils/interceptors')
+
+describe('HttpClient Interceptors', function () {
+  const server = useStandaloneServer('mock server for interceptors')
+  let client
+
+  beforeEach(function () {
+    server.reset()
+    client = new HttpClient(server.baseUrl)
+    client.setRetryPolicy({ maxAttempts: 1 })
+  })
+
+  describe('Pipeline', function () {
+    it('@integration should run hooks in registration order', async function () {
+      const calls = []
+      client.use({
+        onRequest: () => calls.push('first:request'),
+        onResponse: () => calls.push('first:response')
+      })
+      client.use({
+        onRequest: () => calls.push('second:request'),
+        onResponse: () => calls.push('second:response')
+      })
+
+      await client.get('/posts/1')
+
+      expect(calls).to.deep.equal(['first:request', 'second:request', 'first:response', 'second:response'])
+    })
+
+    it('@integration should keep timing as a default interceptor', async function () {
+      let durationSeenByInterceptor
+      client.use({ onResponse: response => { durationSeenByInterceptor = response.duration } })
+
+      const response = await client.get('/posts/1')
+
+      expect(response.duration).to.be.a('number')
+      expect(durationSeenByInterceptor).to.equal(response.duration)
+    })
+
+    it('@integration should let onResponse replace the response', async function () {
+      client.use({ onResponse: response => ({ ...response, body: { replaced: true }, status: response.status }) })
+
+      const response = await client.get('/posts/1')
+
+      expect(response.body).to.deep.equal({ replaced: true })
+    })
+
+    it('@integration should let onError recover with a response', async function () {
+      client.use({
+        onError: error => (error.response && error.response.status === 404 ? { status: 404, body: null } : undefined)
+      })
+
+      const response = await client.get('/posts/9999')
+
+      expect(response.status).to.equal(404)
+      expect(response.body).to.be.null
+    })
+
+    it('@integration should pass errors thrown by onError through unchanged', async function () {
+      client.use({ onError: () => { throw new TypeError('Replaced by interceptor') } })
+
+      try {
+        await client.get('/posts/9999')
+        expect.fail('Replacement error should be thrown')
+      } catch (error) {
+        expect(error).to.be.instanceOf(TypeError)
+        expect(error.message).to.equal('Replaced by interceptor')
+      }
+    })
+
+    it('@integration should stop running an interceptor once removed', async function () {
+      const seen = []
+      const remove = client.use({ onRequest: context => seen.push(context.endpoint) })
+
+      await client.get('/posts/1')
+      remove()
+      await client.get('/posts/2')
+
+      expect(seen).to.deep.equal(['/posts/1'])
+    })
+  })
+
+  describe('Global Interceptors', function () {
+    it('@integration should apply to every client until removed', async function () {
+      const seen = []
+      const remove = HttpClient.use({ onRequest: context => seen.push(context.url) })
+
+      try {
+        await client.get('/posts/1')
+        await new HttpClient(server.baseUrl).get('/users/1')
+      } finally {
+        remove()
+      }
+      await client.get('/comments/1')
+
+      expect(seen).to.deep.equal([`${server.baseUrl}/posts/1`, `${server.baseUrl}/users/1`])
+    })
+  })
+
+  describe('Built-in Interceptors', function () {
+    it('@integration should add a correlation id header', async function () {
+      client.use(correlationIdInterceptor('X-Request-Id'))
+
+      const response = await client.get('/posts/1')
+
+      expect(response.req.getHeader('x-request-id')).to.match(/^test-run-/)
+    })
+
+    it('@integration should rewrite request URLs', async function () {
+      const unreachable = new HttpClient('http://api.invalid')
+      unreachable.use(rewriteUrlInterceptor('http://api.invalid', server.baseUrl))
+
+      const response = await unreachable.get('/users/1')
+
+      expect(response.body.id).to.equal(1)
+    })
+
+    it('@integration should log calls through testHelpers.logApiCall', async function () {
+      const logged = []
+      const originalLogApiCall = testHelpers.logApiCall
+      testHelpers.logApiCall = (...args) => logged.push(args)
+      client.use(loggingInterceptor())
+
+      try {
+        await client.get('/posts/1')
+      } finally {
+        testHelpers.logApiCall = originalLogApiCall
+      }
+
+      expect(logged).to.have.length(1)
+      expect(logged[0].slice(0, 3)).to.deep.equal(['GET', `${server.baseUrl}/posts/1`, 200])
+    })
+  })
+})
@@ -0,0 +1,217 @@
+const { useStandaloneServer, useValidation } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { generateRandomPost, generateRandomComment } = require('../utils/data-generators')
+const { expectFailure } = require('../utils/test-helpers')
+
+describe('Mock JSONPlaceholder Server', function () {
+  const server = useStandaloneServer('mock server')
+  let client
+
+  before(function () {
+    client = new HttpClient(server.baseUrl)
+  })
+
+  beforeEach(function () {
+    server.reset()
+  })
+
+  describe('Seed Data', function () {
+    it('@integration should serve JSONPlaceholder sized collections', async function () {
+      const users = await client.get('/users')
+      const posts = await client.get('/posts')
+      const comments = await client.get('/comments')
+      const albums = await client.get('/albums')
+      const photos = await client.get('/photos')
+      const todos = await client.get('/todos')
+
+      expect(users.body).to.have.length(10)
+      expect(posts.body).to.have.length(100)
+      expect(comments.body).to.have.length(500)
+      expect(albums.body).to.have.length(100)
+      expect(photos.body).to.have.length(5000)
+      expect(todos.body).to.have.length(200)
+    })
+
+    it('@integration should serve nested routes', async function () {
+      const userPosts = await client.get('/users/1/posts')
+      const postComments = await client.get('/posts/1/comments')
+
+      expect(userPosts.body).to.have.length(10)
+      userPosts.body.forEach(post => expect(post.userId).to.equal(1))
+      expect(postComments.body).to.have.length(5)
+      postComments.body.forEach(comment => expect(comment.postId).to.equal(1))
+    })
+  })
+
+  describe('State', function () {
+    it('@integration should return created resources from later requests', async function () {
+      const created = await client.post('/posts', generateRandomPost(3))
+      expect(created.status).to.equal(201)
+
+      const fetched = await client.get(`/posts/${created.body.id}`)
+      expect(fetched.body).to.deep.equal(created.body)
+
+      const userPosts = await client.get('/users/3/posts')
+      expect(userPosts.body.map(post => post.id)).to.include(created.body.id)
+    })
+
+    it('@integration should set the parent id when posting to a nested route', async function () {
+      const created = await client.post('/posts/7/comments', generateRandomComment(1))
+
+      expect(created.body.postId).to.equal(7)
+      const comments = await client.get('/comments?postId=7')
+      expect(comments.body).to.have.length(6)
+    })
+
+    it('@integration should apply updates and deletes', async function () {
+      await client.patch('/posts/1', { title: 'Patched' })
+      expect((await client.get('/posts/1')).body.title).to.equal('Patched')
+
+      await client.delete('/posts/1')
+      try {
+        await client.get('/posts/1')
+        expect.fail('Deleted post should not be found')
+      } catch (error) {
+        expect(error.response.status).to.equal(404)
+      }
+    })
+
+    it('@integration should restore seed data on reset', async function () {
+      await client.delete('/users/1')
+      server.reset()
+
+      const user = await client.get('/users/1')
+      expect(user.body.name).to.equal('Leanne Graham')
+    })
+  })
+
+  describe('Query Parameters', function () {
+    it('@integration should paginate with total count and link headers', async function () {
+      const response = await client.get('/posts?_page=2&_limit=5')
+
+      expect(response.body.map(post => post.id)).to.deep.equal([6, 7, 8, 9, 10])
+      expect(response.headers['x-total-count']).to.equal('100')
+      expect(response.headers.link).to.include('rel="next"').and.include('rel="prev"')
+    })
+
+    it('@integration should sort descending', async function () {
+      const response = await client.get('/comments?postId=2&_sort=id&_order=desc')
+
+      expect(response.body.map(comment => comment.id)).to.deep.equal([10, 9, 8, 7, 6])
+    })
+
+    it('@integration should sort strings by code point like json-server', async function () {
+      for (const title of ['cherry', 'apple', 'Banana']) {
+        await client.post('/posts', { title, body: 'sorted', userId: 99 })
+      }
+
+      const response = await client.get('/posts?userId=99&_sort=title')
+
+      expect(response.body.map(post => post.title)).to.deep.equal(['Banana', 'apple', 'cherry'])
+    })
+
+    it('@integration should filter with _gte, _lte, _ne and _like', async function () {
+      const range = await client.get('/posts?id_gte=10&id_lte=14&id_ne=12')
+      const like = await client.get('/users?username_like=^k')
+
+      expect(range.body.map(post => post.id)).to.deep.equal([10, 11, 13, 14])
+      expect(like.body.map(user => user.username)).to.deep.equal(['Karianne', 'Kamren'])
+    })
+
+    it('@integration should search all fields with q', async function () {
+      const response = await client.get(`/users?q=${encodeURIComponent('south CHRISTY')}`)
+
+      expect(response.body.map(user => user.id)).to.deep.equal([6])
+    })
+
+    it('@integration should embed children and expand parents', async function () {
+      const posts = await client.get('/posts?id=1&_embed=comments&_expand=user&_embed=likes')
+      const [post] = posts.body
+
+      expect(post.comments).to.have.length(5)
+      expect(post.user.id).to.equal(post.userId)
+      expect(post).to.not.have.property('likes')
+      expect(server.db.posts[0]).to.not.have.property('comments')
+    })
+  })
+
+  describe('Errors', function () {
+    it('@integration should answer 404 for unknown routes', async function () {
+      try {
+        await client.get('/unknown')
+        expect.fail('Unknown route should not be found')
+      } catch (error) {
+        expect(error.response.status).to.equal(404)
+      }
+    })
+
+    it('@integration should answer 500 when a route throws', async function () {
+      server.handleItem = () => {
+        throw new Error('Route failed')
+      }
+
+      try {
+        await client.get('/posts/1')
+        expect.fail('Failing route should answer 500')
+      } catch (error) {
+        expect(error.response.status).to.equal(500)
+        expect(error.response.body).to.deep.equal({ error: 'Route failed' })
+      } finally {
+        delete server.handleItem
+      }
+    })
+
+    it('@integration should cut the connection when a route throws after starting its response', async function () {
+      server.handleItem = (method, resource, id, body, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.write('{"id":')
+        throw new Error('Route failed')
+      }
+      const once = new HttpClient(server.baseUrl)
+      once.setRetryPolicy({ maxAttempts: 1 })
+
+      try {
+        const error = await expectFailure(() => once.get('/posts/1'), 'Cut response should fail')
+        expect(error.response).to.be.undefined
+      } finally {
+        delete server.handleItem
+      }
+
+      const response = await client.get('/posts/1')
+      expect(response.status).to.equal(200)
+    })
+  })
+
+  describe('Validation', function () {
+    it('@integration should accept any body by default, like JSONPlaceholder', async function () {
+      const created = await client.post('/posts', { title: '' })
+
+      expect(created.status).to.equal(201)
+    })
+
+    describe('when enabled', function () {
+      useValidation(server)
+
+      it('@integration should reject invalid resources with their violations', async function () {
+        try {
+          await client.post('/posts', { ...generateRandomPost(1), title: '', extra: true })
+          expect.fail('Invalid post should be rejected')
+        } catch (error) {
+          expect(error.response.status).to.equal(400)
+          expect(error.response.body.error).to.equal('Invalid post')
+          expect(error.response.body.violations.map(violation => violation.path)).to.have.members(['/title', '/extra'])
+        }
+        expect(server.db.posts).to.have.length(100)
+      })
+
+      it('@integration should validate nested creates with the parent id set', async function () {
+        const comment = generateRandomComment(1)
+        delete comment.postId
+        const created = await client.post('/posts/7/comments', comment)
+
+        expect(created.status).to.equal(201)
+        expect(created.body.postId).to.equal(7)
+      })
+    })
+  })
+})
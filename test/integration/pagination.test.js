@@ -0,0 +1,119 @@
+const { useStandaloneServer } = require('../mock-server')
+const { createResourceClient } = require('../api-clients/resource-client')
+const resources = require('../api-clients/resources')
+
+describe('Pagination Iterator', function () {
+  const server = useStandaloneServer('mock server for pagination')
+  let postsApi
+
+  /**
+   * Collect everything an async iterator yields
+   * @param {AsyncIterable} iterable - Iterator
+   * @returns {Promise<Array>} Items
+   */
+  async function collect (iterable) {
+    const items = []
+    for await (const item of iterable) {
+      items.push(item)
+    }
+    return items
+  }
+
+  beforeEach(function () {
+    server.reset()
+    postsApi = createResourceClient({ ...resources.posts, baseUrl: server.baseUrl })
+  })
+
+  describe('Iteration', function () {
+    it('@integration should walk every page of a collection', async function () {
+      const requested = []
+      postsApi.client.use({ onRequest: context => requested.push(context.endpoint) })
+
+      const posts = await collect(postsApi.paginate({ limit: 30 }))
+
+      expect(posts.map(post => post.id)).to.deep.equal(Array.from({ length: 100 }, (_, index) => index + 1))
+      expect(requested).to.deep.equal([1, 2, 3, 4].map(page => `/posts?_page=${page}&_limit=30`))
+    })
+
+    it('@integration should keep the filters of a query', async function () {
+      const posts = await collect(postsApi.query().where('userId', 2).sort('id', 'desc').paginate({ limit: 3 }))
+
+      expect(posts.map(post => post.id)).to.deep.equal([20, 19, 18, 17, 16, 15, 14, 13, 12, 11])
+    })
+
+    it('@integration should stop requesting pages when the loop breaks', async function () {
+      let requests = 0
+      postsApi.client.use({ onRequest: () => { requests += 1 } })
+
+      for await (const post of postsApi.paginate({ limit: 10 })) {
+        if (post.id === 15) {
+          break
+        }
+      }
+
+      expect(requests).to.equal(2)
+    })
+
+    it('@integration should end on an empty collection', async function () {
+      const posts = await collect(postsApi.query().where('userId', 999).paginate())
+
+      expect(posts).to.be.empty
+    })
+
+    it('@integration should refuse queries that already select a page', async function () {
+      await collect(postsApi.query().page(2, 5).paginate()).then(
+        () => expect.fail('Paginating a single page should fail'),
+        error => expect(error.message).to.include('paginate() requests the pages itself')
+      )
+    })
+  })
+
+  describe('Consistency Checks', function () {
+    it('@integration should fail when an item repeats across pages', async function () {
+      // Simulate a server that ignores the page number
+      postsApi.pageQuery = (page, limit) => ({ _page: 1, _limit: limit })
+
+      await collect(postsApi.paginate({ limit: 50 })).then(
+        () => expect.fail('Repeated items should fail the iteration'),
+        error => expect(error.message).to.include('/posts: item id=1 on page 2 was already returned on page 1')
+      )
+    })
+
+    it('@integration should fail when an item goes missing', async function () {
+      postsApi.client.use({
+        onResponse: (response, context) => {
+          if (context.endpoint.includes('_page=2')) {
+            response.body = response.body.slice(1)
+          }
+        }
+      })
+
+      await collect(postsApi.paginate({ limit: 40 })).then(
+        () => expect.fail('Missing items should fail the iteration'),
+        error => expect(error.message).to.include('/posts: items returned over 3 page(s) (announced total 100)')
+      )
+    })
+
+    it('@integration should fail when the total changes between pages', async function () {
+      postsApi.client.use({
+        onResponse: (response, context) => {
+          if (context.endpoint.includes('_page=1')) {
+            server.db.posts.pop()
+          }
+        }
+      })
+
+      await collect(postsApi.paginate({ limit: 60 })).then(
+        () => expect.fail('A changing total should fail the iteration'),
+        error => expect(error.message).to.include('/posts: total announced on page 2')
+      )
+    })
+
+    it('@integration should give up after maxPages', async function () {
+      await collect(postsApi.paginate({ limit: 10, maxPages: 3 })).then(
+        () => expect.fail('Too many pages should fail the iteration'),
+        error => expect(error.message).to.include('/posts: pages requested')
+      )
+    })
+  })
+})
@@ -0,0 +1,95 @@
+const { useStandaloneServer } = require('../mock-server')
+const { createResourceClient } = require('../api-clients/resource-client')
+const resources = require('../api-clients/resources')
+
+describe('Query Builder', function () {
+  const server = useStandaloneServer('mock server for the query builder')
+  let usersApi
+  let postsClient
+  let commentsApi
+
+  before(function () {
+    usersApi = createResourceClient({ ...resources.users, baseUrl: server.baseUrl })
+    postsClient = createResourceClient({ ...resources.posts, baseUrl: server.baseUrl })
+    commentsApi = createResourceClient({ ...resources.comments, baseUrl: server.baseUrl })
+  })
+
+  beforeEach(function () {
+    server.reset()
+  })
+
+  describe('Filters', function () {
+    it('@integration should combine equality and range filters', async function () {
+      const posts = await postsClient.query().where('userId', [1, 2]).where('id', 'gte', 5).where('id', 'lte', 15).fetch()
+
+      expect(posts.map(post => post.id)).to.deep.equal([5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15])
+    })
+
+    it('@integration should exclude values with ne', async function () {
+      const comments = await commentsApi.query().where('postId', 1).where('id', 'ne', [2, 4]).fetch()
+
+      expect(comments.map(comment => comment.id)).to.deep.equal([1, 3, 5])
+    })
+
+    it('@integration should match patterns with like and nested fields', async function () {
+      const users = await usersApi.query().where('address.city', 'like', 'bury$').fetch()
+
+      expect(users.map(user => user.address.city)).to.deep.equal(['Bartholomebury', 'Lebsackbury'])
+    })
+
+    it('@integration should search every field with q', async function () {
+      const users = await usersApi.query().search('romaguera').fetch()
+
+      expect(users.map(user => user.id)).to.deep.equal([1, 3])
+    })
+
+    it('@integration should fail when the data does not satisfy a filter', async function () {
+      // Simulate a server that ignores the filter
+      server.db.posts.find(post => post.id === 2).userId = 3
+      const query = postsClient.query().where('userId', 1)
+      query.toParams = () => ({ id: [1, 2] })
+
+      await query.fetch().then(
+        () => expect.fail('Unfiltered data should fail the query'),
+        error => expect(error.message).to.include('userId of item 1 (id 2)')
+      )
+    })
+  })
+
+  describe('Sorting and Pagination', function () {
+    it('@integration should sort by several fields', async function () {
+      const posts = await postsClient.query().where('id', 'lte', 20).sort('userId', 'desc').sort('id', 'asc').fetch()
+
+      expect(posts.map(post => post.id)).to.deep.equal([11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10])
+    })
+
+    it('@integration should fetch a page, a range or a limited list', async function () {
+      const page = await postsClient.query().page(3, 4).fetch()
+      const range = await postsClient.query().slice(10, 13).fetch()
+      const limited = await postsClient.query().sort('id', 'desc').limit(2).fetch()
+
+      expect(page.map(post => post.id)).to.deep.equal([9, 10, 11, 12])
+      expect(range.map(post => post.id)).to.deep.equal([11, 12, 13])
+      expect(limited.map(post => post.id)).to.deep.equal([100, 99])
+    })
+  })
+
+  describe('Relations', function () {
+    it('@integration should embed children and expand parents', async function () {
+      const posts = await postsClient.query().where('userId', 1).page(1, 3).embed('comments').expand('user').fetch()
+
+      expect(posts).to.have.length(3)
+      posts.forEach(post => {
+        expect(post.comments).to.have.length(5)
+        expect(post.user.username).to.equal('Bret')
+      })
+    })
+
+    it('@integration should keep the contract check for joined responses', async function () {
+      const result = await usersApi.query().where('id', 1).embed('albums').fetchRaw()
+
+      expect(result.contractError).to.be.undefined
+      expect(result.body[0].albums).to.have.length(10)
+    })
+  })
+})
@@ -0,0 +1,129 @@
+const { Suite, Test } = require('mocha')
+const { useStandaloneServer } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { HttpClientError, ReadOnlyError } = require('../utils/http-errors')
+const { isAllowed, skipBlockedMutations, skipBlockedMutationsIn, suiteHooks } = require('../utils/read-only-guard')
+const { expectFailure } = require('../utils/test-helpers')
+
+describe('Read-Only Safety Mode', function () {
+  const server = useStandaloneServer('mock server for read-only mode')
+  const policy = { readOnly: true, allowlist: ['POST /posts/:id/comments'] }
+  let client
+
+  beforeEach(function () {
+    server.reset()
+    client = new HttpClient(server.baseUrl)
+    client.setSafetyPolicy(policy)
+  })
+
+  describe('Policy', function () {
+    it('@unit should only restrict mutating methods outside the allowlist', function () {
+      expect(isAllowed(policy, 'get', 'http://api.test/posts')).to.be.true
+      expect(isAllowed(policy, 'HEAD', 'http://api.test/posts')).to.be.true
+      expect(isAllowed(policy, 'POST', 'http://api.test/posts/3/comments')).to.be.true
+      expect(isAllowed(policy, 'POST', 'http://api.test/posts')).to.be.false
+      expect(isAllowed(policy, 'PUT', 'http://api.test/posts/3/comments')).to.be.false
+      expect(isAllowed({ readOnly: false, allowlist: [] }, 'DELETE', 'http://api.test/posts/1')).to.be.true
+    })
+  })
+
+  describe('HttpClient', function () {
+    it('@integration should send reads as usual', async function () {
+      const response = await client.get('/posts/1')
+
+      expect(response.status).to.equal(200)
+    })
+
+    it('@integration should block mutations before they reach the server', async function () {
+      const before = server.db.posts.length
+      const error = await expectFailure(() => client.post('/posts', { title: 'blocked', body: 'blocked', userId: 1 }), 'Request should have failed')
+
+      expect(error).to.be.instanceOf(ReadOnlyError).and.instanceOf(HttpClientError)
+      expect(error.kind).to.equal('read-only')
+      expect(error.method).to.equal('POST')
+      expect(error.attempts).to.equal(0)
+      expect(error.message).to.include('blocked POST /posts').and.include('config.safety.allowlist')
+      expect(server.db.posts).to.have.lengthOf(before)
+
+      const deleteError = await expectFailure(() => client.delete('/posts/1'), 'Request should have failed')
+      expect(deleteError).to.be.instanceOf(ReadOnlyError)
+      expect(server.db.posts.find(post => post.id === 1)).to.exist
+    })
+
+    it('@integration should let allowlisted routes through', async function () {
+      const response = await client.post('/posts/1/comments', { name: 'allowed', email: 'a@b.test', body: 'allowed' })
+
+      expect(response.status).to.equal(201)
+    })
+
+    it('@integration should send mutations again once read-only mode is off', async function () {
+      client.setSafetyPolicy({ readOnly: false })
+
+      const response = await client.delete('/posts/1')
+
+      expect(response.status).to.equal(200)
+    })
+  })
+
+  describe('Skipping Tests', function () {
+    /**
+     * Run a wrapped test body with a context whose skip() throws, like Mocha's
+     * @param {Function} body - Test body
+     * @returns {Promise<string>} 'passed', 'skipped' or the failure message
+     */
+    async function outcome (body) {
+      const runnable = { fn: body }
+      skipBlockedMutations(runnable)
+      const skipped = new Error('skipped')
+
+      try {
+        await runnable.fn.call({ skip () { throw skipped } })
+        return 'passed'
+      } catch (error) {
+        return error === skipped ? 'skipped' : error.message
+      }
+    }
+
+    it('@unit should skip tests stopped by read-only mode', async function () {
+      expect(await outcome(() => client.post('/posts', {}))).to.equal('skipped')
+    })
+
+    it('@unit should skip tests that caught the read-only error themselves', async function () {
+      const body = () => client.put('/posts/1', {}).then(
+        () => expect.fail('Update should fail'),
+        error => expect(error.response.status).to.equal(404)
+      )
+
+      expect(await outcome(body)).to.equal('skipped')
+    })
+
+    it('@unit should skip tests that passed after catching the read-only error', async function () {
+      expect(await outcome(() => client.delete('/posts/1').catch(() => {}))).to.equal('skipped')
+    })
+
+    it('@unit should report other failures as usual', async function () {
+      expect(await outcome(async () => expect(1).to.equal(2))).to.equal('expected 1 to equal 2')
+      expect(await outcome(() => client.get('/posts/1'))).to.equal('passed')
+    })
+
+    it('@unit should wrap the hooks and tests of a Mocha suite tree', function () {
+      const root = new Suite('root')
+      const child = Suite.create(root, 'child')
+      const hooks = [() => {}, () => {}, () => {}, () => {}]
+      root.beforeAll(hooks[0])
+      root.beforeEach(hooks[1])
+      child.afterEach(hooks[2])
+      child.afterAll(hooks[3])
+      const body = () => {}
+      const test = new Test('test', body)
+      child.addTest(test)
+
+      // Fails when a Mocha upgrade moves the hooks suiteHooks() reads
+      expect([...suiteHooks(root), ...suiteHooks(child)].map(hook => hook.fn)).to.deep.equal(hooks)
+
+      skipBlockedMutationsIn(root)
+      const wrapped = [...suiteHooks(root), ...suiteHooks(child), test].map(runnable => runnable.fn)
+      wrapped.forEach(fn => expect([...hooks, body]).to.not.include(fn))
+    })
+  })
+})
@@ -0,0 +1,172 @@
+const { useStandaloneServer, useFaults } = require('../mock-server')
+const { createResourceClient } = require('../api-clients/resource-client')
+const resources = require('../api-clients/resources')
+const { generateRandomUser, generateRandomPost, generateRandomComment } = require('../utils/data-generators')
+
+describe('Resource Client Factory', function () {
+  const server = useStandaloneServer('mock server for resource clients')
+  let usersApi
+  let postsApi
+  let commentsApi
+
+  before(function () {
+    usersApi = createResourceClient({ ...resources.users, baseUrl: server.baseUrl })
+    postsApi = createResourceClient({ ...resources.posts, baseUrl: server.baseUrl })
+    commentsApi = createResourceClient({ ...resources.comments, baseUrl: server.baseUrl })
+  })
+
+  beforeEach(function () {
+    server.reset()
+  })
+
+  describe('CRUD', function () {
+    it('@integration should read resources with schema validation', async function () {
+      const users = await usersApi.getAll()
+      const post = await postsApi.getById(1)
+      const comment = await commentsApi.getById(5)
+
+      expect(users).to.have.length(10)
+      expect(post.id).to.equal(1)
+      expect(comment.postId).to.equal(1)
+    })
+
+    it('@integration should create, update, patch and delete a resource', async function () {
+      const created = await postsApi.create(generateRandomPost(1))
+      const replaced = await postsApi.update(created.id, generateRandomPost(2))
+      const patched = await postsApi.patch(created.id, { title: 'Patched title' })
+      const response = await postsApi.delete(created.id)
+
+      expect(replaced.userId).to.equal(2)
+      expect(patched.title).to.equal('Patched title')
+      expect(response.status).to.equal(200)
+      await postsApi.verifyNotFound(created.id)
+    })
+
+    it('@integration should create users and comments', async function () {
+      const user = await usersApi.create(generateRandomUser())
+      const comment = await commentsApi.create(generateRandomComment(1))
+
+      expect(user.id).to.equal(11)
+      expect(comment.id).to.equal(501)
+    })
+
+    it('@integration should fail resources that do not match the schema', async function () {
+      await commentsApi.patch(1, { email: 'not-an-email' })
+
+      await commentsApi.getById(1).then(
+        () => expect.fail('Schema violation should fail the read'),
+        error => expect(error.message).to.include('/email must match format "email"')
+      )
+    })
+  })
+
+  describe('Relations', function () {
+    it('@integration should add a getter per relation', async function () {
+      const userPosts = await usersApi.getPosts(1)
+      const userAlbums = await usersApi.getAlbums(1)
+      const postComments = await postsApi.getComments(1)
+
+      expect(userPosts).to.have.length(10)
+      expect(userAlbums).to.have.length(10)
+      expect(postComments).to.have.length(5)
+      expect(commentsApi).to.not.have.property('getPosts')
+    })
+
+    it('@integration should pass query parameters to relation getters', async function () {
+      const comments = await postsApi.getComments(1, { _limit: 2 })
+
+      expect(comments).to.have.length(2)
+    })
+
+    it('@integration should reject unknown relations', async function () {
+      await postsApi.getRelated('likes', 1).then(
+        () => expect.fail('Unknown relation should be rejected'),
+        error => expect(error.message).to.equal('Unknown relation "likes" of posts, expected one of: comments')
+      )
+    })
+  })
+
+  describe('Query Helpers', function () {
+    it('@integration should filter by field values', async function () {
+      const posts = await postsApi.filterBy({ userId: [2, 3] })
+
+      expect(posts).to.have.length(20)
+    })
+
+    it('@integration should paginate', async function () {
+      const comments = await commentsApi.getWithPagination(3, 20)
+
+      expect(comments.map(comment => comment.id)).to.deep.equal(Array.from({ length: 20 }, (value, index) => index + 41))
+    })
+
+    it('@integration should sort and verify the order', async function () {
+      const users = await usersApi.getSorted('username', 'desc')
+
+      expect(users[0].username).to.equal('Samantha')
+    })
+  })
+
+  describe('Schemas', function () {
+    it('@integration should accept an inline JSON schema', async function () {
+      const albumsApi = createResourceClient({
+        endpoint: '/albums',
+        baseUrl: server.baseUrl,
+        schema: {
+          type: 'object',
+          required: ['id', 'userId', 'title'],
+          properties: { id: { type: 'integer' }, userId: { type: 'integer' }, title: { type: 'string' } }
+        }
+      })
+
+      const album = await albumsApi.getById(3)
+
+      expect(albumsApi.schema).to.equal('albums')
+      expect(album.id).to.equal(3)
+    })
+
+    it('@integration should reject unknown schema names', function () {
+      expect(() => createResourceClient({ endpoint: '/widgets', schema: 'widget' })).to.throw('Unknown schema "widget"')
+    })
+  })
+
+  describe('Raw Mode', function () {
+    useFaults([{ method: 'GET', route: '/posts/3', status: 418, body: { brewing: true } }], server)
+
+    it('@integration should return status, headers, body and duration', async function () {
+      const result = await postsApi.getCommentsRaw(1, { _limit: 1 })
+
+      expect(result).to.include({ status: 200, ok: true })
+      expect(result.body).to.have.length(1)
+      expect(result.headers['content-type']).to.include('application/json')
+      expect(result.duration).to.be.a('number')
+    })
+
+    it('@integration should resolve client errors that asserting methods reject', async function () {
+      const result = await postsApi.getByIdRaw(9999)
+
+      expect(result.status).to.equal(404)
+      expect(result.ok).to.be.false
+      await postsApi.getById(9999).then(
+        () => expect.fail('Asserting method should reject a 404'),
+        error => expect(error.response.status).to.equal(404)
+      )
+    })
+
+    it('@integration should build verifyNotFound on the raw result', async function () {
+      const result = await postsApi.verifyNotFound(9999)
+
+      expect(result.status).to.equal(404)
+      await postsApi.verifyNotFound(1).then(
+        () => expect.fail('Existing post should fail verifyNotFound'),
+        error => expect(error.message).to.equal('expected status to be client error (4xx) but got 200')
+      )
+    })
+
+    it('@integration should attach contract violations instead of throwing them', async function () {
+      const result = await postsApi.getByIdRaw(3)
+
+      expect(result.status).to.equal(418)
+      expect(result.contractError.message).to.include('418 is not documented')
+    })
+  })
+})
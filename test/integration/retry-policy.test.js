@@ -0,0 +1,107 @@
+const { useStandaloneServer, useFaults } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+
+describe('HttpClient Retry Policy', function () {
+  const server = useStandaloneServer('mock server for retry policy')
+  let client
+
+  beforeEach(function () {
+    server.reset()
+    client = new HttpClient(server.baseUrl)
+    client.timeout = 200
+    client.setRetryPolicy({ maxAttempts: 3, baseDelay: 5, jitter: false })
+  })
+
+  after(function () {
+    server.faults.clear()
+  })
+
+  describe('Retryable Status Codes', function () {
+    const faults = useFaults([
+      { method: 'GET', route: '/posts/1', status: 503, times: 2 },
+      { method: 'GET', route: '/posts/2', status: 500 },
+      { method: 'POST', route: '/posts', status: 502, times: 1 }
+    ], server)
+
+    it('@integration should retry 5xx responses and record the attempts', async function () {
+      const response = await client.get('/posts/1')
+
+      expect(response.status).to.equal(200)
+      expect(response.attempts).to.equal(3)
+      expect(response.retries.map(entry => entry.status)).to.deep.equal([503, 503])
+      expect(response.retries.map(entry => entry.delay)).to.deep.equal([5, 10])
+      expect(faults[0].hits).to.equal(2)
+    })
+
+    it('@integration should not retry status codes outside the policy', async function () {
+      try {
+        await client.get('/posts/2')
+        expect.fail('Request should have failed')
+      } catch (error) {
+        expect(error.response.status).to.equal(500)
+        expect(error.response.attempts).to.equal(1)
+      }
+    })
+
+    it('@integration should not retry non-idempotent methods by default', async function () {
+      try {
+        await client.post('/posts', { title: 'Retry', body: 'Body', userId: 1 })
+        expect.fail('Request should have failed')
+      } catch (error) {
+        expect(error.response.status).to.equal(502)
+        expect(error.response.attempts).to.equal(1)
+      }
+    })
+  })
+
+  describe('Non-idempotent Retries', function () {
+    useFaults([{ method: 'POST', route: '/posts', status: 502, times: 1 }], server)
+
+    it('@integration should retry POST when the policy allows it', async function () {
+      client.setRetryPolicy({ retryNonIdempotent: true })
+
+      const response = await client.post('/posts', { title: 'Retry', body: 'Body', userId: 1 })
+
+      expect(response.status).to.equal(201)
+      expect(response.attempts).to.equal(2)
+    })
+  })
+
+  describe('Retryable Error Kinds', function () {
+    useFaults([
+      { method: 'GET', route: '/users/1', drop: true },
+      { method: 'GET', route: '/users/2', delay: 400, times: 1 },
+      { method: 'GET', route: '/users/3', delay: 400, times: 1 }
+    ], server)
+
+    it('@integration should retry network errors until attempts run out', async function () {
+      try {
+        await client.get('/users/1')
+        expect.fail('Request should have failed')
+      } catch (error) {
+        expect(error.message).to.match(/^Network error:/)
+        expect(error.attempts).to.equal(3)
+        expect(error.retries.every(entry => entry.kind === 'network')).to.be.true
+      }
+    })
+
+    it('@integration should not retry timeouts by default', async function () {
+      try {
+        await client.get('/users/2')
+        expect.fail('Request should have timed out')
+      } catch (error) {
+        expect(error.reason).to.equal('Request timeout after 200ms (deadline)')
+        expect(error.attempts).to.equal(1)
+      }
+    })
+
+    it('@integration should retry timeouts when configured', async function () {
+      client.setRetryPolicy({ retryOnErrors: ['network', 'timeout'] })
+
+      const response = await client.get('/users/3')
+
+      expect(response.status).to.equal(200)
+      expect(response.retries[0].kind).to.equal('timeout')
+    })
+  })
+})
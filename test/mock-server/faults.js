@@ -0,0 +1,139 @@
+/**
+ * Fault and latency injection for the mock server
+ *
+ * A fault is declared per route and method:
+ * {
+ *   method: 'GET',               // HTTP method or '*' (default)
+ *   route: '/posts/:id',         // Route pattern, ':param' matches one segment, '*' matches the rest
+ *   delay: 200,                  // Fixed delay in ms, or { min, max } for a random delay
+ *   status: 503,                 // Respond with this status instead of the real response
+ *   body: { error: '...' },      // Body for status faults
+ *   drop: true,                  // Destroy the connection without responding
+ *   truncate: true,              // Send only the first half of the JSON body
+ *   contentType: 'text/html',    // Override the response content type
+ *   times: 2                     // Apply only to the first N matching requests
+ * }
+ */
+
+const FAULT_KEYS = ['method', 'route', 'delay', 'status', 'body', 'drop', 'truncate', 'contentType', 'times']
+const EFFECT_KEYS = ['delay', 'status', 'drop', 'truncate', 'contentType']
+
+/**
+ * Check whether a path matches a route pattern
+ * @param {string} route - Route pattern (e.g. /posts/:id/comments)
+ * @param {string} pathname - Request path
+ * @returns {boolean} Is match
+ */
+function matchRoute (route, pathname) {
+  const routeSegments = route.split('/').filter(Boolean)
+  const pathSegments = pathname.split('/').filter(Boolean)
+
+  for (let i = 0; i < routeSegments.length; i++) {
+    if (routeSegments[i] === '*') {
+      return true
+    }
+    if (pathSegments[i] === undefined) {
+      return false
+    }
+    if (!routeSegments[i].startsWith(':') && routeSegments[i] !== pathSegments[i]) {
+      return false
+    }
+  }
+
+  return routeSegments.length === pathSegments.length
+}
+
+/**
+ * Resolve a fixed or random delay to milliseconds
+ * @param {number|Object} delay - Delay in ms or { min, max }
+ * @returns {number} Delay in ms
+ */
+function resolveDelay (delay) {
+  if (typeof delay === 'number') {
+    return delay
+  }
+  const { min = 0, max = min } = delay
+  return min + Math.floor(Math.random() * (max - min + 1))
+}
+
+/**
+ * Fault Injector
+ * Keeps the list of active faults for a mock server
+ */
+class FaultInjector {
+  constructor () {
+    this.faults = []
+    this.lastId = 0
+  }
+
+  /**
+   * Register a fault
+   * @param {Object} fault - Fault definition
+   * @returns {Object} Registered fault (tracks `hits`)
+   */
+  add (fault) {
+    const unknownKeys = Object.keys(fault).filter(key => !FAULT_KEYS.includes(key))
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown fault option(s): ${unknownKeys.join(', ')}`)
+    }
+    if (!EFFECT_KEYS.some(key => fault[key] !== undefined)) {
+      throw new Error(`Fault must define at least one of: ${EFFECT_KEYS.join(', ')}`)
+    }
+
+    const entry = {
+      ...fault,
+      id: ++this.lastId,
+      method: (fault.method || '*').toUpperCase(),
+      route: fault.route || '*',
+      remaining: fault.times === undefined ? Infinity : fault.times,
+      hits: 0
+    }
+    this.faults.push(entry)
+
+    return entry
+  }
+
+  /**
+   * Remove a registered fault
+   * @param {Object|number} fault - Fault or fault id
+   */
+  remove (fault) {
+    const id = typeof fault === 'object' ? fault.id : fault
+    this.faults = this.faults.filter(entry => entry.id !== id)
+  }
+
+  /**
+   * Remove all faults
+   */
+  clear () {
+    this.faults = []
+  }
+
+  /**
+   * Find the first active fault for a request and count the hit
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @returns {Object|null} Matching fault
+   */
+  match (method, pathname) {
+    const fault = this.faults.find(entry =>
+      entry.remaining > 0 &&
+      (entry.method === '*' || entry.method === method) &&
+      matchRoute(entry.route, pathname)
+    )
+
+    if (!fault) {
+      return null
+    }
+
+    fault.remaining--
+    fault.hits++
+    return fault
+  }
+}
+
+module.exports = {
+  FaultInjector,
+  matchRoute,
+  resolveDelay
+}
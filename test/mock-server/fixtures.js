@@ -0,0 +1,168 @@
+/**
+ * Seed data for the mock JSONPlaceholder server
+ * Mirrors the shape and volume of https://jsonplaceholder.typicode.com
+ */
+
+const { deepClone } = require('../utils/data-generators')
+
+const LOREM_WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipisci', 'velit',
+  'sed', 'quia', 'non', 'numquam', 'eius', 'modi', 'tempora', 'incidunt',
+  'labore', 'dolore', 'magnam', 'aliquam', 'quaerat', 'voluptatem', 'enim',
+  'minima', 'veniam', 'quis', 'nostrum', 'exercitationem', 'ullam', 'corporis',
+  'suscipit', 'laboriosam', 'nisi', 'aliquid', 'commodi', 'consequatur',
+  'autem', 'vel', 'eum', 'iure', 'reprehenderit', 'qui', 'esse', 'molestiae',
+  'illum', 'fugiat', 'nulla', 'pariatur', 'vero', 'accusamus', 'iusto', 'odio',
+  'dignissimos', 'ducimus', 'blanditiis', 'praesentium', 'voluptatum', 'deleniti',
+  'atque', 'corrupti', 'quos', 'dolores', 'quas', 'molestias', 'excepturi'
+]
+
+const FIRST_NAMES = [
+  'Eliseo', 'Jayne', 'Nikita', 'Lew', 'Hayden', 'Presley', 'Dallas', 'Mallory',
+  'Meghan', 'Carmen', 'Veronica', 'Oswald', 'Kariane', 'Nathan', 'Maynard'
+]
+
+const EMAIL_DOMAINS = [
+  'gardner.biz', 'sydney.com', 'nora.biz', 'alysha.tv', 'althea.biz',
+  'kiana.org', 'kory.org', 'hildegard.org', 'marta.net', 'jasper.info'
+]
+
+const USERS = [
+  ['Leanne Graham', 'Bret', 'Sincere@april.biz', 'Kulas Light', 'Apt. 556', 'Gwenborough', '92998-3874', '-37.3159', '81.1496', '1-770-736-8031 x56442', 'hildegard.org', 'Romaguera-Crona', 'Multi-layered client-server neural-net', 'harness real-time e-markets'],
+  ['Ervin Howell', 'Antonette', 'Shanna@melissa.tv', 'Victor Plains', 'Suite 879', 'Wisokyburgh', '90566-7771', '-43.9509', '-34.4618', '010-692-6593 x09125', 'anastasia.net', 'Deckow-Crist', 'Proactive didactic contingency', 'synergize scalable supply-chains'],
+  ['Clementine Bauch', 'Samantha', 'Nathan@yesenia.net', 'Douglas Extension', 'Suite 847', 'McKenziehaven', '59590-4157', '-68.6102', '-47.0653', '1-463-123-4447', 'ramiro.info', 'Romaguera-Jacobson', 'Face to face bifurcated interface', 'e-enable strategic applications'],
+  ['Patricia Lebsack', 'Karianne', 'Julianne.OConner@kory.org', 'Hoeger Mall', 'Apt. 692', 'South Elvis', '53919-4257', '29.4572', '-164.2990', '493-170-9623 x156', 'kale.biz', 'Robel-Corkery', 'Multi-tiered zero tolerance productivity', 'transition cutting-edge web services'],
+  ['Chelsey Dietrich', 'Kamren', 'Lucio_Hettinger@annie.ca', 'Skiles Walks', 'Suite 351', 'Roscoeview', '33263', '-31.8129', '62.5342', '(254)954-1289', 'demarco.info', 'Keebler LLC', 'User-centric fault-tolerant solution', 'revolutionize end-to-end systems'],
+  ['Mrs. Dennis Schulist', 'Leopoldo_Corkery', 'Karley_Dach@jasper.info', 'Norberto Crossing', 'Apt. 950', 'South Christy', '23505-1337', '-71.4197', '71.7478', '1-477-935-8478 x6430', 'ola.org', 'Considine-Lockman', 'Synchronised bottom-line interface', 'e-enable innovative applications'],
+  ['Kurtis Weissnat', 'Elwyn.Skiles', 'Telly.Hoeger@billy.biz', 'Rex Trail', 'Suite 280', 'Howemouth', '58804-1099', '24.8918', '21.8984', '210.067.6132', 'elvis.io', 'Johns Group', 'Configurable multimedia task-force', 'generate enterprise e-tailers'],
+  ['Nicholas Runolfsdottir V', 'Maxime_Nienow', 'Sherwood@rosamond.me', 'Ellsworth Summit', 'Suite 729', 'Aliyaview', '45169', '-14.3990', '-120.7677', '586.493.6943 x140', 'jacynthe.com', 'Abernathy Group', 'Implemented secondary concept', 'e-enable extensible e-tailers'],
+  ['Glenna Reichert', 'Delphine', 'Chaim_McDermott@dana.io', 'Dayna Park', 'Suite 449', 'Bartholomebury', '76495-3109', '24.6463', '-168.8889', '(775)976-6794 x41206', 'conrad.com', 'Yost and Sons', 'Switchable contextually-based project', 'aggregate real-time technologies'],
+  ['Clementina DuBuque', 'Moriah.Stanton', 'Rey.Padberg@karina.biz', 'Kattie Turnpike', 'Suite 198', 'Lebsackbury', '31428-2261', '-38.2386', '57.2232', '024-648-3804', 'ambrose.net', 'Hoeger LLC', 'Centralized empowering task-force', 'target end-to-end models']
+]
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - Generator seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom (seed) {
+  let state = seed >>> 0
+  return function random () {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Build lorem ipsum text helpers on top of a random generator
+ * @param {Function} random - Random generator
+ * @returns {Object} Text helpers
+ */
+function createLorem (random) {
+  const pick = list => list[Math.floor(random() * list.length)]
+
+  const words = count => Array.from({ length: count }, () => pick(LOREM_WORDS)).join(' ')
+  const sentence = (min, max) => words(min + Math.floor(random() * (max - min + 1)))
+  const paragraph = lines => Array.from({ length: lines }, () => sentence(6, 12)).join('\n')
+
+  return { pick, words, sentence, paragraph }
+}
+
+/**
+ * Generate the full seed database
+ * @returns {Object} Collections keyed by resource name
+ */
+function generateSeedData () {
+  const random = createRandom(20240101)
+  const lorem = createLorem(random)
+
+  const users = USERS.map((fields, index) => {
+    const [name, username, email, street, suite, city, zipcode, lat, lng, phone, website, companyName, catchPhrase, bs] = fields
+    return {
+      id: index + 1,
+      name,
+      username,
+      email,
+      address: { street, suite, city, zipcode, geo: { lat, lng } },
+      phone,
+      website,
+      company: { name: companyName, catchPhrase, bs }
+    }
+  })
+
+  const posts = []
+  for (let id = 1; id <= 100; id++) {
+    posts.push({
+      userId: Math.ceil(id / 10),
+      id,
+      title: lorem.sentence(3, 9),
+      body: lorem.paragraph(4)
+    })
+  }
+
+  const comments = []
+  for (let id = 1; id <= 500; id++) {
+    const author = lorem.pick(FIRST_NAMES)
+    comments.push({
+      postId: Math.ceil(id / 5),
+      id,
+      name: lorem.sentence(3, 7),
+      email: `${author}_${id}@${lorem.pick(EMAIL_DOMAINS)}`,
+      body: lorem.paragraph(4)
+    })
+  }
+
+  const albums = []
+  for (let id = 1; id <= 100; id++) {
+    albums.push({
+      userId: Math.ceil(id / 10),
+      id,
+      title: lorem.sentence(3, 8)
+    })
+  }
+
+  const photos = []
+  for (let id = 1; id <= 5000; id++) {
+    const color = Math.floor(random() * 0x1000000).toString(16).padStart(6, '0')
+    photos.push({
+      albumId: Math.ceil(id / 50),
+      id,
+      title: lorem.sentence(3, 8),
+      url: `https://via.placeholder.com/600/${color}`,
+      thumbnailUrl: `https://via.placeholder.com/150/${color}`
+    })
+  }
+
+  const todos = []
+  for (let id = 1; id <= 200; id++) {
+    todos.push({
+      userId: Math.ceil(id / 20),
+      id,
+      title: lorem.sentence(2, 7),
+      completed: random() < 0.45
+    })
+  }
+
+  return { users, posts, comments, albums, photos, todos }
+}
+
+let seedData = null
+
+/**
+ * Get a fresh, mutable copy of the seed database
+ * @returns {Object} Collections keyed by resource name
+ */
+function createSeedData () {
+  if (!seedData) {
+    seedData = generateSeedData()
+  }
+  return deepClone(seedData)
+}
+
+module.exports = {
+  createRandom,
+  createSeedData
+}
@@ -0,0 +1,84 @@
+/**
+ * Mock Server Index
+ * Shared mock server instances used by the global test hooks in offline mode
+ */
+
+const MockServer = require('./mock-server')
+const ReqresServer = require('./reqres-server')
+const TokenServer = require('./token-server')
+const { testHelpers } = require('../utils/test-helpers')
+
+const mockServer = new MockServer()
+const reqresServer = new ReqresServer()
+const tokenServer = new TokenServer()
+
+/**
+ * Run a standalone server on a free port for the enclosing describe block
+ * Registers before/after hooks, so call it directly inside `describe`
+ * @param {string} description - What is started, for the test log, e.g. 'mock server for pagination'
+ * @param {MockServer} server - Server to run (default: a new MockServer)
+ * @returns {MockServer} The server, started once the block starts
+ */
+function useStandaloneServer (description, server = new MockServer({ port: 0 })) {
+  before(async function () {
+    testHelpers.logTestStep(`Starting standalone ${description}`)
+    await server.start()
+  })
+
+  after(async function () {
+    await server.stop()
+  })
+
+  return server
+}
+
+/**
+ * Enable faults for the enclosing describe block
+ * Registers before/after hooks, so call it directly inside `describe`
+ * @param {Array<Object>} faults - Fault definitions (see faults.js)
+ * @param {MockServer} server - Target server
+ * @returns {Array<Object>} Registered faults, populated once the block starts
+ */
+function useFaults (faults, server = mockServer) {
+  const registered = []
+
+  before(function () {
+    faults.forEach(fault => registered.push(server.faults.add(fault)))
+  })
+
+  after(function () {
+    registered.splice(0).forEach(fault => server.faults.remove(fault))
+  })
+
+  return registered
+}
+
+/**
+ * Validate created resources for the enclosing describe block
+ * Invalid POST bodies are answered with 400 { error, violations } instead of being stored
+ * @param {MockServer} server - Target server
+ */
+function useValidation (server = mockServer) {
+  let previous = server.validate
+
+  before(function () {
+    previous = server.validate
+    server.validate = true
+  })
+
+  after(function () {
+    server.validate = previous
+  })
+}
+
+module.exports = {
+  MockServer,
+  ReqresServer,
+  TokenServer,
+  mockServer,
+  reqresServer,
+  tokenServer,
+  useStandaloneServer,
+  useFaults,
+  useValidation
+}
@@ -0,0 +1,422 @@
+const http = require('http')
+const config = require('../../config/test-config')
+const { createSeedData } = require('./fixtures')
+const { applyQuery } = require('./query')
+const { FaultInjector, resolveDelay } = require('./faults')
+const { sleep } = require('../utils/test-helpers')
+const { schemaValidator } = require('../utils/schema-validator')
+
+/**
+ * Resource relations: child resource → foreign key and parent resource
+ * Drives nested routes such as /posts/:id/comments and /users/:id/posts
+ */
+const RELATIONS = {
+  users: null,
+  posts: { foreignKey: 'userId', parent: 'users' },
+  comments: { foreignKey: 'postId', parent: 'posts' },
+  albums: { foreignKey: 'userId', parent: 'users' },
+  photos: { foreignKey: 'albumId', parent: 'albums' },
+  todos: { foreignKey: 'userId', parent: 'users' }
+}
+
+/**
+ * Mock JSONPlaceholder Server
+ * In-process, stateful stand-in for the public API used when running offline
+ */
+class MockServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {string} [options.host] - Host (default: config.mockServer.host)
+   * @param {number} [options.port] - Port, 0 for a free one (default: config.mockServer.port)
+   * @param {boolean} [options.validate] - Reject created resources that do not match their schema with a 400
+   */
+  constructor (options = {}) {
+    this.host = options.host || config.mockServer.host
+    this.port = options.port !== undefined ? options.port : config.mockServer.port
+    this.validate = Boolean(options.validate)
+    this.relations = RELATIONS
+    this.faults = new FaultInjector()
+    this.server = null
+    this.reset()
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string} Base URL
+   */
+  get baseUrl () {
+    return `http://${this.host}:${this.port}`
+  }
+
+  /**
+   * Restore the database to its seed state
+   * Registered faults are kept; use `faults.clear()` to remove them
+   */
+  reset () {
+    this.db = createSeedData()
+  }
+
+  /**
+   * Start listening for requests
+   * @returns {Promise<MockServer>} Started server
+   */
+  start () {
+    if (this.server) {
+      return Promise.resolve(this)
+    }
+
+    // A failing route answers 500 instead of leaving the request hanging; once the response has
+    // started, the connection is cut instead
+    this.server = http.createServer((req, res) => this.handleRequest(req, res).catch(error => {
+      if (res.headersSent) {
+        res.destroy(error)
+      } else {
+        this.sendJson(res, 500, { error: error.message })
+      }
+    }))
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port
+        resolve(this)
+      })
+    })
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise} Resolves when the server is closed
+   */
+  stop () {
+    if (!this.server) {
+      return Promise.resolve()
+    }
+
+    const server = this.server
+    this.server = null
+
+    return new Promise((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()))
+      if (server.closeAllConnections) {
+        server.closeAllConnections()
+      }
+    })
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {Promise<Object>} Parsed body (empty object when there is none)
+   */
+  readBody (req) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('error', reject)
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8')
+        if (!raw.trim()) {
+          resolve({})
+          return
+        }
+        try {
+          resolve(JSON.parse(raw))
+        } catch (error) {
+          reject(new SyntaxError(`Invalid JSON body: ${error.message}`))
+        }
+      })
+    })
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - Server response
+   * @param {number} status - Status code
+   * @param {*} body - Response body
+   * @param {Object} headers - Additional headers
+   */
+  sendJson (res, status, body, headers = {}) {
+    const fault = res.fault || {}
+    const payload = JSON.stringify(body)
+    const contentType = fault.contentType || 'application/json; charset=utf-8'
+
+    if (fault.truncate) {
+      res.writeHead(status, { 'Content-Type': contentType, ...headers })
+      res.end(payload.slice(0, Math.floor(payload.length / 2)))
+      return
+    }
+
+    res.writeHead(status, {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    })
+    res.end(payload)
+  }
+
+  /**
+   * Apply the delay and short-circuiting effects of a fault
+   * @param {Object} fault - Matched fault
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   * @returns {Promise<boolean>} True when the request was fully handled by the fault
+   */
+  async applyFault (fault, req, res) {
+    if (fault.delay !== undefined) {
+      await sleep(resolveDelay(fault.delay))
+      if (req.socket.destroyed) {
+        return true
+      }
+    }
+
+    if (fault.drop) {
+      req.socket.destroy()
+      return true
+    }
+
+    res.fault = fault
+
+    if (fault.status) {
+      this.sendJson(res, fault.status, fault.body || { error: `Injected ${fault.status} fault` })
+      return true
+    }
+
+    return false
+  }
+
+  /**
+   * Build json-server style Link header for a paginated list
+   * @param {URL} url - Request URL
+   * @param {Object} pagination - Pagination details
+   * @returns {string} Link header value
+   */
+  buildLinkHeader (url, pagination) {
+    const { page, lastPage } = pagination
+    const link = (pageNumber, rel) => {
+      const pageUrl = new URL(url.href)
+      pageUrl.searchParams.set('_page', pageNumber)
+      return `<${pageUrl.href}>; rel="${rel}"`
+    }
+    const links = [link(1, 'first')]
+
+    if (page > 1) {
+      links.push(link(page - 1, 'prev'))
+    }
+    if (page < lastPage) {
+      links.push(link(page + 1, 'next'))
+    }
+    links.push(link(lastPage, 'last'))
+
+    return links.join(', ')
+  }
+
+  /**
+   * Find a record by id in a collection
+   * @param {string} resource - Resource name
+   * @param {string} id - Record id from the URL
+   * @returns {Object|undefined} Record
+   */
+  findRecord (resource, id) {
+    return this.db[resource].find(record => String(record.id) === id)
+  }
+
+  /**
+   * Next free id for a collection
+   * @param {string} resource - Resource name
+   * @returns {number} Id
+   */
+  nextId (resource) {
+    return this.db[resource].reduce((max, record) => Math.max(max, record.id), 0) + 1
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   */
+  async handleRequest (req, res) {
+    const url = new URL(req.url, this.baseUrl)
+    const segments = url.pathname.split('/').filter(Boolean)
+    const [resource, id, child] = segments
+    const fault = this.faults.match(req.method, url.pathname)
+
+    let body
+    try {
+      body = await this.readBody(req)
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message })
+      return
+    }
+
+    if (fault && await this.applyFault(fault, req, res)) {
+      return
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(this.relations, resource) || segments.length > 3 || (child && !this.isChildOf(child, resource))) {
+      this.sendJson(res, 404, {})
+      return
+    }
+
+    if (child) {
+      this.handleNested(req.method, url, resource, id, child, body, res)
+    } else if (id) {
+      this.handleItem(req.method, resource, id, body, res)
+    } else {
+      this.handleCollection(req.method, url, resource, body, res)
+    }
+  }
+
+  /**
+   * Check whether a resource is a direct child of another
+   * @param {string} child - Child resource name
+   * @param {string} parent - Parent resource name
+   * @returns {boolean} Is nested resource
+   */
+  isChildOf (child, parent) {
+    return Boolean(this.relations[child] && this.relations[child].parent === parent)
+  }
+
+  /**
+   * Add related records requested with _embed (children) and _expand (parent)
+   * Unknown relation names are ignored, as json-server does
+   * @param {string} resource - Resource name of the records
+   * @param {Array} records - Records
+   * @param {URLSearchParams} params - Query params
+   * @returns {Array} Copies of the records with the relations
+   */
+  joinRelations (resource, records, params) {
+    const embeds = params.getAll('_embed').filter(child => this.isChildOf(child, resource))
+    const relation = this.relations[resource]
+    const expands = params.getAll('_expand').filter(name => relation && relation.parent === `${name}s`)
+
+    if (embeds.length === 0 && expands.length === 0) {
+      return records
+    }
+
+    return records.map(record => {
+      const joined = { ...record }
+      embeds.forEach(child => {
+        joined[child] = this.db[child].filter(entry => entry[this.relations[child].foreignKey] === record.id)
+      })
+      expands.forEach(name => {
+        joined[name] = this.db[relation.parent].find(parent => parent.id === record[relation.foreignKey])
+      })
+      return joined
+    })
+  }
+
+  /**
+   * Send a (possibly filtered, sorted, paginated and joined) list
+   * @param {URL} url - Request URL
+   * @param {string} resource - Resource name of the records
+   * @param {Array} records - Records to query
+   * @param {http.ServerResponse} res - Server response
+   */
+  sendList (url, resource, records, res) {
+    const result = applyQuery(records, url.searchParams)
+    const headers = {}
+
+    if (result.pagination || url.searchParams.has('_limit') || url.searchParams.has('_end')) {
+      headers['X-Total-Count'] = String(result.total)
+      headers['Access-Control-Expose-Headers'] = 'X-Total-Count, Link'
+    }
+    if (result.pagination) {
+      headers.Link = this.buildLinkHeader(url, result.pagination)
+    }
+
+    this.sendJson(res, 200, this.joinRelations(resource, result.records, url.searchParams), headers)
+  }
+
+  /**
+   * Check a new record against its resource schema when validation is on
+   * JSONPlaceholder itself accepts any body, so validation is off by default
+   * @param {string} resource - Resource name, e.g. 'posts'
+   * @param {Object} record - Record without id
+   * @param {http.ServerResponse} res - Server response, answered with a 400 when the record is invalid
+   * @returns {boolean} Record accepted
+   */
+  acceptRecord (resource, record, res) {
+    if (!this.validate) {
+      return true
+    }
+
+    const name = resource.replace(/s$/, '')
+    const { valid, errors } = schemaValidator.validate(name, record, { write: true })
+    if (!valid) {
+      this.sendJson(res, 400, { error: `Invalid ${name}`, violations: errors })
+    }
+    return valid
+  }
+
+  /**
+   * Handle /:resource
+   */
+  handleCollection (method, url, resource, body, res) {
+    if (method === 'GET') {
+      this.sendList(url, resource, this.db[resource], res)
+    } else if (method === 'POST') {
+      if (!this.acceptRecord(resource, body, res)) {
+        return
+      }
+      const record = { ...body, id: this.nextId(resource) }
+      this.db[resource].push(record)
+      this.sendJson(res, 201, record)
+    } else {
+      this.sendJson(res, 404, {})
+    }
+  }
+
+  /**
+   * Handle /:resource/:id
+   * Unknown ids follow JSONPlaceholder: PUT answers 500 and DELETE answers 200
+   */
+  handleItem (method, resource, id, body, res) {
+    const collection = this.db[resource]
+    const record = this.findRecord(resource, id)
+
+    if (method === 'DELETE') {
+      if (record) {
+        collection.splice(collection.indexOf(record), 1)
+      }
+      this.sendJson(res, 200, {})
+    } else if (!record) {
+      this.sendJson(res, method === 'PUT' ? 500 : 404, {})
+    } else if (method === 'GET') {
+      this.sendJson(res, 200, record)
+    } else if (method === 'PUT') {
+      const replacement = { ...body, id: record.id }
+      collection.splice(collection.indexOf(record), 1, replacement)
+      this.sendJson(res, 200, replacement)
+    } else if (method === 'PATCH') {
+      Object.assign(record, body, { id: record.id })
+      this.sendJson(res, 200, record)
+    } else {
+      this.sendJson(res, 404, {})
+    }
+  }
+
+  /**
+   * Handle /:resource/:id/:child
+   */
+  handleNested (method, url, resource, id, child, body, res) {
+    const { foreignKey } = this.relations[child]
+    const parent = this.findRecord(resource, id)
+
+    if (method === 'GET') {
+      const records = this.db[child].filter(record => String(record[foreignKey]) === id)
+      this.sendList(url, child, records, res)
+    } else if (method === 'POST' && parent) {
+      if (!this.acceptRecord(child, { ...body, [foreignKey]: parent.id }, res)) {
+        return
+      }
+      const record = { ...body, [foreignKey]: parent.id, id: this.nextId(child) }
+      this.db[child].push(record)
+      this.sendJson(res, 201, record)
+    } else {
+      this.sendJson(res, 404, {})
+    }
+  }
+}
+
+module.exports = MockServer
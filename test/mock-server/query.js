@@ -0,0 +1,180 @@
+/**
+ * json-server compatible query handling for the mock server
+ * Supports field filters with _gte/_lte/_ne/_like operators, q full-text search,
+ * _sort/_order, _page/_limit and _start/_end/_limit
+ * (_embed/_expand need the other collections and are handled by the server)
+ */
+
+const RESERVED_PARAMS = ['_sort', '_order', '_page', '_limit', '_start', '_end', '_embed', '_expand', 'q']
+
+// Filter operators appended to a field name (views_gte=10)
+const OPERATOR_PATTERN = /^(.+)_(gte|lte|ne|like)$/
+
+/**
+ * Read a possibly nested value ("address.city") from a record
+ * @param {Object} record - Source record
+ * @param {string} path - Dot separated property path
+ * @returns {*} Property value
+ */
+function getValue (record, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record)
+}
+
+/**
+ * Compare two values the way json-server sorts them: numbers numerically, everything else by code point
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Comparison result
+ */
+function compareValues (a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b
+  }
+  const [x, y] = [String(a), String(b)]
+  return x < y ? -1 : Number(x > y)
+}
+
+/**
+ * Compare a record value with a query param value (numbers numerically, like JavaScript's >=)
+ * @param {*} actual - Record value
+ * @param {string} expected - Query param value
+ * @returns {number} Negative, zero or positive
+ */
+function compareToParam (actual, expected) {
+  if (typeof actual === 'number') {
+    return actual - Number(expected)
+  }
+  const [a, b] = [String(actual), expected]
+  return a < b ? -1 : Number(a > b)
+}
+
+/**
+ * Check whether any plain value of a record contains a text
+ * @param {*} value - Record or nested value
+ * @param {string} text - Lower-case search text
+ * @returns {boolean} Contains the text
+ */
+function containsText (value, text) {
+  if (value !== null && typeof value === 'object') {
+    return Object.values(value).some(entry => containsText(entry, text))
+  }
+  return String(value).toLowerCase().includes(text)
+}
+
+/**
+ * Check a record value against the values of one filter param
+ * @param {*} actual - Record value
+ * @param {string} operator - eq, gte, lte, ne or like
+ * @param {Array<string>} expected - Param values
+ * @returns {boolean} Matches
+ */
+function matchesFilter (actual, operator, expected) {
+  if (operator === 'gte') {
+    return expected.every(value => compareToParam(actual, value) >= 0)
+  } else if (operator === 'lte') {
+    return expected.every(value => compareToParam(actual, value) <= 0)
+  } else if (operator === 'ne') {
+    return !expected.includes(String(actual))
+  } else if (operator === 'like') {
+    return expected.some(value => new RegExp(value, 'i').test(String(actual)))
+  }
+  return expected.includes(String(actual))
+}
+
+/**
+ * Filter records by field params (?userId=1&userId=2, ?id_gte=5, ?title_like=^qui)
+ * and the q full-text search param
+ * @param {Array} records - Records to filter
+ * @param {URLSearchParams} params - Query params
+ * @returns {Array} Matching records
+ */
+function filterRecords (records, params) {
+  const filters = [...new Set(params.keys())]
+    .filter(key => !RESERVED_PARAMS.includes(key))
+    .map(key => {
+      const [, field, operator] = key.match(OPERATOR_PATTERN) || [key, key, 'eq']
+      return { field, operator, expected: params.getAll(key) }
+    })
+  const text = params.has('q') ? params.get('q').toLowerCase() : null
+
+  return records.filter(record =>
+    filters.every(({ field, operator, expected }) => matchesFilter(getValue(record, field), operator, expected)) &&
+    (text === null || containsText(record, text))
+  )
+}
+
+/**
+ * Sort records by _sort/_order params (comma separated for multiple fields)
+ * @param {Array} records - Records to sort
+ * @param {URLSearchParams} params - Query params
+ * @returns {Array} Sorted records
+ */
+function sortRecords (records, params) {
+  if (!params.has('_sort')) {
+    return records
+  }
+
+  const fields = params.get('_sort').split(',')
+  const orders = (params.get('_order') || '').split(',')
+
+  return [...records].sort((a, b) => {
+    for (let i = 0; i < fields.length; i++) {
+      const direction = (orders[i] || orders[0] || 'asc').toLowerCase() === 'desc' ? -1 : 1
+      const result = compareValues(getValue(a, fields[i]), getValue(b, fields[i]))
+      if (result !== 0) {
+        return result * direction
+      }
+    }
+    return 0
+  })
+}
+
+/**
+ * Slice records by _page/_limit or _start/_end/_limit params
+ * @param {Array} records - Records to slice
+ * @param {URLSearchParams} params - Query params
+ * @returns {Object} Sliced records and pagination details (null when not paginated)
+ */
+function paginateRecords (records, params) {
+  if (params.has('_page')) {
+    const page = Math.max(parseInt(params.get('_page'), 10) || 1, 1)
+    const limit = parseInt(params.get('_limit'), 10) || 10
+    const start = (page - 1) * limit
+    return {
+      records: records.slice(start, start + limit),
+      pagination: { page, limit, lastPage: Math.max(Math.ceil(records.length / limit), 1) }
+    }
+  }
+
+  if (params.has('_start') || params.has('_end') || params.has('_limit')) {
+    const start = parseInt(params.get('_start'), 10) || 0
+    const end = params.has('_end')
+      ? parseInt(params.get('_end'), 10)
+      : start + (parseInt(params.get('_limit'), 10) || records.length)
+    return { records: records.slice(start, end), pagination: null }
+  }
+
+  return { records, pagination: null }
+}
+
+/**
+ * Apply all supported query params to a collection
+ * @param {Array} records - Collection records
+ * @param {URLSearchParams} params - Query params
+ * @returns {Object} Result with records, total count before slicing and pagination details
+ */
+function applyQuery (records, params) {
+  const filtered = sortRecords(filterRecords(records, params), params)
+  const { records: sliced, pagination } = paginateRecords(filtered, params)
+
+  return {
+    records: sliced,
+    total: filtered.length,
+    pagination
+  }
+}
+
+module.exports = {
+  applyQuery,
+  getValue
+}
@@ -0,0 +1,131 @@
+const crypto = require('crypto')
+const config = require('../../config/test-config')
+const MockServer = require('./mock-server')
+
+// Users defined by reqres.in; only they can register and log in
+const REQRES_USERS = [
+  'george.bluth', 'janet.weaver', 'emma.wong', 'eve.holt', 'charles.morris', 'tracey.ramos',
+  'michael.lawson', 'lindsay.ferguson', 'tobias.funke', 'byron.fields', 'george.edwards', 'rachel.howell'
+].map((name, index) => ({ id: index + 1, email: `${name}@reqres.in` }))
+
+// Route → handler method
+const ROUTES = {
+  'POST /api/register': 'register',
+  'POST /api/login': 'login',
+  'POST /api/logout': 'logout'
+}
+
+/**
+ * Mock Reqres Server
+ * In-process stand-in for the reqres.in authentication endpoints
+ * Unlike reqres.in, every login issues its own token and logout revokes it, so sessions can be checked
+ */
+class ReqresServer extends MockServer {
+  constructor (options = {}) {
+    super({ port: config.mockServer.reqresPort, ...options })
+  }
+
+  /**
+   * Base URL of the running server, including the /api prefix
+   * @returns {string} Base URL
+   */
+  get baseUrl () {
+    return `${super.baseUrl}/api`
+  }
+
+  /**
+   * Forget registrations and issued tokens
+   */
+  reset () {
+    this.users = REQRES_USERS.map(user => ({ ...user }))
+    this.sessions = new Map()
+  }
+
+  /**
+   * Issue a token for a user
+   * @param {Object} user - User
+   * @returns {string} Token
+   */
+  issueToken (user) {
+    const token = crypto.randomBytes(12).toString('base64url')
+    this.sessions.set(token, user.id)
+    return token
+  }
+
+  /**
+   * Check the credentials of a register or login request
+   * @param {Object} body - Request body
+   * @param {string} unknownUserError - Error reported for emails reqres does not define
+   * @returns {Object} { user } or { error }
+   */
+  checkCredentials (body, unknownUserError) {
+    if (!body.email && !body.username) {
+      return { error: 'Missing email or username' }
+    }
+    if (!body.password) {
+      return { error: 'Missing password' }
+    }
+
+    const user = this.users.find(entry => entry.email === body.email)
+    return user ? { user } : { error: unknownUserError }
+  }
+
+  /**
+   * POST /api/register
+   */
+  register (body) {
+    const { user, error } = this.checkCredentials(body, 'Note: Only defined users succeed registration')
+    return error ? [400, { error }] : [200, { id: user.id, token: this.issueToken(user) }]
+  }
+
+  /**
+   * POST /api/login
+   */
+  login (body) {
+    const { user, error } = this.checkCredentials(body, 'user not found')
+    return error ? [400, { error }] : [200, { token: this.issueToken(user) }]
+  }
+
+  /**
+   * POST /api/logout
+   * Revokes the bearer token of the request, if any
+   */
+  logout (body, req) {
+    const [, token] = (req.headers.authorization || '').match(/^Bearer (.+)$/) || []
+    this.sessions.delete(token)
+    return [200, {}]
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   */
+  async handleRequest (req, res) {
+    const url = new URL(req.url, this.baseUrl)
+    const fault = this.faults.match(req.method, url.pathname)
+
+    let body
+    try {
+      body = await this.readBody(req)
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message })
+      return
+    }
+
+    if (fault && await this.applyFault(fault, req, res)) {
+      return
+    }
+
+    const handler = ROUTES[`${req.method} ${url.pathname}`]
+    if (!handler) {
+      this.sendJson(res, 404, {})
+      return
+    }
+
+    const [status, payload] = this[handler](body, req)
+    this.sendJson(res, status, payload)
+  }
+}
+
+module.exports = ReqresServer
@@ -0,0 +1,124 @@
+const crypto = require('crypto')
+const config = require('../../config/test-config')
+const MockServer = require('./mock-server')
+
+// Registered OAuth2 clients: client id → secret
+const DEFAULT_CLIENTS = {
+  'api-tests': 'api-tests-secret'
+}
+
+/**
+ * Mock OAuth2 Token Server
+ * In-process token endpoint for the client-credentials grant (POST /oauth/token)
+ * Clients authenticate with HTTP Basic or client_id/client_secret form fields
+ */
+class TokenServer extends MockServer {
+  /**
+   * @param {Object} options - Server options plus clients ({ id: secret }) and expiresIn (token lifetime in seconds)
+   */
+  constructor (options = {}) {
+    super({ port: config.mockServer.tokenPort, ...options })
+    this.clients = options.clients || DEFAULT_CLIENTS
+    this.expiresIn = options.expiresIn !== undefined ? options.expiresIn : 3600
+  }
+
+  /**
+   * URL of the token endpoint
+   * @returns {string} Token URL
+   */
+  get tokenUrl () {
+    return `${this.baseUrl}/oauth/token`
+  }
+
+  /**
+   * Forget the issued tokens
+   */
+  reset () {
+    this.issued = []
+  }
+
+  /**
+   * Read a form-encoded body; other bodies are parsed as JSON
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {Promise<Object>} Parsed body
+   */
+  readBody (req) {
+    if (!(req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+      return super.readBody(req)
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('error', reject)
+      req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')))))
+    })
+  }
+
+  /**
+   * Client credentials of a token request
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {Object} body - Request body
+   * @returns {Array<string>} [clientId, clientSecret]
+   */
+  readClientCredentials (req, body) {
+    const [, basic] = (req.headers.authorization || '').match(/^Basic (.+)$/) || []
+    if (basic) {
+      const decoded = Buffer.from(basic, 'base64').toString('utf8')
+      const separator = decoded.indexOf(':')
+      return [decoded.slice(0, separator), decoded.slice(separator + 1)]
+    }
+    return [body.client_id, body.client_secret]
+  }
+
+  /**
+   * POST /oauth/token
+   */
+  issueToken (req, body) {
+    if (body.grant_type !== 'client_credentials') {
+      return [400, { error: 'unsupported_grant_type' }]
+    }
+
+    const [clientId, clientSecret] = this.readClientCredentials(req, body)
+    if (!clientId || this.clients[clientId] !== clientSecret) {
+      return [401, { error: 'invalid_client' }]
+    }
+
+    const token = {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: this.expiresIn
+    }
+    if (body.scope) {
+      token.scope = body.scope
+    }
+
+    this.issued.push({ clientId, ...token })
+    return [200, token]
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   */
+  async handleRequest (req, res) {
+    const url = new URL(req.url, this.baseUrl)
+    const fault = this.faults.match(req.method, url.pathname)
+    const body = await this.readBody(req).catch(() => ({}))
+
+    if (fault && await this.applyFault(fault, req, res)) {
+      return
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/oauth/token') {
+      this.sendJson(res, 404, {})
+      return
+    }
+
+    const [status, payload] = this.issueToken(req, body)
+    this.sendJson(res, status, payload, { 'Cache-Control': 'no-store' })
+  }
+}
+
+module.exports = TokenServer
@@ -1,17 +1,30 @@
 // Global test setup
 const chai = require('chai')
+const config = require('../../config/test-config')
+const { mockServer, reqresServer, tokenServer } = require('../mock-server')
+const HttpClient = require('../utils/http-client')
+const { harRecorder } = require('../utils/har-recorder')
+const { chaiSchemaPlugin } = require('../utils/schema-validator')
+const { contractValidator } = require('../utils/contract-validator')
+const { skipBlockedMutationsIn } = require('../utils/read-only-guard')
+const { cleanupRegistry } = require('../utils/cleanup-registry')
+const { testHelpers } = require('../utils/test-helpers')
+const { random, runSeed, deriveSeed } = require('../utils/random')
 
 // Global assertion styles
 global.expect = chai.expect
 global.assert = chai.assert
 global.should = chai.should()
 
+// JSON schema assertion: expect(body).to.matchSchema('user')
+chai.use(chaiSchemaPlugin)
+
 // Add custom chai assertions if needed
 chai.use(function (chai, _utils) {
   // Custom assertion for checking response time
   chai.Assertion.addMethod('responseTime', function (expectedTime) {
     const obj = this._obj
-    const actualTime = obj.duration || obj.responseTime
+    const actualTime = obj.duration !== undefined ? obj.duration : obj.responseTime
     
     this.assert(
       actualTime <= expectedTime,
@@ -54,3 +67,104 @@ chai.use(function (chai, _utils) {
 process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason)
 })
+
+/**
+ * Title of the top-level describe block a test belongs to
+ * @param {Object} test - Mocha test
+ * @returns {string} Suite title
+ */
+function topLevelSuiteTitle (test) {
+  let suite = test.parent
+  while (suite.parent && !suite.parent.root) {
+    suite = suite.parent
+  }
+  return suite.title || test.title
+}
+
+/**
+ * Add the random seeds to the failure message of a test, so the generated data can be reproduced
+ * @param {Object} test - Failed mocha test
+ */
+function addSeedToFailure (test) {
+  const { err } = test
+  if (!err || typeof err.message !== 'string') {
+    return
+  }
+  const message = `${err.message}\n\n🎲 Random seed ${test.seed} (run seed ${runSeed}, rerun with --seed=${runSeed})`
+  // Reporters print the message from the stack when the stack contains it
+  if (typeof err.stack === 'string' && err.stack.includes(err.message)) {
+    err.stack = err.stack.replace(err.message, message)
+  }
+  err.message = message
+}
+
+// Root hooks: run the mock JSONPlaceholder, reqres and OAuth2 token servers in offline mode, seed the test data generators, delete created test data, record HAR files and report contract coverage
+exports.mochaHooks = {
+  async beforeAll () {
+    testHelpers.logTestStep(`🎲 Random seed ${runSeed} (rerun with --seed=${runSeed} or TEST_SEED=${runSeed})`)
+    if (config.offline) {
+      await mockServer.start()
+      await reqresServer.start()
+      await tokenServer.start()
+    }
+    if (config.har.enabled) {
+      HttpClient.use(harRecorder.interceptor())
+    }
+    // Tests and hooks that need mutations are skipped instead of failed in read-only profiles
+    if (config.safety.readOnly) {
+      skipBlockedMutationsIn(this.test.parent)
+    }
+  },
+
+  beforeEach () {
+    // Each test draws its data from its own seed, independent of the tests before it
+    this.currentTest.seed = deriveSeed(runSeed, this.currentTest.fullTitle())
+    random.reseed(this.currentTest.seed)
+    cleanupRegistry.startTest()
+    // Every test starts from the seed data so mutations don't leak between tests
+    if (config.offline) {
+      mockServer.reset()
+      reqresServer.reset()
+      tokenServer.reset()
+    }
+    if (config.har.enabled) {
+      harRecorder.startPage(this.currentTest.fullTitle(), topLevelSuiteTitle(this.currentTest))
+    }
+  },
+
+  async afterEach () {
+    if (this.currentTest.state === 'failed') {
+      addSeedToFailure(this.currentTest)
+    }
+    // Delete what the test created before the next test starts
+    await cleanupRegistry.endTest()
+    if (config.har.enabled && config.har.mode === 'test') {
+      harRecorder.saveCurrentPage()
+      harRecorder.reset()
+    }
+  },
+
+  async afterAll () {
+    if (config.har.enabled && config.har.mode === 'suite') {
+      harRecorder.saveGroups()
+    }
+    // Resources created outside tests, e.g. in before hooks
+    await cleanupRegistry.cleanup()
+    if (cleanupRegistry.orphans.length > 0) {
+      testHelpers.logTestStep(`⚠️ ${cleanupRegistry.orphans.length} resource(s) could not be deleted: ${cleanupRegistry.orphans.map(orphan => orphan.label).join(', ')}`)
+    }
+    // Report OpenAPI operations no test called
+    if (config.contracts.enabled && contractValidator.calls.size > 0) {
+      const coverage = contractValidator.report()
+      testHelpers.logTestStep(`📜 Contract coverage: ${coverage.covered}/${coverage.total} operations called`)
+      coverage.uncovered.forEach(operation => {
+        testHelpers.logTestStep(`   - ${operation.operationId} (${operation.method} ${operation.path}) was never called`)
+      })
+    }
+    if (config.offline) {
+      await mockServer.stop()
+      await reqresServer.stop()
+      await tokenServer.stop()
+    }
+  }
+}
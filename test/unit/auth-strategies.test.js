@@ -0,0 +1,108 @@
+const {
+  BasicAuth,
+  ApiKeyAuth,
+  HmacSignature,
+  OAuth2ClientCredentials,
+  createAuthStrategy
+} = require('../utils/auth-strategies')
+const HttpClient = require('../utils/http-client')
+const config = require('../../config/test-config')
+
+describe('Auth Strategies', function () {
+  /**
+   * Minimal request context as HttpClient passes it to strategies
+   * @param {Object} overrides - Context fields
+   * @returns {Object} Context
+   */
+  function requestContext (overrides = {}) {
+    return { method: 'GET', url: 'http://api.test/posts/1', headers: {}, data: undefined, ...overrides }
+  }
+
+  describe('Static Credentials', function () {
+    it('@unit should send basic credentials', function () {
+      const context = requestContext()
+
+      new BasicAuth({ username: 'admin', password: 'p:ss' }).apply(context)
+
+      expect(context.headers.Authorization).to.equal(`Basic ${Buffer.from('admin:p:ss').toString('base64')}`)
+    })
+
+    it('@unit should send an API key as a header', function () {
+      const context = requestContext()
+
+      new ApiKeyAuth({ name: 'x-api-key', value: 'abc' }).apply(context)
+
+      expect(context.headers).to.deep.equal({ 'x-api-key': 'abc' })
+    })
+
+    it('@unit should send an API key as a query parameter', function () {
+      const context = requestContext({ url: 'http://api.test/posts?userId=1' })
+
+      new ApiKeyAuth({ name: 'api_key', value: 'a b', in: 'query' }).apply(context)
+
+      expect(context.url).to.equal('http://api.test/posts?userId=1&api_key=a+b')
+      expect(context.headers).to.be.empty
+    })
+  })
+
+  describe('HMAC', function () {
+    it('@unit should sign method, path, date and body digest', function () {
+      const strategy = new HmacSignature({ keyId: 'key-1', secret: 's3cret' })
+      const context = requestContext({ method: 'POST', url: 'http://api.test/posts?draft=true', data: { title: 'x' } })
+
+      strategy.apply(context)
+
+      const digest = HmacSignature.digest({ title: 'x' })
+      const signature = strategy.sign({ method: 'POST', url: context.url, date: context.headers['X-Date'], digest })
+      expect(context.headers.Digest).to.equal(digest)
+      expect(context.headers.Authorization).to.equal(`HMAC keyId="key-1",algorithm="hmac-sha256",signature="${signature}"`)
+      expect(HmacSignature.canonicalString({ method: 'post', url: context.url, date: 'D', digest: 'H' }))
+        .to.equal('POST\n/posts?draft=true\nD\nH')
+    })
+
+    it('@unit should produce different signatures for different bodies', function () {
+      const strategy = new HmacSignature({ keyId: 'key-1', secret: 's3cret' })
+      const parts = { method: 'POST', url: 'http://api.test/posts', date: '2024-01-01T00:00:00.000Z' }
+
+      expect(strategy.sign({ ...parts, digest: HmacSignature.digest({ a: 1 }) }))
+        .to.not.equal(strategy.sign({ ...parts, digest: HmacSignature.digest({ a: 2 }) }))
+    })
+  })
+
+  describe('OAuth2 Token Cache', function () {
+    it('@unit should refresh tokens refreshMargin ms before they expire', function () {
+      const strategy = new OAuth2ClientCredentials({ tokenUrl: 'http://auth.test/token', clientId: 'id', clientSecret: 'secret', refreshMargin: 1000 })
+
+      strategy.token = { accessToken: 'abc', tokenType: 'Bearer', expiresAt: Date.now() + 5000 }
+      expect(strategy.hasFreshToken()).to.be.true
+
+      strategy.token.expiresAt = Date.now() + 500
+      expect(strategy.hasFreshToken()).to.be.false
+    })
+  })
+
+  describe('Factory', function () {
+    it('@unit should create strategies from options', function () {
+      expect(createAuthStrategy({ type: 'hmac', keyId: 'k', secret: 's' })).to.be.instanceOf(HmacSignature)
+      expect(createAuthStrategy(null)).to.be.null
+
+      const custom = { apply () {} }
+      expect(createAuthStrategy(custom)).to.equal(custom)
+    })
+
+    it('@unit should reject unknown types and missing options', function () {
+      expect(() => createAuthStrategy({ type: 'digest' }))
+        .to.throw('Unknown auth strategy "digest", expected one of: basic, bearer, apiKey, oauth2, hmac')
+      expect(() => createAuthStrategy({ type: 'oauth2', tokenUrl: 'http://auth.test/token' }))
+        .to.throw('oauth2 auth requires clientId, clientSecret')
+      expect(() => createAuthStrategy({ type: 'apiKey', name: 'key', value: 'v', in: 'cookie' }))
+        .to.throw('apiKey auth sends the key in a header or query, not cookie')
+    })
+
+    it('@unit should give clients the configured strategy of their API', function () {
+      expect(new HttpClient(config.baseUrls.reqres).auth).to.include({ name: 'apiKey', key: 'x-api-key' })
+      expect(new HttpClient(config.baseUrls.jsonplaceholder).auth).to.be.null
+      expect(new HttpClient('http://other.test').auth).to.be.null
+    })
+  })
+})
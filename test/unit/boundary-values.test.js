@@ -0,0 +1,102 @@
+const { boundaryCases, invalidCases, validCases, EXTRA_FIELD } = require('../utils/boundary-values')
+
+describe('Boundary Values', function () {
+  const post = { userId: 1, title: 'Title', body: 'Body' }
+
+  /**
+   * Cases of one field by label
+   * @param {Array<Object>} cases - Cases
+   * @param {string} field - Field path
+   * @returns {Object} Validity by label
+   */
+  function byLabel (cases, field) {
+    return Object.fromEntries(cases.filter(testCase => testCase.field === field).map(testCase => [testCase.label, testCase.valid]))
+  }
+
+  describe('Cases', function () {
+    it('@unit should derive labeled cases from the schema limits', function () {
+      const cases = boundaryCases('post', { base: post })
+
+      expect(byLabel(cases, 'title')).to.deep.equal({
+        'title: empty string': false,
+        'title: max length (200 characters)': true,
+        'title: max length + 1 (201 characters)': false,
+        'title: unicode text': true,
+        'title: emoji': true,
+        'title: number instead of string': false,
+        'title: boolean instead of string': false,
+        'title: array instead of string': false,
+        'title: null': false,
+        'title: missing required field': false
+      })
+      expect(byLabel(cases, 'userId')).to.include({
+        'userId: zero': false,
+        'userId: negative': false,
+        'userId: minimum (1)': true,
+        'userId: MAX_SAFE_INTEGER': true,
+        'userId: fraction instead of integer': false
+      })
+      expect(byLabel(cases, EXTRA_FIELD)).to.deep.equal({ 'unexpectedField: extra field': false })
+    })
+
+    it('@unit should change one field of the base payload per case', function () {
+      const cases = boundaryCases('post', { base: post })
+      const missing = cases.find(testCase => testCase.label === 'body: missing required field')
+      const longTitle = cases.find(testCase => testCase.label === 'title: max length + 1 (201 characters)')
+
+      expect(missing.data).to.deep.equal({ userId: 1, title: 'Title' })
+      expect(missing.value).to.be.undefined
+      expect(longTitle.data).to.deep.equal({ ...post, title: 'x'.repeat(201) })
+      expect(post).to.deep.equal({ userId: 1, title: 'Title', body: 'Body' })
+    })
+
+    it('@unit should not repeat a value for a field', function () {
+      // minimum - 1 of userId is zero
+      const labels = boundaryCases('post', { base: post }).map(testCase => testCase.label)
+
+      expect(labels).to.include('userId: zero')
+      expect(labels).to.not.include('userId: minimum - 1 (0)')
+      expect(new Set(labels).size).to.equal(labels.length)
+    })
+
+    it('@unit should cover formats, patterns and nested fields', function () {
+      const user = {
+        name: 'Ann Lee',
+        username: 'ann',
+        email: 'ann@example.com',
+        phone: '555-0100',
+        website: 'ann.example.com',
+        address: { street: 'Main St', suite: 'Apt. 1', city: 'Springfield', zipcode: '12345', geo: { lat: '1.0', lng: '2.0' } },
+        company: { name: 'Lee LLC', catchPhrase: '', bs: '' }
+      }
+      const cases = boundaryCases('user', { base: user, fields: ['email', 'address.zipcode', 'address.geo'] })
+
+      expect(byLabel(cases, 'email')).to.include({ 'email: malformed email': false })
+      expect(byLabel(cases, 'address.zipcode')).to.include({ 'address.zipcode: not matching /^(\\d{5}(-\\d{4})?|\\d{3}-\\d{4}|\\d{6})$/': false })
+      expect(byLabel(cases, 'address.geo.lat')).to.include({ 'address.geo.lat: null': false })
+      expect(byLabel(cases, 'address.geo')).to.include({ 'address.geo: string instead of object': false })
+      expect(cases.find(testCase => testCase.field === 'address.geo.unexpectedField').data.address.geo.unexpectedField).to.equal('unexpected')
+      expect(cases.map(testCase => testCase.field)).to.not.include('name')
+    })
+  })
+
+  describe('Filters', function () {
+    it('@unit should split the cases by validity', function () {
+      const todo = { userId: 1, title: 'Title', completed: false }
+
+      expect(invalidCases('todo', { base: todo }).every(testCase => !testCase.valid)).to.be.true
+      expect(validCases('todo', { base: todo }).map(testCase => testCase.label)).to.include('title: emoji')
+      expect(byLabel(invalidCases('todo', { base: todo }), 'completed')).to.deep.equal({
+        'completed: string instead of boolean': false,
+        'completed: number instead of boolean': false,
+        'completed: null': false,
+        'completed: missing required field': false
+      })
+    })
+
+    it('@unit should reject an invalid base payload', function () {
+      expect(() => boundaryCases('post', { base: { title: 'Title' } }))
+        .to.throw('Base post payload does not match its schema:\n  /userId is required\n  /body is required')
+    })
+  })
+})
@@ -0,0 +1,136 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const config = require('../../config/test-config')
+const {
+  collectOperations,
+  generateMethod,
+  generateRegion,
+  updateClientSource,
+  generateClients
+} = require('../utils/client-generator')
+
+const CLIENTS_DIR = path.join(__dirname, '..', 'api-clients')
+
+describe('API Client Generator', function () {
+  const spec = JSON.parse(fs.readFileSync(config.contracts.spec, 'utf8'))
+  const operations = collectOperations(spec)
+  const outDir = path.join(os.tmpdir(), `client-generator-${process.pid}`)
+
+  afterEach(function () {
+    fs.rmSync(outDir, { recursive: true, force: true })
+  })
+
+  describe('Operations', function () {
+    it('@unit should group operations by tag with CRUD method names', function () {
+      const names = operations.get('posts').map(operation => operation.name)
+
+      expect([...operations.keys()]).to.include.members(['users', 'posts', 'comments', 'albums'])
+      expect(names).to.deep.equal(['getAll', 'create', 'getById', 'update', 'delete', 'patch', 'getComments'])
+    })
+
+    it('@unit should honor x-client-method', function () {
+      const custom = JSON.parse(JSON.stringify(spec))
+      custom.paths['/posts/{id}'].get['x-client-method'] = 'findPost'
+
+      const names = collectOperations(custom).get('posts').map(operation => operation.name)
+
+      expect(names).to.include('findPost').and.not.include('getById')
+    })
+  })
+
+  describe('Methods', function () {
+    it('@unit should type path and query parameters in JSDoc', function () {
+      const source = generateMethod(spec, operations.get('comments').find(operation => operation.name === 'getAll'))
+
+      expect(source).to.include('   * GET /comments (listComments)')
+      expect(source).to.include('   * @param {number} [query.postId] - Only comments of this post')
+      expect(source).to.include('   * @param {\'asc\'|\'desc\'} [query._order] - Sort order')
+      expect(source).to.include('  async getAll(query = {}) {')
+      expect(source).to.include('return this.request(\'GET\', `${this.endpoint}${this.buildQuery(query)}`)')
+    })
+
+    it('@unit should generate a raw variant without assertions', function () {
+      const source = generateMethod(spec, operations.get('posts').find(operation => operation.name === 'update'))
+      const raw = source.slice(0, source.indexOf('  async update('))
+
+      expect(raw).to.include('   * Replace a post without assertions')
+      expect(raw).to.include('   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)')
+      expect(raw).to.include('  async updateRaw(id, data) {\n    return this.request(\'PUT\', `${this.endpoint}/${id}`, data)\n  }')
+      expect(raw).to.not.include('expect(')
+    })
+
+    it('@unit should wire in response validation', function () {
+      const getById = generateMethod(spec, operations.get('users').find(operation => operation.name === 'getById'))
+      const patch = generateMethod(spec, operations.get('users').find(operation => operation.name === 'patch'))
+
+      expect(getById).to.include('   * @param {number} id - Resource ID')
+      expect(getById).to.include('const result = await this.getByIdRaw(id)')
+      expect(getById).to.include('this.validateSuccessResponse(result, 200)')
+      expect(getById).to.include('expect(body).to.matchSchema(\'user\')')
+      expect(patch).to.include('  async patch(id, data) {')
+      expect(patch).to.include('expect(body).to.deep.include(data)')
+    })
+  })
+
+  describe('Regeneration', function () {
+    const region = generateRegion(spec, operations.get('comments'), 'openapi.json')
+    const names = operations.get('comments').flatMap(operation => [operation.name, operation.rawName])
+
+    it('@unit should keep custom methods outside the generated region', function () {
+      const source = [
+        'class CommentsApiClient extends BaseApiClient {',
+        '  // #region generated from an older document',
+        '  async removedOperation() {}',
+        '  // #endregion generated',
+        '',
+        '  async getStatistics(postId) {}',
+        '}'
+      ].join('\n')
+
+      const updated = updateClientSource(source, region, names)
+
+      expect(updated).to.not.include('removedOperation')
+      expect(updated).to.include('  async getById(id) {')
+      expect(updated).to.match(/#endregion generated\n\n {2}async getStatistics\(postId\) \{\}\n\}$/)
+    })
+
+    it('@unit should refuse files without a generated region', function () {
+      expect(() => updateClientSource('class Handwritten {}', region, names, 'handwritten.api.js'))
+        .to.throw('handwritten.api.js has no generated region')
+    })
+
+    it('@unit should refuse custom methods that clash with generated ones', function () {
+      const source = '  // #region generated\n  // #endregion generated\n\n  async getById(commentId) {}\n'
+
+      expect(() => updateClientSource(source, region, names)).to.throw('custom method(s) getById clash with generated ones')
+      expect(() => updateClientSource(source.replace('getById', 'createRaw'), region, names))
+        .to.throw('custom method(s) createRaw clash')
+    })
+
+    it('@unit should create missing clients and update them on re-run', function () {
+      const [albums] = generateClients({ outDir }).filter(file => file.filePath.endsWith('albums.api.js'))
+      expect(albums.created).to.be.true
+
+      const custom = '\n  async getCover(albumId) {\n    return albumId\n  }\n}\n'
+      fs.writeFileSync(albums.filePath, fs.readFileSync(albums.filePath, 'utf8').replace(/\n\}\n/, custom))
+      const [rerun] = generateClients({ outDir }).filter(file => file.filePath.endsWith('albums.api.js'))
+
+      expect(rerun.created).to.be.false
+      expect(fs.readFileSync(albums.filePath, 'utf8')).to.include('async getCover(albumId)').and.include('async getById(id)')
+    })
+
+    it('@unit should match the checked-in clients', function () {
+      fs.mkdirSync(outDir, { recursive: true })
+      const files = fs.readdirSync(CLIENTS_DIR).filter(file => file.endsWith('.api.js'))
+      files.forEach(file => fs.copyFileSync(path.join(CLIENTS_DIR, file), path.join(outDir, file)))
+
+      generateClients({ outDir })
+
+      files.forEach(file => {
+        expect(fs.readFileSync(path.join(outDir, file), 'utf8'), `${file} is out of date, run npm run generate:clients`)
+          .to.equal(fs.readFileSync(path.join(CLIENTS_DIR, file), 'utf8'))
+      })
+    })
+  })
+})
@@ -0,0 +1,166 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { loadConfig, parseEnvFile, ConfigError } = require('../../config/loader')
+
+describe('Configuration Loader', function () {
+  /**
+   * Load the configuration from the given variables only, ignoring the .env files of the checkout
+   * @param {Object} env - Environment variables
+   * @param {Array<string>} envFiles - .env files
+   * @returns {Object} Configuration
+   */
+  function load (env = {}, envFiles = []) {
+    return loadConfig({ env, envFiles })
+  }
+
+  /**
+   * Problems reported by a failing load
+   * @param {Object} env - Environment variables
+   * @returns {Array<string>} Problems
+   */
+  function problemsOf (env) {
+    try {
+      load(env)
+    } catch (error) {
+      expect(error).to.be.instanceOf(ConfigError)
+      return error.problems
+    }
+    return expect.fail('The configuration should be invalid')
+  }
+
+  describe('Profiles', function () {
+    it('@unit should use the dev profile with the public APIs by default', function () {
+      const config = load()
+
+      expect(config.profile).to.equal('dev')
+      expect(config.offline).to.be.false
+      expect(config.baseUrls).to.deep.equal({
+        jsonplaceholder: 'https://jsonplaceholder.typicode.com',
+        reqres: 'https://reqres.in/api'
+      })
+    })
+
+    it('@unit should point the local profile at the mock servers', function () {
+      const config = load({ TEST_ENV: 'local', MOCK_SERVER_PORT: '4100' })
+
+      expect(config.offline).to.be.true
+      expect(config.baseUrls.jsonplaceholder).to.equal('http://127.0.0.1:4100')
+      expect(config.baseUrls.reqres).to.equal('http://127.0.0.1:3101/api')
+    })
+
+    it('@unit should select the local profile with OFFLINE=true', function () {
+      expect(load({ OFFLINE: 'true' }).profile).to.equal('local')
+      expect(problemsOf({ OFFLINE: 'true', TEST_ENV: 'staging' }))
+        .to.deep.equal(['OFFLINE=true needs the local profile, but TEST_ENV is "staging"'])
+    })
+
+    it('@unit should merge profile settings into the defaults', function () {
+      const config = load({ TEST_ENV: 'prod-readonly' })
+
+      expect(config.retry.maxAttempts).to.equal(2)
+      expect(config.retry.retryOnStatus).to.deep.equal([429, 502, 503, 504])
+      expect(config.safety.readOnly).to.be.true
+      expect(load().safety.readOnly).to.be.false
+    })
+
+    it('@unit should reject unknown profiles', function () {
+      expect(problemsOf({ TEST_ENV: 'qa' })).to.deep.equal(['TEST_ENV must be one of: local, dev, staging, prod-readonly'])
+    })
+
+    it('@unit should require the staging base URLs', function () {
+      expect(problemsOf({ TEST_ENV: 'staging' })).to.deep.equal([
+        'baseUrls.jsonplaceholder is not set (set TEST_CONFIG__baseUrls__jsonplaceholder)',
+        'baseUrls.reqres is not set (set TEST_CONFIG__baseUrls__reqres)'
+      ])
+
+      const config = load({
+        TEST_ENV: 'staging',
+        TEST_CONFIG__baseUrls__jsonplaceholder: 'https://jsonplaceholder.staging.test',
+        TEST_CONFIG__baseUrls__reqres: 'https://reqres.staging.test/api'
+      })
+      expect(config.baseUrls.jsonplaceholder).to.equal('https://jsonplaceholder.staging.test')
+      expect(config.timeout).to.equal(20000)
+    })
+  })
+
+  describe('Overrides', function () {
+    it('@unit should convert values to the type of the key they override', function () {
+      const config = load({
+        TEST_CONFIG__timeout: '2500',
+        TEST_CONFIG__har__enabled: 'true',
+        TEST_CONFIG__retry__retryOnStatus: '[503]',
+        TEST_CONFIG__reqres__credentials__password: '12345',
+        TEST_CONFIG__auth__jsonplaceholder: '{"type":"bearer","token":"abc"}'
+      })
+
+      expect(config.timeout).to.equal(2500)
+      expect(config.har.enabled).to.be.true
+      expect(config.retry.retryOnStatus).to.deep.equal([503])
+      expect(config.reqres.credentials.password).to.equal('12345')
+      expect(config.auth.jsonplaceholder).to.deep.equal({ type: 'bearer', token: 'abc' })
+    })
+
+    it('@unit should report unknown and mistyped keys together', function () {
+      expect(problemsOf({
+        TEST_CONFIG__retry__maxAttemps: '1',
+        TEST_CONFIG__timeout: 'soon',
+        TEST_CONFIG__har__mode: 'always',
+        TEST_CONFIG__baseUrls__reqres: 'ftp://reqres.test'
+      })).to.deep.equal([
+        'TEST_CONFIG__retry__maxAttemps sets unknown key retry.maxAttemps',
+        'baseUrls.reqres must match pattern "^https?://" (set TEST_CONFIG__baseUrls__reqres)',
+        'timeout must be integer, got string (set TEST_CONFIG__timeout)',
+        'har.mode must be one of: test, suite (set TEST_CONFIG__har__mode)'
+      ])
+    })
+
+    it('@unit should not print the values of invalid keys', function () {
+      const problems = problemsOf({ TEST_CONFIG__auth__reqres: '{"type":"magic","value":"s3cr3t"}' })
+
+      expect(problems).to.deep.equal(['auth.reqres.type must be one of: basic, bearer, apiKey, oauth2, hmac (set TEST_CONFIG__auth__reqres__type)'])
+      expect(problems.join()).to.not.include('s3cr3t')
+    })
+  })
+
+  describe('Env Files', function () {
+    let dir
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'))
+    })
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('@unit should parse comments, export and quotes', function () {
+      expect(parseEnvFile([
+        '# Staging secrets',
+        'export TEST_ENV=staging',
+        'REQRES_API_KEY="key # not a comment"',
+        'PASSWORD=\'p=ss\'',
+        'TIMEOUT = 500 # ms',
+        'not a variable'
+      ].join('\n'))).to.deep.equal({
+        TEST_ENV: 'staging',
+        REQRES_API_KEY: 'key # not a comment',
+        PASSWORD: 'p=ss',
+        TIMEOUT: '500'
+      })
+    })
+
+    it('@unit should read .env files with later files and the environment winning', function () {
+      const envFile = path.join(dir, '.env')
+      const localFile = path.join(dir, '.env.local')
+      fs.writeFileSync(envFile, 'TEST_ENV=prod-readonly\nTEST_CONFIG__timeout=1000\nREQRES_API_KEY=from-env-file\n')
+      fs.writeFileSync(localFile, 'TEST_CONFIG__timeout=2000\n')
+
+      const config = load({ REQRES_API_KEY: 'from-environment' }, [envFile, localFile, path.join(dir, 'missing.env')])
+
+      expect(config.profile).to.equal('prod-readonly')
+      expect(config.timeout).to.equal(2000)
+      expect(config.auth.reqres.value).to.equal('from-environment')
+    })
+  })
+})
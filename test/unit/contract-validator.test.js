@@ -0,0 +1,141 @@
+const { ContractValidator } = require('../utils/contract-validator')
+
+const JSON_HEADERS = { 'content-type': 'application/json; charset=utf-8' }
+
+const validPost = { userId: 1, id: 1, title: 'Title', body: 'Body' }
+
+// Small document exercising headers and status ranges on top of a resource schema reference
+const inlineSpec = {
+  openapi: '3.1.0',
+  info: { title: 'Inline', version: '1.0.0' },
+  paths: {
+    '/posts': {
+      get: {
+        operationId: 'listPosts',
+        responses: {
+          200: {
+            description: 'Posts',
+            headers: { 'X-Total-Count': { required: true, schema: { type: 'string' } } },
+            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Post' } } } }
+          },
+          '5XX': { description: 'Server error' }
+        }
+      }
+    },
+    '/posts/latest': {
+      get: { operationId: 'getLatestPost', responses: { 200: { description: 'Latest post' } } }
+    },
+    '/posts/{id}': {
+      get: { operationId: 'getPost', responses: { default: { description: 'Anything' } } }
+    }
+  },
+  components: {
+    schemas: {
+      Post: { $ref: 'https://jsonplaceholder.typicode.com/schemas/post', example: { id: 1 } }
+    }
+  }
+}
+
+describe('OpenAPI Contract Validation', function () {
+  let validator
+
+  beforeEach(function () {
+    validator = new ContractValidator()
+  })
+
+  describe('Operations', function () {
+    it('@unit should load every operation of the JSONPlaceholder document', function () {
+      const ids = validator.operations.map(operation => operation.operationId)
+
+      expect(ids).to.include.members(['listPosts', 'getPost', 'createPost', 'listPostComments', 'deleteComment'])
+      expect(validator.findOperation('GET', '/posts/1/comments?_limit=2').operationId).to.equal('listPostComments')
+      expect(validator.findOperation('PATCH', '/users/3').operationId).to.equal('updateUser')
+    })
+
+    it('@unit should prefer literal paths over templated ones', function () {
+      validator = new ContractValidator(inlineSpec)
+
+      expect(validator.findOperation('GET', '/posts/latest').operationId).to.equal('getLatestPost')
+      expect(validator.findOperation('GET', '/posts/7').operationId).to.equal('getPost')
+    })
+  })
+
+  describe('Responses', function () {
+    it('@unit should accept a documented response', function () {
+      const { operation, violations } = validator.validate('GET', '/posts/1', { status: 200, headers: JSON_HEADERS, body: validPost })
+
+      expect(operation.operationId).to.equal('getPost')
+      expect(violations).to.be.empty
+    })
+
+    it('@unit should report undocumented operations and statuses', function () {
+      expect(validator.validate('GET', '/widgets', { status: 200 }).violations[0].message)
+        .to.equal('no operation documents GET /widgets')
+      expect(validator.validate('GET', '/posts/1', { status: 503 }).violations[0])
+        .to.deep.equal({ path: '/status', message: '503 is not documented (expected one of: 200, 404)' })
+    })
+
+    it('@unit should validate bodies against the referenced resource schemas', function () {
+      const { violations } = validator.validate('GET', '/posts', {
+        status: 200,
+        headers: JSON_HEADERS,
+        body: [validPost, { ...validPost, id: '2', author: 'me' }]
+      })
+
+      expect(violations).to.have.deep.members([
+        { path: '/body/1/id', message: 'must be integer' },
+        { path: '/body/1/author', message: 'is not allowed' }
+      ])
+    })
+
+    it('@unit should check the media type', function () {
+      const { violations } = validator.validate('GET', '/posts/1', { status: 200, headers: { 'content-type': 'text/html' }, body: {} })
+
+      expect(violations).to.deep.equal([
+        { path: '/headers/content-type', message: '"text/html" is not documented (expected one of: application/json)' }
+      ])
+    })
+
+    it('@unit should require documented headers and match status ranges', function () {
+      validator = new ContractValidator(inlineSpec)
+
+      expect(validator.validate('GET', '/posts', { status: 200, headers: JSON_HEADERS, body: [] }).violations)
+        .to.deep.equal([{ path: '/headers/X-Total-Count', message: 'is required' }])
+      expect(validator.validate('GET', '/posts', { status: 200, headers: { ...JSON_HEADERS, 'x-total-count': '0' }, body: [] }).violations)
+        .to.be.empty
+      expect(validator.validate('GET', '/posts', { status: 502 }).violations).to.be.empty
+      expect(validator.validate('GET', '/posts/1', { status: 418 }).violations).to.be.empty
+    })
+  })
+
+  describe('Interceptor', function () {
+    it('@unit should fail responses that break the contract', function () {
+      const context = { method: 'GET', endpoint: '/posts/1' }
+      const response = { status: 200, headers: JSON_HEADERS, body: { id: 1 } }
+
+      expect(() => validator.interceptor().onResponse(response, context))
+        .to.throw(/^Contract violation in getPost \(GET \/posts\/1 -> 200\):\n {2}\/body\/userId is required/)
+    })
+
+    it('@unit should check error responses too', function () {
+      const context = { method: 'DELETE', endpoint: '/posts/1' }
+      const error = Object.assign(new Error('Internal Server Error'), { response: { status: 500, headers: JSON_HEADERS, body: {} } })
+
+      expect(() => validator.interceptor().onError(error, context)).to.throw('500 is not documented')
+    })
+  })
+
+  describe('Coverage', function () {
+    it('@unit should list operations that were never called', function () {
+      validator.validate('GET', '/posts/1', { status: 200, headers: JSON_HEADERS, body: validPost })
+      validator.validate('GET', '/posts/2', { status: 404, headers: JSON_HEADERS, body: {} })
+
+      const coverage = validator.coverage()
+
+      expect(coverage.covered).to.equal(1)
+      expect(coverage.calls).to.deep.equal({ getPost: 2 })
+      expect(coverage.uncovered).to.deep.include({ operationId: 'listAlbums', method: 'GET', path: '/albums' })
+      expect(coverage.uncovered).to.have.length(coverage.total - 1)
+    })
+  })
+})
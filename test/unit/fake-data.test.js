@@ -0,0 +1,88 @@
+const { FakeData, fakeData, LOCALES } = require('../utils/fake-data')
+const { SeededRandom } = require('../utils/random')
+const { generateRandomUser, generateRandomPost, isValidEmail } = require('../utils/data-generators')
+const locales = require('../utils/locales')
+const { schemaValidator } = require('../utils/schema-validator')
+
+describe('Fake Data', function () {
+  // ZIP code and phone formats of each country
+  const FORMATS = {
+    en_US: { zipcode: /^\d{5}$/, phone: /^(\+1 )?(\(\d{3}\) |\d{3}-)\d{3}-\d{4}$/ },
+    de_DE: { zipcode: /^\d{5}$/, phone: /^(\+49 \d{2}|0\d{2,3}) \d{7,8}$/ },
+    fr_FR: { zipcode: /^\d{5}$/, phone: /^(\+33 \d|0\d)( \d{2}){4}$/ },
+    ja_JP: { zipcode: /^\d{3}-\d{4}$/, phone: /^(\+81 \d|0\d{1,2})-\d{4}-\d{4}$/ },
+    ru_RU: { zipcode: /^\d{6}$/, phone: /^(\+7|8) \(\d{3}\) \d{3}-\d{2}-\d{2}$/ }
+  }
+
+  it('@unit should provide every locale', function () {
+    expect(LOCALES).to.have.members(Object.keys(FORMATS))
+    expect(() => fakeData('xx_XX')).to.throw('Unknown locale "xx_XX", expected one of: en_US, de_DE, fr_FR, ja_JP, ru_RU')
+  })
+
+  LOCALES.forEach(locale => {
+    describe(locale, function () {
+      const fake = new FakeData(locale, new SeededRandom(1))
+
+      it('@unit should build addresses with a ZIP code and coordinates of the city', function () {
+        for (let i = 0; i < 50; i++) {
+          const address = fake.address()
+          const city = locales[locale].cities.find(entry => entry.name === address.city)
+          const prefix = city.zip.split('#')[0]
+
+          expect(address.zipcode).to.match(FORMATS[locale].zipcode).and.satisfy(zip => zip.startsWith(prefix))
+          expect(address.country).to.equal(locales[locale].countryCode)
+          expect(Math.abs(Number(address.geo.lat) - city.lat)).to.be.below(0.1)
+          expect(Math.abs(Number(address.geo.lng) - city.lng)).to.be.below(0.1)
+        }
+      })
+
+      it('@unit should format phone numbers like the country', function () {
+        for (let i = 0; i < 50; i++) {
+          expect(fake.phone()).to.match(FORMATS[locale].phone)
+        }
+      })
+
+      it('@unit should keep usernames, emails and websites ASCII', function () {
+        for (let i = 0; i < 20; i++) {
+          const user = fake.user()
+
+          expect(user.name).to.have.length.within(3, 100)
+          expect(user.username).to.match(/^[a-z0-9._]+$/)
+          expect(isValidEmail(user.email)).to.be.true
+          expect(user.email).to.match(/@example\.(com|org|net)$/)
+          expect(user.website).to.match(/^[a-z0-9]+\.[a-z]+$/)
+          expect(user.company.name).to.be.a('string').and.not.be.empty
+        }
+      })
+    })
+  })
+
+  it('@unit should write names and text in the script of the locale', function () {
+    const japanese = new FakeData('ja_JP', new SeededRandom(2))
+    const russian = new FakeData('ru_RU', new SeededRandom(2))
+
+    expect(japanese.fullName()).to.match(/^[\p{Script=Han}\p{Script=Hiragana}]+ [\p{Script=Han}\p{Script=Hiragana}]+$/u)
+    expect(japanese.sentence()).to.match(/。$/).and.not.include(' ')
+    expect(russian.fullName()).to.match(/^\p{Script=Cyrillic}+ \p{Script=Cyrillic}+$/u)
+    expect(russian.romanize('Щукина')).to.equal('shchukina')
+  })
+
+  it('@unit should match the gender of Russian first and family names', function () {
+    const fake = new FakeData('ru_RU', new SeededRandom(3))
+
+    expect(fake.person('female').lastName).to.match(/а$/)
+    expect(fake.person('male').lastName).to.match(/[вн]$/)
+  })
+
+  it('@unit should generate schema-valid users and posts for every locale', function () {
+    LOCALES.forEach(locale => {
+      const user = generateRandomUser({ locale })
+      const post = generateRandomPost(1, { locale })
+
+      expect({ id: 1, ...user }, locale).to.matchSchema('user')
+      expect({ id: 1, ...post }, locale).to.matchSchema('post')
+      expect(schemaValidator.validate('user', user, { write: true }).valid, `${locale} user payload`).to.be.true
+    })
+    expect(generateRandomPost(1, { locale: 'de_DE' }).body).to.include('.')
+  })
+})
@@ -0,0 +1,71 @@
+const { parseLinkHeader, readPage, PageTracker } = require('../utils/pagination')
+
+describe('Pagination Helpers', function () {
+  describe('Link Header', function () {
+    it('@unit should map relations to URLs', function () {
+      const links = parseLinkHeader('<http://api/posts?_page=1&_limit=5>; rel="first", <http://api/posts?_page=3&_limit=5>; rel="next", <http://api/posts?_page=20&_limit=5>; rel="last"')
+
+      expect(links).to.deep.equal({
+        first: 'http://api/posts?_page=1&_limit=5',
+        next: 'http://api/posts?_page=3&_limit=5',
+        last: 'http://api/posts?_page=20&_limit=5'
+      })
+      expect(parseLinkHeader(undefined)).to.deep.equal({})
+    })
+  })
+
+  describe('Pages', function () {
+    it('@unit should follow the next link of json-server pages', function () {
+      const page = readPage({
+        body: [{ id: 6 }],
+        headers: { 'x-total-count': '11', link: '<http://api/posts?_page=3&_limit=5>; rel="next"' }
+      }, 2, 5)
+
+      expect(page).to.deep.equal({ items: [{ id: 6 }], total: 11, nextPage: 3 })
+    })
+
+    it('@unit should end json-server pages without a next link', function () {
+      const page = readPage({ body: [{ id: 11 }], headers: { 'x-total-count': '11', link: '<http://api/posts?_page=1>; rel="first"' } }, 3, 5)
+
+      expect(page.nextPage).to.be.null
+    })
+
+    it('@unit should fall back to the total count or a short page', function () {
+      expect(readPage({ body: [{ id: 1 }, { id: 2 }], headers: { 'x-total-count': '3' } }, 1, 2).nextPage).to.equal(2)
+      expect(readPage({ body: [{ id: 1 }, { id: 2 }], headers: {} }, 1, 2).nextPage).to.equal(2)
+      expect(readPage({ body: [{ id: 3 }], headers: {} }, 2, 2)).to.deep.equal({ items: [{ id: 3 }], total: null, nextPage: null })
+    })
+
+    it('@unit should read reqres pages', function () {
+      const body = { page: 1, per_page: 6, total: 12, total_pages: 2, data: [{ id: 1 }] }
+
+      expect(readPage({ body, headers: {} }, 1, 6)).to.deep.equal({ items: [{ id: 1 }], total: 12, nextPage: 2 })
+      expect(readPage({ body: { ...body, page: 2 }, headers: {} }, 2, 6).nextPage).to.be.null
+      expect(() => readPage({ body, headers: {} }, 2, 6)).to.throw('page number in the body')
+    })
+  })
+
+  describe('Tracker', function () {
+    it('@unit should accept a complete listing', function () {
+      const tracker = new PageTracker('/users', { limit: 2 })
+
+      tracker.add(1, [{ id: 1 }, { id: 2 }], 3)
+      tracker.add(2, [{ id: 3 }], 3)
+
+      expect(() => tracker.finish()).to.not.throw()
+    })
+
+    it('@unit should reject pages over the limit', function () {
+      const tracker = new PageTracker('/users', { limit: 1 })
+
+      expect(() => tracker.add(1, [{ id: 1 }, { id: 2 }], null)).to.throw('/users: size of page 1')
+    })
+
+    it('@unit should identify items by a custom key', function () {
+      const tracker = new PageTracker('/users', { limit: 2, key: 'email' })
+      tracker.add(1, [{ email: 'a@x.io' }], null)
+
+      expect(() => tracker.add(2, [{ email: 'a@x.io' }], null)).to.throw('item email=a@x.io on page 2 was already returned on page 1')
+    })
+  })
+})
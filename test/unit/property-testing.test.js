@@ -0,0 +1,128 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { integer, string, record, email, fromSchema } = require('../utils/arbitraries')
+const { checkProperty, PropertyError, RegressionFile } = require('../utils/property-testing')
+const { SeededRandom } = require('../utils/random')
+const { schemaValidator } = require('../utils/schema-validator')
+const { expectFailure } = require('../utils/test-helpers')
+
+describe('Property-Based Testing', function () {
+  describe('Arbitraries', function () {
+    it('@unit should generate schema-valid payloads', function () {
+      const generator = new SeededRandom(1)
+      const posts = fromSchema('post')
+      const patches = fromSchema('comment', { partial: true })
+
+      for (let i = 0; i < 200; i++) {
+        expect(schemaValidator.validate('post', posts.generate(generator), { write: true }).valid).to.be.true
+        expect(Object.keys(patches.generate(generator))).to.have.length.within(1, 4)
+      }
+    })
+
+    it('@unit should propose smaller values within the constraints', function () {
+      expect(integer({ min: 0, max: 1000 }).shrink(40)).to.deep.equal([0, 20, 30, 35, 38, 39])
+      expect(integer({ min: 5, max: 10 }).shrink(5)).to.be.empty
+      expect(string({ minLength: 2 }).shrink('abcd')).to.deep.equal(['ab', 'cd', 'bcd', 'abc', 'aacd'])
+      expect(email().shrink('ab@example.com')).to.deep.equal(['a@example.com', 'b@example.com', 'aa@example.com'])
+      expect(record({ a: integer(), b: integer() }, { optional: ['b'], minKeys: 1 }).shrink({ a: 0, b: 2 }))
+        .to.deep.equal([{ a: 0 }, { a: 0, b: 0 }, { a: 0, b: 1 }])
+    })
+
+    it('@unit should ask for an arbitrary when the schema has a pattern', function () {
+      expect(() => fromSchema('user')).to.throw('No arbitrary for address.zipcode')
+    })
+  })
+
+  describe('Checking', function () {
+    it('@unit should pass when the property holds for every run', async function () {
+      let calls = 0
+      const result = await checkProperty('holds', integer(), value => {
+        calls++
+        expect(value).to.be.a('number')
+      }, { runs: 30, regressions: new RegressionFile(null) })
+
+      expect(result).to.deep.equal({ runs: 30, replayed: 0 })
+      expect(calls).to.equal(30)
+    })
+
+    it('@unit should shrink a failing input to a minimal counterexample', async function () {
+      const arbitrary = record({ count: integer({ min: 0, max: 1000 }), text: string({ maxLength: 20 }) })
+      const property = ({ count }) => expect(count).to.be.below(100)
+
+      const error = await expectFailure(() => checkProperty('below 100', arbitrary, property, { seed: 7, regressions: new RegressionFile(null) }), 'Property should fail')
+
+      expect(error).to.be.instanceOf(PropertyError)
+      expect(error.counterexample).to.deep.equal({ count: 100, text: '' })
+      expect(error.seed).to.equal(7)
+      expect(error.message).to.include('Property "below 100" failed after').and.include('(seed 7)').and.include('"count": 100')
+    })
+
+    it('@unit should treat a false result as a failure', async function () {
+      const error = await expectFailure(() => checkProperty('short', string(), text => Array.from(text).length < 3, { regressions: new RegressionFile(null) }), 'Property should fail')
+
+      expect(error.counterexample).to.equal('aaa')
+    })
+
+    it('@unit should draw the same inputs from the same seed', async function () {
+      const inputs = async () => {
+        const values = []
+        await checkProperty('collect', integer(), value => values.push(value), { runs: 10, seed: 42, regressions: new RegressionFile(null) })
+        return values
+      }
+
+      expect(await inputs()).to.deep.equal(await inputs())
+    })
+
+    it('@unit should throw errors other than assertion failures as they are', async function () {
+      const timeout = new Error('Request timed out')
+      let calls = 0
+
+      const error = await expectFailure(() => checkProperty('timeout', integer(), () => {
+        calls++
+        throw timeout
+      }, { regressions: new RegressionFile(null) }), 'Property should fail')
+
+      expect(error).to.equal(timeout)
+      expect(calls).to.equal(1)
+    })
+  })
+
+  describe('Regression File', function () {
+    let filePath
+
+    beforeEach(function () {
+      filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'properties-')), 'regressions.json')
+    })
+
+    afterEach(function () {
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true })
+    })
+
+    it('@unit should save counterexamples and replay them first on later runs', async function () {
+      const property = value => expect(value).to.be.below(100)
+      await expectFailure(() => checkProperty('below 100', integer({ min: 0, max: 1000 }), property, { regressions: new RegressionFile(filePath) }), 'Property should fail')
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).to.deep.equal({ 'below 100': [100] })
+
+      const replayed = []
+      const error = await expectFailure(() => checkProperty('below 100', integer({ min: 0, max: 10 }), value => {
+        replayed.push(value)
+        property(value)
+      }, { regressions: new RegressionFile(filePath) }), 'Property should fail')
+
+      expect(replayed).to.deep.equal([100])
+      expect(error.message).to.include('failed for a saved counterexample')
+    })
+
+    it('@unit should count replayed counterexamples that pass', async function () {
+      const regressions = new RegressionFile(filePath)
+      regressions.add('positive', 1)
+      regressions.add('positive', 1)
+
+      const result = await checkProperty('positive', integer({ min: 1, max: 10 }), value => expect(value).to.be.above(0), { runs: 5, regressions: new RegressionFile(filePath) })
+
+      expect(result).to.deep.equal({ runs: 5, replayed: 1 })
+    })
+  })
+})
@@ -0,0 +1,46 @@
+const { postsApi } = require('../api-clients')
+
+describe('Query Builder Parameters', function () {
+  it('@unit should build json-server parameters', function () {
+    const params = postsApi.query()
+      .where('userId', 1)
+      .where('id', 'gte', 3)
+      .where('id', 'ne', [5, 6])
+      .sort('title', 'desc')
+      .sort('id')
+      .page(2, 5)
+      .embed('comments')
+      .expand('user')
+      .toParams()
+
+    expect(params).to.deep.equal({
+      userId: [1],
+      id_gte: [3],
+      id_ne: [5, 6],
+      _sort: 'title,id',
+      _order: 'desc,asc',
+      _page: 2,
+      _limit: 5,
+      _embed: ['comments'],
+      _expand: ['user']
+    })
+  })
+
+  it('@unit should encode parameter values', function () {
+    const query = postsApi.query().where('title', 'like', '^qui & [a-z]+').search('50% off?')
+
+    expect(query.toString()).to.equal('?title_like=%5Equi+%26+%5Ba-z%5D%2B&q=50%25+off%3F')
+  })
+
+  it('@unit should check string sort order by code point like json-server', function () {
+    const query = postsApi.query().sort('title')
+    const titles = ['Banana', 'apple', 'cherry', 'Äpfel'].map(title => ({ title }))
+
+    expect(() => query.verifySortOrder(titles)).not.to.throw()
+    expect(() => query.verifySortOrder([titles[1], titles[0]])).to.throw('title of item 1 is sorted asc')
+  })
+
+  it('@unit should reject unknown operators', function () {
+    expect(() => postsApi.query().where('id', 'gt', 3)).to.throw('Unknown operator "gt" for id, expected one of: eq, gte, lte, ne, like')
+  })
+})
@@ -0,0 +1,76 @@
+const { SeededRandom, random, deriveSeed, resolveRunSeed, MAX_SEED } = require('../utils/random')
+const { generateRandomUser, generateRandomTodo } = require('../utils/data-generators')
+
+describe('Seeded Random Data', function () {
+  /**
+   * First values of a generator
+   * @param {SeededRandom} generator - Generator
+   * @param {number} count - Number of values
+   * @returns {Array<number>} Values
+   */
+  function take (generator, count = 5) {
+    return Array.from({ length: count }, () => generator.next())
+  }
+
+  describe('SeededRandom', function () {
+    it('@unit should repeat the sequence of a seed', function () {
+      const generator = new SeededRandom(42)
+      const first = take(generator)
+      generator.reseed(42)
+
+      expect(take(generator)).to.deep.equal(first)
+      expect(take(new SeededRandom(42))).to.deep.equal(first)
+      expect(take(new SeededRandom(43))).to.not.deep.equal(first)
+    })
+
+    it('@unit should stay within the requested ranges', function () {
+      const generator = new SeededRandom(7)
+
+      for (let i = 0; i < 1000; i++) {
+        expect(generator.next()).to.be.at.least(0).and.below(1)
+        expect(generator.int(-3, 3)).to.be.within(-3, 3)
+        expect(generator.pick(['a', 'b'])).to.be.oneOf(['a', 'b'])
+      }
+    })
+  })
+
+  describe('Seeds', function () {
+    it('@unit should derive a stable, distinct seed per name', function () {
+      const seed = deriveSeed(42, 'Users should create a user')
+
+      expect(seed).to.equal(deriveSeed(42, 'Users should create a user'))
+      expect(seed).to.not.equal(deriveSeed(42, 'Users should delete a user'))
+      expect(seed).to.not.equal(deriveSeed(43, 'Users should create a user'))
+      expect(seed).to.be.within(0, MAX_SEED)
+    })
+
+    it('@unit should take the seed from --seed first, then the configuration', function () {
+      expect(resolveRunSeed({ argv: ['node', 'mocha', '--seed=12'], seed: 34 })).to.equal(12)
+      expect(resolveRunSeed({ argv: ['node', 'mocha', '--seed', '56'], seed: 34 })).to.equal(56)
+      expect(resolveRunSeed({ argv: ['node', 'mocha'], seed: 34 })).to.equal(34)
+      expect(resolveRunSeed({ argv: ['node', 'mocha'], seed: null })).to.be.within(0, MAX_SEED)
+    })
+
+    it('@unit should reject seeds that are not 32-bit unsigned integers', function () {
+      expect(() => resolveRunSeed({ argv: ['--seed=abc'] }))
+        .to.throw('Invalid random seed "abc" from --seed, expected an integer from 0 to 4294967295')
+      expect(() => resolveRunSeed({ argv: [], seed: -1 })).to.throw('from TEST_SEED')
+    })
+  })
+
+  describe('Data Generators', function () {
+    it('@unit should generate the same data from the same seed', function () {
+      random.reseed(2024)
+      const user = generateRandomUser()
+      const todo = generateRandomTodo()
+      random.reseed(2024)
+
+      expect(generateRandomUser()).to.deep.equal(user)
+      expect(generateRandomTodo()).to.deep.equal(todo)
+    })
+
+    it('@unit should start every test from its own seed', function () {
+      expect(random.seed).to.equal(this.test.seed)
+    })
+  })
+})
@@ -0,0 +1,99 @@
+const { schemaValidator } = require('../utils/schema-validator')
+const { deepClone } = require('../utils/data-generators')
+
+const validUser = {
+  id: 1,
+  name: 'Leanne Graham',
+  username: 'Bret',
+  email: 'Sincere@april.biz',
+  address: {
+    street: 'Kulas Light',
+    suite: 'Apt. 556',
+    city: 'Gwenborough',
+    zipcode: '92998-3874',
+    geo: { lat: '-37.3159', lng: '81.1496' }
+  },
+  phone: '1-770-736-8031 x56442',
+  website: 'hildegard.org',
+  company: {
+    name: 'Romaguera-Crona',
+    catchPhrase: 'Multi-layered client-server neural-net',
+    bs: 'harness real-time e-markets'
+  }
+}
+
+describe('JSON Schema Validation', function () {
+  describe('Schema Registry', function () {
+    it('@unit should load a schema for every resource', function () {
+      expect(schemaValidator.names).to.include.members(['user', 'post', 'comment', 'album'])
+      expect(schemaValidator.getSchema('user').$schema).to.equal('https://json-schema.org/draft/2020-12/schema')
+    })
+
+    it('@unit should reject unknown schema names', function () {
+      expect(() => schemaValidator.validate('unicorn', {})).to.throw('Unknown schema "unicorn"')
+    })
+  })
+
+  describe('Violations', function () {
+    it('@unit should accept a valid user', function () {
+      expect(schemaValidator.validate('user', validUser)).to.deep.equal({ valid: true, errors: [] })
+    })
+
+    it('@unit should report nested violations with JSON pointer paths', function () {
+      const user = deepClone(validUser)
+      user.address.geo.lat = 'north'
+      user.company.name = 42
+
+      const { valid, errors } = schemaValidator.validate('user', user)
+
+      expect(valid).to.be.false
+      expect(errors.map(error => error.path)).to.have.members(['/address/geo/lat', '/company/name'])
+    })
+
+    it('@unit should collect every violation at once', function () {
+      const user = deepClone(validUser)
+      delete user.phone
+      user.email = 'not-an-email'
+      user.nickname = 'extra'
+
+      const { errors } = schemaValidator.validate('user', user)
+
+      expect(errors).to.deep.include.members([
+        { path: '/phone', message: 'is required', keyword: 'required' },
+        { path: '/email', message: 'must match format "email"', keyword: 'format' },
+        { path: '/nickname', message: 'is not allowed', keyword: 'additionalProperties' }
+      ])
+    })
+
+    it('@unit should validate ids as positive integers', function () {
+      const { errors } = schemaValidator.validate('post', { id: 1.5, userId: 0, title: 'Title', body: 'Body' })
+
+      expect(errors.map(error => error.path)).to.have.members(['/id', '/userId'])
+    })
+
+    it('@unit should validate request payloads without the server-assigned id', function () {
+      const payload = { userId: 1, title: 'Title', body: 'Body' }
+
+      expect(schemaValidator.validate('post', payload, { write: true }).valid).to.be.true
+      expect(schemaValidator.validate('post', { ...payload, id: 1 }, { write: true }).errors).to.deep.equal([
+        { path: '/id', message: 'is not allowed', keyword: 'additionalProperties' }
+      ])
+      expect(schemaValidator.getWriteSchema('post').required).to.deep.equal(['userId', 'title', 'body'])
+    })
+  })
+
+  describe('Chai Assertion', function () {
+    it('@unit should pass for matching data', function () {
+      expect({ postId: 1, id: 1, name: 'Name', email: 'a@b.io', body: 'Body' }).to.matchSchema('comment')
+    })
+
+    it('@unit should list the violations in the failure message', function () {
+      expect(() => expect({ id: 'one' }).to.matchSchema('post'))
+        .to.throw(/to match schema "post" but found 4 violation\(s\):\n {2}\/userId is required\n[\s\S]*\/id must be integer/)
+    })
+
+    it('@unit should support negation', function () {
+      expect({ id: 'one' }).to.not.matchSchema('post')
+    })
+  })
+})
@@ -0,0 +1,264 @@
+/**
+ * Arbitraries for property-based tests
+ *
+ * An arbitrary generates random values from a SeededRandom and proposes smaller values for a failing
+ * one, which property-testing.js uses to shrink counterexamples. fromSchema() derives the arbitrary of
+ * a resource payload from its JSON schema.
+ *
+ *   const { fromSchema, integer } = require('../utils/arbitraries')
+ *   const posts = fromSchema('post', { overrides: { userId: integer({ min: 1, max: 10 }) } })
+ *   posts.generate(random) // { userId: 4, title: 'Zü東 k🚀', body: '...' }
+ *   posts.shrink(value)    // [{ userId: 1, title: 'Zü東 k🚀', ... }, { userId: 4, title: 'Z', ... }, ...]
+ */
+
+const { schemaValidator } = require('./schema-validator')
+
+// Characters of generated text: ASCII, characters JSON and HTML escape, accents, CJK, Cyrillic and emoji
+const CHARACTERS = Array.from('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 .,;:!?-_\'"\\/<>&\néßüñ東京Жя🚀👍')
+
+// Characters of email local parts
+const EMAIL_CHARACTERS = Array.from('abcdefghijklmnopqrstuvwxyz0123456789')
+
+// Length of generated strings without a maxLength
+const DEFAULT_MAX_LENGTH = 100
+
+/**
+ * Generator of random values that knows how to shrink them
+ */
+class Arbitrary {
+  /**
+   * @param {Function} generate - (random) => value
+   * @param {Function} [shrink] - (value) => smaller candidate values, most aggressive first
+   */
+  constructor (generate, shrink = () => []) {
+    this.generate = generate
+    this.shrink = shrink
+  }
+}
+
+/**
+ * Remove candidates equal to the value being shrunk, and repeated ones
+ * @param {*} value - Value being shrunk
+ * @param {Array} candidates - Candidates
+ * @returns {Array} Distinct candidates
+ */
+function distinct (value, candidates) {
+  const seen = new Set([JSON.stringify(value)])
+  return candidates.filter(candidate => {
+    const key = JSON.stringify(candidate)
+    if (seen.has(key)) {
+      return false
+    }
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * Always the same value
+ * @param {*} value - Value
+ * @returns {Arbitrary} Arbitrary
+ */
+function constant (value) {
+  return new Arbitrary(() => value)
+}
+
+/**
+ * Integers within a range, shrinking towards zero or the bound closest to it
+ * @param {Object} [options] - Range
+ * @param {number} [options.min] - Minimum (default: -1000)
+ * @param {number} [options.max] - Maximum (default: 1000)
+ * @returns {Arbitrary} Arbitrary
+ */
+function integer ({ min = -1000, max = 1000 } = {}) {
+  const target = Math.min(Math.max(0, min), max)
+
+  return new Arbitrary(
+    random => random.int(min, max),
+    value => {
+      // The target, then ever closer to the value: value - d/2, value - d/4, ..., value - 1
+      const candidates = [target]
+      for (let delta = Math.trunc((value - target) / 2); delta !== 0; delta = Math.trunc(delta / 2)) {
+        candidates.push(value - delta)
+      }
+      return distinct(value, candidates)
+    }
+  )
+}
+
+/**
+ * true or false, shrinking to false
+ * @returns {Arbitrary} Arbitrary
+ */
+function boolean () {
+  return new Arbitrary(random => random.bool(), value => (value ? [false] : []))
+}
+
+/**
+ * Strings of characters from a list, shrinking to shorter strings of 'a'
+ * Lengths count code points, as JSON schema does
+ * @param {Object} [options] - Options
+ * @param {number} [options.minLength] - Minimum length (default: 0)
+ * @param {number} [options.maxLength] - Maximum length (default: 100)
+ * @param {Array<string>} [options.characters] - Characters to use (default: mixed scripts and emoji)
+ * @returns {Arbitrary} Arbitrary
+ */
+function string ({ minLength = 0, maxLength = Math.max(minLength, DEFAULT_MAX_LENGTH), characters = CHARACTERS } = {}) {
+  const simplest = characters[0]
+
+  return new Arbitrary(
+    random => Array.from({ length: random.int(minLength, maxLength) }, () => random.pick(characters)).join(''),
+    value => {
+      const chars = Array.from(value)
+      const candidates = []
+
+      if (chars.length > minLength) {
+        const half = Math.max(minLength, Math.floor(chars.length / 2))
+        candidates.push(chars.slice(0, minLength), chars.slice(0, half), chars.slice(chars.length - half), chars.slice(1), chars.slice(0, -1))
+      }
+      const index = chars.findIndex(char => char !== simplest)
+      if (index !== -1) {
+        candidates.push([...chars.slice(0, index), simplest, ...chars.slice(index + 1)])
+      }
+      return distinct(value, candidates.map(candidate => candidate.join('')))
+    }
+  )
+}
+
+/**
+ * Email addresses on a reserved example domain, shrinking the local part
+ * @returns {Arbitrary} Arbitrary
+ */
+function email () {
+  const local = string({ minLength: 1, maxLength: 20, characters: EMAIL_CHARACTERS })
+  const domain = 'example.com'
+
+  return new Arbitrary(
+    random => `${local.generate(random)}@${domain}`,
+    value => local.shrink(value.slice(0, value.lastIndexOf('@'))).map(candidate => `${candidate}@${domain}`)
+  )
+}
+
+/**
+ * One of a list of values, shrinking towards the first
+ * @param {Array} values - Values
+ * @returns {Arbitrary} Arbitrary
+ */
+function oneOf (values) {
+  return new Arbitrary(random => random.pick(values), value => values.slice(0, values.indexOf(value)))
+}
+
+/**
+ * Objects with an arbitrary per key
+ * Shrinking first drops optional keys, then shrinks the values one key at a time
+ * @param {Object} shape - Arbitrary per key
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.optional] - Keys that may be left out
+ * @param {number} [options.minKeys] - Minimum number of keys (default: 0)
+ * @returns {Arbitrary} Arbitrary
+ */
+function record (shape, { optional = [], minKeys = 0 } = {}) {
+  const keys = Object.keys(shape)
+
+  return new Arbitrary(
+    random => {
+      const included = keys.filter(key => !optional.includes(key) || random.bool())
+      const left = keys.filter(key => !included.includes(key))
+      while (included.length < minKeys && left.length > 0) {
+        included.push(...left.splice(random.int(0, left.length - 1), 1))
+      }
+      return Object.fromEntries(keys.filter(key => included.includes(key)).map(key => [key, shape[key].generate(random)]))
+    },
+    value => {
+      const present = Object.keys(value)
+      const dropped = present.length > minKeys
+        ? present.filter(key => optional.includes(key)).map(key => {
+          const smaller = { ...value }
+          delete smaller[key]
+          return smaller
+        })
+        : []
+      const shrunk = present.flatMap(key => shape[key].shrink(value[key]).map(candidate => ({ ...value, [key]: candidate })))
+      return [...dropped, ...shrunk]
+    }
+  )
+}
+
+/**
+ * Arbitraries of the properties of an object schema
+ * @param {Object} schema - Object schema
+ * @param {string} path - Path of the object
+ * @param {Object} overrides - Arbitraries by property path
+ * @returns {Object} Arbitrary per property
+ */
+function schemaShape (schema, path, overrides) {
+  return Object.fromEntries(Object.entries(schema.properties || {})
+    .map(([key, property]) => [key, schemaArbitrary(property, path ? `${path}.${key}` : key, overrides)]))
+}
+
+/**
+ * Arbitrary of a value described by a JSON schema
+ * @param {Object} schema - Schema
+ * @param {string} path - Property path, for error messages
+ * @param {Object} overrides - Arbitraries by property path
+ * @returns {Arbitrary} Arbitrary
+ */
+function schemaArbitrary (schema, path, overrides) {
+  if (overrides[path]) {
+    return overrides[path]
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type
+  if (type === 'object') {
+    const shape = schemaShape(schema, path, overrides)
+    const optional = Object.keys(shape).filter(key => !(schema.required || []).includes(key))
+    return record(shape, { optional })
+  }
+  if (schema.enum) {
+    return oneOf(schema.enum)
+  }
+  if (type === 'string' && schema.format === 'email') {
+    return email()
+  }
+  if (type === 'string' && !schema.format && !schema.pattern) {
+    return string({ minLength: schema.minLength, maxLength: schema.maxLength })
+  }
+  if (type === 'integer') {
+    return integer({ min: schema.minimum, max: schema.maximum })
+  }
+  if (type === 'boolean') {
+    return boolean()
+  }
+  throw new Error(`No arbitrary for ${path} (${JSON.stringify(schema)}), pass one in overrides`)
+}
+
+/**
+ * Arbitrary of valid request payloads for a resource, derived from its schema without the id
+ * @param {string} name - Schema name, e.g. 'post'
+ * @param {Object} [options] - Options
+ * @param {Object} [options.overrides] - Arbitraries by property path, e.g. { userId: integer({ min: 1, max: 10 }) };
+ *   required for formats and patterns other than email
+ * @param {boolean} [options.partial] - Every property optional, with at least one present (PATCH bodies)
+ * @returns {Arbitrary} Arbitrary
+ */
+function fromSchema (name, { overrides = {}, partial = false } = {}) {
+  const schema = schemaValidator.getWriteSchema(name)
+  if (!partial) {
+    return schemaArbitrary(schema, '', overrides)
+  }
+
+  const shape = schemaShape(schema, '', overrides)
+  return record(shape, { optional: Object.keys(shape), minKeys: 1 })
+}
+
+module.exports = {
+  Arbitrary,
+  constant,
+  integer,
+  boolean,
+  string,
+  email,
+  oneOf,
+  record,
+  fromSchema
+}
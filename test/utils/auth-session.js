@@ -0,0 +1,116 @@
+const config = require('../../config/test-config')
+
+/**
+ * HttpClient behind an API client (or the HttpClient itself)
+ * @param {Object} client - API client or HttpClient
+ * @returns {HttpClient} HTTP client
+ */
+function httpClientOf (client) {
+  return client.client || client
+}
+
+/**
+ * Authenticated session
+ * Logs in through the auth client and injects the bearer token into every attached client:
+ *   const session = new AuthSession(authApi).attach(postsApi)
+ *   await session.login()
+ *   ...
+ *   await session.logout() // postsApi sends no Authorization header anymore
+ */
+class AuthSession {
+  /**
+   * @param {AuthApiClient} authClient - Client for register, login and logout
+   */
+  constructor (authClient) {
+    this.authClient = authClient
+    this.token = null
+    // The auth client is always attached, so logout is sent with the token it revokes
+    this.clients = new Set([httpClientOf(authClient)])
+  }
+
+  /**
+   * Whether the session holds a token
+   * @returns {boolean} Is logged in
+   */
+  get isAuthenticated () {
+    return this.token !== null
+  }
+
+  /**
+   * Send the session token with every request of the given clients
+   * @param {...Object} clients - API clients or HttpClients
+   * @returns {AuthSession} This session
+   */
+  attach (...clients) {
+    clients.map(httpClientOf).forEach(client => {
+      this.clients.add(client)
+      if (this.token) {
+        client.setAuthToken(this.token)
+      }
+    })
+    return this
+  }
+
+  /**
+   * Stop sending the session token with the requests of a client
+   * @param {Object} client - API client or HttpClient
+   * @returns {AuthSession} This session
+   */
+  detach (client) {
+    const httpClient = httpClientOf(client)
+    if (this.clients.delete(httpClient)) {
+      httpClient.clearAuthToken()
+    }
+    return this
+  }
+
+  /**
+   * Store a token and inject it into the attached clients (null clears it)
+   * @param {string|null} token - Bearer token
+   */
+  setToken (token) {
+    this.token = token
+    this.clients.forEach(client => (token ? client.setAuthToken(token) : client.clearAuthToken()))
+  }
+
+  /**
+   * Register a user and start a session with the returned token
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} Registered user id and token
+   */
+  async register (credentials) {
+    const registration = await this.authClient.register(credentials)
+    this.setToken(registration.token)
+    return registration
+  }
+
+  /**
+   * Log in and start a session
+   * @param {Object} credentials - { email, password }, defaults to config.reqres.credentials
+   * @returns {Promise<string>} Bearer token
+   */
+  async login (credentials = config.reqres.credentials) {
+    this.setToken(await this.authClient.login(credentials))
+    return this.token
+  }
+
+  /**
+   * Log out and clear the token from every attached client, even when the logout request fails
+   * @returns {Promise<Object>} Logout response body
+   */
+  async logout () {
+    if (!this.isAuthenticated) {
+      throw new Error('Cannot log out: the session is not logged in')
+    }
+
+    try {
+      return await this.authClient.logout()
+    } finally {
+      this.setToken(null)
+    }
+  }
+}
+
+module.exports = {
+  AuthSession
+}
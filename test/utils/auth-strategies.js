@@ -0,0 +1,295 @@
+/**
+ * Authentication strategies for HttpClient
+ *
+ * A strategy is an object with an async apply(context) hook. HttpClient runs it once per request,
+ * after the onRequest interceptors, so the strategy sees (and may sign) the final request:
+ *   client.setAuth({ type: 'basic', username: 'admin', password: 'secret' })
+ *   client.setAuth(new ApiKeyAuth({ name: 'api_key', value: 'abc', in: 'query' }))
+ *
+ * An Authorization header set before the strategy runs, by setAuthToken(), an AuthSession, the request
+ * headers or an interceptor, takes precedence: HttpClient puts it back after apply(). Query and custom
+ * header API keys are still added.
+ *
+ * Strategies are created from plain options by createAuthStrategy, which is how config.auth
+ * (one entry per config.baseUrls key) sets the default strategy of every client.
+ */
+
+const crypto = require('crypto')
+const request = require('superagent')
+
+/**
+ * Fail when required strategy options are missing
+ * @param {string} type - Strategy type
+ * @param {Object} options - Strategy options
+ * @param {Array<string>} keys - Required option names
+ */
+function requireOptions (type, options, keys) {
+  const missing = keys.filter(key => options[key] === undefined || options[key] === '')
+  if (missing.length > 0) {
+    throw new Error(`${type} auth requires ${missing.join(', ')}`)
+  }
+}
+
+/**
+ * HTTP Basic authentication
+ */
+class BasicAuth {
+  /**
+   * @param {Object} options - { username, password }
+   */
+  constructor (options) {
+    requireOptions('basic', options, ['username', 'password'])
+    this.name = 'basic'
+    this.username = options.username
+    this.password = options.password
+  }
+
+  apply (context) {
+    const credentials = Buffer.from(`${this.username}:${this.password}`).toString('base64')
+    context.headers.Authorization = `Basic ${credentials}`
+  }
+}
+
+/**
+ * Static bearer token
+ */
+class BearerAuth {
+  /**
+   * @param {Object} options - { token }
+   */
+  constructor (options) {
+    requireOptions('bearer', options, ['token'])
+    this.name = 'bearer'
+    this.token = options.token
+  }
+
+  apply (context) {
+    context.headers.Authorization = `Bearer ${this.token}`
+  }
+}
+
+/**
+ * API key sent as a header or a query parameter
+ */
+class ApiKeyAuth {
+  /**
+   * @param {Object} options - { name, value, in: 'header' (default) or 'query' }
+   */
+  constructor (options) {
+    requireOptions('apiKey', options, ['name', 'value'])
+    this.name = 'apiKey'
+    this.key = options.name
+    this.value = options.value
+    this.in = options.in || 'header'
+
+    if (!['header', 'query'].includes(this.in)) {
+      throw new Error(`apiKey auth sends the key in a header or query, not ${this.in}`)
+    }
+  }
+
+  apply (context) {
+    if (this.in === 'header') {
+      context.headers[this.key] = this.value
+      return
+    }
+
+    const url = new URL(context.url)
+    url.searchParams.set(this.key, this.value)
+    context.url = url.href
+  }
+}
+
+/**
+ * OAuth2 client-credentials grant
+ * The access token is cached and fetched again refreshMargin ms before it expires;
+ * concurrent requests share one token request
+ */
+class OAuth2ClientCredentials {
+  /**
+   * @param {Object} options - { tokenUrl, clientId, clientSecret, scope, refreshMargin (ms, default 30000) }
+   */
+  constructor (options) {
+    requireOptions('oauth2', options, ['tokenUrl', 'clientId', 'clientSecret'])
+    this.name = 'oauth2'
+    this.tokenUrl = options.tokenUrl
+    this.clientId = options.clientId
+    this.clientSecret = options.clientSecret
+    this.scope = options.scope
+    this.refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : 30000
+    this.token = null
+    this.pending = null
+  }
+
+  /**
+   * Whether the cached token can still be used
+   * @returns {boolean} Has a fresh token
+   */
+  hasFreshToken () {
+    return Boolean(this.token) && Date.now() < this.token.expiresAt - this.refreshMargin
+  }
+
+  /**
+   * Request a new access token from the token endpoint
+   * @returns {Promise<Object>} { accessToken, tokenType, expiresAt }
+   */
+  async fetchToken () {
+    const form = { grant_type: 'client_credentials' }
+    if (this.scope) {
+      form.scope = this.scope
+    }
+
+    let response
+    try {
+      response = await request.post(this.tokenUrl)
+        .auth(this.clientId, this.clientSecret)
+        .type('form')
+        .send(form)
+    } catch (error) {
+      const reason = error.response ? `${error.status} ${JSON.stringify(error.response.body)}` : error.message
+      throw new Error(`oauth2 token request to ${this.tokenUrl} failed: ${reason}`)
+    }
+
+    const { access_token: accessToken, token_type: tokenType = 'Bearer', expires_in: expiresIn } = response.body
+    if (!accessToken) {
+      throw new Error(`oauth2 token response from ${this.tokenUrl} has no access_token`)
+    }
+
+    return {
+      accessToken,
+      tokenType,
+      // Tokens without expires_in are kept until invalidate() is called
+      expiresAt: expiresIn !== undefined ? Date.now() + expiresIn * 1000 : Infinity
+    }
+  }
+
+  /**
+   * Cached access token, fetched when missing or about to expire
+   * @returns {Promise<Object>} { accessToken, tokenType, expiresAt }
+   */
+  async getToken () {
+    if (this.hasFreshToken()) {
+      return this.token
+    }
+    if (!this.pending) {
+      this.pending = this.fetchToken()
+        .then(token => {
+          this.token = token
+          return token
+        })
+        .finally(() => {
+          this.pending = null
+        })
+    }
+    return this.pending
+  }
+
+  /**
+   * Drop the cached token, e.g. after the API rejected it
+   */
+  invalidate () {
+    this.token = null
+  }
+
+  async apply (context) {
+    const { tokenType, accessToken } = await this.getToken()
+    context.headers.Authorization = `${tokenType} ${accessToken}`
+  }
+}
+
+/**
+ * HMAC request signing
+ * Signs method, path with query, timestamp and body digest:
+ *   X-Date: <ISO timestamp>
+ *   Digest: SHA-256=<base64 body hash>
+ *   Authorization: HMAC keyId="<keyId>",algorithm="hmac-sha256",signature="<base64>"
+ */
+class HmacSignature {
+  /**
+   * @param {Object} options - { keyId, secret, algorithm (default 'sha256') }
+   */
+  constructor (options) {
+    requireOptions('hmac', options, ['keyId', 'secret'])
+    this.name = 'hmac'
+    this.keyId = options.keyId
+    this.secret = options.secret
+    this.algorithm = options.algorithm || 'sha256'
+  }
+
+  /**
+   * Body digest header value (bodies are sent as JSON)
+   * @param {*} data - Request body
+   * @returns {string} Digest
+   */
+  static digest (data) {
+    const body = data === undefined ? '' : JSON.stringify(data)
+    return `SHA-256=${crypto.createHash('sha256').update(body).digest('base64')}`
+  }
+
+  /**
+   * String the signature is computed over
+   * @param {Object} parts - { method, url, date, digest }
+   * @returns {string} Canonical request
+   */
+  static canonicalString ({ method, url, date, digest }) {
+    const { pathname, search } = new URL(url)
+    return [method.toUpperCase(), `${pathname}${search}`, date, digest].join('\n')
+  }
+
+  /**
+   * Compute the signature of a request
+   * @param {Object} parts - { method, url, date, digest }
+   * @returns {string} Base64 signature
+   */
+  sign (parts) {
+    return crypto.createHmac(this.algorithm, this.secret).update(HmacSignature.canonicalString(parts)).digest('base64')
+  }
+
+  apply (context) {
+    const date = new Date().toISOString()
+    const digest = HmacSignature.digest(context.data)
+    const signature = this.sign({ method: context.method, url: context.url, date, digest })
+
+    context.headers['X-Date'] = date
+    context.headers.Digest = digest
+    context.headers.Authorization = `HMAC keyId="${this.keyId}",algorithm="hmac-${this.algorithm}",signature="${signature}"`
+  }
+}
+
+// Strategy type → class
+const STRATEGIES = {
+  basic: BasicAuth,
+  bearer: BearerAuth,
+  apiKey: ApiKeyAuth,
+  oauth2: OAuth2ClientCredentials,
+  hmac: HmacSignature
+}
+
+/**
+ * Create a strategy from options, e.g. { type: 'apiKey', name: 'x-api-key', value: 'abc' }
+ * Objects that already have an apply() hook are returned as they are
+ * @param {Object|null} options - Strategy options with a type, a strategy, or null for none
+ * @returns {Object|null} Strategy
+ */
+function createAuthStrategy (options) {
+  if (!options) {
+    return null
+  }
+  if (typeof options.apply === 'function') {
+    return options
+  }
+
+  const Strategy = STRATEGIES[options.type]
+  if (!Strategy) {
+    throw new Error(`Unknown auth strategy "${options.type}", expected one of: ${Object.keys(STRATEGIES).join(', ')}`)
+  }
+  return new Strategy(options)
+}
+
+module.exports = {
+  BasicAuth,
+  BearerAuth,
+  ApiKeyAuth,
+  OAuth2ClientCredentials,
+  HmacSignature,
+  createAuthStrategy
+}
@@ -0,0 +1,252 @@
+/**
+ * Boundary values and equivalence classes
+ *
+ * Derives test cases for a resource payload from its JSON schema: empty strings, lengths at and past
+ * minLength/maxLength, zero, negative numbers, minimum/maximum ± 1, MAX_SAFE_INTEGER, unicode and emoji
+ * text, malformed formats, wrong types, null, missing fields and an extra field. Each case changes one
+ * field of a valid payload and carries a label for parameterized tests, and whether the schema accepts it.
+ *
+ *   const { boundaryCases } = require('../utils/boundary-values')
+ *   boundaryCases('post', { base: postFactory.build() }).filter(testCase => !testCase.valid)
+ *   // [{ label: 'title: max length + 1 (201 characters)', field: 'title', kind: 'length', data: { ... }, valid: false }, ...]
+ */
+
+const { schemaValidator } = require('./schema-validator')
+
+// Property added by the extra field cases
+const EXTRA_FIELD = 'unexpectedField'
+
+// Text outside ASCII: accents, CJK and Cyrillic letters, and emoji with modifiers and joiners
+const UNICODE_TEXT = 'Ünïcødé – Zürich, 東京, Москва'
+const EMOJI_TEXT = '🚀 Emoji 👩🏽‍💻 ❤️'
+
+// Values of another JSON type, by the type a field expects
+const WRONG_TYPES = {
+  string: [[42, 'number instead of string'], [true, 'boolean instead of string'], [['text'], 'array instead of string']],
+  integer: [['1', 'numeric string instead of integer'], [true, 'boolean instead of integer'], [[1], 'array instead of integer']],
+  number: [['1.5', 'numeric string instead of number'], [true, 'boolean instead of number']],
+  boolean: [['true', 'string instead of boolean'], [1, 'number instead of boolean']],
+  object: [['text', 'string instead of object'], [[], 'array instead of object']],
+  array: [[{}, 'object instead of array'], ['text', 'string instead of array']]
+}
+
+// Values a format rejects
+const MALFORMED = {
+  email: 'not-an-email',
+  hostname: 'not a hostname!',
+  uri: 'not a uri',
+  'date-time': '31/12/2024 25:61'
+}
+
+/**
+ * Text of an exact length in code points, which is how JSON schema counts string length
+ * @param {number} length - Length
+ * @returns {string} Text
+ */
+function textOfLength (length) {
+  return 'x'.repeat(length)
+}
+
+/**
+ * Shorten a text to at most a number of code points, keeping surrogate pairs intact
+ * @param {string} text - Text
+ * @param {number} [maxLength] - Maximum length
+ * @returns {string} Text
+ */
+function fit (text, maxLength) {
+  return maxLength === undefined ? text : Array.from(text).slice(0, maxLength).join('')
+}
+
+/**
+ * Candidate values of a string field
+ * @param {Object} schema - Field schema
+ * @returns {Array<Object>} [{ kind, description, value }]
+ */
+function stringValues (schema) {
+  const { minLength = 0, maxLength, format, pattern } = schema
+  const values = [{ kind: 'empty', description: 'empty string', value: '' }]
+
+  if (minLength > 1) {
+    values.push({ kind: 'length', description: `min length (${minLength} characters)`, value: textOfLength(minLength) })
+    values.push({ kind: 'length', description: `min length - 1 (${minLength - 1} characters)`, value: textOfLength(minLength - 1) })
+  }
+  if (maxLength !== undefined) {
+    values.push({ kind: 'length', description: `max length (${maxLength} characters)`, value: textOfLength(maxLength) })
+    values.push({ kind: 'length', description: `max length + 1 (${maxLength + 1} characters)`, value: textOfLength(maxLength + 1) })
+  }
+  values.push({ kind: 'text', description: 'unicode text', value: fit(UNICODE_TEXT, maxLength) })
+  values.push({ kind: 'text', description: 'emoji', value: fit(EMOJI_TEXT, maxLength) })
+
+  if (MALFORMED[format]) {
+    values.push({ kind: 'format', description: `malformed ${format}`, value: MALFORMED[format] })
+  }
+  if (pattern) {
+    values.push({ kind: 'format', description: `not matching /${pattern}/`, value: 'abc' })
+  }
+  return values
+}
+
+/**
+ * Candidate values of a numeric field
+ * @param {Object} schema - Field schema
+ * @returns {Array<Object>} [{ kind, description, value }]
+ */
+function numberValues (schema) {
+  const { minimum, maximum } = schema
+  const values = [
+    { kind: 'range', description: 'zero', value: 0 },
+    { kind: 'range', description: 'negative', value: -1 }
+  ]
+
+  if (minimum !== undefined) {
+    values.push({ kind: 'range', description: `minimum (${minimum})`, value: minimum })
+    values.push({ kind: 'range', description: `minimum - 1 (${minimum - 1})`, value: minimum - 1 })
+  }
+  if (maximum !== undefined) {
+    values.push({ kind: 'range', description: `maximum (${maximum})`, value: maximum })
+    values.push({ kind: 'range', description: `maximum + 1 (${maximum + 1})`, value: maximum + 1 })
+  }
+  values.push({ kind: 'range', description: 'MAX_SAFE_INTEGER', value: Number.MAX_SAFE_INTEGER })
+
+  if (schema.type === 'integer') {
+    values.push({ kind: 'type', description: 'fraction instead of integer', value: 1.5 })
+  }
+  return values
+}
+
+/**
+ * Candidate values of a field, by its schema
+ * @param {Object} schema - Field schema
+ * @returns {Array<Object>} [{ kind, description, value }]
+ */
+function fieldValues (schema) {
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type
+  const values = type === 'string'
+    ? stringValues(schema)
+    : type === 'integer' || type === 'number' ? numberValues(schema) : []
+
+  const wrongTypes = (WRONG_TYPES[type] || [])
+    .filter(([value]) => !Array.isArray(schema.type) || !schema.type.includes(Array.isArray(value) ? 'array' : typeof value))
+    .map(([value, description]) => ({ kind: 'type', description, value }))
+
+  return [...values, ...wrongTypes, { kind: 'null', description: 'null', value: null }]
+}
+
+/**
+ * Copy of a payload with one field changed, or removed when the value is undefined
+ * @param {Object} base - Payload
+ * @param {Array<string>} path - Property path
+ * @param {*} value - New value
+ * @returns {Object} Changed copy
+ */
+function withField (base, path, value) {
+  const data = JSON.parse(JSON.stringify(base))
+  const parent = path.slice(0, -1).reduce((object, key) => object[key], data)
+  const key = path[path.length - 1]
+
+  if (value === undefined) {
+    delete parent[key]
+  } else {
+    parent[key] = value
+  }
+  return data
+}
+
+/**
+ * Walk the properties of an object schema, nested objects included
+ * @param {Object} schema - Object schema
+ * @param {Object} base - Payload the schema describes
+ * @param {Array<string>} prefix - Path of the object
+ * @returns {Array<Object>} [{ path, schema, required }] in schema order, parents before their properties
+ */
+function schemaFields (schema, base, prefix = []) {
+  return Object.entries(schema.properties || {}).flatMap(([key, property]) => {
+    const path = [...prefix, key]
+    const field = { path, schema: property, required: (schema.required || []).includes(key) }
+    const nested = property.properties && base && base[key] && typeof base[key] === 'object'
+      ? schemaFields(property, base[key], path)
+      : []
+    return [field, ...nested]
+  })
+}
+
+/**
+ * Boundary and equivalence-class cases for a resource payload
+ * @param {string} name - Schema name, e.g. 'post'
+ * @param {Object} options - Options
+ * @param {Object} options.base - Valid payload each case starts from, e.g. built with a factory
+ * @param {Array<string>} [options.fields] - Field paths to vary, e.g. ['title', 'address.zipcode'] (default: all;
+ *   the extra root field is always included)
+ * @returns {Array<Object>} Cases { label, field, kind, value, data, valid }; `value` is undefined for a missing field
+ * @throws {Error} When the base payload does not match the schema
+ */
+function boundaryCases (name, { base, fields } = {}) {
+  const schema = schemaValidator.getWriteSchema(name)
+  const baseResult = schemaValidator.validate(name, base, { write: true })
+  if (!baseResult.valid) {
+    throw new Error(`Base ${name} payload does not match its schema:\n${schemaValidator.formatErrors(baseResult.errors)}`)
+  }
+
+  const selected = field => !fields || fields.some(path => field === path || field.startsWith(`${path}.`))
+  const seen = new Set()
+  const cases = []
+
+  const add = (path, kind, description, value) => {
+    const field = path.join('.')
+    const key = `${field}:${value === undefined ? 'missing' : JSON.stringify(value)}`
+    if (seen.has(key)) {
+      return
+    }
+    seen.add(key)
+
+    const data = withField(base, path, value)
+    cases.push({
+      label: `${field}: ${description}`,
+      field,
+      kind,
+      value,
+      data,
+      valid: schemaValidator.validate(name, data, { write: true }).valid
+    })
+  }
+
+  schemaFields(schema, base)
+    .filter(({ path }) => selected(path.join('.')))
+    .forEach(({ path, schema: property, required }) => {
+      fieldValues(property).forEach(({ kind, description, value }) => add(path, kind, description, value))
+      add(path, 'missing', required ? 'missing required field' : 'missing optional field', undefined)
+      if (property.properties) {
+        add([...path, EXTRA_FIELD], 'extra', 'extra field', 'unexpected')
+      }
+    })
+  add([EXTRA_FIELD], 'extra', 'extra field', 'unexpected')
+
+  return cases
+}
+
+/**
+ * Cases the schema rejects, for negative tests
+ * @param {string} name - Schema name
+ * @param {Object} options - See boundaryCases
+ * @returns {Array<Object>} Invalid cases
+ */
+function invalidCases (name, options) {
+  return boundaryCases(name, options).filter(testCase => !testCase.valid)
+}
+
+/**
+ * Cases the schema accepts, such as lengths at the limits and unicode text
+ * @param {string} name - Schema name
+ * @param {Object} options - See boundaryCases
+ * @returns {Array<Object>} Valid cases
+ */
+function validCases (name, options) {
+  return boundaryCases(name, options).filter(testCase => testCase.valid)
+}
+
+module.exports = {
+  EXTRA_FIELD,
+  boundaryCases,
+  invalidCases,
+  validCases
+}
@@ -0,0 +1,251 @@
+const fs = require('fs')
+const path = require('path')
+const config = require('../../config/test-config')
+const HttpClient = require('./http-client')
+const { testHelpers } = require('./test-helpers')
+
+// Cassette modes
+const MODES = ['off', 'record', 'replay', 'new_episodes']
+
+// Response headers that change on every call and are not worth recording
+const VOLATILE_HEADERS = ['date', 'connection', 'keep-alive', 'content-length', 'etag', 'age', 'set-cookie']
+
+/**
+ * Serialize a value with sorted object keys, so equal bodies give equal keys
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Build the match key of a request: method, path with query, and body
+ * The host is left out so cassettes can be replayed against any base URL
+ * @param {Object} request - Request with method, url and body
+ * @returns {string} Match key
+ */
+function requestKey ({ method, url, body }) {
+  const { pathname, search } = new URL(url)
+  return `${method.toUpperCase()} ${pathname}${search} ${body === undefined ? '' : canonicalJson(body)}`
+}
+
+/**
+ * Cassette
+ * VCR-style recording of HttpClient interactions stored as JSON fixture files
+ */
+class Cassette {
+  /**
+   * @param {string} name - Cassette name (file name without extension)
+   * @param {Object} options - Cassette options
+   * @param {string} options.mode - 'off', 'record', 'replay' or 'new_episodes'
+   * @param {boolean} options.strict - In replay mode, fail requests without a recording instead of passing them through
+   * @param {string} options.dir - Directory holding cassette files
+   */
+  constructor (name, options = {}) {
+    const { mode = config.cassettes.mode, strict = config.cassettes.strict, dir = config.cassettes.dir } = options
+
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode "${mode}", expected one of: ${MODES.join(', ')}`)
+    }
+
+    this.name = name
+    this.mode = mode
+    this.strict = strict
+    this.filePath = path.join(dir, `${name}.json`)
+    this.interactions = []
+    this.played = new Set()
+    this.dirty = false
+  }
+
+  /**
+   * Whether requests without a recording are sent and recorded
+   * @returns {boolean} Is recording
+   */
+  get recording () {
+    return this.mode === 'record' || this.mode === 'new_episodes'
+  }
+
+  /**
+   * Whether the cassette file exists
+   * @returns {boolean} Is recorded
+   */
+  get recorded () {
+    return fs.existsSync(this.filePath)
+  }
+
+  /**
+   * Load recorded interactions (record mode starts from an empty cassette)
+   * @returns {Cassette} This cassette
+   */
+  load () {
+    if (this.mode !== 'record' && this.recorded) {
+      this.interactions = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).interactions
+    }
+    return this
+  }
+
+  /**
+   * Write the cassette file if new interactions were recorded
+   * @returns {boolean} Whether the file was written
+   */
+  save () {
+    if (!this.dirty) {
+      return false
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      name: this.name,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2) + '\n')
+    this.dirty = false
+
+    return true
+  }
+
+  /**
+   * Find the recorded interaction for a request
+   * Interactions are played back in recorded order; once all matches were played, the last one repeats
+   * @param {Object} context - Interceptor request context
+   * @returns {Object|null} Interaction
+   */
+  match (context) {
+    const key = requestKey({ method: context.method, url: context.url, body: context.data })
+    const matches = this.interactions.filter(interaction => requestKey(interaction.request) === key)
+
+    if (matches.length === 0) {
+      return null
+    }
+
+    const interaction = matches.find(candidate => !this.played.has(candidate)) || matches[matches.length - 1]
+    this.played.add(interaction)
+
+    return interaction
+  }
+
+  /**
+   * Record a real response
+   * @param {Object} context - Interceptor request context
+   * @param {Object} response - Superagent response
+   */
+  record (context, response) {
+    const headers = Object.fromEntries(
+      Object.entries(response.headers || {}).filter(([name]) => !VOLATILE_HEADERS.includes(name.toLowerCase()))
+    )
+    const isJson = String(headers['content-type'] || '').includes('json')
+    const content = isJson ? { body: response.body } : { text: response.text }
+
+    this.interactions.push({
+      request: { method: context.method, url: context.url, body: context.data },
+      response: { status: response.status, headers, ...content, duration: response.duration }
+    })
+    this.played.add(this.interactions[this.interactions.length - 1])
+    this.dirty = true
+  }
+
+  /**
+   * Build a superagent-like response from a recorded one
+   * It keeps the recorded duration, so response time checks see the time of the real call
+   * @param {Object} recorded - Recorded response
+   * @returns {Object} Response
+   */
+  toResponse (recorded) {
+    const body = recorded.body !== undefined ? recorded.body : {}
+    return {
+      status: recorded.status,
+      statusCode: recorded.status,
+      ok: recorded.status >= 200 && recorded.status < 300,
+      headers: { ...recorded.headers },
+      header: { ...recorded.headers },
+      body,
+      text: recorded.text !== undefined ? recorded.text : JSON.stringify(body),
+      duration: recorded.duration !== undefined ? recorded.duration : 0,
+      fromCassette: true
+    }
+  }
+
+  /**
+   * Interceptor that replays and records interactions according to the mode
+   * @returns {Object} Interceptor
+   */
+  interceptor () {
+    return {
+      name: 'cassette',
+
+      onRequest: context => {
+        if (this.mode === 'off' || this.mode === 'record') {
+          return
+        }
+
+        const interaction = this.match(context)
+        if (interaction) {
+          context.response = this.toResponse(interaction.response)
+        } else if (this.mode === 'replay' && this.strict) {
+          throw new Error(`Cassette "${this.name}" has no recording for ${context.method} ${context.url}`)
+        }
+      },
+
+      onResponse: (response, context) => {
+        if (this.recording && !response.fromCassette) {
+          this.record(context, response)
+        }
+      },
+
+      onError: (error, context) => {
+        if (this.recording && error.response && !error.response.fromCassette) {
+          this.record(context, error.response)
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Use a cassette for every HttpClient call in the enclosing describe block
+ * Registers before/after hooks, so call it directly inside `describe`
+ * In strict replay, a block without a recorded cassette file is skipped instead of failing every request
+ * @param {string} name - Cassette name
+ * @param {Object} options - Cassette options (see Cassette)
+ * @returns {Cassette} Cassette
+ */
+function useCassette (name, options = {}) {
+  const cassette = new Cassette(name, options)
+  let removeInterceptor = null
+
+  before(function () {
+    if (cassette.mode === 'replay' && cassette.strict && !cassette.recorded) {
+      testHelpers.logTestStep(`No cassette recorded for ${name}, run npm run test:record to record it`)
+      this.skip()
+    }
+
+    if (cassette.mode !== 'off') {
+      cassette.load()
+      removeInterceptor = HttpClient.use(cassette.interceptor())
+    }
+  })
+
+  after(function () {
+    if (removeInterceptor) {
+      removeInterceptor()
+      removeInterceptor = null
+      cassette.save()
+    }
+  })
+
+  return cassette
+}
+
+module.exports = {
+  Cassette,
+  useCassette,
+  requestKey
+}
@@ -0,0 +1,196 @@
+/**
+ * Cleanup registry
+ *
+ * API clients register every resource they create (a successful POST answered with an id), nested
+ * creates such as POST /posts/1/comments included. The root hooks delete the resources of a test after
+ * it, and those created outside tests (e.g. in before hooks) at the end of the run. Resources that
+ * still could not be deleted are reported as orphans.
+ */
+
+const config = require('../../config/test-config')
+const { sleep, testHelpers } = require('./test-helpers')
+
+/**
+ * Check whether a resource refers to another one through a foreign key such as postId
+ * @param {Object} entry - Registered resource
+ * @param {Object} other - Registered resource it may refer to
+ * @returns {boolean} Refers to it
+ */
+function refersTo (entry, other) {
+  return entry !== other && entry.resource[`${other.client.schema}Id`] === other.id
+}
+
+/**
+ * Per-test registry of created resources
+ */
+class CleanupRegistry {
+  /**
+   * @param {Object} [options] - Registry options (defaults: config.cleanup)
+   * @param {boolean} [options.enabled] - Register and delete resources
+   * @param {number} [options.attempts] - Passes over the resources that could not be deleted
+   * @param {number} [options.delay] - Pause in ms before another pass
+   */
+  constructor (options = {}) {
+    const { enabled = config.cleanup.enabled, attempts = config.cleanup.attempts, delay = config.cleanup.delay } = options
+
+    this.enabled = enabled
+    this.attempts = attempts
+    this.delay = delay
+    this.entries = []
+    this.orphans = []
+    this.owners = new Map()
+    this.inTest = false
+  }
+
+  /**
+   * Remember the client of a collection, which deletes the resources created in it through other clients
+   * @param {BaseApiClient} client - Client that can delete the resources of its collection
+   */
+  addOwner (client) {
+    if (typeof client.deleteRaw === 'function') {
+      this.owners.set(`${client.client.baseUrl}${client.endpoint}`, client)
+    }
+  }
+
+  /**
+   * Client of the collection a resource was created in. json-server stores it in the collection the
+   * POST path ends with, so a comment created by POST /posts/1/comments belongs to the /comments client
+   * @param {BaseApiClient} client - Client that sent the POST
+   * @param {string} endpoint - POST path
+   * @returns {BaseApiClient|undefined} Owning client
+   */
+  ownerOf (client, endpoint) {
+    const path = endpoint.split('?')[0]
+    if (path === client.endpoint) {
+      return client
+    }
+    return this.owners.get(`${client.client.baseUrl}${path.slice(path.lastIndexOf('/'))}`)
+  }
+
+  /**
+   * Remember a created resource with the client of its collection; resources without an id are ignored,
+   * and those no known client can delete are reported as orphans right away
+   * @param {BaseApiClient} client - Client that created the resource
+   * @param {Object} resource - Created resource
+   * @param {string} [endpoint] - POST path (default: the collection of the client)
+   */
+  register (client, resource, endpoint = client.endpoint) {
+    if (!this.enabled || !resource || resource.id === undefined) {
+      return
+    }
+
+    const owner = this.ownerOf(client, endpoint)
+    if (!owner || typeof owner.deleteRaw !== 'function') {
+      const orphan = { label: `${endpoint} → ${resource.id}`, reason: 'no client deletes this collection' }
+      testHelpers.logTestStep(`⚠️ Orphaned test data: ${orphan.label} (${orphan.reason})`)
+      this.orphans.push(orphan)
+      return
+    }
+    this.entries.push({
+      client: owner,
+      id: resource.id,
+      resource,
+      label: `${owner.endpoint}/${resource.id}`,
+      scope: this.inTest ? 'test' : 'run'
+    })
+  }
+
+  /**
+   * Resources registered and not deleted yet
+   * @returns {Array<Object>} Entries (client, id, resource, label, scope)
+   */
+  get pending () {
+    return [...this.entries]
+  }
+
+  /**
+   * Mark the start of a test; resources created from now on are deleted by endTest()
+   */
+  startTest () {
+    this.inTest = true
+  }
+
+  /**
+   * Delete the resources created during the current test
+   * @returns {Promise<Object>} { deleted, orphans } (see cleanup)
+   */
+  async endTest () {
+    this.inTest = false
+    return this.cleanup(entry => entry.scope === 'test')
+  }
+
+  /**
+   * Order resources so each one is deleted before the resources it refers to,
+   * otherwise newest first
+   * @param {Array<Object>} entries - Registered resources
+   * @returns {Array<Object>} Deletion order
+   */
+  deletionOrder (entries) {
+    const remaining = [...entries].reverse()
+    const order = []
+
+    while (remaining.length > 0) {
+      const index = remaining.findIndex(entry => !remaining.some(other => refersTo(other, entry)))
+      // Circular references cannot be ordered; delete the newest one and carry on
+      order.push(...remaining.splice(Math.max(index, 0), 1))
+    }
+    return order
+  }
+
+  /**
+   * Delete one resource; a 404 means it is already gone
+   * @param {Object} entry - Registered resource
+   * @returns {Promise<string|null>} Failure reason, or null when deleted
+   */
+  async delete (entry) {
+    try {
+      const result = await entry.client.deleteRaw(entry.id)
+      return result.ok || result.status === 404 ? null : `${result.status} ${JSON.stringify(result.body)}`
+    } catch (error) {
+      return error.message
+    }
+  }
+
+  /**
+   * Delete registered resources, retrying failed deletes, and report the ones left as orphans
+   * @param {Function} [filter] - Selects the entries to delete (default: all)
+   * @returns {Promise<Object>} { deleted: [label], orphans: [{ label, reason }] }
+   */
+  async cleanup (filter = () => true) {
+    const selected = this.entries.filter(filter)
+    this.entries = this.entries.filter(entry => !selected.includes(entry))
+
+    const deleted = []
+    let failed = this.deletionOrder(selected).map(entry => ({ entry }))
+
+    for (let attempt = 1; attempt <= this.attempts && failed.length > 0; attempt++) {
+      if (attempt > 1) {
+        await sleep(this.delay)
+      }
+      const remaining = []
+      for (const { entry } of failed) {
+        const reason = await this.delete(entry)
+        if (reason) {
+          remaining.push({ entry, reason })
+        } else {
+          deleted.push(entry.label)
+        }
+      }
+      failed = remaining
+    }
+
+    const orphans = failed.map(({ entry, reason }) => ({ label: entry.label, reason }))
+    orphans.forEach(orphan => testHelpers.logTestStep(`⚠️ Orphaned test data: DELETE ${orphan.label} failed after ${this.attempts} attempts (${orphan.reason})`))
+    this.orphans.push(...orphans)
+
+    return { deleted, orphans }
+  }
+}
+
+// Shared registry used by the API clients and the root hooks
+const cleanupRegistry = new CleanupRegistry()
+
+module.exports = {
+  CleanupRegistry,
+  cleanupRegistry
+}
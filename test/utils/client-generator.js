@@ -0,0 +1,389 @@
+/**
+ * API client generator
+ *
+ * Writes one BaseApiClient subclass per OpenAPI tag to test/api-clients/<tag>.api.js,
+ * with a raw (non-asserting) and an asserting method per operation. Only the region between the `#region generated` and
+ * `#endregion generated` markers is rewritten, so custom methods outside it survive re-runs.
+ *
+ * Usage: npm run generate:clients [-- --spec <openapi.json>] [-- --out <dir>]
+ */
+
+const fs = require('fs')
+const path = require('path')
+const config = require('../../config/test-config')
+
+// Directory holding the API clients
+const CLIENTS_DIR = path.join(__dirname, '..', 'api-clients')
+
+// HTTP methods an OpenAPI path item can define
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+// Markers delimiting the generated part of a client file
+const REGION_START = /^ *\/\/ #region generated\b.*$/m
+const REGION_END = /^ *\/\/ #endregion generated$/m
+
+/**
+ * Upper-case the first character
+ * @param {string} value - Text
+ * @returns {string} Capitalized text
+ */
+function capitalize (value) {
+  return value.charAt(0).toUpperCase() + value.slice(1)
+}
+
+/**
+ * Resolve a local `#/components/...` reference
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} value - Object that may be a reference
+ * @returns {Object} Referenced object
+ */
+function resolveRef (spec, value) {
+  if (!value || !value.$ref || !value.$ref.startsWith('#/')) {
+    return value
+  }
+  return value.$ref.slice(2).split('/').reduce((node, key) => node[key], spec)
+}
+
+/**
+ * JSDoc type of a JSON schema
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - JSON schema
+ * @returns {string} JSDoc type
+ */
+function jsDocType (spec, schema = {}) {
+  const resolved = resolveRef(spec, schema)
+  if (resolved.enum) {
+    return resolved.enum.map(value => JSON.stringify(value).replace(/"/g, '\'')).join('|')
+  }
+  if (resolved.type === 'integer' || resolved.type === 'number') {
+    return 'number'
+  } else if (resolved.type === 'array') {
+    return `Array<${jsDocType(spec, resolved.items)}>`
+  } else if (resolved.type === 'string' || resolved.type === 'boolean') {
+    return resolved.type
+  }
+  return 'Object'
+}
+
+/**
+ * Name of the resource schema (test/schemas) a response schema points at
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Response schema
+ * @returns {string|null} Schema name such as 'post'
+ */
+function resourceSchemaName (spec, schema) {
+  const resolved = resolveRef(spec, schema)
+  const match = resolved && typeof resolved.$ref === 'string' && resolved.$ref.match(/\/schemas\/([\w-]+)$/)
+  return match ? match[1] : null
+}
+
+/**
+ * Client method name of an operation
+ * CRUD routes map to getAll/getById/create/update/patch/delete and nested lists to get<Child>;
+ * `x-client-method` overrides the name, other operations use their operationId
+ * @param {Object} operation - Operation
+ * @returns {string} Method name
+ */
+function methodName (operation) {
+  if (operation.source['x-client-method']) {
+    return operation.source['x-client-method']
+  }
+
+  const rest = operation.path.slice(operation.basePath.length)
+  const names = {
+    collection: { GET: 'getAll', POST: 'create' },
+    item: { GET: 'getById', PUT: 'update', PATCH: 'patch', DELETE: 'delete' }
+  }
+  const nested = rest.match(/^\/\{[^}]+\}\/(\w+)$/)
+
+  if (rest === '' && names.collection[operation.method]) {
+    return names.collection[operation.method]
+  } else if (/^\/\{[^}]+\}$/.test(rest) && names.item[operation.method]) {
+    return names.item[operation.method]
+  } else if (nested && operation.method === 'GET') {
+    return `get${capitalize(nested[1])}`
+  }
+  return operation.operationId
+}
+
+/**
+ * Group the operations of a document by their first tag
+ * @param {Object} spec - OpenAPI document
+ * @returns {Map<string, Array<Object>>} Operations per tag
+ */
+function collectOperations (spec) {
+  const byTag = new Map()
+
+  Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+    METHODS.filter(method => pathItem[method]).forEach(method => {
+      const source = pathItem[method]
+      const tag = (source.tags && source.tags[0]) || template.split('/')[1]
+      const parameters = [...(pathItem.parameters || []), ...(source.parameters || [])].map(param => resolveRef(spec, param))
+      const success = Object.keys(source.responses || {}).find(status => /^2\d\d$/.test(status)) || '200'
+      const response = resolveRef(spec, (source.responses || {})[success]) || {}
+      const media = (response.content || {})['application/json']
+
+      const operation = {
+        tag,
+        source,
+        operationId: source.operationId || `${method}${capitalize(tag)}`,
+        method: method.toUpperCase(),
+        path: template,
+        basePath: `/${tag}`,
+        pathParams: parameters.filter(param => param.in === 'path'),
+        queryParams: parameters.filter(param => param.in === 'query'),
+        hasBody: Boolean(source.requestBody),
+        status: Number(success),
+        description: response.description || 'Response body',
+        schema: media && media.schema ? resolveRef(spec, media.schema) : null
+      }
+      operation.name = methodName(operation)
+      operation.rawName = `${operation.name}Raw`
+
+      if (!byTag.has(tag)) {
+        byTag.set(tag, [])
+      }
+      byTag.get(tag).push(operation)
+    })
+  })
+
+  return byTag
+}
+
+/**
+ * Generate the source of the raw and the asserting method of an operation
+ * The raw method returns the result without assertions; the asserting one validates it
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} operation - Collected operation
+ * @returns {string} Methods source
+ */
+function generateMethod (spec, operation) {
+  const args = operation.pathParams.map(param => param.name)
+  const summary = operation.source.summary || operation.operationId
+  const route = `   * ${operation.method} ${operation.path} (${operation.operationId})`
+  const params = []
+
+  operation.pathParams.forEach(param => {
+    params.push(`   * @param {${jsDocType(spec, param.schema)}} ${param.name} - ${param.description || capitalize(param.name)}`)
+  })
+  if (operation.hasBody) {
+    args.push('data')
+    params.push('   * @param {Object} data - Request body')
+  }
+  if (operation.queryParams.length > 0) {
+    args.push('query = {}')
+    params.push('   * @param {Object} [query] - Query parameters')
+    operation.queryParams.forEach(param => {
+      params.push(`   * @param {${jsDocType(spec, param.schema)}} [query.${param.name}] - ${param.description || capitalize(param.name)}`)
+    })
+  }
+
+  const isList = Boolean(operation.schema && operation.schema.type === 'array')
+  const isDelete = operation.method === 'DELETE'
+  const returns = isDelete
+    ? '   * @returns {Promise<Object>} Result'
+    : `   * @returns {Promise<${isList ? 'Array<Object>' : 'Object'}>} ${operation.description}`
+
+  const url = operation.path
+    .replace(/\{([^}]+)\}/g, (match, name) => `\${${name}}`)
+    .replace(operation.basePath, () => '${this.endpoint}') +
+    (operation.queryParams.length > 0 ? '${this.buildQuery(query)}' : '')
+  const target = url === '${this.endpoint}' ? 'this.endpoint' : `\`${url}\``
+  const requestArgs = [`'${operation.method}'`, target, ...(operation.hasBody ? ['data'] : [])].join(', ')
+  const signature = args.join(', ')
+  const callArgs = args.map(arg => arg.replace(' = {}', '')).join(', ')
+
+  const lines = [
+    `    const result = await this.${operation.rawName}(${callArgs})`
+  ]
+
+  if (isDelete) {
+    lines.push(`    this.validateSuccessResponse(result, ${operation.status})`, '', '    return result')
+  } else {
+    lines.push(`    const body = this.validateSuccessResponse(result, ${operation.status})`, '')
+
+    const schemaName = resourceSchemaName(spec, isList ? operation.schema.items : operation.schema)
+    if (isList) {
+      lines.push('    expect(body).to.be.an(\'array\')')
+      if (schemaName) {
+        lines.push(`    body.forEach(item => expect(item).to.matchSchema('${schemaName}'))`)
+      }
+    } else if (schemaName) {
+      lines.push(`    expect(body).to.matchSchema('${schemaName}')`)
+    }
+    if (operation.hasBody) {
+      lines.push('    expect(body).to.deep.include(data)')
+    }
+    if (!isList && operation.pathParams.some(param => param.name === 'id')) {
+      lines.push('    expect(body.id).to.equal(id)')
+    }
+    lines.push('', '    return body')
+  }
+
+  return [
+    '  /**',
+    `   * ${summary} without assertions`,
+    route,
+    ...params,
+    '   * @returns {Promise<ApiResult>} Raw result (status, headers, body, duration)',
+    '   */',
+    `  async ${operation.rawName}(${signature}) {`,
+    `    return this.request(${requestArgs})`,
+    '  }',
+    '',
+    '  /**',
+    `   * ${summary}`,
+    route,
+    ...params,
+    returns,
+    '   */',
+    `  async ${operation.name}(${signature}) {`,
+    ...lines,
+    '  }'
+  ].join('\n')
+}
+
+/**
+ * Generate the marked region holding all methods of a tag
+ * @param {Object} spec - OpenAPI document
+ * @param {Array<Object>} operations - Operations of the tag
+ * @param {string} specPath - Document path shown in the marker
+ * @returns {string} Region source
+ */
+function generateRegion (spec, operations, specPath) {
+  return [
+    `  // #region generated from ${specPath} by \`npm run generate:clients\`; edits inside are overwritten`,
+    '',
+    operations.map(operation => generateMethod(spec, operation)).join('\n\n'),
+    '',
+    '  // #endregion generated'
+  ].join('\n')
+}
+
+/**
+ * Name of the resource schema of a tag, taken from its own (not nested) operations
+ * @param {Object} spec - OpenAPI document
+ * @param {Array<Object>} operations - Operations of the tag
+ * @returns {string|null} Schema name
+ */
+function tagSchemaName (spec, operations) {
+  return operations
+    .filter(operation => operation.path.split('/').length <= 3 && operation.schema)
+    .map(operation => resourceSchemaName(spec, operation.schema.type === 'array' ? operation.schema.items : operation.schema))
+    .find(Boolean) || null
+}
+
+/**
+ * Source of a new client file
+ * @param {string} tag - OpenAPI tag (resource collection)
+ * @param {string} region - Generated region
+ * @param {string|null} schema - Resource schema name
+ * @returns {string} File source
+ */
+function newClientSource (tag, region, schema) {
+  const className = `${capitalize(tag)}ApiClient`
+
+  return `const BaseApiClient = require('./base-api')
+const config = require('../../config/test-config')
+
+/**
+ * ${capitalize(tag)} API Client
+ * Handles all ${tag.replace(/s$/, '')}-related API operations
+ */
+class ${className} extends BaseApiClient {
+  constructor() {
+    super(config.baseUrls.jsonplaceholder, '/${tag}'${schema ? `, '${schema}'` : ''})
+  }
+
+${region}
+}
+
+module.exports = new ${className}()
+`
+}
+
+/**
+ * Replace the generated region of an existing client file
+ * Fails when the file has no region or a custom method shadows a generated one
+ * @param {string} source - Current file source
+ * @param {string} region - Generated region
+ * @param {Array<string>} generatedNames - Generated method names
+ * @param {string} filePath - File path for error messages
+ * @returns {string} Updated source
+ */
+function updateClientSource (source, region, generatedNames, filePath = 'client') {
+  const start = source.match(REGION_START)
+  const end = source.match(REGION_END)
+  if (!start || !end || end.index < start.index) {
+    throw new Error(`${filePath} has no generated region; add "// #region generated" and "// #endregion generated" marker lines`)
+  }
+
+  const before = source.slice(0, start.index)
+  const after = source.slice(end.index + end[0].length)
+  const customNames = [...`${before}\n${after}`.matchAll(/^ {2}(?:async )?(\w+)\s*\(/gm)].map(match => match[1])
+  const clashes = customNames.filter(name => generatedNames.includes(name))
+  if (clashes.length > 0) {
+    throw new Error(`${filePath}: custom method(s) ${clashes.join(', ')} clash with generated ones; rename them or set x-client-method`)
+  }
+
+  return `${before}${region}${after}`
+}
+
+/**
+ * Generate or update the client file of every tag in a document
+ * @param {Object} options - Generator options
+ * @param {string} options.spec - Path to the OpenAPI JSON document
+ * @param {string} options.outDir - Directory to write clients to
+ * @returns {Array<Object>} Written files: { filePath, created, operations }
+ */
+function generateClients ({ spec = config.contracts.spec, outDir = CLIENTS_DIR } = {}) {
+  const document = JSON.parse(fs.readFileSync(spec, 'utf8'))
+  const specPath = path.relative(process.cwd(), path.resolve(spec)).split(path.sep).join('/')
+
+  return [...collectOperations(document)].map(([tag, operations]) => {
+    const filePath = path.join(outDir, `${tag}.api.js`)
+    const region = generateRegion(document, operations, specPath)
+    const created = !fs.existsSync(filePath)
+    const source = created
+      ? newClientSource(tag, region, tagSchemaName(document, operations))
+      : updateClientSource(fs.readFileSync(filePath, 'utf8'), region, operations.flatMap(operation => [operation.name, operation.rawName]), filePath)
+
+    fs.mkdirSync(outDir, { recursive: true })
+    fs.writeFileSync(filePath, source)
+
+    return { filePath, created, operations: operations.length }
+  })
+}
+
+/**
+ * Read `--name value` command line options
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} Options
+ */
+function parseArgs (argv) {
+  const options = {}
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i] === '--spec') {
+      options.spec = argv[i + 1]
+    } else if (argv[i] === '--out') {
+      options.outDir = argv[i + 1]
+    } else {
+      throw new Error(`Unknown option "${argv[i]}", expected --spec or --out`)
+    }
+  }
+  return options
+}
+
+if (require.main === module) {
+  generateClients(parseArgs(process.argv.slice(2))).forEach(({ filePath, created, operations }) => {
+    process.stdout.write(`📝 ${created ? 'Created' : 'Updated'} ${path.relative(process.cwd(), filePath)} (${operations} operations)\n`)
+  })
+}
+
+module.exports = {
+  collectOperations,
+  generateMethod,
+  generateRegion,
+  updateClientSource,
+  generateClients
+}
@@ -0,0 +1,291 @@
+const fs = require('fs')
+const path = require('path')
+const { AssertionError } = require('chai')
+const config = require('../../config/test-config')
+const { SchemaValidator } = require('./schema-validator')
+
+// HTTP methods an OpenAPI path item can define
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+// OpenAPI keywords that are not JSON Schema vocabulary
+const OPENAPI_KEYWORDS = ['example', 'discriminator', 'xml', 'externalDocs']
+
+// $id of the wrapper schema holding the document's components
+const COMPONENTS_ID = 'openapi-components'
+
+/**
+ * Point `#/components/schemas/...` references at the registered components schema
+ * @param {*} value - Part of the OpenAPI document
+ * @returns {*} Copy with rewritten references
+ */
+function rewriteRefs (value) {
+  if (Array.isArray(value)) {
+    return value.map(rewriteRefs)
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      key === '$ref' && typeof entry === 'string'
+        ? entry.replace('#/components/schemas/', `${COMPONENTS_ID}#/$defs/`)
+        : rewriteRefs(entry)
+    ]))
+  }
+  return value
+}
+
+/**
+ * Build a matcher for an OpenAPI path template such as /posts/{id}/comments
+ * @param {string} template - Path template
+ * @returns {RegExp} Path matcher
+ */
+function pathMatcher (template) {
+  const pattern = template
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+')
+  return new RegExp(`^${pattern}/?$`)
+}
+
+/**
+ * Leave out the relations a request joined in with _embed/_expand:
+ * they are not part of the resource schemas the document references
+ * @param {*} body - Response body (a resource or a list of them)
+ * @param {string} endpoint - Request path with query string
+ * @returns {*} Body without the joined relations
+ */
+function withoutRelations (body, endpoint) {
+  const params = new URLSearchParams(endpoint.split('?')[1] || '')
+  const relations = [...params.getAll('_embed'), ...params.getAll('_expand')]
+  const strip = item => (item !== null && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.entries(item).filter(([key]) => !relations.includes(key)))
+    : item)
+
+  if (relations.length === 0) {
+    return body
+  }
+  return Array.isArray(body) ? body.map(strip) : strip(body)
+}
+
+/**
+ * Contract Validator
+ * Checks HttpClient responses against the operations of an OpenAPI 3 document
+ * and keeps track of which operations were exercised
+ */
+class ContractValidator {
+  /**
+   * @param {Object|string} spec - OpenAPI document or path to a JSON file
+   * @param {SchemaValidator} schemaValidator - Validator holding the resource schemas the document references
+   */
+  constructor (spec = config.contracts.spec, schemaValidator = new SchemaValidator()) {
+    this.spec = typeof spec === 'string' ? JSON.parse(fs.readFileSync(spec, 'utf8')) : spec
+    this.ajv = schemaValidator.ajv
+    this.formatter = schemaValidator
+    this.ajv.addVocabulary(OPENAPI_KEYWORDS.filter(keyword => !this.ajv.getKeyword(keyword)))
+    this.ajv.addSchema({
+      $id: COMPONENTS_ID,
+      $defs: rewriteRefs((this.spec.components || {}).schemas || {})
+    })
+
+    this.operations = this.collectOperations()
+    this.calls = new Map()
+  }
+
+  /**
+   * List the operations of the document, literal paths before templated ones
+   * @returns {Array<Object>} Operations with operationId, method, path, matcher and responses
+   */
+  collectOperations () {
+    const operations = []
+
+    Object.entries(this.spec.paths || {}).forEach(([template, pathItem]) => {
+      METHODS.filter(method => pathItem[method]).forEach(method => {
+        const operation = pathItem[method]
+        operations.push({
+          operationId: operation.operationId || `${method.toUpperCase()} ${template}`,
+          method: method.toUpperCase(),
+          path: template,
+          matcher: pathMatcher(template),
+          params: (template.match(/\{/g) || []).length,
+          responses: rewriteRefs(operation.responses || {})
+        })
+      })
+    })
+
+    return operations.sort((a, b) => a.params - b.params)
+  }
+
+  /**
+   * Find the operation documenting a request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Request path, optionally with a query string
+   * @returns {Object|undefined} Operation
+   */
+  findOperation (method, endpoint) {
+    const pathname = endpoint.split('?')[0]
+    return this.operations.find(operation => operation.method === method.toUpperCase() && operation.matcher.test(pathname))
+  }
+
+  /**
+   * Pick the documented response for a status: exact code, then range (2XX), then default
+   * @param {Object} operation - Operation
+   * @param {number} status - Response status
+   * @returns {Object|undefined} OpenAPI response object
+   */
+  findResponse (operation, status) {
+    const { responses } = operation
+    return responses[status] || responses[`${String(status)[0]}XX`] || responses.default
+  }
+
+  /**
+   * Validate a response against the document and count the operation as covered
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Request path, optionally with a query string
+   * @param {Object} response - Response with status, headers and body
+   * @returns {Object} { operation, violations: [{ path, message }] }
+   */
+  validate (method, endpoint, response) {
+    const operation = this.findOperation(method, endpoint)
+    if (!operation) {
+      return { operation: null, violations: [{ path: '/', message: `no operation documents ${method.toUpperCase()} ${endpoint.split('?')[0]}` }] }
+    }
+
+    this.calls.set(operation.operationId, (this.calls.get(operation.operationId) || 0) + 1)
+
+    const documented = this.findResponse(operation, response.status)
+    if (!documented) {
+      return { operation, violations: [{ path: '/status', message: `${response.status} is not documented (expected one of: ${Object.keys(operation.responses).join(', ')})` }] }
+    }
+
+    const content = { ...response, body: withoutRelations(response.body, endpoint) }
+    return { operation, violations: [...this.validateHeaders(documented, response), ...this.validateContent(documented, content)] }
+  }
+
+  /**
+   * Check that the required headers of a documented response are present
+   * @param {Object} documented - OpenAPI response object
+   * @param {Object} response - Response
+   * @returns {Array<Object>} Violations
+   */
+  validateHeaders (documented, response) {
+    const headers = Object.fromEntries(Object.entries(response.headers || {}).map(([name, value]) => [name.toLowerCase(), value]))
+
+    return Object.entries(documented.headers || {})
+      .filter(([name, header]) => header.required && headers[name.toLowerCase()] === undefined)
+      .map(([name]) => ({ path: `/headers/${name}`, message: 'is required' }))
+  }
+
+  /**
+   * Check the media type and body of a response against the documented content
+   * @param {Object} documented - OpenAPI response object
+   * @param {Object} response - Response
+   * @returns {Array<Object>} Violations
+   */
+  validateContent (documented, response) {
+    if (!documented.content) {
+      return []
+    }
+
+    const contentType = String((response.headers || {})['content-type'] || '').split(';')[0].trim()
+    const mediaType = documented.content[contentType] || documented.content['*/*']
+    if (!mediaType) {
+      return [{ path: '/headers/content-type', message: `"${contentType}" is not documented (expected one of: ${Object.keys(documented.content).join(', ')})` }]
+    }
+    if (!mediaType.schema) {
+      return []
+    }
+
+    const validate = this.ajv.compile(mediaType.schema)
+    if (validate(response.body)) {
+      return []
+    }
+    return validate.errors.map(error => {
+      const violation = this.formatter.formatError(error)
+      return { path: `/body${violation.path === '/' ? '' : violation.path}`, message: violation.message }
+    })
+  }
+
+  /**
+   * Validate a response and fail with an assertion error listing the violations
+   * Raw requests (context.options.raw) never fail: the error is attached to the response as contractError
+   * @param {Object} context - Interceptor request context
+   * @param {Object} response - Response
+   */
+  assertResponse (context, response) {
+    const { operation, violations } = this.validate(context.method, context.endpoint, response)
+    if (violations.length === 0) {
+      return
+    }
+
+    const name = operation ? operation.operationId : 'undocumented operation'
+    const error = new AssertionError(
+      `Contract violation in ${name} (${context.method} ${context.endpoint} -> ${response.status}):\n${this.formatter.formatErrors(violations)}`
+    )
+    if (context.options && context.options.raw) {
+      response.contractError = error
+      return
+    }
+    throw error
+  }
+
+  /**
+   * Interceptor checking every response, including error responses, against the contract
+   * @returns {Object} Interceptor
+   */
+  interceptor () {
+    return {
+      name: 'contract',
+      onResponse: (response, context) => this.assertResponse(context, response),
+      onError: (error, context) => {
+        if (error.response) {
+          this.assertResponse(context, error.response)
+        }
+      }
+    }
+  }
+
+  /**
+   * Summarize which operations were exercised
+   * @returns {Object} { total, covered, uncovered: [{ operationId, method, path }], calls }
+   */
+  coverage () {
+    const uncovered = this.operations
+      .filter(operation => !this.calls.has(operation.operationId))
+      .map(({ operationId, method, path }) => ({ operationId, method, path }))
+
+    return {
+      total: this.operations.length,
+      covered: this.operations.length - uncovered.length,
+      uncovered,
+      calls: Object.fromEntries(this.calls)
+    }
+  }
+
+  /**
+   * Forget the exercised operations
+   */
+  reset () {
+    this.calls.clear()
+  }
+
+  /**
+   * Write the coverage summary as JSON
+   * @param {string} filePath - Report file
+   * @returns {Object} Coverage summary, for the caller to print
+   */
+  report (filePath = config.contracts.reportFile) {
+    const coverage = this.coverage()
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify(coverage, null, 2))
+
+    return coverage
+  }
+}
+
+// Shared validator for the JSONPlaceholder contract
+const contractValidator = new ContractValidator()
+
+module.exports = {
+  ContractValidator,
+  contractValidator
+}
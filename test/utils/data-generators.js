@@ -1,7 +1,12 @@
 /**
  * Test data generators and utilities
+ * Random values come from the seeded generator in random.js, so the data of a test can be reproduced
+ * Users, posts and comments read like real data (fake-data.js); pass { locale } for other languages and countries
  */
 
+const { random } = require('./random')
+const { fakeData } = require('./fake-data')
+
 /**
  * Generate random string
  * @param {number} length - String length
@@ -11,7 +16,7 @@ function generateRandomString (length = 10) {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
   let result = ''
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length))
+    result += random.pick(chars)
   }
   return result
 }
@@ -33,50 +38,31 @@ function generateRandomEmail (domain = 'example.com') {
  * @returns {number} Random number
  */
 function generateRandomNumber (min = 1, max = 100) {
-  return Math.floor(Math.random() * (max - min + 1)) + min
+  return random.int(min, max)
 }
 
 /**
  * Generate random user data
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the names, address and phone (default: config.fakeData.locale)
  * @returns {Object} User object
  */
-function generateRandomUser () {
-  const firstName = generateRandomString(6)
-  const lastName = generateRandomString(8)
-  
-  return {
-    name: `${firstName} ${lastName}`,
-    username: generateRandomString(8).toLowerCase(),
-    email: generateRandomEmail(),
-    phone: `${generateRandomNumber(100, 999)}-${generateRandomNumber(100, 999)}-${generateRandomNumber(1000, 9999)}`,
-    website: `${generateRandomString(8).toLowerCase()}.com`,
-    address: {
-      street: `${generateRandomNumber(1, 9999)} ${generateRandomString(8)} St`,
-      suite: `Apt. ${generateRandomNumber(1, 999)}`,
-      city: generateRandomString(8),
-      zipcode: `${generateRandomNumber(10000, 99999)}`,
-      geo: {
-        lat: (Math.random() * 180 - 90).toFixed(4),
-        lng: (Math.random() * 360 - 180).toFixed(4)
-      }
-    },
-    company: {
-      name: `${generateRandomString(8)} Inc`,
-      catchPhrase: `${generateRandomString(5)} ${generateRandomString(7)} ${generateRandomString(6)}`,
-      bs: `${generateRandomString(6)} ${generateRandomString(8)} ${generateRandomString(7)}`
-    }
-  }
+function generateRandomUser ({ locale } = {}) {
+  return fakeData(locale).user()
 }
 
 /**
  * Generate random post data
  * @param {number} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the text (default: config.fakeData.locale)
  * @returns {Object} Post object
  */
-function generateRandomPost (userId = 1) {
+function generateRandomPost (userId = 1, { locale } = {}) {
+  const fake = fakeData(locale)
   return {
-    title: generateRandomString(20),
-    body: generateRandomString(100),
+    title: fake.title(),
+    body: fake.paragraph(),
     userId
   }
 }
@@ -84,17 +70,66 @@ function generateRandomPost (userId = 1) {
 /**
  * Generate random comment data
  * @param {number} postId - Post ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the text and author (default: config.fakeData.locale)
  * @returns {Object} Comment object
  */
-function generateRandomComment (postId = 1) {
+function generateRandomComment (postId = 1, { locale } = {}) {
+  const fake = fakeData(locale)
   return {
-    name: generateRandomString(15),
-    email: generateRandomEmail(),
-    body: generateRandomString(80),
+    name: fake.title(),
+    email: fake.email(),
+    body: fake.paragraph(2),
     postId
   }
 }
 
+/**
+ * Generate random album data
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the title (default: config.fakeData.locale)
+ * @returns {Object} Album object
+ */
+function generateRandomAlbum (userId = 1, { locale } = {}) {
+  return {
+    title: fakeData(locale).title(),
+    userId
+  }
+}
+
+/**
+ * Generate random photo data
+ * @param {number} albumId - Album ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the title (default: config.fakeData.locale)
+ * @returns {Object} Photo object
+ */
+function generateRandomPhoto (albumId = 1, { locale } = {}) {
+  const color = generateRandomNumber(0, 0xffffff).toString(16).padStart(6, '0')
+  return {
+    title: fakeData(locale).title(),
+    url: `https://via.placeholder.com/600/${color}`,
+    thumbnailUrl: `https://via.placeholder.com/150/${color}`,
+    albumId
+  }
+}
+
+/**
+ * Generate random todo data
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the title (default: config.fakeData.locale)
+ * @returns {Object} Todo object
+ */
+function generateRandomTodo (userId = 1, { locale } = {}) {
+  return {
+    title: fakeData(locale).title(),
+    completed: random.bool(),
+    userId
+  }
+}
+
 /**
  * Generate invalid data sets for negative testing
  */
@@ -155,6 +190,9 @@ module.exports = {
   generateRandomUser,
   generateRandomPost,
   generateRandomComment,
+  generateRandomAlbum,
+  generateRandomPhoto,
+  generateRandomTodo,
   invalidDataSets,
   isValidEmail,
   isValidUrl,
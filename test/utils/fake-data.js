@@ -0,0 +1,247 @@
+/**
+ * Realistic fake data
+ *
+ * Names, addresses, phone numbers, companies and lorem-style text for several locales, built from the
+ * word lists in ./locales without any external service. ZIP codes and coordinates belong to the chosen
+ * city, and usernames, emails and websites are romanized for locales with non-Latin scripts.
+ * Values come from the seeded generator in random.js, so they are reproducible like the rest of the test data.
+ *
+ *   const { fakeData } = require('../utils/fake-data')
+ *   fakeData('ja_JP').user() // { name: '佐藤 陽菜', username: 'hina.sato42', address: { zipcode: '100-4821', ... }, ... }
+ */
+
+const config = require('../../config/test-config')
+const { random } = require('./random')
+const locales = require('./locales')
+
+// Email domains reserved for documentation and testing (RFC 2606), so no mail reaches a real inbox
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net']
+
+/**
+ * Romanize a Latin-script text: drop diacritics and keep letters only
+ * @param {string} text - Text
+ * @returns {string} Lowercase ASCII text
+ */
+function stripDiacritics (text) {
+  return text.toLowerCase().replace(/ß/g, 'ss').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+}
+
+/**
+ * Locale-aware fake data provider
+ */
+class FakeData {
+  /**
+   * @param {string} locale - Locale code, e.g. 'de_DE'
+   * @param {SeededRandom} [generator] - Random number generator (default: the shared seeded one)
+   */
+  constructor (locale = config.fakeData.locale, generator = random) {
+    if (!locales[locale]) {
+      throw new Error(`Unknown locale "${locale}", expected one of: ${Object.keys(locales).join(', ')}`)
+    }
+    this.locale = locales[locale]
+    this.random = generator
+  }
+
+  /**
+   * Replace '#' with random digits and {key} with values
+   * @param {string} format - Format, e.g. '(###) ###-####'
+   * @param {Object} values - Values by key
+   * @returns {string} Filled format
+   */
+  fill (format, values = {}) {
+    return format
+      .replace(/\{(\w+)\}/g, (match, key) => (typeof values[key] === 'function' ? values[key]() : values[key]))
+      .replace(/#/g, () => String(this.random.int(0, 9)))
+  }
+
+  /**
+   * Entry of a list that may be split by gender
+   * @param {Array<string>|Object} list - List, or { male, female } lists
+   * @param {string} gender - 'male' or 'female'
+   * @returns {string} Entry
+   */
+  pickFor (list, gender) {
+    return this.random.pick(Array.isArray(list) ? list : list[gender])
+  }
+
+  /**
+   * ASCII spelling of a text, for usernames, emails and hostnames
+   * @param {string} text - Text in the locale's script
+   * @returns {string} Lowercase ASCII text
+   */
+  romanize (text) {
+    const { romanization, romanize } = this.locale
+    const romanized = romanization ? romanization[text] || text : romanize ? romanize(text) : text
+    return stripDiacritics(romanized).replace(/[^a-z0-9]/g, '')
+  }
+
+  /**
+   * Random person with matching first and last name
+   * @param {string} [gender] - 'male' or 'female' (default: random)
+   * @returns {Object} { gender, firstName, lastName, name }
+   */
+  person (gender = this.random.pick(['male', 'female'])) {
+    const firstName = this.pickFor(this.locale.firstNames, gender)
+    const lastName = this.pickFor(this.locale.lastNames, gender)
+    return { gender, firstName, lastName, name: this.fill(this.locale.nameFormat, { first: firstName, last: lastName }) }
+  }
+
+  /**
+   * Full name
+   * @returns {string} Name
+   */
+  fullName () {
+    return this.person().name
+  }
+
+  /**
+   * Username derived from a person, e.g. 'anna.muller42'
+   * @param {Object} [person] - Person (default: a new one)
+   * @returns {string} Username
+   */
+  username (person = this.person()) {
+    const first = this.romanize(person.firstName)
+    const last = this.romanize(person.lastName)
+    return this.fill(this.random.pick([`${first}.${last}##`, `${first}_${last}#`, `${first}${last.charAt(0)}###`]))
+  }
+
+  /**
+   * Email address derived from a person, on a reserved example domain
+   * @param {Object} [person] - Person (default: a new one)
+   * @returns {string} Email
+   */
+  email (person = this.person()) {
+    return `${this.romanize(person.firstName)}.${this.romanize(person.lastName)}${this.random.int(1, 999)}@${this.random.pick(EMAIL_DOMAINS)}`
+  }
+
+  /**
+   * Phone number in one of the locale's formats
+   * @returns {string} Phone number
+   */
+  phone () {
+    return this.fill(this.random.pick(this.locale.phoneFormats))
+  }
+
+  /**
+   * Address in a city of the locale, with a ZIP code and coordinates of that city
+   * @returns {Object} { street, suite, city, zipcode, country, geo: { lat, lng } }
+   */
+  address () {
+    const city = this.random.pick(this.locale.cities)
+    const street = this.fill(this.locale.streetFormat, {
+      street: this.random.pick(this.locale.streets),
+      number: () => this.fill(this.locale.houseNumber).replace(/^0+(?=\d)/, '')
+    })
+    // Up to about 5 km around the city centre
+    const offset = () => (this.random.next() - 0.5) * 0.1
+
+    return {
+      street,
+      suite: this.fill(this.random.pick(this.locale.suiteFormats)),
+      city: city.name,
+      zipcode: this.fill(city.zip),
+      country: this.locale.countryCode,
+      geo: {
+        lat: (city.lat + offset()).toFixed(4),
+        lng: (city.lng + offset()).toFixed(4)
+      }
+    }
+  }
+
+  /**
+   * Company with a name in the locale's legal forms and lorem-style slogans
+   * @returns {Object} { name, catchPhrase, bs }
+   */
+  company () {
+    const lastName = () => this.pickFor(this.locale.lastNames, 'male')
+    return {
+      name: this.fill(this.random.pick(this.locale.companyFormats), { last: lastName }),
+      catchPhrase: this.sentence(3, 3).slice(0, -this.locale.sentenceEnd.length),
+      bs: this.words(3).join(this.locale.wordSeparator)
+    }
+  }
+
+  /**
+   * Website named after a person or company
+   * @param {string} name - Name in the locale's script
+   * @returns {string} Hostname
+   */
+  website (name) {
+    return `${this.romanize(name) || 'site'}.${this.locale.tld}`
+  }
+
+  /**
+   * Random words of the locale
+   * @param {number} count - Number of words
+   * @returns {Array<string>} Words
+   */
+  words (count) {
+    return Array.from({ length: count }, () => this.random.pick(this.locale.words))
+  }
+
+  /**
+   * Sentence starting with a capital letter
+   * @param {number} min - Minimum number of words
+   * @param {number} max - Maximum number of words
+   * @returns {string} Sentence
+   */
+  sentence (min = 4, max = 10) {
+    const text = this.words(this.random.int(min, max)).join(this.locale.wordSeparator)
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}${this.locale.sentenceEnd}`
+  }
+
+  /**
+   * Paragraph of sentences, one per line like JSONPlaceholder bodies
+   * @param {number} sentences - Number of sentences
+   * @returns {string} Paragraph
+   */
+  paragraph (sentences = 3) {
+    return Array.from({ length: sentences }, () => this.sentence()).join('\n')
+  }
+
+  /**
+   * Title without final punctuation
+   * @param {number} min - Minimum number of words
+   * @param {number} max - Maximum number of words
+   * @returns {string} Title
+   */
+  title (min = 3, max = 6) {
+    return this.sentence(min, max).slice(0, -this.locale.sentenceEnd.length)
+  }
+
+  /**
+   * User in the JSONPlaceholder shape
+   * @returns {Object} User (without id)
+   */
+  user () {
+    const person = this.person()
+    // JSONPlaceholder addresses have no country
+    const address = this.address()
+    delete address.country
+
+    return {
+      name: person.name,
+      username: this.username(person),
+      email: this.email(person),
+      phone: this.phone(),
+      website: this.website(person.lastName),
+      address,
+      company: this.company()
+    }
+  }
+}
+
+/**
+ * Fake data provider for a locale
+ * @param {string} [locale] - Locale code (default: config.fakeData.locale)
+ * @returns {FakeData} Provider
+ */
+function fakeData (locale) {
+  return new FakeData(locale)
+}
+
+module.exports = {
+  LOCALES: Object.keys(locales),
+  FakeData,
+  fakeData
+}
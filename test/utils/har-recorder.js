@@ -0,0 +1,225 @@
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const config = require('../../config/test-config')
+const { version } = require('../../package.json')
+
+/**
+ * Convert a headers object to HAR name/value pairs
+ * @param {Object} headers - Headers object
+ * @param {Array<string>} redact - Lower-cased header names to mask
+ * @returns {Array<Object>} HAR headers
+ */
+function toHarHeaders (headers = {}, redact = []) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: redact.includes(name.toLowerCase()) ? '[REDACTED]' : String(value)
+  }))
+}
+
+/**
+ * Mask the values of secret query parameters in a URL
+ * @param {URL} url - Request URL
+ * @param {Array<string>} redact - Lower-cased parameter names to mask
+ * @returns {URL} The URL, or a copy with masked values
+ */
+function redactUrl (url, redact = []) {
+  const params = [...url.searchParams]
+  if (!params.some(([name]) => redact.includes(name.toLowerCase()))) {
+    return url
+  }
+
+  const redacted = new URL(url)
+  redacted.search = new URLSearchParams(params.map(([name, value]) => [name, redact.includes(name.toLowerCase()) ? '[REDACTED]' : value])).toString()
+  return redacted
+}
+
+/**
+ * Build a file system friendly name from a test or suite title
+ * @param {string} title - Title
+ * @returns {string} File name without extension
+ */
+function toFileName (title) {
+  return title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase().slice(0, 120) || 'untitled'
+}
+
+/**
+ * HAR Recorder
+ * Records HttpClient calls as HAR 1.2 entries, grouped in pages (one page per test)
+ */
+class HarRecorder {
+  constructor (options = {}) {
+    const { outputDir = config.har.outputDir, redactHeaders = config.har.redactHeaders } = options
+    this.outputDir = outputDir
+    this.redactHeaders = redactHeaders.map(name => name.toLowerCase())
+    this.reset()
+  }
+
+  /**
+   * Drop all recorded pages and entries
+   */
+  reset () {
+    this.pages = []
+    this.entries = []
+    this.currentPage = null
+  }
+
+  /**
+   * Start a new page; following entries are attached to it
+   * @param {string} title - Page title (usually the full test title)
+   * @param {string} group - Group used when saving per suite
+   */
+  startPage (title, group = title) {
+    this.currentPage = {
+      startedDateTime: new Date().toISOString(),
+      id: `page_${this.pages.length + 1}`,
+      title,
+      pageTimings: {},
+      _group: group
+    }
+    this.pages.push(this.currentPage)
+  }
+
+  /**
+   * Interceptor that records every call of the client it is registered on
+   * @returns {Object} Interceptor
+   */
+  interceptor () {
+    return {
+      name: 'har-recorder',
+      onResponse: (response, context) => this.record(context, response),
+      onError: (error, context) => this.record(context, error.response, error)
+    }
+  }
+
+  /**
+   * Record a finished call
+   * @param {Object} context - Interceptor request context
+   * @param {Object} response - Response (undefined when no response arrived)
+   * @param {Error} error - Request error
+   */
+  record (context, response, error) {
+    const startTime = context.startTime || Date.now()
+    const time = response && response.duration !== undefined ? response.duration : Date.now() - startTime
+    const requestUrl = new URL(context.url)
+    // Query API keys are masked like secret headers
+    const url = redactUrl(requestUrl, this.redactHeaders)
+    const requestText = context.data === undefined ? undefined : JSON.stringify(context.data)
+    const responseText = response ? (response.text !== undefined ? response.text : JSON.stringify(response.body)) || '' : ''
+    const responseHeaders = response ? response.headers || {} : {}
+
+    const entry = {
+      startedDateTime: new Date(startTime).toISOString(),
+      time,
+      request: {
+        method: context.method,
+        url: url === requestUrl ? context.url : url.toString(),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(context.headers, this.redactHeaders),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: requestText === undefined ? 0 : Buffer.byteLength(requestText)
+      },
+      response: {
+        status: response ? response.status : 0,
+        statusText: response ? http.STATUS_CODES[response.status] || '' : error.message,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(responseHeaders, this.redactHeaders),
+        content: {
+          size: Buffer.byteLength(responseText),
+          mimeType: responseHeaders['content-type'] || 'x-unknown',
+          text: responseText
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: Buffer.byteLength(responseText)
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 }
+    }
+
+    if (requestText !== undefined) {
+      entry.request.postData = {
+        mimeType: context.headers['Content-Type'] || 'application/json',
+        text: requestText
+      }
+    }
+    if (this.currentPage) {
+      entry.pageref = this.currentPage.id
+    }
+    if (error) {
+      entry._error = error.message
+    }
+    if (response && response.attempts > 1) {
+      entry._attempts = response.attempts
+    }
+
+    this.entries.push(entry)
+  }
+
+  /**
+   * Build a HAR 1.2 document
+   * @param {Array<Object>} pages - Pages to include
+   * @returns {Object} HAR document
+   */
+  toHar (pages = this.pages) {
+    const pageIds = pages.map(page => page.id)
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'mocha-chai-superagent-demo', version },
+        pages: pages.map(({ _group, ...page }) => page),
+        entries: pages.length === 0 ? this.entries : this.entries.filter(entry => pageIds.includes(entry.pageref))
+      }
+    }
+  }
+
+  /**
+   * Write a HAR file
+   * @param {string} name - File name without extension
+   * @param {Array<Object>} pages - Pages to include
+   * @returns {string} Written file path
+   */
+  save (name, pages = this.pages) {
+    const filePath = path.join(this.outputDir, `${toFileName(name)}.har`)
+    fs.mkdirSync(this.outputDir, { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify(this.toHar(pages), null, 2))
+    return filePath
+  }
+
+  /**
+   * Write the current page to its own HAR file
+   * @returns {string|null} Written file path, null when nothing was recorded
+   */
+  saveCurrentPage () {
+    const page = this.currentPage
+    if (!page || !this.entries.some(entry => entry.pageref === page.id)) {
+      return null
+    }
+    return this.save(page.title, [page])
+  }
+
+  /**
+   * Write one HAR file per page group (suite)
+   * @returns {Array<string>} Written file paths
+   */
+  saveGroups () {
+    const groups = [...new Set(this.pages.map(page => page._group))]
+
+    return groups
+      .map(group => this.pages.filter(page => page._group === group))
+      .filter(pages => this.entries.some(entry => pages.some(page => page.id === entry.pageref)))
+      .map(pages => this.save(pages[0]._group, pages))
+  }
+}
+
+// Shared recorder used by the global test hooks
+const harRecorder = new HarRecorder()
+
+module.exports = {
+  HarRecorder,
+  harRecorder
+}
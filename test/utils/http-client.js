@@ -1,5 +1,29 @@
+const http = require('http')
 const request = require('superagent')
 const config = require('../../config/test-config')
+const { retry } = require('./test-helpers')
+const { timingInterceptor } = require('./interceptors')
+const { toHttpClientError } = require('./http-errors')
+const { createAuthStrategy } = require('./auth-strategies')
+const { assertAllowed } = require('./read-only-guard')
+
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+const isObject = value => value !== null && typeof value === 'object'
+
+// Interceptor hooks replace the value they received only when they return an object
+const replacement = (result, current) => (isObject(result) ? result : current)
+
+/**
+ * Default auth strategy for a base URL: the config.auth entry of the matching config.baseUrls key
+ * @param {string} baseUrl - Base URL
+ * @returns {Object|null} Strategy
+ */
+function defaultAuthFor (baseUrl) {
+  const api = Object.keys(config.baseUrls).find(name => config.baseUrls[name] === baseUrl)
+  return createAuthStrategy(api ? config.auth[api] : null)
+}
 
 /**
  * Base HTTP Client for API requests
@@ -10,6 +34,43 @@ class HttpClient {
     this.baseUrl = baseUrl
     this.defaultHeaders = config.defaultHeaders
     this.timeout = config.timeout
+    this.retryPolicy = { ...config.retry }
+    this.safetyPolicy = { ...config.safety }
+    this.interceptors = []
+    this.auth = defaultAuthFor(baseUrl)
+  }
+
+  /**
+   * Register an interceptor for every HttpClient instance
+   * Global interceptors run after the default ones and before instance interceptors
+   * @param {Object} interceptor - Interceptor with onRequest/onResponse/onError hooks
+   * @returns {Function} Function that removes the interceptor
+   */
+  static use (interceptor) {
+    HttpClient.globalInterceptors.push(interceptor)
+    return () => {
+      HttpClient.globalInterceptors = HttpClient.globalInterceptors.filter(entry => entry !== interceptor)
+    }
+  }
+
+  /**
+   * Register an interceptor for this client
+   * @param {Object} interceptor - Interceptor with onRequest/onResponse/onError hooks
+   * @returns {Function} Function that removes the interceptor
+   */
+  use (interceptor) {
+    this.interceptors.push(interceptor)
+    return () => {
+      this.interceptors = this.interceptors.filter(entry => entry !== interceptor)
+    }
+  }
+
+  /**
+   * Interceptors applied to a request, in execution order
+   * @returns {Array<Object>} Interceptors
+   */
+  getInterceptors () {
+    return [...HttpClient.defaultInterceptors, ...HttpClient.globalInterceptors, ...this.interceptors]
   }
 
   /**
@@ -28,6 +89,39 @@ class HttpClient {
     this.setDefaultHeaders({ Authorization: `Bearer ${token}` })
   }
 
+  /**
+   * Remove the authorization header
+   */
+  clearAuthToken () {
+    const headers = { ...this.defaultHeaders }
+    delete headers.Authorization
+    this.defaultHeaders = headers
+  }
+
+  /**
+   * Set the authentication strategy (see ./auth-strategies)
+   * @param {Object|null} strategy - Strategy, strategy options such as { type: 'basic', username, password }, or null for none
+   */
+  setAuth (strategy) {
+    this.auth = createAuthStrategy(strategy)
+  }
+
+  /**
+   * Update the retry policy
+   * @param {Object} policy - Retry policy options (see `retry` in config/test-config.js)
+   */
+  setRetryPolicy (policy) {
+    this.retryPolicy = { ...this.retryPolicy, ...policy }
+  }
+
+  /**
+   * Update the read-only safety policy
+   * @param {Object} policy - Safety options (see `safety` in config/defaults.js)
+   */
+  setSafetyPolicy (policy) {
+    this.safetyPolicy = { ...this.safetyPolicy, ...policy }
+  }
+
   /**
    * Build full URL
    * @param {string} endpoint - API endpoint
@@ -50,40 +144,216 @@ class HttpClient {
   }
 
   /**
-   * Handle request errors
+   * Throw the typed error for a failed request
+   * Errors with a response keep the retry info on the response as well
    * @param {Error} error - Request error
-   * @param {number} startTime - Request start time in milliseconds
+   * @param {Object} context - Request context
    */
-  handleError (error, startTime) {
+  handleError (error, context) {
+    const details = {
+      method: context.method,
+      url: context.url,
+      attempts: error.attempts,
+      retries: error.retries,
+      duration: Date.now() - context.sentAt
+    }
+
     if (error.response) {
-      // Add timing info to error response
-      this.addTimingInfo(error.response, startTime)
-      throw error
+      Object.assign(error.response, { attempts: details.attempts, retries: details.retries })
+    }
+    throw toHttpClientError(error, details)
+  }
+
+  /**
+   * Classify a failed attempt
+   * @param {Error} error - Superagent error
+   * @returns {string} One of 'status', 'timeout', 'parse' or 'network'
+   */
+  getErrorKind (error) {
+    if (error.response) {
+      return 'status'
     } else if (error.timeout) {
-      throw new Error(`Request timeout after ${this.timeout}ms`)
-    } else {
-      throw new Error(`Network error: ${error.message}`)
+      return 'timeout'
+    } else if (error instanceof SyntaxError) {
+      return 'parse'
     }
+    return 'network'
   }
 
   /**
-   * Perform GET request
+   * Decide whether a failed attempt should be retried under the current policy
+   * @param {string} method - HTTP method
+   * @param {Error} error - Superagent error
+   * @returns {boolean} Should retry
+   */
+  shouldRetry (method, error) {
+    const policy = this.retryPolicy
+
+    if (!policy.retryNonIdempotent && !IDEMPOTENT_METHODS.includes(method)) {
+      return false
+    }
+
+    const kind = this.getErrorKind(error)
+    if (kind === 'status') {
+      return policy.retryOnStatus.includes(error.response.status)
+    }
+    return policy.retryOnErrors.includes(kind)
+  }
+
+  /**
+   * Perform a single request attempt
+   * @param {Object} context - Request context
+   * @returns {Promise} Superagent response
+   */
+  execute (context) {
+    const req = request(context.method, context.url)
+      .set(context.headers)
+      .timeout(this.timeout)
+
+    return context.data === undefined ? req : req.send(context.data)
+  }
+
+  /**
+   * Treat a response provided by an interceptor like one from superagent:
+   * non-2xx responses are thrown as errors carrying the response
+   * @param {Object} response - Response provided by an interceptor
+   * @returns {Object} Response
+   */
+  settle (response) {
+    if (response.status >= 200 && response.status < 300) {
+      return response
+    }
+    const error = new Error(http.STATUS_CODES[response.status] || 'Unsuccessful HTTP response')
+    error.status = response.status
+    error.response = response
+    throw error
+  }
+
+  /**
+   * Perform request through the interceptor pipeline with the retry policy applied
+   * Retry attempts are recorded on the response (or error) as `attempts` and `retries`;
+   * failures reject with the typed errors from ./http-errors, requests refused by read-only mode with ReadOnlyError
+   * @param {string} method - HTTP method
    * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request body (undefined for none)
    * @param {Object} headers - Additional headers
-   * @returns {Promise} Request promise
+   * @param {Object} options - Request options passed to interceptors as context.options (e.g. { raw: true })
+   * @returns {Promise} Response
    */
-  async get (endpoint, headers = {}) {
-    const startTime = Date.now()
-    try {
-      const response = await request
-        .get(this.buildUrl(endpoint))
-        .set({ ...this.defaultHeaders, ...headers })
-        .timeout(this.timeout)
+  async send (method, endpoint, data, headers = {}, options = {}) {
+    const interceptors = this.getInterceptors()
+    let context = {
+      method,
+      endpoint,
+      url: this.buildUrl(endpoint),
+      headers: { ...this.defaultHeaders, ...headers },
+      data,
+      options,
+      client: this
+    }
+
+    for (const interceptor of interceptors) {
+      if (interceptor.onRequest) {
+        context = replacement(await interceptor.onRequest(context), context)
+      }
+    }
+
+    // Read-only mode stops mutating requests before anything is sent (see ./read-only-guard)
+    if (!context.response) {
+      assertAllowed(this.safetyPolicy, config.profile, context)
+    }
+
+    // Authenticate the final request, so signatures cover what interceptors changed. An Authorization
+    // header that is already set (setAuthToken, AuthSession, request headers or interceptors) wins
+    if (this.auth && !context.response) {
+      const authorization = context.headers.Authorization
+      await this.auth.apply(context)
+      if (authorization !== undefined) {
+        context.headers.Authorization = authorization
+      }
+    }
+
+    const policy = this.retryPolicy
+    const retries = []
+    let response
+    context.sentAt = Date.now()
 
-      return this.addTimingInfo(response, startTime)
+    try {
+      // An onRequest hook may answer the request itself by setting context.response
+      response = context.response ? this.settle(context.response) : await retry(
+        () => this.execute(context),
+        Math.max(policy.maxAttempts - 1, 0),
+        policy.baseDelay,
+        {
+          maxDelay: policy.maxDelay,
+          jitter: policy.jitter,
+          shouldRetry: error => this.shouldRetry(context.method, error),
+          onRetry: (error, attempt, delay) => retries.push({
+            attempt,
+            kind: this.getErrorKind(error),
+            status: error.response ? error.response.status : undefined,
+            message: error.message,
+            delay
+          })
+        }
+      )
     } catch (error) {
-      this.handleError(error, startTime)
+      error.attempts = retries.length + 1
+      error.retries = retries
+      response = await this.runErrorInterceptors(interceptors, error, context)
+    }
+
+    response.attempts = response.attempts || retries.length + 1
+    response.retries = response.retries || retries
+
+    for (const interceptor of interceptors) {
+      if (interceptor.onResponse) {
+        response = replacement(await interceptor.onResponse(response, context), response)
+      }
     }
+
+    return response
+  }
+
+  /**
+   * Run onError hooks; a hook may recover by returning a response
+   * @param {Array<Object>} interceptors - Interceptors
+   * @param {Error} error - Request error
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Recovered response (otherwise a typed error, or the error a hook threw, is thrown)
+   */
+  async runErrorInterceptors (interceptors, error, context) {
+    let currentError = error
+
+    for (const interceptor of interceptors) {
+      if (!interceptor.onError) {
+        continue
+      }
+      try {
+        const recovered = await interceptor.onError(currentError, context)
+        if (isObject(recovered)) {
+          return recovered
+        }
+      } catch (replacement) {
+        currentError = replacement
+      }
+    }
+
+    // Errors thrown by a hook are passed on as they are
+    if (currentError !== error) {
+      throw currentError
+    }
+    this.handleError(currentError, context)
+  }
+
+  /**
+   * Perform GET request
+   * @param {string} endpoint - API endpoint
+   * @param {Object} headers - Additional headers
+   * @returns {Promise} Request promise
+   */
+  async get (endpoint, headers = {}) {
+    return this.send('GET', endpoint, undefined, headers)
   }
 
   /**
@@ -94,18 +364,7 @@ class HttpClient {
    * @returns {Promise} Request promise
    */
   async post (endpoint, data = {}, headers = {}) {
-    const startTime = Date.now()
-    try {
-      const response = await request
-        .post(this.buildUrl(endpoint))
-        .send(data)
-        .set({ ...this.defaultHeaders, ...headers })
-        .timeout(this.timeout)
-
-      return this.addTimingInfo(response, startTime)
-    } catch (error) {
-      this.handleError(error, startTime)
-    }
+    return this.send('POST', endpoint, data, headers)
   }
 
   /**
@@ -116,18 +375,7 @@ class HttpClient {
    * @returns {Promise} Request promise
    */
   async put (endpoint, data = {}, headers = {}) {
-    const startTime = Date.now()
-    try {
-      const response = await request
-        .put(this.buildUrl(endpoint))
-        .send(data)
-        .set({ ...this.defaultHeaders, ...headers })
-        .timeout(this.timeout)
-
-      return this.addTimingInfo(response, startTime)
-    } catch (error) {
-      this.handleError(error, startTime)
-    }
+    return this.send('PUT', endpoint, data, headers)
   }
 
   /**
@@ -138,18 +386,7 @@ class HttpClient {
    * @returns {Promise} Request promise
    */
   async patch (endpoint, data = {}, headers = {}) {
-    const startTime = Date.now()
-    try {
-      const response = await request
-        .patch(this.buildUrl(endpoint))
-        .send(data)
-        .set({ ...this.defaultHeaders, ...headers })
-        .timeout(this.timeout)
-
-      return this.addTimingInfo(response, startTime)
-    } catch (error) {
-      this.handleError(error, startTime)
-    }
+    return this.send('PATCH', endpoint, data, headers)
   }
 
   /**
@@ -159,18 +396,14 @@ class HttpClient {
    * @returns {Promise} Request promise
    */
   async delete (endpoint, headers = {}) {
-    const startTime = Date.now()
-    try {
-      const response = await request
-        .delete(this.buildUrl(endpoint))
-        .set({ ...this.defaultHeaders, ...headers })
-        .timeout(this.timeout)
-
-      return this.addTimingInfo(response, startTime)
-    } catch (error) {
-      this.handleError(error, startTime)
-    }
+    return this.send('DELETE', endpoint, undefined, headers)
   }
 }
 
+// Interceptors registered on every client before global and instance ones
+HttpClient.defaultInterceptors = [timingInterceptor]
+
+// Interceptors registered through HttpClient.use()
+HttpClient.globalInterceptors = []
+
 module.exports = HttpClient
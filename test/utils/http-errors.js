@@ -0,0 +1,154 @@
+const http = require('http')
+
+/**
+ * Typed HttpClient failures
+ *
+ * Every error carries the request (method, url), how many attempts the retry policy made,
+ * the retry log, the total duration and the original superagent error as `cause`:
+ * - HttpStatusError - the server answered with a non-2xx status (error.response, error.status)
+ * - TimeoutError    - no complete response in time (error.phase: 'response' or 'deadline')
+ * - ConnectionError - the connection failed or dropped (error.errno, e.g. ECONNREFUSED)
+ * - ParseError      - the response body could not be parsed (error.body holds the raw text)
+ * - ReadOnlyError   - read-only mode refused to send a mutating request (0 attempts)
+ */
+
+/**
+ * Base class of all HttpClient failures
+ */
+class HttpClientError extends Error {
+  /**
+   * @param {string} reason - What went wrong
+   * @param {Object} details - Request details
+   * @param {string} details.method - HTTP method
+   * @param {string} details.url - Request URL
+   * @param {number} details.attempts - Attempts made under the retry policy
+   * @param {Array<Object>} details.retries - Retry log
+   * @param {number} details.duration - Time spent on all attempts in ms
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor (reason, { method, url, attempts = 1, retries = [], duration, cause } = {}) {
+    super(`${reason} [${method} ${url}, ${attempts} attempt${attempts === 1 ? '' : 's'}, ${duration}ms]`)
+    this.name = this.constructor.name
+    // Set directly: the Error cause option needs Node 16.9
+    this.cause = cause
+    this.reason = reason
+    this.method = method
+    this.url = url
+    this.attempts = attempts
+    this.retries = retries
+    this.duration = duration
+  }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+class HttpStatusError extends HttpClientError {
+  /**
+   * @param {Object} response - Response
+   * @param {Object} details - Request details (see HttpClientError)
+   */
+  constructor (response, details) {
+    super(`${response.status} ${http.STATUS_CODES[response.status] || 'Unsuccessful HTTP response'}`, details)
+    this.kind = 'status'
+    this.status = response.status
+    this.response = response
+  }
+}
+
+/**
+ * No complete response arrived in time
+ */
+class TimeoutError extends HttpClientError {
+  /**
+   * @param {number} timeout - Exceeded timeout in ms
+   * @param {string} phase - 'response' (no first byte in time) or 'deadline' (whole request too slow)
+   * @param {Object} details - Request details (see HttpClientError)
+   */
+  constructor (timeout, phase, details) {
+    super(`Request timeout after ${timeout}ms (${phase})`, details)
+    this.kind = 'timeout'
+    this.timeout = timeout
+    this.phase = phase
+  }
+}
+
+/**
+ * The connection could not be made or was dropped
+ */
+class ConnectionError extends HttpClientError {
+  /**
+   * @param {string} errno - System error code, e.g. ECONNREFUSED or ECONNRESET
+   * @param {Object} details - Request details (see HttpClientError)
+   */
+  constructor (errno, details) {
+    super(`Network error: ${details.cause.message}${errno ? ` (${errno})` : ''}`, details)
+    this.kind = 'network'
+    this.errno = errno
+  }
+}
+
+/**
+ * The response body could not be parsed
+ */
+class ParseError extends HttpClientError {
+  /**
+   * @param {number} status - Response status
+   * @param {string} body - Raw response body
+   * @param {Object} details - Request details (see HttpClientError)
+   */
+  constructor (status, body, details) {
+    super(`Parse error: ${details.cause.message}`, details)
+    this.kind = 'parse'
+    this.status = status
+    this.body = body
+  }
+}
+
+/**
+ * Read-only mode (config.safety) refused to send a mutating request
+ */
+class ReadOnlyError extends HttpClientError {
+  /**
+   * @param {string} profile - Active configuration profile
+   * @param {Object} details - Request details (see HttpClientError)
+   */
+  constructor (profile, details) {
+    super(`Read-only mode (profile "${profile}") blocked ${details.method} ${new URL(details.url).pathname}; allow it with a "${details.method} <route>" entry in config.safety.allowlist`, { ...details, attempts: 0, duration: 0 })
+    this.kind = 'read-only'
+    this.profile = profile
+  }
+}
+
+/**
+ * Turn a failed request into a typed error
+ * @param {Error} error - Superagent error (or an error with a response from HttpClient.settle)
+ * @param {Object} details - Request details (see HttpClientError, without cause)
+ * @returns {HttpClientError} Typed error
+ */
+function toHttpClientError (error, details) {
+  if (error instanceof HttpClientError) {
+    return error
+  }
+
+  const withCause = { ...details, cause: error }
+  if (error.response) {
+    return new HttpStatusError(error.response, withCause)
+  } else if (error.timeout) {
+    // superagent marks response timeouts with ETIMEDOUT and deadline timeouts with ETIME
+    return new TimeoutError(error.timeout, error.errno === 'ETIMEDOUT' ? 'response' : 'deadline', withCause)
+  } else if (error instanceof SyntaxError) {
+    return new ParseError(error.statusCode, error.rawResponse, withCause)
+  }
+  return new ConnectionError(error.code || error.errno, withCause)
+}
+
+module.exports = {
+  HttpClientError,
+  HttpStatusError,
+  TimeoutError,
+  ConnectionError,
+  ParseError,
+  ReadOnlyError,
+  toHttpClientError
+}
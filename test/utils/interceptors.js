@@ -0,0 +1,94 @@
+/**
+ * Built-in HttpClient interceptors
+ *
+ * An interceptor is an object with any of these hooks, run in registration order:
+ * - onRequest(context)          - may mutate the context or return a replacement
+ *                                 (context: { method, endpoint, url, headers, data, options, client });
+ *                                 setting context.response skips the network call
+ * - onResponse(response, context) - may mutate the response or return a replacement
+ * - onError(error, context)     - may return a response to recover, or throw a different error
+ */
+
+const { testHelpers } = require('./test-helpers')
+
+/**
+ * Measure request duration (registered on every HttpClient by default)
+ * Responses that already carry one, such as cassette replays, keep it
+ */
+const timingInterceptor = {
+  name: 'timing',
+
+  onRequest (context) {
+    context.startTime = Date.now()
+  },
+
+  onResponse (response, context) {
+    if (response.duration === undefined) {
+      context.client.addTimingInfo(response, context.startTime)
+    }
+    return response
+  },
+
+  onError (error, context) {
+    if (error.response && error.response.duration === undefined) {
+      context.client.addTimingInfo(error.response, context.startTime)
+    }
+  }
+}
+
+/**
+ * Log every call through testHelpers.logApiCall
+ * @returns {Object} Interceptor
+ */
+function loggingInterceptor () {
+  return {
+    name: 'logging',
+
+    onResponse (response, context) {
+      testHelpers.logApiCall(context.method, context.url, response.status, response.duration)
+    },
+
+    onError (error, context) {
+      const status = error.response ? error.response.status : 'ERR'
+      testHelpers.logApiCall(context.method, context.url, status, Date.now() - context.startTime)
+    }
+  }
+}
+
+/**
+ * Add a unique correlation id header to every request
+ * @param {string} headerName - Header name
+ * @returns {Object} Interceptor
+ */
+function correlationIdInterceptor (headerName = 'X-Correlation-Id') {
+  return {
+    name: 'correlation-id',
+
+    onRequest (context) {
+      context.headers[headerName] = testHelpers.generateTestRunId()
+    }
+  }
+}
+
+/**
+ * Rewrite request URLs, e.g. to point a client at another host
+ * @param {string|RegExp} pattern - Pattern to replace
+ * @param {string|Function} replacement - Replacement (as for String.prototype.replace)
+ * @returns {Object} Interceptor
+ */
+function rewriteUrlInterceptor (pattern, replacement) {
+  return {
+    name: 'rewrite-url',
+
+    onRequest (context) {
+      context.url = context.url.replace(pattern, replacement)
+    }
+  }
+}
+
+module.exports = {
+  timingInterceptor,
+  loggingInterceptor,
+  correlationIdInterceptor,
+  rewriteUrlInterceptor
+}
@@ -0,0 +1,35 @@
+// German (Germany)
+module.exports = {
+  code: 'de_DE',
+  country: 'Deutschland',
+  countryCode: 'DE',
+  nameFormat: '{first} {last}',
+  firstNames: {
+    male: ['Lukas', 'Maximilian', 'Jonas', 'Felix', 'Leon', 'Paul', 'Jürgen', 'Stefan', 'Matthias', 'Thomas'],
+    female: ['Anna', 'Lea', 'Sophie', 'Marie', 'Hannah', 'Lena', 'Jördis', 'Sabine', 'Katrin', 'Ursula']
+  },
+  lastNames: ['Müller', 'Schmidt', 'Schneider', 'Fischer', 'Weber', 'Meyer', 'Wagner', 'Becker', 'Schulz', 'Hoffmann', 'Schäfer', 'Koch', 'Groß', 'Weiß'],
+  streets: ['Hauptstraße', 'Schulstraße', 'Gartenstraße', 'Bahnhofstraße', 'Dorfstraße', 'Bergstraße', 'Lindenallee', 'Kirchweg', 'Goethestraße', 'Am Markt'],
+  streetFormat: '{street} {number}',
+  houseNumber: '##',
+  suiteFormats: ['Wohnung ##', '#. OG', 'Hinterhaus'],
+  // Postleitzahlen start with the prefix of the city
+  cities: [
+    { name: 'Berlin', zip: '10###', lat: 52.52, lng: 13.405 },
+    { name: 'Hamburg', zip: '20###', lat: 53.5511, lng: 9.9937 },
+    { name: 'München', zip: '80###', lat: 48.1351, lng: 11.582 },
+    { name: 'Köln', zip: '50###', lat: 50.9375, lng: 6.9603 },
+    { name: 'Frankfurt am Main', zip: '60###', lat: 50.1109, lng: 8.6821 },
+    { name: 'Stuttgart', zip: '70###', lat: 48.7758, lng: 9.1829 }
+  ],
+  phoneFormats: ['+49 30 ########', '+49 89 #######', '0151 ########', '040 #######'],
+  companyFormats: ['{last} GmbH', '{last} AG', '{last} & {last} KG', '{last} GmbH & Co. KG'],
+  tld: 'de',
+  wordSeparator: ' ',
+  sentenceEnd: '.',
+  words: [
+    'und', 'die', 'der', 'zeit', 'haus', 'weg', 'stadt', 'wasser', 'licht', 'freunde',
+    'arbeit', 'morgen', 'abend', 'schnell', 'ruhig', 'grün', 'über', 'größer', 'straße', 'wald',
+    'kaffee', 'brücke', 'frühling', 'sommer', 'ließ', 'schön', 'immer', 'wieder', 'gemeinsam', 'heute'
+  ]
+}
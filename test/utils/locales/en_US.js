@@ -0,0 +1,36 @@
+// English (United States)
+module.exports = {
+  code: 'en_US',
+  country: 'United States',
+  countryCode: 'US',
+  nameFormat: '{first} {last}',
+  firstNames: {
+    male: ['James', 'Michael', 'Robert', 'David', 'William', 'Daniel', 'Matthew', 'Anthony', 'Joshua', 'Kevin', 'Brian', 'Ethan'],
+    female: ['Mary', 'Jennifer', 'Linda', 'Patricia', 'Elizabeth', 'Susan', 'Jessica', 'Sarah', 'Karen', 'Emily', 'Ashley', 'Olivia']
+  },
+  lastNames: ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez', 'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore', 'O\'Connor'],
+  streets: ['Main Street', 'Oak Avenue', 'Maple Drive', 'Cedar Lane', 'Park Avenue', 'Washington Boulevard', 'Lakeview Drive', 'Sunset Boulevard', 'Elm Street', 'Highland Road'],
+  streetFormat: '{number} {street}',
+  houseNumber: '####',
+  suiteFormats: ['Apt. ###', 'Suite ###', 'Unit ##'],
+  // ZIP codes start with the prefix of the city
+  cities: [
+    { name: 'New York', zip: '100##', lat: 40.7128, lng: -74.006 },
+    { name: 'Chicago', zip: '606##', lat: 41.8781, lng: -87.6298 },
+    { name: 'San Francisco', zip: '941##', lat: 37.7749, lng: -122.4194 },
+    { name: 'Seattle', zip: '981##', lat: 47.6062, lng: -122.3321 },
+    { name: 'Boston', zip: '021##', lat: 42.3601, lng: -71.0589 },
+    { name: 'Austin', zip: '787##', lat: 30.2672, lng: -97.7431 }
+  ],
+  phoneFormats: ['(###) ###-####', '###-###-####', '+1 ###-###-####'],
+  companyFormats: ['{last} Inc', '{last} LLC', '{last} Group', '{last} and Sons', '{last}-{last}'],
+  tld: 'com',
+  wordSeparator: ' ',
+  sentenceEnd: '.',
+  words: [
+    'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do',
+    'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim',
+    'ad', 'minim', 'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip',
+    'ex', 'ea', 'commodo', 'consequat', 'duis', 'aute', 'irure', 'in', 'reprehenderit', 'voluptate'
+  ]
+}
@@ -0,0 +1,35 @@
+// French (France)
+module.exports = {
+  code: 'fr_FR',
+  country: 'France',
+  countryCode: 'FR',
+  nameFormat: '{first} {last}',
+  firstNames: {
+    male: ['Jean', 'Pierre', 'Louis', 'Gabriel', 'Raphaël', 'Hugo', 'François', 'Jérôme', 'Théo', 'Nicolas'],
+    female: ['Marie', 'Camille', 'Léa', 'Chloé', 'Manon', 'Inès', 'Élodie', 'Hélène', 'Zoé', 'Amélie']
+  },
+  lastNames: ['Martin', 'Bernard', 'Dubois', 'Thomas', 'Robert', 'Richard', 'Petit', 'Durand', 'Lefèvre', 'Moreau', 'Girard', 'Lemaître', 'Bénard', 'Faure'],
+  streets: ['rue de la République', 'avenue Victor Hugo', 'rue Pasteur', 'boulevard Voltaire', 'place de l\'Église', 'rue des Écoles', 'chemin du Moulin', 'allée des Tilleuls', 'rue Jean Jaurès', 'quai de Saône'],
+  streetFormat: '{number} {street}',
+  houseNumber: '##',
+  suiteFormats: ['Appartement ##', 'Bâtiment #', '#e étage'],
+  // Codes postaux start with the département of the city
+  cities: [
+    { name: 'Paris', zip: '750##', lat: 48.8566, lng: 2.3522 },
+    { name: 'Lyon', zip: '6900#', lat: 45.764, lng: 4.8357 },
+    { name: 'Marseille', zip: '130##', lat: 43.2965, lng: 5.3698 },
+    { name: 'Toulouse', zip: '310##', lat: 43.6047, lng: 1.4442 },
+    { name: 'Nice', zip: '060##', lat: 43.7102, lng: 7.262 },
+    { name: 'Bordeaux', zip: '330##', lat: 44.8378, lng: -0.5792 }
+  ],
+  phoneFormats: ['+33 1 ## ## ## ##', '+33 6 ## ## ## ##', '01 ## ## ## ##', '06 ## ## ## ##'],
+  companyFormats: ['{last} SARL', '{last} SA', '{last} et Fils', 'Groupe {last}', '{last} & {last}'],
+  tld: 'fr',
+  wordSeparator: ' ',
+  sentenceEnd: '.',
+  words: [
+    'le', 'la', 'les', 'et', 'une', 'maison', 'jardin', 'été', 'hiver', 'café',
+    'très', 'déjà', 'où', 'château', 'forêt', 'fenêtre', 'lumière', 'rivière', 'élève', 'journée',
+    'toujours', 'ensemble', 'après', 'doux', 'matin', 'soir', 'chemin', 'village', 'mer', 'ciel'
+  ]
+}
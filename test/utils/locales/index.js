@@ -0,0 +1,13 @@
+/**
+ * Locales of the fake data provider (see fake-data.js)
+ * Each locale lists names, address parts, phone and company formats and words; in formats,
+ * '#' stands for a random digit and {first}, {last}, {street} and {number} for generated parts
+ */
+
+module.exports = {
+  en_US: require('./en_US'),
+  de_DE: require('./de_DE'),
+  fr_FR: require('./fr_FR'),
+  ja_JP: require('./ja_JP'),
+  ru_RU: require('./ru_RU')
+}
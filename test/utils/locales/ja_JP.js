@@ -0,0 +1,64 @@
+// Japanese (Japan); names are written family name first
+module.exports = {
+  code: 'ja_JP',
+  country: '日本',
+  countryCode: 'JP',
+  nameFormat: '{last} {first}',
+  firstNames: {
+    male: ['太郎', '翔太', '健', '大輔', '蓮', '悠真', '陽翔', '拓海'],
+    female: ['花子', '美咲', '陽菜', 'さくら', '結衣', '葵', '凛', '愛']
+  },
+  lastNames: ['佐藤', '鈴木', '高橋', '田中', '伊藤', '渡辺', '山本', '中村', '小林', '加藤'],
+  // Hepburn spellings for usernames, emails and websites
+  romanization: {
+    太郎: 'taro',
+    翔太: 'shota',
+    健: 'ken',
+    大輔: 'daisuke',
+    蓮: 'ren',
+    悠真: 'yuma',
+    陽翔: 'haruto',
+    拓海: 'takumi',
+    花子: 'hanako',
+    美咲: 'misaki',
+    陽菜: 'hina',
+    さくら: 'sakura',
+    結衣: 'yui',
+    葵: 'aoi',
+    凛: 'rin',
+    愛: 'ai',
+    佐藤: 'sato',
+    鈴木: 'suzuki',
+    高橋: 'takahashi',
+    田中: 'tanaka',
+    伊藤: 'ito',
+    渡辺: 'watanabe',
+    山本: 'yamamoto',
+    中村: 'nakamura',
+    小林: 'kobayashi',
+    加藤: 'kato'
+  },
+  streets: ['銀座', '本町', '栄町', '中央', '緑町', '旭町', '桜台', '南青山'],
+  streetFormat: '{street}{number}',
+  houseNumber: '#丁目##-#',
+  suiteFormats: ['###号室', '#階'],
+  // 郵便番号 start with the prefix of the city
+  cities: [
+    { name: '東京都千代田区', zip: '100-####', lat: 35.6938, lng: 139.7536 },
+    { name: '大阪市北区', zip: '530-####', lat: 34.7055, lng: 135.4983 },
+    { name: '札幌市中央区', zip: '060-####', lat: 43.0555, lng: 141.3409 },
+    { name: '名古屋市中区', zip: '460-####', lat: 35.1681, lng: 136.9066 },
+    { name: '福岡市博多区', zip: '812-####', lat: 33.5902, lng: 130.4207 },
+    { name: '京都市中京区', zip: '604-####', lat: 35.0116, lng: 135.7681 }
+  ],
+  phoneFormats: ['03-####-####', '06-####-####', '090-####-####', '080-####-####', '+81 3-####-####'],
+  companyFormats: ['株式会社{last}', '{last}商事株式会社', '{last}工業株式会社', '有限会社{last}'],
+  tld: 'jp',
+  wordSeparator: '',
+  sentenceEnd: '。',
+  words: [
+    '今日', 'は', '天気', 'が', 'いい', '明日', '会議', 'を', '予定', 'しています',
+    '新しい', '機能', 'について', '説明', 'します', '私たち', 'の', 'チーム', 'と', '一緒に',
+    '東京', 'で', '桜', 'が', '咲きました', 'ありがとう', 'ございます', '確認', 'お願い', 'します'
+  ]
+}
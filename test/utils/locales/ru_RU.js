@@ -0,0 +1,46 @@
+// Russian (Russia); family names agree with the gender
+const TRANSLITERATION = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k', л: 'l', м: 'm',
+  н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch',
+  ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+}
+
+module.exports = {
+  code: 'ru_RU',
+  country: 'Россия',
+  countryCode: 'RU',
+  nameFormat: '{first} {last}',
+  firstNames: {
+    male: ['Александр', 'Дмитрий', 'Сергей', 'Иван', 'Алексей', 'Михаил', 'Андрей', 'Юрий'],
+    female: ['Анна', 'Мария', 'Елена', 'Ольга', 'Наталья', 'Татьяна', 'Екатерина', 'Юлия']
+  },
+  lastNames: {
+    male: ['Иванов', 'Смирнов', 'Кузнецов', 'Попов', 'Соколов', 'Лебедев', 'Козлов', 'Новиков', 'Морозов', 'Волков'],
+    female: ['Иванова', 'Смирнова', 'Кузнецова', 'Попова', 'Соколова', 'Лебедева', 'Козлова', 'Новикова', 'Морозова', 'Волкова']
+  },
+  // Transliteration for usernames, emails and websites
+  romanize: text => [...text.toLowerCase()].map(char => (char in TRANSLITERATION ? TRANSLITERATION[char] : char)).join(''),
+  streets: ['ул. Ленина', 'ул. Пушкина', 'ул. Гагарина', 'Садовая ул.', 'проспект Мира', 'Советская ул.', 'Набережная ул.', 'ул. Чехова'],
+  streetFormat: '{street}, д. {number}',
+  houseNumber: '##',
+  suiteFormats: ['кв. ##', 'кв. ###', 'офис ##'],
+  // Почтовые индексы start with the prefix of the city
+  cities: [
+    { name: 'Москва', zip: '101###', lat: 55.7558, lng: 37.6173 },
+    { name: 'Санкт-Петербург', zip: '190###', lat: 59.9343, lng: 30.3351 },
+    { name: 'Новосибирск', zip: '630###', lat: 55.0084, lng: 82.9357 },
+    { name: 'Екатеринбург', zip: '620###', lat: 56.8389, lng: 60.6057 },
+    { name: 'Казань', zip: '420###', lat: 55.7961, lng: 49.1064 },
+    { name: 'Нижний Новгород', zip: '603###', lat: 56.2965, lng: 43.9361 }
+  ],
+  phoneFormats: ['+7 (9##) ###-##-##', '+7 (495) ###-##-##', '8 (812) ###-##-##'],
+  companyFormats: ['ООО «{last}»', 'АО «{last}»', 'ИП {last}', 'ГК «{last} и партнёры»'],
+  tld: 'ru',
+  wordSeparator: ' ',
+  sentenceEnd: '.',
+  words: [
+    'и', 'в', 'не', 'на', 'мы', 'город', 'день', 'время', 'работа', 'дом',
+    'новый', 'большой', 'хороший', 'сегодня', 'завтра', 'всегда', 'вместе', 'быстро', 'утро', 'вечер',
+    'река', 'лес', 'солнце', 'ёлка', 'дорога', 'письмо', 'друг', 'вопрос', 'ответ', 'жизнь'
+  ]
+}
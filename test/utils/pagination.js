@@ -0,0 +1,121 @@
+/**
+ * Pagination helpers for list endpoints
+ *
+ * Two page styles are understood:
+ * - json-server: the body is the page's array; `Link` (rel="next") and `X-Total-Count` headers describe the rest
+ * - reqres: the body is { page, per_page, total, total_pages, data }
+ */
+
+const { responseValidations } = require('./test-helpers')
+
+/**
+ * Parse an RFC 8288 Link header
+ * @param {string} header - Header value, e.g. '<http://x/posts?_page=2>; rel="next", <...>; rel="last"'
+ * @returns {Object} URLs by relation, e.g. { next: 'http://x/posts?_page=2' }
+ */
+function parseLinkHeader (header) {
+  if (!header) {
+    return {}
+  }
+
+  return Object.fromEntries(header.split(',')
+    .map(part => part.match(/<([^>]*)>\s*;\s*rel="?([^";]+)"?/))
+    .filter(Boolean)
+    .flatMap(([, url, rels]) => rels.trim().split(/\s+/).map(rel => [rel, url])))
+}
+
+/**
+ * Read the items and the position of one page from a raw result
+ * @param {ApiResult} result - Raw result of the page request
+ * @param {number} page - Requested page number
+ * @param {number} limit - Requested page size
+ * @returns {Object} { items, total (null when unknown), nextPage (null on the last page) }
+ */
+function readPage (result, page, limit) {
+  const { body, headers } = result
+
+  if (!Array.isArray(body)) {
+    responseValidations.validatePaginationResponse(result)
+    expect(body.page, 'page number in the body').to.equal(page)
+    return { items: body.data, total: body.total, nextPage: body.page < body.total_pages ? body.page + 1 : null }
+  }
+
+  const total = headers['x-total-count'] === undefined ? null : Number(headers['x-total-count'])
+  let hasNext
+  if (headers.link !== undefined) {
+    const { next } = parseLinkHeader(headers.link)
+    hasNext = Boolean(next)
+    const linkedPage = next && Number(new URL(next).searchParams.get('_page'))
+    if (linkedPage) {
+      return { items: body, total, nextPage: linkedPage }
+    }
+  } else if (total !== null) {
+    hasNext = page * limit < total
+  } else {
+    // Without headers a short page is the last one
+    hasNext = body.length === limit
+  }
+
+  return { items: body, total, nextPage: hasNext ? page + 1 : null }
+}
+
+/**
+ * Page Tracker
+ * Checks a paginated listing: no item twice, no page over the limit, a stable total and nothing missing
+ */
+class PageTracker {
+  /**
+   * @param {string} label - Listing name for failure messages, e.g. '/posts'
+   * @param {Object} options - Tracker options
+   * @param {number} options.limit - Page size
+   * @param {string} options.key - Item property identifying an item
+   */
+  constructor (label, { limit, key = 'id' } = {}) {
+    this.label = label
+    this.limit = limit
+    this.key = key
+    this.seen = new Map()
+    this.total = null
+    this.pages = 0
+  }
+
+  /**
+   * Record one page
+   * @param {number} page - Page number
+   * @param {Array<Object>} items - Items of the page
+   * @param {number|null} total - Total announced by the page
+   */
+  add (page, items, total) {
+    this.pages += 1
+    expect(items, `${this.label}: page ${page} items`).to.be.an('array')
+    expect(items.length, `${this.label}: size of page ${page}`).to.be.at.most(this.limit)
+
+    if (total !== null) {
+      if (this.total !== null) {
+        expect(total, `${this.label}: total announced on page ${page}`).to.equal(this.total)
+      }
+      this.total = total
+    }
+
+    items.forEach(item => {
+      const id = item[this.key]
+      expect(this.seen.has(id), `${this.label}: item ${this.key}=${id} on page ${page} was already returned on page ${this.seen.get(id)}`).to.be.false
+      this.seen.set(id, page)
+    })
+  }
+
+  /**
+   * Check that every announced item was returned
+   */
+  finish () {
+    if (this.total !== null) {
+      expect(this.seen.size, `${this.label}: items returned over ${this.pages} page(s) (announced total ${this.total})`).to.equal(this.total)
+    }
+  }
+}
+
+module.exports = {
+  parseLinkHeader,
+  readPage,
+  PageTracker
+}
@@ -0,0 +1,203 @@
+/**
+ * Property-based testing
+ *
+ * checkProperty() runs a property (an async function that asserts invariants) against inputs drawn
+ * from an arbitrary (see arbitraries.js). When an input fails, it is shrunk to a minimal counterexample,
+ * saved to the regression file and reported with the seed that produced it. Saved counterexamples are
+ * replayed before the random inputs on every later run.
+ *
+ *   await checkProperty('postsApi.create', fromSchema('post'), async post => {
+ *     const created = await postsApi.create(post)
+ *     expect(created.id).to.be.a('number')
+ *   })
+ *
+ * Only assertion failures (or a property returning false) count as failing inputs; other errors, such
+ * as timeouts or read-only mode, are thrown as they are.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const config = require('../../config/test-config')
+const { MAX_SEED, SeededRandom, random } = require('./random')
+
+/**
+ * Counterexamples by property name, kept in a JSON file
+ */
+class RegressionFile {
+  /**
+   * @param {string|null} filePath - JSON file, or null to keep counterexamples in memory only
+   */
+  constructor (filePath) {
+    this.filePath = filePath
+    this.entries = null
+  }
+
+  /**
+   * Read the file once
+   * @returns {Object} Counterexamples by property name
+   */
+  load () {
+    if (!this.entries) {
+      this.entries = this.filePath && fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        : {}
+    }
+    return this.entries
+  }
+
+  /**
+   * Saved counterexamples of a property
+   * @param {string} name - Property name
+   * @returns {Array} Counterexamples
+   */
+  get (name) {
+    return this.load()[name] || []
+  }
+
+  /**
+   * Save a counterexample unless it is already saved
+   * @param {string} name - Property name
+   * @param {*} value - Counterexample
+   * @returns {boolean} Saved
+   */
+  add (name, value) {
+    const entries = this.load()
+    const saved = entries[name] || []
+    if (saved.some(entry => JSON.stringify(entry) === JSON.stringify(value))) {
+      return false
+    }
+
+    entries[name] = [...saved, value]
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(this.filePath, JSON.stringify(entries, null, 2) + '\n')
+    }
+    return true
+  }
+}
+
+/**
+ * Failed property with its minimal counterexample
+ */
+class PropertyError extends Error {
+  /**
+   * @param {string} message - Message
+   * @param {Object} details - { property, counterexample, seed, runs, shrinks, cause }
+   */
+  constructor (message, details) {
+    super(message)
+    this.name = 'PropertyError'
+    Object.assign(this, details)
+  }
+}
+
+/**
+ * Run a property on one input
+ * @param {Function} property - Async property
+ * @param {*} value - Input; the property gets a copy so it cannot change the value being shrunk
+ * @returns {Promise<Error|null>} Assertion failure, or null when the property holds
+ */
+async function failureOf (property, value) {
+  try {
+    const result = await property(JSON.parse(JSON.stringify(value)))
+    return result === false ? new Error('Property returned false') : null
+  } catch (error) {
+    if (error.name === 'AssertionError') {
+      return error
+    }
+    throw error
+  }
+}
+
+/**
+ * Shrink a failing input: keep taking the first smaller candidate that still fails
+ * @param {Arbitrary} arbitrary - Arbitrary of the input
+ * @param {Function} property - Async property
+ * @param {*} value - Failing input
+ * @param {Error} failure - Its failure
+ * @param {number} maxShrinks - Candidates to try at most
+ * @returns {Promise<Object>} { value, failure, shrinks }
+ */
+async function shrinkFailure (arbitrary, property, value, failure, maxShrinks) {
+  let current = { value, failure, shrinks: 0 }
+  let tries = 0
+
+  let shrunk = true
+  while (shrunk && tries < maxShrinks) {
+    shrunk = false
+    for (const candidate of arbitrary.shrink(current.value)) {
+      if (tries++ >= maxShrinks) {
+        break
+      }
+      const candidateFailure = await failureOf(property, candidate)
+      if (candidateFailure) {
+        current = { value: candidate, failure: candidateFailure, shrinks: current.shrinks + 1 }
+        shrunk = true
+        break
+      }
+    }
+  }
+  return current
+}
+
+// Counterexamples of the whole run
+const regressionFile = new RegressionFile(config.propertyTests.regressionFile)
+
+/**
+ * Check that a property holds for saved counterexamples and random inputs
+ * @param {string} name - Property name, the key of its counterexamples in the regression file
+ * @param {Arbitrary} arbitrary - Arbitrary of the inputs
+ * @param {Function} property - Async function asserting invariants for an input
+ * @param {Object} [options] - Options
+ * @param {number} [options.runs] - Random inputs (default: config.propertyTests.runs)
+ * @param {number} [options.seed] - Seed of the inputs (default: drawn from the test's seed)
+ * @param {number} [options.maxShrinks] - Candidates to try while shrinking (default: config.propertyTests.maxShrinks)
+ * @param {RegressionFile} [options.regressions] - Where counterexamples are kept (default: config.propertyTests.regressionFile)
+ * @returns {Promise<Object>} { runs, replayed } when the property holds
+ * @throws {PropertyError} With the minimal counterexample when it does not
+ */
+async function checkProperty (name, arbitrary, property, options = {}) {
+  const {
+    runs = config.propertyTests.runs,
+    seed = random.int(0, MAX_SEED),
+    maxShrinks = config.propertyTests.maxShrinks,
+    regressions = regressionFile
+  } = options
+
+  const saved = regressions.get(name)
+  for (const value of saved) {
+    const failure = await failureOf(property, value)
+    if (failure) {
+      throw new PropertyError(
+        `Property "${name}" failed for a saved counterexample:\n${JSON.stringify(value, null, 2)}\n${failure.message}`,
+        { property: name, counterexample: value, seed: null, runs: 0, shrinks: 0, cause: failure }
+      )
+    }
+  }
+
+  const generator = new SeededRandom(seed)
+  for (let run = 1; run <= runs; run++) {
+    const value = arbitrary.generate(generator)
+    const failure = await failureOf(property, value)
+    if (failure) {
+      const shrunk = await shrinkFailure(arbitrary, property, value, failure, maxShrinks)
+      regressions.add(name, shrunk.value)
+      const savedTo = regressions.filePath ? `, saved to ${regressions.filePath}` : ''
+
+      throw new PropertyError(
+        `Property "${name}" failed after ${run} run(s) (seed ${seed}), shrunk ${shrunk.shrinks} time(s)${savedTo}:\n` +
+        `${JSON.stringify(shrunk.value, null, 2)}\n${shrunk.failure.message}`,
+        { property: name, counterexample: shrunk.value, seed, runs: run, shrinks: shrunk.shrinks, cause: shrunk.failure }
+      )
+    }
+  }
+
+  return { runs, replayed: saved.length }
+}
+
+module.exports = {
+  PropertyError,
+  RegressionFile,
+  regressionFile,
+  checkProperty
+}
@@ -0,0 +1,376 @@
+/**
+ * Fluent json-server query builder for API clients
+ *
+ *   const posts = await postsApi.query()
+ *     .where('userId', 1)
+ *     .sort('title', 'desc')
+ *     .page(2, 5)
+ *     .embed('comments')
+ *     .fetch()
+ *
+ * fetch() checks that every returned item satisfies each applied filter, the sort order,
+ * the page size and the requested relations; paginate() does the same page by page
+ */
+
+const { readPage, PageTracker } = require('./pagination')
+
+// json-server filter operators, appended to the field name (views_gte=10)
+const OPERATORS = ['eq', 'gte', 'lte', 'ne', 'like']
+
+/**
+ * Read a possibly nested value ("address.city") from an item
+ * @param {Object} item - Source item
+ * @param {string} path - Dot separated property path
+ * @returns {*} Property value
+ */
+function getValue (item, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item)
+}
+
+/**
+ * Compare an item value with a query value or another item value the way json-server does
+ * (numbers numerically, strings by code point rather than by locale)
+ * @param {*} actual - Item value
+ * @param {*} expected - Query value or other item value
+ * @returns {number} Negative, zero or positive
+ */
+function compareToQuery (actual, expected) {
+  if (typeof actual === 'number') {
+    return actual - Number(expected)
+  }
+  const [a, b] = [String(actual), String(expected)]
+  return a < b ? -1 : Number(a > b)
+}
+
+/**
+ * Check whether any plain value of an item contains a text (json-server full-text search)
+ * @param {*} value - Item or nested value
+ * @param {string} text - Lower-case search text
+ * @returns {boolean} Contains the text
+ */
+function containsText (value, text) {
+  if (value !== null && typeof value === 'object') {
+    return Object.values(value).some(entry => containsText(entry, text))
+  }
+  return String(value).toLowerCase().includes(text)
+}
+
+/**
+ * Query Builder
+ * Collects filters, sorting, pagination and relations for a list request
+ */
+class QueryBuilder {
+  /**
+   * @param {BaseApiClient} client - API client with getAllRaw(query) and validateSuccessResponse()
+   * @param {Object} options - Builder options
+   * @param {string} options.schema - Schema name the items (without relations) must match
+   */
+  constructor (client, { schema } = {}) {
+    this.client = client
+    this.schema = schema
+    this.filters = []
+    this.searchText = undefined
+    this.sorts = []
+    this.pagination = null
+    this.embeds = []
+    this.expands = []
+  }
+
+  /**
+   * Filter by a field, e.g. where('userId', 1), where('userId', [1, 2]) or where('id', 'gte', 10)
+   * @param {string} field - Field, dot separated for nested values
+   * @param {string|*} operator - One of eq, gte, lte, ne, like; or the value for eq
+   * @param {*} value - Value (arrays match any of the values for eq and none of them for ne)
+   * @returns {QueryBuilder} This builder
+   */
+  where (field, operator, value) {
+    if (arguments.length < 3) {
+      return this.where(field, 'eq', operator)
+    }
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unknown operator "${operator}" for ${field}, expected one of: ${OPERATORS.join(', ')}`)
+    }
+    this.filters.push({ field, operator, values: [].concat(value) })
+    return this
+  }
+
+  /**
+   * Full-text search over all fields (q)
+   * @param {string} text - Search text
+   * @returns {QueryBuilder} This builder
+   */
+  search (text) {
+    this.searchText = text
+    return this
+  }
+
+  /**
+   * Sort by a field; call again to add tie-breaking fields
+   * @param {string} field - Field to sort by
+   * @param {string} order - Sort order (asc/desc)
+   * @returns {QueryBuilder} This builder
+   */
+  sort (field, order = 'asc') {
+    this.sorts.push({ field, order })
+    return this
+  }
+
+  /**
+   * Request one page (_page/_limit)
+   * @param {number} page - Page number, starting at 1
+   * @param {number} limit - Items per page
+   * @returns {QueryBuilder} This builder
+   */
+  page (page, limit = 10) {
+    this.pagination = { _page: page, _limit: limit }
+    return this
+  }
+
+  /**
+   * Request a range of items (_start/_end, end exclusive)
+   * @param {number} start - Index of the first item
+   * @param {number} end - Index after the last item
+   * @returns {QueryBuilder} This builder
+   */
+  slice (start, end) {
+    this.pagination = { _start: start, _end: end }
+    return this
+  }
+
+  /**
+   * Request at most a number of items (_limit)
+   * @param {number} limit - Maximum number of items
+   * @returns {QueryBuilder} This builder
+   */
+  limit (limit) {
+    this.pagination = { _limit: limit }
+    return this
+  }
+
+  /**
+   * Include child collections in each item (_embed), e.g. embed('comments') on posts
+   * @param {...string} relations - Child collection names
+   * @returns {QueryBuilder} This builder
+   */
+  embed (...relations) {
+    this.embeds.push(...relations)
+    return this
+  }
+
+  /**
+   * Include the parent in each item (_expand), e.g. expand('user') on posts
+   * @param {...string} relations - Parent names (singular)
+   * @returns {QueryBuilder} This builder
+   */
+  expand (...relations) {
+    this.expands.push(...relations)
+    return this
+  }
+
+  /**
+   * Query parameters for BaseApiClient.buildQuery (arrays repeat the parameter)
+   * @returns {Object} Query parameters
+   */
+  toParams () {
+    const params = {}
+    const add = (key, values) => {
+      params[key] = [].concat(params[key] === undefined ? [] : params[key], values)
+    }
+
+    this.filters.forEach(({ field, operator, values }) => add(operator === 'eq' ? field : `${field}_${operator}`, values))
+    if (this.searchText !== undefined) {
+      params.q = this.searchText
+    }
+    if (this.sorts.length > 0) {
+      params._sort = this.sorts.map(({ field }) => field).join(',')
+      params._order = this.sorts.map(({ order }) => order).join(',')
+    }
+    Object.assign(params, this.pagination)
+    if (this.embeds.length > 0) {
+      params._embed = this.embeds
+    }
+    if (this.expands.length > 0) {
+      params._expand = this.expands
+    }
+
+    return params
+  }
+
+  /**
+   * Encoded query string
+   * @returns {string} Query string starting with '?', or '' without parameters
+   */
+  toString () {
+    return this.client.buildQuery(this.toParams())
+  }
+
+  /**
+   * Send the query without assertions
+   * @returns {Promise<ApiResult>} Raw result
+   */
+  async fetchRaw () {
+    return this.client.getAllRaw(this.toParams())
+  }
+
+  /**
+   * Send the query and verify the items against it
+   * @returns {Promise<Array<Object>>} Items
+   */
+  async fetch () {
+    const items = this.client.validateSuccessResponse(await this.fetchRaw())
+
+    expect(items).to.be.an('array')
+    this.verify(items)
+
+    return items
+  }
+
+  /**
+   * Iterate over all matching items, one page request at a time
+   * Stops after the last page and fails when an item repeats or goes missing across pages
+   *
+   *   for await (const post of postsApi.query().where('userId', 1).paginate({ limit: 5 })) { ... }
+   *
+   * @param {Object} options - Pagination options
+   * @param {number} options.limit - Page size
+   * @param {number} options.maxPages - Fail instead of requesting more pages than this
+   * @returns {AsyncGenerator<Object>} Items
+   */
+  async * paginate ({ limit = 10, maxPages = 1000 } = {}) {
+    if (this.pagination) {
+      throw new Error('paginate() requests the pages itself; remove page(), slice() or limit() from the query')
+    }
+
+    const tracker = new PageTracker(this.client.endpoint, { limit })
+    let page = 1
+
+    while (page !== null) {
+      expect(tracker.pages, `${this.client.endpoint}: pages requested`).to.be.below(maxPages)
+
+      const result = await this.client.getAllRaw({ ...this.toParams(), ...this.client.pageQuery(page, limit) })
+      this.client.validateSuccessResponse(result)
+      const { items, total, nextPage } = readPage(result, page, limit)
+
+      tracker.add(page, items, total)
+      this.verify(items)
+      yield * items
+
+      // An empty page cannot lead anywhere new
+      page = items.length > 0 ? nextPage : null
+    }
+
+    tracker.finish()
+  }
+
+  /**
+   * Check that items satisfy every part of the query
+   * @param {Array<Object>} items - Returned items
+   */
+  verify (items) {
+    const relations = [...this.embeds, ...this.expands]
+
+    items.forEach((item, index) => {
+      const label = `item ${index} (id ${item.id})`
+      // Embedded relations are not part of the resource
+      const own = Object.fromEntries(Object.entries(item).filter(([key]) => !relations.includes(key)))
+
+      if (this.schema) {
+        expect(own, label).to.matchSchema(this.schema)
+      }
+      this.filters.forEach(filter => this.verifyFilter(item, filter, label))
+      if (this.searchText !== undefined) {
+        expect(containsText(own, String(this.searchText).toLowerCase()), `${label} contains "${this.searchText}"`).to.be.true
+      }
+      this.embeds.forEach(name => this.verifyEmbed(item, name, label))
+      this.expands.forEach(name => this.verifyExpand(item, name, label))
+    })
+
+    this.verifySortOrder(items)
+    this.verifyPageSize(items)
+  }
+
+  /**
+   * Check one filter against an item
+   * @param {Object} item - Item
+   * @param {Object} filter - Filter ({ field, operator, values })
+   * @param {string} label - Item label for failure messages
+   */
+  verifyFilter (item, { field, operator, values }, label) {
+    const actual = getValue(item, field)
+    const message = `${field} of ${label}`
+
+    if (operator === 'eq') {
+      expect(String(actual), message).to.be.oneOf(values.map(String))
+    } else if (operator === 'ne') {
+      expect(String(actual), message).to.not.be.oneOf(values.map(String))
+    } else if (operator === 'gte') {
+      values.forEach(value => expect(compareToQuery(actual, value), `${message} (${actual}) >= ${value}`).to.be.at.least(0))
+    } else if (operator === 'lte') {
+      values.forEach(value => expect(compareToQuery(actual, value), `${message} (${actual}) <= ${value}`).to.be.at.most(0))
+    } else {
+      expect(values.some(value => new RegExp(value, 'i').test(String(actual))), `${message} (${actual}) matches ${values.join(' or ')}`).to.be.true
+    }
+  }
+
+  /**
+   * Check that an item embeds its children (comments of a post have postId = post.id)
+   * @param {Object} item - Item
+   * @param {string} name - Child collection name
+   * @param {string} label - Item label for failure messages
+   */
+  verifyEmbed (item, name, label) {
+    const foreignKey = `${this.client.endpoint.split('/').pop().replace(/s$/, '')}Id`
+
+    expect(item[name], `${name} of ${label}`).to.be.an('array')
+    item[name].forEach(child => expect(child[foreignKey], `${foreignKey} of embedded ${name}`).to.equal(item.id))
+  }
+
+  /**
+   * Check that an item includes its parent (the user of a post has id = post.userId)
+   * @param {Object} item - Item
+   * @param {string} name - Parent name
+   * @param {string} label - Item label for failure messages
+   */
+  verifyExpand (item, name, label) {
+    expect(item[name], `${name} of ${label}`).to.be.an('object')
+    expect(item[name].id, `${name}.id of ${label}`).to.equal(item[`${name}Id`])
+  }
+
+  /**
+   * Check the order of the items for every sort field
+   * @param {Array<Object>} items - Items
+   */
+  verifySortOrder (items) {
+    items.slice(1).forEach((item, index) => {
+      const previousItem = items[index]
+
+      for (const { field, order } of this.sorts) {
+        const previous = getValue(previousItem, field)
+        const current = getValue(item, field)
+        const comparison = compareToQuery(current, previous)
+        if (comparison === 0) {
+          continue
+        }
+        expect(comparison * (order === 'desc' ? -1 : 1), `${field} of item ${index + 1} is sorted ${order}`).to.be.above(0)
+        break
+      }
+    })
+  }
+
+  /**
+   * Check that no more items came back than the page or range allows
+   * @param {Array<Object>} items - Items
+   */
+  verifyPageSize (items) {
+    if (!this.pagination) {
+      return
+    }
+    const { _limit: limit, _start: start, _end: end } = this.pagination
+    const size = end !== undefined ? end - start : limit
+    expect(items, 'page size').to.have.length.at.most(size)
+  }
+}
+
+module.exports = {
+  QueryBuilder
+}
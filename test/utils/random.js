@@ -0,0 +1,158 @@
+/**
+ * Seeded random numbers
+ *
+ * The data generators draw from one seedable PRNG instead of Math.random(), so generated data can be
+ * reproduced. The run seed comes from `--seed=<n>` on the mocha command line, TEST_SEED (config.random.seed),
+ * or is picked at random, and is printed when the run starts. Before each test the root hooks reseed the
+ * generator with a seed derived from the run seed and the test's full title, so a test gets the same data
+ * whether it runs alone or with the rest of the suite.
+ */
+
+const crypto = require('crypto')
+const config = require('../../config/test-config')
+
+// Seeds are unsigned 32-bit integers
+const MAX_SEED = 0xffffffff
+
+/**
+ * FNV-1a hash of a text
+ * @param {string} text - Text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString (text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Derive an independent seed, e.g. for one test
+ * @param {number} seed - Parent seed
+ * @param {string} name - What the seed is for, e.g. the full test title
+ * @returns {number} Derived seed
+ */
+function deriveSeed (seed, name) {
+  return hashString(`${seed}:${name}`)
+}
+
+/**
+ * Validate a seed given as text
+ * @param {string|number} value - Seed
+ * @param {string} source - Where the seed came from, for the error message
+ * @returns {number} Seed
+ */
+function parseSeed (value, source) {
+  const seed = Number(value)
+  if (String(value).trim() === '' || !Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new Error(`Invalid random seed "${value}" from ${source}, expected an integer from 0 to ${MAX_SEED}`)
+  }
+  return seed
+}
+
+/**
+ * Read `--seed=<n>` or `--seed <n>` from command line arguments
+ * @param {Array<string>} argv - Arguments
+ * @returns {string|undefined} Seed text
+ */
+function seedArgument (argv) {
+  const index = argv.findIndex(arg => arg === '--seed' || arg.startsWith('--seed='))
+  if (index === -1) {
+    return undefined
+  }
+  return argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1]
+}
+
+/**
+ * Choose the seed of the run: command line first, then the configuration, otherwise a random one
+ * @param {Object} [options] - Sources
+ * @param {Array<string>} [options.argv] - Command line arguments (default: process.argv)
+ * @param {number|null} [options.seed] - Configured seed (default: config.random.seed)
+ * @returns {number} Run seed
+ */
+function resolveRunSeed ({ argv = process.argv, seed = config.random.seed } = {}) {
+  const argument = seedArgument(argv)
+  if (argument !== undefined) {
+    return parseSeed(argument, '--seed')
+  }
+  if (seed !== null && seed !== undefined) {
+    return parseSeed(seed, 'TEST_SEED')
+  }
+  return crypto.randomBytes(4).readUInt32BE(0)
+}
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ */
+class SeededRandom {
+  /**
+   * @param {number} seed - Initial seed
+   */
+  constructor (seed) {
+    this.reseed(seed)
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number} seed - Seed
+   */
+  reseed (seed) {
+    this.seed = seed
+    this.state = seed >>> 0
+  }
+
+  /**
+   * Next number in [0, 1), like Math.random()
+   * @returns {number} Random number
+   */
+  next () {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let value = this.state
+    value = Math.imul(value ^ (value >>> 15), value | 1)
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61)
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Random integer within a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (inclusive)
+   * @returns {number} Random integer
+   */
+  int (min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min
+  }
+
+  /**
+   * Random element of a list
+   * @param {Array} items - Items
+   * @returns {*} Item
+   */
+  pick (items) {
+    return items[Math.floor(this.next() * items.length)]
+  }
+
+  /**
+   * Random boolean
+   * @param {number} probability - Chance of true
+   * @returns {boolean} Random boolean
+   */
+  bool (probability = 0.5) {
+    return this.next() < probability
+  }
+}
+
+// Seed of the whole run, and the generator shared by the data generators
+const runSeed = resolveRunSeed()
+const random = new SeededRandom(runSeed)
+
+module.exports = {
+  MAX_SEED,
+  SeededRandom,
+  random,
+  runSeed,
+  deriveSeed,
+  resolveRunSeed
+}
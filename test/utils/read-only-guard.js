@@ -0,0 +1,121 @@
+/**
+ * Read-only safety mode
+ *
+ * With config.safety.readOnly (the prod-readonly profile), HttpClient refuses to send POST, PUT, PATCH
+ * and DELETE requests unless they match an allowlist entry such as 'POST /api/login', and throws a
+ * ReadOnlyError instead. The root hooks report tests that ran into it as skipped rather than failed,
+ * even when the test caught the error itself and passed.
+ */
+
+const { matchRoute } = require('../mock-server/faults')
+const { ReadOnlyError } = require('./http-errors')
+
+// Methods that change data on the server
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+// Mocha hook types, in the order Mocha runs them
+const HOOK_TYPES = ['beforeAll', 'beforeEach', 'afterEach', 'afterAll']
+
+// Requests refused so far, so tests that swallowed the error are still recognized
+let blockedCount = 0
+
+/**
+ * Check whether a request may be sent under a safety policy
+ * @param {Object} policy - { readOnly, allowlist: ['METHOD /route', ...] }
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL
+ * @returns {boolean} Is allowed
+ */
+function isAllowed (policy, method, url) {
+  const upperMethod = method.toUpperCase()
+  if (!policy.readOnly || !MUTATING_METHODS.includes(upperMethod)) {
+    return true
+  }
+
+  const { pathname } = new URL(url)
+  return policy.allowlist.some(entry => {
+    const [entryMethod, route] = entry.split(' ')
+    return entryMethod === upperMethod && matchRoute(route, pathname)
+  })
+}
+
+/**
+ * Throw a ReadOnlyError when the policy forbids a request
+ * @param {Object} policy - Safety policy
+ * @param {string} profile - Active configuration profile
+ * @param {Object} context - Request context (method, url)
+ */
+function assertAllowed (policy, profile, context) {
+  if (!isAllowed(policy, context.method, context.url)) {
+    blockedCount += 1
+    throw new ReadOnlyError(profile, { method: context.method, url: context.url })
+  }
+}
+
+/**
+ * Make a test or hook report itself as skipped when read-only mode blocks one of its requests,
+ * whether it then fails or passes (a skipped before-all hook skips its whole suite). Runnables
+ * taking a done callback are left alone and fail as usual
+ * @param {Object} runnable - Mocha test or hook
+ */
+function skipBlockedMutations (runnable) {
+  const fn = runnable.fn
+  if (!fn || fn.length > 0) {
+    return
+  }
+
+  runnable.fn = async function () {
+    const blockedBefore = blockedCount
+    let result
+    try {
+      result = await fn.call(this)
+    } catch (error) {
+      if (error instanceof ReadOnlyError || blockedCount > blockedBefore) {
+        this.skip()
+      }
+      throw error
+    }
+    // A test that caught the ReadOnlyError did not check what it meant to
+    if (blockedCount > blockedBefore) {
+      this.skip()
+    }
+    return result
+  }
+}
+
+/**
+ * Hooks of a Mocha suite
+ * Mocha offers no public accessor for them, so this is the only place that reads its internals.
+ * The read-only guard tests fail when a Mocha upgrade moves them
+ * @param {Object} suite - Mocha suite
+ * @returns {Array<Object>} Hooks, in the order Mocha runs them
+ * @throws {Error} When the suite does not keep its hooks where Mocha 10 does
+ */
+function suiteHooks (suite) {
+  return HOOK_TYPES.flatMap(type => {
+    const hooks = suite[`_${type}`]
+    if (!Array.isArray(hooks)) {
+      throw new Error(`Mocha suite "${suite.fullTitle()}" has no _${type} hook list, update suiteHooks() for this Mocha version`)
+    }
+    return hooks
+  })
+}
+
+/**
+ * Apply skipBlockedMutations to every test and hook of a suite tree
+ * @param {Object} suite - Mocha suite, usually the root suite
+ */
+function skipBlockedMutationsIn (suite) {
+  suiteHooks(suite).forEach(skipBlockedMutations)
+  suite.tests.forEach(skipBlockedMutations)
+  suite.suites.forEach(skipBlockedMutationsIn)
+}
+
+module.exports = {
+  MUTATING_METHODS,
+  isAllowed,
+  assertAllowed,
+  skipBlockedMutations,
+  skipBlockedMutationsIn,
+  suiteHooks
+}
@@ -0,0 +1,176 @@
+const fs = require('fs')
+const path = require('path')
+const Ajv2020 = require('ajv/dist/2020')
+const addFormats = require('ajv-formats')
+
+// Directory holding <name>.schema.json files
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas')
+
+// Properties the server assigns, left out of request payloads
+const SERVER_FIELDS = ['id']
+
+/**
+ * Escape a property name for use in a JSON pointer
+ * @param {string} key - Property name
+ * @returns {string} Escaped segment
+ */
+function escapePointer (key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * Schema Validator
+ * JSON Schema (draft 2020-12) validation of API resources
+ */
+class SchemaValidator {
+  constructor (schemasDir = SCHEMAS_DIR) {
+    this.ajv = new Ajv2020({ allErrors: true, strict: true })
+    addFormats(this.ajv)
+    this.names = []
+    this.writeValidators = new Map()
+
+    fs.readdirSync(schemasDir)
+      .filter(file => file.endsWith('.schema.json'))
+      .sort()
+      .forEach(file => {
+        const schema = JSON.parse(fs.readFileSync(path.join(schemasDir, file), 'utf8'))
+        this.addSchema(file.replace('.schema.json', ''), schema)
+      })
+  }
+
+  /**
+   * Register a schema under a name
+   * @param {string} name - Schema name (e.g. 'user')
+   * @param {Object} schema - JSON schema
+   */
+  addSchema (name, schema) {
+    this.ajv.addSchema(schema, name)
+    this.names.push(name)
+  }
+
+  /**
+   * Get the compiled validation function of a registered schema
+   * @param {string} name - Schema name
+   * @returns {Function} Ajv validate function
+   */
+  getValidator (name) {
+    const validate = this.ajv.getSchema(name)
+    if (!validate) {
+      throw new Error(`Unknown schema "${name}", expected one of: ${this.names.join(', ')}`)
+    }
+    return validate
+  }
+
+  /**
+   * Get a registered schema
+   * @param {string} name - Schema name
+   * @returns {Object} JSON schema
+   */
+  getSchema (name) {
+    return this.getValidator(name).schema
+  }
+
+  /**
+   * Schema of a request payload for a resource: the resource schema without the server-assigned id
+   * @param {string} name - Schema name
+   * @returns {Object} JSON schema (a copy)
+   */
+  getWriteSchema (name) {
+    const schema = JSON.parse(JSON.stringify(this.getSchema(name)))
+    // Compiled next to the resource schema, so it needs an id of its own
+    delete schema.$id
+    SERVER_FIELDS.forEach(field => delete schema.properties[field])
+    schema.required = (schema.required || []).filter(field => !SERVER_FIELDS.includes(field))
+    schema.title = `${schema.title || name} payload`
+    return schema
+  }
+
+  /**
+   * Get the compiled validation function of a request payload schema
+   * @param {string} name - Schema name
+   * @returns {Function} Ajv validate function
+   */
+  getWriteValidator (name) {
+    if (!this.writeValidators.has(name)) {
+      this.writeValidators.set(name, this.ajv.compile(this.getWriteSchema(name)))
+    }
+    return this.writeValidators.get(name)
+  }
+
+  /**
+   * Validate data against a registered schema
+   * @param {string} name - Schema name
+   * @param {*} data - Data to validate
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.write] - Validate a request payload, without the server-assigned id
+   * @returns {Object} { valid, errors: [{ path, message, keyword }] } with JSON pointer paths
+   */
+  validate (name, data, { write = false } = {}) {
+    const validate = write ? this.getWriteValidator(name) : this.getValidator(name)
+    const valid = validate(data)
+
+    return {
+      valid,
+      errors: valid ? [] : validate.errors.map(error => this.formatError(error))
+    }
+  }
+
+  /**
+   * Convert an Ajv error to a violation pointing at the offending value
+   * @param {Object} error - Ajv error
+   * @returns {Object} Violation
+   */
+  formatError (error) {
+    let pointer = error.instancePath
+    if (error.keyword === 'required') {
+      pointer += `/${escapePointer(error.params.missingProperty)}`
+    } else if (error.keyword === 'additionalProperties') {
+      pointer += `/${escapePointer(error.params.additionalProperty)}`
+    }
+
+    const messages = {
+      required: 'is required',
+      additionalProperties: 'is not allowed'
+    }
+
+    return {
+      path: pointer || '/',
+      message: messages[error.keyword] || error.message,
+      keyword: error.keyword
+    }
+  }
+
+  /**
+   * Format violations for assertion messages
+   * @param {Array<Object>} errors - Violations
+   * @returns {string} One line per violation
+   */
+  formatErrors (errors) {
+    return errors.map(error => `  ${error.path} ${error.message}`).join('\n')
+  }
+}
+
+// Shared validator loaded from test/schemas
+const schemaValidator = new SchemaValidator()
+
+/**
+ * Chai plugin adding `expect(body).to.matchSchema('user')`
+ * @param {Object} chai - Chai instance
+ */
+function chaiSchemaPlugin (chai) {
+  chai.Assertion.addMethod('matchSchema', function (name) {
+    const result = schemaValidator.validate(name, this._obj)
+
+    this.assert(
+      result.valid,
+      `expected #{this} to match schema "${name}" but found ${result.errors.length} violation(s):\n${schemaValidator.formatErrors(result.errors)}`,
+      `expected #{this} not to match schema "${name}"`
+    )
+  })
+}
+
+module.exports = {
+  SchemaValidator,
+  schemaValidator,
+  chaiSchemaPlugin
+}
@@ -2,6 +2,8 @@
  * Common test utilities and helper functions
  */
 
+const { expect } = require('chai')
+
 /**
  * Sleep utility for delays in tests
  * @param {number} ms - Milliseconds to sleep
@@ -16,9 +18,20 @@ function sleep (ms) {
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} delay - Initial delay between retries
+ * @param {Object} options - Retry options
+ * @param {Function} options.shouldRetry - Called with (error, attempt), return false to stop retrying
+ * @param {Function} options.onRetry - Called with (error, attempt, delay) before each retry
+ * @param {number} options.maxDelay - Upper bound for a single delay
+ * @param {boolean} options.jitter - Randomize each delay between 50% and 100% of its value
  * @returns {Promise} Promise that resolves with function result
  */
-async function retry (fn, maxRetries = 3, delay = 1000) {
+async function retry (fn, maxRetries = 3, delay = 1000, options = {}) {
+  const {
+    shouldRetry = () => true,
+    onRetry = () => {},
+    maxDelay = Infinity,
+    jitter = false
+  } = options
   let lastError
 
   for (let i = 0; i <= maxRetries; i++) {
@@ -26,14 +39,32 @@ async function retry (fn, maxRetries = 3, delay = 1000) {
       return await fn()
     } catch (error) {
       lastError = error
-      if (i === maxRetries) {
+      if (i === maxRetries || !shouldRetry(error, i + 1)) {
         throw lastError
       }
-      await sleep(delay * Math.pow(2, i)) // Exponential backoff
+      const backoff = Math.min(delay * Math.pow(2, i), maxDelay) // Exponential backoff
+      const wait = jitter ? Math.round(backoff / 2 + Math.random() * backoff / 2) : backoff
+      onRetry(error, i + 1, wait)
+      await sleep(wait)
     }
   }
 }
 
+/**
+ * Run an action that must fail and return what it threw
+ * @param {Function} action - Action to run, may be async
+ * @param {string} message - Assertion message when the action succeeds
+ * @returns {Promise<Error>} Thrown error
+ */
+async function expectFailure (action, message = 'Action should have failed') {
+  try {
+    await action()
+  } catch (error) {
+    return error
+  }
+  expect.fail(message)
+}
+
 /**
  * Common response validations
  */
@@ -102,6 +133,7 @@ const responseValidations = {
 
 /**
  * Schema validation helpers
+ * Backed by the JSON schemas in test/schemas (see `matchSchema` in schema-validator.js)
  */
 const schemaValidations = {
   /**
@@ -109,15 +141,7 @@ const schemaValidations = {
    * @param {Object} user - User object to validate
    */
   validateUserSchema (user) {
-    expect(user).to.be.an('object')
-    expect(user).to.have.property('id').that.is.a('number')
-    expect(user).to.have.property('name').that.is.a('string')
-    expect(user).to.have.property('username').that.is.a('string')
-    expect(user).to.have.property('email').that.is.a('string')
-    expect(user).to.have.property('phone').that.is.a('string')
-    expect(user).to.have.property('website').that.is.a('string')
-    expect(user).to.have.property('address').that.is.an('object')
-    expect(user).to.have.property('company').that.is.an('object')
+    expect(user).to.matchSchema('user')
   },
 
   /**
@@ -125,11 +149,7 @@ const schemaValidations = {
    * @param {Object} post - Post object to validate
    */
   validatePostSchema (post) {
-    expect(post).to.be.an('object')
-    expect(post).to.have.property('id').that.is.a('number')
-    expect(post).to.have.property('title').that.is.a('string')
-    expect(post).to.have.property('body').that.is.a('string')
-    expect(post).to.have.property('userId').that.is.a('number')
+    expect(post).to.matchSchema('post')
   },
 
   /**
@@ -137,12 +157,7 @@ const schemaValidations = {
    * @param {Object} comment - Comment object to validate
    */
   validateCommentSchema (comment) {
-    expect(comment).to.be.an('object')
-    expect(comment).to.have.property('id').that.is.a('number')
-    expect(comment).to.have.property('name').that.is.a('string')
-    expect(comment).to.have.property('email').that.is.a('string')
-    expect(comment).to.have.property('body').that.is.a('string')
-    expect(comment).to.have.property('postId').that.is.a('number')
+    expect(comment).to.matchSchema('comment')
   }
 }
 
@@ -189,6 +204,7 @@ const testHelpers = {
 module.exports = {
   sleep,
   retry,
+  expectFailure,
   responseValidations,
   schemaValidations,
   testHelpers